@@ -0,0 +1,64 @@
+// Ranking of complaints for the hot, top and controversial list orders.
+// Scores are stored on each complaint and refreshed whenever its votes,
+// comments or views change, so lists can sort on an index.
+
+// How much engagement a complaint needs to outrank one this much newer:
+// every RANKING_DECAY_HOURS of age costs a factor of ten in engagement.
+const RANKING_DECAY_HOURS = parseFloat(process.env.RANKING_DECAY_HOURS) || 12;
+
+// Contribution of each interaction to the hot score
+const ENGAGEMENT_WEIGHTS = {
+  upvote: 1,
+  downvote: -1,
+  comment: 0.5,
+  view: 0.02
+};
+
+// Hot scores are measured from a fixed epoch so they only grow with time
+// and never need to be recomputed just because the clock moved on.
+const RANKING_EPOCH = Date.UTC(2024, 0, 1);
+
+const RANKING_SORTS = {
+  hot: 'ranking.hot',
+  top: 'ranking.top',
+  controversial: 'ranking.controversy'
+};
+
+// Time windows for the top and controversial orders
+const RANKING_PERIODS = {
+  day: 24,
+  week: 24 * 7,
+  month: 24 * 30,
+  year: 24 * 365
+};
+
+const computeRanking = ({ upvotes = 0, downvotes = 0, comments = 0, views = 0, createdAt = new Date() }) => {
+  const engagement =
+    upvotes * ENGAGEMENT_WEIGHTS.upvote +
+    downvotes * ENGAGEMENT_WEIGHTS.downvote +
+    comments * ENGAGEMENT_WEIGHTS.comment +
+    views * ENGAGEMENT_WEIGHTS.view;
+
+  const order = Math.log10(Math.max(Math.abs(engagement), 1));
+  const sign = Math.sign(engagement);
+  const ageHours = (new Date(createdAt).getTime() - RANKING_EPOCH) / (60 * 60 * 1000);
+
+  // Many votes split evenly between up and down
+  const controversy = upvotes > 0 && downvotes > 0
+    ? Math.pow(upvotes + downvotes, Math.min(upvotes, downvotes) / Math.max(upvotes, downvotes))
+    : 0;
+
+  return {
+    hot: Number((sign * order + ageHours / RANKING_DECAY_HOURS).toFixed(7)),
+    top: upvotes - downvotes,
+    controversy: Number(controversy.toFixed(4))
+  };
+};
+
+module.exports = {
+  RANKING_DECAY_HOURS,
+  ENGAGEMENT_WEIGHTS,
+  RANKING_SORTS,
+  RANKING_PERIODS,
+  computeRanking
+};
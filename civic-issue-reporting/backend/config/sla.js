@@ -0,0 +1,79 @@
+// Service-level targets for complaint resolution, in hours.
+// Category overrides take precedence over the priority defaults.
+// Both tables can be overridden at deploy time with the SLA_TARGETS
+// environment variable, e.g. SLA_TARGETS='{"default":{"High":12},"Water":{"Critical":2}}'
+
+const defaultTargets = {
+  default: {
+    Low: 168,
+    Medium: 72,
+    High: 24,
+    Critical: 6
+  },
+  Water: {
+    High: 12,
+    Critical: 4
+  },
+  Health: {
+    High: 12,
+    Critical: 4
+  },
+  Electricity: {
+    Critical: 4
+  }
+};
+
+const loadTargets = () => {
+  if (!process.env.SLA_TARGETS) return defaultTargets;
+
+  try {
+    const overrides = JSON.parse(process.env.SLA_TARGETS);
+    const merged = { ...defaultTargets };
+    Object.keys(overrides).forEach(key => {
+      merged[key] = { ...(merged[key] || {}), ...overrides[key] };
+    });
+    return merged;
+  } catch (error) {
+    console.error('Invalid SLA_TARGETS, using defaults:', error.message);
+    return defaultTargets;
+  }
+};
+
+const targets = loadTargets();
+
+// Statuses in which the SLA clock is stopped
+const CLOSED_STATUSES = ['Resolved', 'Closed', 'Rejected', 'Merged', 'Withdrawn'];
+
+// Escalation chain once a complaint breaches its SLA:
+// level 0 = assigned officer, 1 = department head, 2 = admin
+const ESCALATION_LEVELS = ['officer', 'department_head', 'admin'];
+
+// How long each escalation level gets before moving up the chain
+const ESCALATION_INTERVAL_HOURS = parseFloat(process.env.SLA_ESCALATION_INTERVAL_HOURS) || 24;
+
+// How often the scheduler scans for breached complaints
+const CHECK_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+// How long the reporter has to confirm or dispute a resolution
+const RESOLUTION_CONFIRMATION_DAYS = parseFloat(process.env.RESOLUTION_CONFIRMATION_DAYS) || 7;
+
+const getTargetHours = (category, priority) => {
+  const categoryTargets = targets[category] || {};
+  return categoryTargets[priority] || targets.default[priority] || targets.default.Medium;
+};
+
+const computeDueAt = (from, category, priority) => {
+  const start = from ? new Date(from) : new Date();
+  return new Date(start.getTime() + getTargetHours(category, priority) * 60 * 60 * 1000);
+};
+
+module.exports = {
+  targets,
+  CLOSED_STATUSES,
+  ESCALATION_LEVELS,
+  ESCALATION_INTERVAL_HOURS,
+  CHECK_INTERVAL_MS,
+  RESOLUTION_CONFIRMATION_DAYS,
+  getTargetHours,
+  computeDueAt
+};
@@ -0,0 +1,122 @@
+// Complaint lifecycle:
+//   Submitted → Acknowledged → In Progress → Resolved → Closed
+// with Rejected, Reopened and On Hold as side branches. Merged (through the
+// merge endpoint) and Withdrawn (by the reporter) are terminal.
+//
+// Each entry maps a target status to the actor roles allowed to move a
+// complaint there. Actor roles are resolved per complaint:
+//   admin    - any admin
+//   staff    - the assigned officer or staff of the complaint's department
+//   reporter - the citizen who submitted the complaint
+//   system   - background jobs such as the confirmation-window scheduler
+
+const STATUSES = [
+  'Submitted',
+  'Acknowledged',
+  'In Progress',
+  'On Hold',
+  'Resolved',
+  'Closed',
+  'Reopened',
+  'Rejected',
+  'Merged',
+  'Withdrawn'
+];
+
+const STAFF = ['staff', 'admin'];
+
+const TRANSITIONS = {
+  Submitted: {
+    Acknowledged: STAFF,
+    Rejected: STAFF,
+    Merged: ['admin'],
+    Withdrawn: ['reporter']
+  },
+  Acknowledged: {
+    'In Progress': STAFF,
+    'On Hold': STAFF,
+    Rejected: STAFF,
+    Merged: ['admin'],
+    Withdrawn: ['reporter']
+  },
+  'In Progress': {
+    Resolved: STAFF,
+    'On Hold': STAFF,
+    Rejected: STAFF,
+    Merged: ['admin'],
+    Withdrawn: ['reporter']
+  },
+  'On Hold': {
+    'In Progress': STAFF,
+    Rejected: STAFF,
+    Merged: ['admin'],
+    Withdrawn: ['reporter']
+  },
+  Resolved: {
+    Closed: ['reporter', 'admin', 'system'],
+    Reopened: ['reporter', 'admin']
+  },
+  Closed: {
+    Reopened: ['admin']
+  },
+  Rejected: {
+    Reopened: ['admin']
+  },
+  Reopened: {
+    'In Progress': STAFF,
+    'On Hold': STAFF,
+    Rejected: STAFF,
+    Merged: ['admin'],
+    Withdrawn: ['reporter']
+  },
+  Merged: {},
+  Withdrawn: {}
+};
+
+// Transitions into these statuses must carry a reason
+const REASON_REQUIRED = ['Rejected', 'Reopened', 'Withdrawn'];
+
+// Statuses left out of public complaint lists
+const HIDDEN_STATUSES = ['Merged', 'Withdrawn'];
+
+const getAllowedTransitions = (from, roles) => {
+  const targets = TRANSITIONS[from] || {};
+  return Object.keys(targets).filter(to => targets[to].some(role => roles.includes(role)));
+};
+
+// Returns null when the transition is allowed, otherwise
+// { statusCode, message } ready to be sent back to the client
+const validateTransition = (from, to, roles, reason) => {
+  const invalid = (message) => ({ statusCode: 400, message });
+
+  if (!STATUSES.includes(to)) {
+    return invalid(`Unknown status "${to}"`);
+  }
+  if (from === to) {
+    return invalid(`Complaint is already ${to}`);
+  }
+
+  const targets = TRANSITIONS[from] || {};
+  if (!targets[to]) {
+    const allowed = Object.keys(targets);
+    return invalid(allowed.length > 0
+      ? `Cannot change status from ${from} to ${to}. Allowed next statuses: ${allowed.join(', ')}`
+      : `Cannot change status of a ${from} complaint`);
+  }
+  if (!targets[to].some(role => roles.includes(role))) {
+    return { statusCode: 403, message: `You are not allowed to change status from ${from} to ${to}` };
+  }
+  if (REASON_REQUIRED.includes(to) && !(reason && String(reason).trim())) {
+    return invalid(`A reason is required to move a complaint to ${to}`);
+  }
+  return null;
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  REASON_REQUIRED,
+  HIDDEN_STATUSES,
+  getAllowedTransitions,
+  validateTransition
+};
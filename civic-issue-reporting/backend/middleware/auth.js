@@ -47,4 +47,42 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth };
\ No newline at end of file
+// Attach req.user when a valid token is sent, but never reject the request.
+// Used by public routes whose response depends on who is asking.
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.userId).select('-password');
+      if (user) req.user = user;
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous visitors
+  }
+  next();
+};
+
+// Socket.io handshake. A socket that sends a token in `auth.token` gets
+// socket.data.user and receives that user's own events; one without a token
+// only gets public broadcasts. A bad token is refused so the client can tell.
+const socketAuth = async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('name role isActive');
+    if (!user || !user.isActive) {
+      return next(new Error('Token is not valid'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Token is not valid'));
+  }
+};
+
+module.exports = { auth, adminAuth, optionalAuth, socketAuth };
\ No newline at end of file
@@ -1,17 +1,51 @@
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
+const { createVariants, removeImageFiles } = require('../services/imageProcessing');
+const { readPhotoMetadata, stripMetadata } = require('../services/photoMetadata');
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
+// Maximum number of photos attached to a single complaint
+const MAX_COMPLAINT_IMAGES = parseInt(process.env.MAX_COMPLAINT_IMAGES, 10) || 5;
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Storage engine that reads the photo's EXIF GPS position and timestamp,
+// then writes a copy with all metadata stripped so device and owner details
+// never reach uploads/. The extracted values are exposed as file.photoMetadata.
+const storage = {
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    file.stream.on('data', chunk => chunks.push(chunk));
+    file.stream.on('error', cb);
+    file.stream.on('end', async () => {
+      try {
+        const buffer = Buffer.concat(chunks);
+        const photoMetadata = await readPhotoMetadata(buffer);
+        const { data, extension } = await stripMetadata(buffer);
+
+        // Create unique filename
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const filename = file.fieldname + '-' + uniqueSuffix + extension;
+        const filePath = path.join(UPLOAD_DIR, filename);
+        await fs.promises.writeFile(filePath, data);
+
+        cb(null, {
+          destination: UPLOAD_DIR,
+          filename,
+          path: filePath,
+          size: data.length,
+          photoMetadata
+        });
+      } catch (error) {
+        console.error('Image upload error:', error);
+        cb(new Error('Could not read uploaded image'));
+      }
+    });
   },
-  filename: (req, file, cb) => {
-    // Create unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  _removeFile(req, file, cb) {
+    fs.unlink(file.path, () => cb(null));
   }
-});
+};
 
 // File filter function
 const fileFilter = (req, file, cb) => {
@@ -32,12 +66,40 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Data files for admin imports (GeoJSON, CSV, Excel), kept in memory
+const MAX_DATA_FILE_SIZE = parseInt(process.env.MAX_DATA_FILE_SIZE, 10) || 20 * 1024 * 1024;
+const DATA_FILE_EXTENSIONS = ['.json', '.geojson', '.csv', '.xlsx'];
+
+const dataUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DATA_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (DATA_FILE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${DATA_FILE_EXTENSIONS.join(', ')} files are allowed!`), false);
+    }
+  }
+});
+
 // Error handling middleware for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
+      // Data imports upload a single `file`; everything else is an image
+      const maxSize = err.field === 'file'
+        ? Math.round(MAX_DATA_FILE_SIZE / (1024 * 1024))
+        : 5;
+      return res.status(400).json({
+        message: `File too large. Maximum size is ${maxSize}MB.`
+      });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
-        message: 'File too large. Maximum size is 5MB.'
+        message: `Too many files. Maximum is ${MAX_COMPLAINT_IMAGES} images.`
       });
     }
     return res.status(400).json({
@@ -51,4 +113,30 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
-module.exports = { upload, handleMulterError };
\ No newline at end of file
+// Generate thumbnail and web-sized variants for uploaded images.
+// Sets req.processedImages to one entry per file, in upload order,
+// including any GPS position and capture time read from the photo.
+const processImages = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  req.processedImages = [];
+
+  try {
+    for (const file of files) {
+      const variants = await createVariants(file);
+      req.processedImages.push({ ...variants, ...file.photoMetadata });
+    }
+    next();
+  } catch (error) {
+    console.error('Image processing error:', error);
+    // Variants written for the files processed before the failing one, then
+    // every uploaded original
+    req.processedImages.forEach(removeImageFiles);
+    files.forEach(file => fs.unlink(file.path, () => {}));
+    req.processedImages = [];
+    res.status(400).json({
+      message: 'Could not process uploaded image'
+    });
+  }
+};
+
+module.exports = { upload, dataUpload, handleMulterError, processImages, MAX_COMPLAINT_IMAGES };
\ No newline at end of file
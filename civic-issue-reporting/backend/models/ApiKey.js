@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Key issued to a third-party system (city CRM, Open311 client app) for
+// submitting service requests. Only a hash of the key is stored; the key
+// itself is shown once, when it is created.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, to tell keys apart in listings
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Account that complaints submitted with this key are filed under
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Returns a new random key with the fields to store for it
+apiKeySchema.statics.generateKey = function() {
+  const key = crypto.randomBytes(24).toString('hex');
+  return { key, keyHash: hashKey(key), prefix: key.slice(0, 8) };
+};
+
+// Active key matching `key`, or null. Records when the key was last used.
+apiKeySchema.statics.authenticate = async function(key) {
+  if (!key) return null;
+  return this.findOneAndUpdate(
+    { keyHash: hashKey(key), isActive: true },
+    { lastUsedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
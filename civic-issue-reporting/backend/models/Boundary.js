@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+
+const LEVELS = ['ward', 'zone', 'city'];
+
+const boundarySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Boundary name is required'],
+    trim: true,
+    maxlength: [100, 'Boundary name cannot be more than 100 characters']
+  },
+  // Identifier used by the municipality, e.g. the ward number
+  code: {
+    type: String,
+    trim: true
+  },
+  level: {
+    type: String,
+    enum: LEVELS,
+    required: true
+  },
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  // Remaining GeoJSON feature properties, kept as imported
+  properties: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for point-in-polygon lookups
+boundarySchema.index({ geometry: '2dsphere' });
+
+// Index for imports matching boundaries by code
+boundarySchema.index({ level: 1, code: 1 });
+boundarySchema.index({ level: 1, name: 1 });
+
+// Models whose records are assigned to a ward and zone from their location
+const ASSIGNED_MODELS = ['Complaint', 'Community', 'User'];
+
+const hasLocation = (coordinates) =>
+  Array.isArray(coordinates) && coordinates.length === 2 &&
+  !(coordinates[0] === 0 && coordinates[1] === 0);
+
+// Find the active ward, zone and city containing a [lng, lat] point
+boundarySchema.statics.locate = async function(coordinates) {
+  const located = { ward: null, zone: null, city: null };
+  if (!hasLocation(coordinates)) return located;
+
+  const boundaries = await this.find({
+    isActive: true,
+    geometry: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates }
+      }
+    }
+  }).select('name code level').sort({ updatedAt: -1 });
+
+  boundaries.forEach(boundary => {
+    if (!located[boundary.level]) located[boundary.level] = boundary;
+  });
+  return located;
+};
+
+// The ward/zone fields (and the city name, where the record has one)
+// for a record at `coordinates`
+boundarySchema.statics.assignmentFor = async function(coordinates) {
+  const { ward, zone, city } = await this.locate(coordinates);
+  return {
+    ward: ward ? ward._id : null,
+    zone: zone ? zone._id : null,
+    city: city ? city.name : null
+  };
+};
+
+// Assign a document to its boundaries without saving it
+boundarySchema.statics.assignDocument = async function(doc) {
+  const assignment = await this.assignmentFor(doc.location && doc.location.coordinates);
+  doc.ward = assignment.ward || undefined;
+  doc.zone = assignment.zone || undefined;
+  if (assignment.city && doc.schema.path('location.city')) {
+    doc.location.city = assignment.city;
+  }
+  return assignment;
+};
+
+// Re-run the assignment of every record that was inside, or is now inside,
+// any of `boundaries` (e.g. after an import changed or removed them).
+// Returns the number of records updated per model.
+boundarySchema.statics.reassignRecords = async function(boundaries) {
+  const plain = boundaries.map(boundary =>
+    (typeof boundary.toObject === 'function' ? boundary.toObject() : boundary));
+  const ids = plain.map(boundary => boundary._id);
+  const areas = plain
+    .filter(boundary => boundary.isActive)
+    .map(boundary => ({ location: { $geoWithin: { $geometry: boundary.geometry } } }));
+  const counts = {};
+
+  for (const modelName of ASSIGNED_MODELS) {
+    const Model = mongoose.model(modelName);
+    const hasCity = !!Model.schema.path('location.city');
+    const cursor = Model.find({
+      $or: [{ ward: { $in: ids } }, { zone: { $in: ids } }, ...areas]
+    })
+      .select('location ward zone')
+      .lean()
+      .cursor();
+
+    let updates = [];
+    let updated = 0;
+    const flush = async () => {
+      if (updates.length === 0) return;
+      await Model.bulkWrite(updates);
+      updated += updates.length;
+      updates = [];
+    };
+
+    for await (const record of cursor) {
+      const assignment = await this.assignmentFor(record.location && record.location.coordinates);
+      const sameWard = String(record.ward || '') === String(assignment.ward || '');
+      const sameZone = String(record.zone || '') === String(assignment.zone || '');
+      const sameCity = !hasCity || !assignment.city || record.location.city === assignment.city;
+      if (sameWard && sameZone && sameCity) continue;
+
+      const $set = {};
+      const $unset = {};
+      ['ward', 'zone'].forEach(field => {
+        if (assignment[field]) $set[field] = assignment[field];
+        else $unset[field] = 1;
+      });
+      if (hasCity && assignment.city) $set['location.city'] = assignment.city;
+
+      updates.push({
+        updateOne: {
+          filter: { _id: record._id },
+          update: {
+            ...(Object.keys($set).length > 0 && { $set }),
+            ...(Object.keys($unset).length > 0 && { $unset })
+          }
+        }
+      });
+      if (updates.length === 500) await flush();
+    }
+    await flush();
+
+    counts[modelName] = updated;
+  }
+
+  return counts;
+};
+
+// Resolve a `ward=` style filter value (id, code or name) to boundary ids
+boundarySchema.statics.resolveIds = async function(value, level = 'ward') {
+  if (mongoose.isValidObjectId(value) && String(value).length === 24) {
+    return [new mongoose.Types.ObjectId(value)];
+  }
+  const pattern = new RegExp(`^${String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  const boundaries = await this.find({ level, $or: [{ code: pattern }, { name: pattern }] }).select('_id');
+  return boundaries.map(boundary => boundary._id);
+};
+
+module.exports = mongoose.model('Boundary', boundarySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Boundary = require('./Boundary');
 const slugify = require('slugify');
 
 const communitySchema = new mongoose.Schema({
@@ -87,6 +88,15 @@ const communitySchema = new mongoose.Schema({
     city: String,
     state: String
   },
+  // Administrative boundaries containing the location, assigned on save
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Boundary'
+  },
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Boundary'
+  },
   settings: {
     isPrivate: {
       type: Boolean,
@@ -120,6 +130,7 @@ communitySchema.index({ location: '2dsphere' });
 
 // Index for search and filtering
 communitySchema.index({ category: 1, isActive: 1 });
+communitySchema.index({ ward: 1, isActive: 1 });
 communitySchema.index({ name: 'text', description: 'text' });
 
 // Virtual for member count
@@ -140,6 +151,13 @@ communitySchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to assign the community to its ward and zone
+communitySchema.pre('save', async function() {
+  if (this.isNew || this.isModified('location.coordinates')) {
+    await Boundary.assignDocument(this);
+  }
+});
+
 // Method to check if user is member
 communitySchema.methods.isMember = function(userId) {
   return this.members.some(member => member.user.toString() === userId.toString());
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const Department = require('./Department');
+const Boundary = require('./Boundary');
+const { computeDueAt, CLOSED_STATUSES } = require('../config/sla');
+const { STATUSES, getAllowedTransitions, validateTransition } = require('../config/statusWorkflow');
+const { computeRanking } = require('../config/ranking');
+const geohash = require('../services/geohash');
 
 const complaintSchema = new mongoose.Schema({
   title: {
@@ -28,7 +34,7 @@ const complaintSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Submitted', 'In Progress', 'Resolved', 'Rejected'],
+    enum: STATUSES,
     default: 'Submitted'
   },
   priority: {
@@ -58,14 +64,48 @@ const complaintSchema = new mongoose.Schema({
     address: {
       type: String,
       required: [true, 'Address is required']
-    }
+    },
+    city: {
+      type: String,
+      trim: true
+    },
+    // Geohash of the coordinates, for grid aggregation (see services/geohash)
+    geohash: String
+  },
+  // Administrative boundaries containing the location, assigned on save
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Boundary'
+  },
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Boundary'
   },
   images: [{
     url: String,
-    caption: String,
+    thumbnailUrl: String,
+    webUrl: String,
+    width: Number,
+    height: Number,
+    caption: {
+      type: String,
+      maxlength: [200, 'Caption cannot be more than 200 characters']
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
+    },
+    // Read from the photo's EXIF before it was stripped. The raw GPS
+    // position is never stored, only its distance from the complaint.
+    takenAt: Date,
+    gpsDistance: Number,
+    gpsMismatch: {
+      type: Boolean,
+      default: false
     }
   }],
   submittedBy: {
@@ -73,6 +113,10 @@ const complaintSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -97,6 +141,19 @@ const complaintSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Users who get the same status and comment updates as the reporter.
+  // Hidden from queries; followerCount is kept in step with it.
+  followers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  followerCount: {
+    type: Number,
+    default: 0
+  },
   comments: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
@@ -110,6 +167,58 @@ const complaintSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // How the complaint reached us; imported complaints remember their file and
+  // row, Open311 submissions the API key and the token handed to the client
+  source: {
+    channel: {
+      type: String,
+      enum: ['app', 'offline', 'import', 'open311'],
+      default: 'app'
+    },
+    // Id the app gave a complaint saved while offline, so that sending it
+    // again after a lost response does not file it twice
+    offlineId: String,
+    importBatch: String,
+    row: Number,
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    token: String,
+    mediaUrl: String
+  },
+  // Citizen the complaint was filed for (e.g. from a call-centre log or a
+  // paper form) when they have no account; `submittedBy` is then the proxy user
+  citizen: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Name cannot be more than 50 characters']
+    },
+    phone: String,
+    email: {
+      type: String,
+      lowercase: true
+    }
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+  mergedFrom: [{
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint'
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    mergedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   statusHistory: [{
     status: String,
     changedBy: {
@@ -122,6 +231,69 @@ const complaintSchema = new mongoose.Schema({
     },
     comment: String
   }],
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  // Stored list ranking, see config/ranking.js
+  ranking: {
+    hot: {
+      type: Number,
+      default: 0
+    },
+    top: {
+      type: Number,
+      default: 0
+    },
+    controversy: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Previous values of the fields the submitter changed in each edit
+  editHistory: [{
+    fields: [String],
+    title: String,
+    description: String,
+    category: String,
+    location: {
+      coordinates: {
+        type: [Number],
+        default: undefined
+      },
+      address: String
+    },
+    imageCount: Number,
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  dueAt: Date,
+  sla: {
+    breached: {
+      type: Boolean,
+      default: false
+    },
+    breachedAt: Date,
+    escalationLevel: {
+      type: Number,
+      default: 0
+    },
+    escalatedAt: Date,
+    escalatedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   resolutionDetails: {
     description: String,
     resolvedBy: {
@@ -129,7 +301,34 @@ const complaintSchema = new mongoose.Schema({
       ref: 'User'
     },
     resolvedAt: Date,
-    resolutionImages: [String]
+    // "After" photos attached by the officer as proof of the fix
+    resolutionImages: [{
+      url: String,
+      thumbnailUrl: String,
+      webUrl: String,
+      width: Number,
+      height: Number,
+      takenAt: Date,
+      gpsDistance: Number,
+      gpsMismatch: {
+        type: Boolean,
+        default: false
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // The reporter's response to the resolution
+    confirmation: {
+      status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'disputed', 'expired']
+      },
+      deadline: Date,
+      respondedAt: Date,
+      reason: String
+    }
   }
 }, {
   timestamps: true
@@ -142,6 +341,44 @@ complaintSchema.index({ location: '2dsphere' });
 complaintSchema.index({ status: 1, category: 1 });
 complaintSchema.index({ submittedBy: 1, createdAt: -1 });
 complaintSchema.index({ community: 1, createdAt: -1 });
+complaintSchema.index({ department: 1, status: 1, createdAt: -1 });
+complaintSchema.index({ assignedTo: 1, status: 1 });
+complaintSchema.index({ status: 1, dueAt: 1 });
+complaintSchema.index({ mergedInto: 1 });
+complaintSchema.index({ 'resolutionDetails.confirmation.status': 1, 'resolutionDetails.confirmation.deadline': 1 });
+
+// Index for finding the complaints of an import batch
+complaintSchema.index({ 'source.importBatch': 1 }, { sparse: true });
+
+// Index for Open311 token lookups
+complaintSchema.index({ 'source.token': 1 }, { unique: true, sparse: true });
+
+// Index for replayed offline submissions
+complaintSchema.index({ 'source.offlineId': 1 }, { unique: true, sparse: true });
+
+// Index for the heatmap's grid aggregation
+complaintSchema.index({ 'location.geohash': 1, createdAt: -1 });
+
+// Indexes for the hot, top and controversial list orders
+complaintSchema.index({ 'ranking.hot': -1 });
+complaintSchema.index({ 'ranking.top': -1 });
+complaintSchema.index({ 'ranking.controversy': -1 });
+complaintSchema.index({ 'location.city': 1, 'ranking.hot': -1 });
+complaintSchema.index({ ward: 1, 'ranking.hot': -1 });
+complaintSchema.index({ ward: 1, status: 1, createdAt: -1 });
+
+// Index for a user's followed complaints
+complaintSchema.index({ followers: 1, createdAt: -1 });
+
+// Index for full-text search, weighted towards titles and tags
+complaintSchema.index(
+  { title: 'text', description: 'text', 'location.address': 'text', tags: 'text' },
+  {
+    name: 'complaint_text_search',
+    weights: { title: 10, tags: 5, 'location.address': 3, description: 1 },
+    default_language: 'english'
+  }
+);
 
 // Virtual for vote count
 complaintSchema.virtual('voteCount').get(function() {
@@ -153,17 +390,219 @@ complaintSchema.virtual('engagementScore').get(function() {
   return this.upvotes.length + this.downvotes.length + this.comments.length;
 });
 
-// Pre-save middleware to add to status history
+// Pre-save middleware to add to status history.
+// Changes made through transitionTo() already recorded their own entry
+// (with author and reason), so only other status writes are logged here.
 complaintSchema.pre('save', function(next) {
-  if (this.isModified('status') && !this.isNew) {
+  if (this.isNew && this.statusHistory.length === 0) {
     this.statusHistory.push({
       status: this.status,
+      changedBy: this.submittedBy,
       changedAt: new Date()
     });
+  } else if (this.isModified('status') && !this.isNew && !this.$locals.statusRecorded) {
+    this.statusHistory.push({
+      status: this.status,
+      changedAt: new Date()
+    });
+  }
+  this.$locals.statusRecorded = false;
+  next();
+});
+
+// Method to check whether the submitter may still edit the complaint
+complaintSchema.methods.isEditableBy = function(userId) {
+  return this.status === 'Submitted' &&
+    this.submittedBy.toString() === userId.toString();
+};
+
+// Method to record an edit by the submitter; `previous` holds the
+// old values of the fields that changed
+complaintSchema.methods.recordEdit = function(previous, userId) {
+  this.editHistory.push({
+    ...previous,
+    fields: Object.keys(previous).map(field => (field === 'imageCount' ? 'images' : field)),
+    editedBy: userId,
+    editedAt: new Date()
+  });
+  this.isEdited = true;
+};
+
+// Method to resolve the workflow roles a user has on this complaint
+// (see config/statusWorkflow.js)
+complaintSchema.methods.getActorRoles = async function(user) {
+  const userId = user._id.toString();
+  const roles = [];
+
+  if (user.role === 'admin') roles.push('admin');
+  if (this.submittedBy && this.submittedBy.toString() === userId) roles.push('reporter');
+
+  if (this.assignedTo && this.assignedTo.toString() === userId) {
+    roles.push('staff');
+  } else if (this.department) {
+    const department = await Department.findById(this.department).select('head officers');
+    if (department && department.isStaff(user._id)) roles.push('staff');
+  }
+
+  return roles;
+};
+
+// Method to list the statuses the given roles may move this complaint to
+complaintSchema.methods.getAllowedTransitions = function(roles) {
+  return getAllowedTransitions(this.status, roles);
+};
+
+// Method to move the complaint through the status workflow.
+// Returns null on success or { statusCode, message } when the transition
+// is not allowed; on success exactly one history entry is recorded.
+complaintSchema.methods.transitionTo = function(status, { roles, changedBy, reason } = {}) {
+  const error = validateTransition(this.status, status, roles || [], reason);
+  if (error) return error;
+
+  const now = new Date();
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    changedBy,
+    changedAt: now,
+    comment: reason ? String(reason).trim() : undefined
+  });
+  this.$locals.statusRecorded = true;
+
+  // The SLA clock restarts from the moment a complaint is reopened
+  if (status === 'Reopened') {
+    this.dueAt = computeDueAt(now, this.category, this.priority);
+    this.sla.breached = false;
+    this.sla.breachedAt = undefined;
+    this.sla.escalationLevel = 0;
+    this.sla.escalatedAt = undefined;
+    this.sla.escalatedTo = undefined;
+  }
+
+  return null;
+};
+
+// Virtual for whether the complaint is past its SLA deadline
+complaintSchema.virtual('isOverdue').get(function() {
+  return !!this.dueAt && this.dueAt < new Date() && !CLOSED_STATUSES.includes(this.status);
+});
+
+// Virtual for whether the reporter can still confirm or dispute the resolution
+complaintSchema.virtual('awaitingConfirmation').get(function() {
+  const confirmation = this.resolutionDetails && this.resolutionDetails.confirmation;
+  return this.status === 'Resolved' &&
+    !!confirmation && confirmation.status === 'pending' &&
+    !!confirmation.deadline && confirmation.deadline > new Date();
+});
+
+// Pre-save middleware to compute the SLA deadline
+complaintSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('priority') || this.isModified('category')) {
+    this.dueAt = computeDueAt(this.createdAt, this.category, this.priority);
+    if (this.sla.breached && this.dueAt > new Date()) {
+      this.sla.breached = false;
+      this.sla.breachedAt = undefined;
+    }
+  }
+  next();
+});
+
+// City from the last part of a "Street, Area, City" address
+const cityFromAddress = (address = '') => {
+  const parts = address.split(',')
+    .map(part => part.replace(/\b\d{3}\s?\d{3}\b/g, '').trim())
+    .filter(Boolean);
+  return parts.length > 1 ? parts[parts.length - 1] : undefined;
+};
+
+// Pre-save middleware to fill in the city and geohash and keep the ranking current
+complaintSchema.pre('save', function(next) {
+  const addressChanged = this.isNew
+    ? !this.location.city
+    : this.isModified('location.address') && !this.isModified('location.city');
+  if (addressChanged) {
+    this.location.city = cityFromAddress(this.location.address);
+  }
+  if (this.isNew || this.isModified('location.coordinates') || !this.location.geohash) {
+    const [lng, lat] = this.location.coordinates;
+    this.location.geohash = geohash.encode(lat, lng);
+  }
+  if (this.isNew || ['upvotes', 'downvotes', 'comments', 'viewCount'].some(path => this.isModified(path))) {
+    this.ranking = this.computeRanking();
   }
   next();
 });
 
+// Pre-save middleware to assign the complaint to its ward and zone
+complaintSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('location.coordinates')) {
+    await Boundary.assignDocument(this);
+  }
+});
+
+// Pre-save middleware to route new complaints to a department queue
+complaintSchema.pre('save', async function() {
+  if (this.isNew && !this.department) {
+    await Department.routeComplaint(this);
+  }
+});
+
+// Method to compute the stored ranking from the current engagement
+complaintSchema.methods.computeRanking = function() {
+  return computeRanking({
+    upvotes: this.upvotes.length,
+    downvotes: this.downvotes.length,
+    comments: this.comments.length,
+    views: this.viewCount,
+    createdAt: this.createdAt || new Date()
+  });
+};
+
+// Static to refresh the ranking after engagement changed through an
+// atomic update (comments are pushed without loading the complaint)
+complaintSchema.statics.refreshRanking = async function(id) {
+  const complaint = await this.findById(id).select('upvotes downvotes comments viewCount createdAt');
+  if (!complaint) return null;
+  const ranking = complaint.computeRanking();
+  await this.updateOne({ _id: id }, { $set: { ranking } });
+  return ranking;
+};
+
+// Static to count a view of a complaint that is already loaded
+complaintSchema.statics.recordView = function(complaint) {
+  const ranking = computeRanking({
+    upvotes: complaint.upvotes.length,
+    downvotes: complaint.downvotes.length,
+    comments: complaint.comments.length,
+    views: (complaint.viewCount || 0) + 1,
+    createdAt: complaint.createdAt
+  });
+  return this.updateOne({ _id: complaint._id }, { $inc: { viewCount: 1 }, $set: { ranking } });
+};
+
+// Static to add a follower; resolves to false if they already followed
+complaintSchema.statics.follow = async function(id, userId) {
+  const result = await this.updateOne(
+    { _id: id, followers: { $ne: userId } },
+    { $push: { followers: userId }, $inc: { followerCount: 1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static to remove a follower; resolves to false if they did not follow
+complaintSchema.statics.unfollow = async function(id, userId) {
+  const result = await this.updateOne(
+    { _id: id, followers: userId },
+    { $pull: { followers: userId }, $inc: { followerCount: -1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static to check whether a user follows a complaint
+complaintSchema.statics.isFollowedBy = async function(id, userId) {
+  return Boolean(await this.exists({ _id: id, followers: userId }));
+};
+
 // Method to check if user has voted
 complaintSchema.methods.hasUserVoted = function(userId) {
   const hasUpvoted = this.upvotes.some(vote => vote.user.toString() === userId.toString());
@@ -174,4 +613,96 @@ complaintSchema.methods.hasUserVoted = function(userId) {
   return null;
 };
 
+// Method to fold duplicate complaints into this one.
+// Votes are moved without double-counting users, comments are re-pointed,
+// images and tags are unioned and the duplicates are left in 'Merged' state.
+// Followers of the duplicates, and their reporters, follow this one instead.
+complaintSchema.methods.absorbDuplicates = async function(duplicates, userId) {
+  const Comment = mongoose.model('Comment');
+  const voted = new Set([
+    ...this.upvotes.map(vote => vote.user.toString()),
+    ...this.downvotes.map(vote => vote.user.toString())
+  ]);
+  const imageUrls = new Set(this.images.map(image => image.url));
+  const tags = new Set(this.tags);
+  const commentIds = new Set(this.comments.map(id => id.toString()));
+  const now = new Date();
+
+  for (const duplicate of duplicates) {
+    duplicate.upvotes.forEach(vote => {
+      const voter = vote.user.toString();
+      if (!voted.has(voter)) {
+        voted.add(voter);
+        this.upvotes.push({ user: vote.user, votedAt: vote.votedAt });
+      }
+    });
+
+    duplicate.images.forEach(image => {
+      if (!imageUrls.has(image.url)) {
+        imageUrls.add(image.url);
+        this.images.push(image.toObject ? image.toObject() : image);
+      }
+    });
+
+    duplicate.tags.forEach(tag => tags.add(tag));
+
+    duplicate.comments.forEach(id => {
+      if (!commentIds.has(id.toString())) {
+        commentIds.add(id.toString());
+        this.comments.push(id);
+      }
+    });
+
+    this.mergedFrom.push({ complaint: duplicate._id, mergedBy: userId, mergedAt: now });
+
+    const error = duplicate.transitionTo('Merged', {
+      roles: ['admin'],
+      changedBy: userId,
+      reason: `Merged into complaint ${this._id}`
+    });
+    if (error) throw new Error(`Complaint ${duplicate._id}: ${error.message}`);
+
+    duplicate.mergedInto = this._id;
+    duplicate.upvotes = [];
+    duplicate.downvotes = [];
+    duplicate.comments = [];
+  }
+
+  this.tags = [...tags];
+
+  await Comment.updateMany(
+    { complaint: { $in: duplicates.map(duplicate => duplicate._id) } },
+    { complaint: this._id }
+  );
+  await Promise.all(duplicates.map(duplicate => duplicate.save()));
+  await this.save();
+  await this.absorbFollowers(duplicates);
+};
+
+// Followers are not loaded with complaints, so they are moved with atomic
+// updates after the merge itself is saved
+complaintSchema.methods.absorbFollowers = async function(duplicates) {
+  const duplicateIds = duplicates.map(duplicate => duplicate._id);
+  const sources = await this.constructor.find({ _id: { $in: duplicateIds } }).select('+followers submittedBy');
+
+  const followers = new Set(sources.flatMap(source => [...source.followers, source.submittedBy])
+    .filter(Boolean)
+    .map(id => id.toString()));
+  followers.delete(this.submittedBy.toString());
+  if (followers.size === 0) return;
+
+  // Pipeline updates are not cast by Mongoose
+  const ids = [...followers].map(id => new mongoose.Types.ObjectId(id));
+  const updated = await this.constructor.findOneAndUpdate({ _id: this._id }, [
+    { $set: { followers: { $setUnion: [{ $ifNull: ['$followers', []] }, ids] } } },
+    { $set: { followerCount: { $size: '$followers' } } }
+  ], { new: true }).select('followerCount');
+  await this.constructor.updateMany(
+    { _id: { $in: duplicateIds } },
+    { $set: { followers: [], followerCount: 0 } }
+  );
+
+  if (updated) this.followerCount = updated.followerCount;
+};
+
 module.exports = mongoose.model('Complaint', complaintSchema);
\ No newline at end of file
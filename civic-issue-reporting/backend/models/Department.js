@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const { CLOSED_STATUSES } = require('../config/sla');
+
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Department name is required'],
+    trim: true,
+    maxlength: [60, 'Department name cannot be more than 60 characters'],
+    unique: true
+  },
+  slug: {
+    type: String,
+    unique: true
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  categories: [{
+    type: String,
+    enum: [
+      'Sanitation',
+      'Roads',
+      'Water',
+      'Electricity',
+      'Parks',
+      'Transport',
+      'Health',
+      'Other'
+    ]
+  }],
+  // Areas this department is responsible for. Departments without an
+  // area are treated as city-wide and act as the fallback for their categories.
+  serviceArea: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon']
+    },
+    coordinates: {
+      type: Array
+    }
+  },
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  officers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  autoAssignOfficer: {
+    type: Boolean,
+    default: true
+  },
+  contactEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  contactPhone: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for geospatial queries
+departmentSchema.index({ serviceArea: '2dsphere' }, { sparse: true });
+
+// Index for routing lookups
+departmentSchema.index({ categories: 1, isActive: 1 });
+
+// Virtual for officer count
+departmentSchema.virtual('officerCount').get(function() {
+  return this.officers.length;
+});
+
+// Slug of a department name; different names can share one
+departmentSchema.statics.slugFor = function(name) {
+  return slugify(String(name), { lower: true, strict: true });
+};
+
+// Pre-save middleware to generate slug
+departmentSchema.pre('save', function(next) {
+  if (this.isModified('name') || this.isNew) {
+    this.slug = this.constructor.slugFor(this.name);
+  }
+  // An empty serviceArea object would break the 2dsphere index
+  if (this.serviceArea && !this.serviceArea.type) {
+    this.serviceArea = undefined;
+  }
+  next();
+});
+
+// Method to check if user is an officer or head of this department
+departmentSchema.methods.isStaff = function(userId) {
+  return this.officers.some(officer => officer.toString() === userId.toString()) ||
+         (this.head && this.head.toString() === userId.toString());
+};
+
+// Find the department responsible for a category at a point.
+// Departments whose service area contains the point win over city-wide ones.
+departmentSchema.statics.findForComplaint = async function(category, coordinates) {
+  const base = { categories: category, isActive: true };
+
+  if (coordinates && coordinates.length === 2) {
+    const local = await this.findOne({
+      ...base,
+      serviceArea: {
+        $geoIntersects: {
+          $geometry: { type: 'Point', coordinates }
+        }
+      }
+    });
+    if (local) return local;
+  }
+
+  return this.findOne({ ...base, serviceArea: { $exists: false } })
+    .sort({ createdAt: 1 });
+};
+
+// Pick the officer with the fewest open complaints in this department
+departmentSchema.methods.pickOfficer = async function() {
+  if (!this.autoAssignOfficer || this.officers.length === 0) return null;
+
+  const Complaint = mongoose.model('Complaint');
+  const load = await Complaint.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: this.officers },
+        status: { $nin: CLOSED_STATUSES }
+      }
+    },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map(load.map(entry => [entry._id.toString(), entry.count]));
+  return this.officers.reduce((best, officer) => {
+    const count = counts.get(officer.toString()) || 0;
+    const bestCount = counts.get(best.toString()) || 0;
+    return count < bestCount ? officer : best;
+  }, this.officers[0]);
+};
+
+// Route a complaint document to its department (and officer) without saving it
+departmentSchema.statics.routeComplaint = async function(complaint) {
+  const department = await this.findForComplaint(
+    complaint.category,
+    complaint.location && complaint.location.coordinates
+  );
+
+  if (!department) return null;
+
+  complaint.department = department._id;
+  if (!complaint.assignedTo) {
+    const officer = await department.pickOfficer();
+    if (officer) complaint.assignedTo = officer;
+  }
+
+  return department;
+};
+
+module.exports = mongoose.model('Department', departmentSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Days a notification stays in a user's notification center
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90;
+
+// In-app notification for one user. The text is written by the client from
+// `type` and `data`, so it follows the reader's language.
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['status_change', 'comment', 'member_joined', 'community_post'],
+    required: true
+  },
+  // Who caused it, when that was a person
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
+  communityPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommunityPost'
+  },
+  // Values shown in the text: actorName, title, oldStatus, newStatus,
+  // excerpt, communityName
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for a user's notification list and unread count
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+// Old notifications are removed by MongoDB
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
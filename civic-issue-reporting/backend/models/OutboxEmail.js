@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Days a message stays in the outbox
+const EMAIL_OUTBOX_RETENTION_DAYS = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS, 10) || 30;
+
+// Rendered email waiting to be sent, or already sent. Messages are written
+// here first and sent from here, so a failed send is retried later instead
+// of being lost.
+const outboxEmailSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    enum: ['en', 'hi', 'kn'],
+    default: 'en'
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  html: String,
+  headers: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  sentAt: Date,
+  messageId: String,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Index for the retry queue
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Index for a user's messages
+outboxEmailSchema.index({ user: 1, createdAt: -1 });
+
+// Old messages are removed by MongoDB
+outboxEmailSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: EMAIL_OUTBOX_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('OutboxEmail', outboxEmailSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Audit record written every time staff reveal who reported a complaint
+const reporterAccessLogSchema = new mongoose.Schema({
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  accessedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required to view the reporter'],
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  wasAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Index for audit queries
+reporterAccessLogSchema.index({ complaint: 1, createdAt: -1 });
+reporterAccessLogSchema.index({ accessedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReporterAccessLog', reporterAccessLogSchema);
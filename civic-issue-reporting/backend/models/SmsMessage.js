@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Days a message stays in the log
+const SMS_LOG_RETENTION_DAYS = parseInt(process.env.SMS_LOG_RETENTION_DAYS, 10) || 90;
+
+// Text message waiting to be sent, sent, or given up on. Recent messages to a
+// number are also what its rate limit is counted from.
+const smsMessageSchema = new mongoose.Schema({
+  // E.164, e.g. +919876543210
+  to: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  // Registered (DLT) id of the template the text was rendered from
+  templateId: String,
+  language: {
+    type: String,
+    enum: ['en', 'hi', 'kn'],
+    default: 'en'
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  provider: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'rate_limited'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  sentAt: Date,
+  providerMessageId: String,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Index for the retry queue
+smsMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Index for per-number rate limits
+smsMessageSchema.index({ to: 1, createdAt: -1 });
+
+// Old messages are removed by MongoDB
+smsMessageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: SMS_LOG_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('SmsMessage', smsMessageSchema);
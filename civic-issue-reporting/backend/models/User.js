@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Boundary = require('./Boundary');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -32,9 +35,18 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'moderator'],
+    enum: ['user', 'admin', 'moderator', 'officer'],
     default: 'user'
   },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  // Extra capabilities granted to staff by an admin
+  permissions: [{
+    type: String,
+    enum: ['view_reporter_identity']
+  }],
   location: {
     type: {
       type: String,
@@ -47,6 +59,15 @@ const userSchema = new mongoose.Schema({
     },
     address: String
   },
+  // Administrative boundaries containing the location, assigned on save
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Boundary'
+  },
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Boundary'
+  },
   communities: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Community'
@@ -59,6 +80,48 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Language of the notifications sent to the user
+  language: {
+    type: String,
+    enum: ['en', 'hi', 'kn'],
+    default: 'en'
+  },
+  // Channels per notification type; email is on by default
+  notificationPreferences: {
+    email: {
+      statusChange: {
+        type: Boolean,
+        default: true
+      },
+      assignment: {
+        type: Boolean,
+        default: true
+      },
+      comment: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Texts cost money and need a phone number, so they are opt-in
+    sms: {
+      statusChange: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Follow complaints the user upvotes or comments on, so their status
+    // changes and comments reach the user like the reporter
+    autoFollow: {
+      upvote: {
+        type: Boolean,
+        default: true
+      },
+      comment: {
+        type: Boolean,
+        default: true
+      }
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -88,6 +151,24 @@ userSchema.virtual('profile').get(function() {
   };
 });
 
+// Proxy account that complaints are filed under when a citizen without an
+// account reports through the call centre or on paper. It cannot log in:
+// its password is a random value nobody knows.
+userSchema.statics.callCentreUser = async function() {
+  const email = (process.env.CALL_CENTRE_EMAIL || 'call-centre@civic-issues.org').toLowerCase();
+  const existing = await this.findOne({ email });
+  if (existing) return existing;
+
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  try {
+    return await this.create({ name: 'Call Centre', email, password });
+  } catch (error) {
+    // Created by a concurrent import in the meantime
+    if (error.code === 11000) return this.findOne({ email });
+    throw error;
+  }
+};
+
 // Pre-save middleware to update lastLogin
 userSchema.pre('save', function(next) {
   if (this.isModified('lastLogin')) {
@@ -96,4 +177,11 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to assign the ward and zone of the user's location
+userSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('location.coordinates')) {
+    await Boundary.assignDocument(this);
+  }
+});
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
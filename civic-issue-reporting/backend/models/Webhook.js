@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { EVENTS } = require('../services/eventBus');
+
+// Endpoint in a partner system (e.g. a department's ticketing tool) that
+// receives signed POSTs for the events it subscribes to
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: EVENTS
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Key for the HMAC signature of each delivery; shared with the receiver
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for finding the subscribers of an event
+webhookSchema.index({ isActive: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
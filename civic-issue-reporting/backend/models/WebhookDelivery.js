@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Days a delivery stays in the log
+const WEBHOOK_LOG_RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 30;
+
+// One event sent (or to be sent) to one webhook, with every attempt made
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Id of the event; the same for every webhook and for replays
+  eventId: {
+    type: String,
+    required: true
+  },
+  // Request body: { id, event, occurredAt, data }
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  responseStatus: Number,
+  responseBody: String,
+  error: String,
+  attemptLog: [{
+    at: Date,
+    responseStatus: Number,
+    error: String,
+    durationMs: Number
+  }],
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the retry queue
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Index for a webhook's delivery log
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Old deliveries are removed by MongoDB
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: WEBHOOK_LOG_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -125,6 +125,7 @@ router.post('/login', [
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: user.permissions,
         avatar: user.avatar
       }
     });
@@ -147,6 +148,7 @@ router.get('/me', auth, async (req, res) => {
         name: req.user.name,
         email: req.user.email,
         role: req.user.role,
+        permissions: req.user.permissions,
         avatar: req.user.avatar,
         phone: req.user.phone,
         joinedAt: req.user.createdAt
@@ -0,0 +1,142 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Boundary = require('../models/Boundary');
+const { adminAuth } = require('../middleware/auth');
+const { dataUpload, handleMulterError } = require('../middleware/upload');
+const { importBoundaries } = require('../services/boundaryImport');
+
+const router = express.Router();
+
+const LEVELS = Boundary.schema.path('level').enumValues;
+
+// @route   GET /api/boundaries
+// @desc    List active boundaries (geometry only with geometry=true)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { level, geometry } = req.query;
+    const filter = { isActive: true };
+
+    if (level && level !== 'all') {
+      filter.level = level;
+    }
+
+    const boundaries = await Boundary.find(filter)
+      .select(geometry === 'true' ? 'name code level geometry' : 'name code level')
+      .sort({ level: 1, name: 1 })
+      .lean();
+
+    res.json({ boundaries });
+  } catch (error) {
+    console.error('Get boundaries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/boundaries/locate
+// @desc    Find the ward, zone and city containing a point
+// @access  Public
+router.get('/locate', async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+
+    if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({ message: 'Valid lat and lng are required' });
+    }
+
+    res.json(await Boundary.locate([lng, lat]));
+  } catch (error) {
+    console.error('Locate boundary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/boundaries/:id
+// @desc    Get a boundary with its geometry
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const boundary = await Boundary.findById(req.params.id).lean();
+
+    if (!boundary) {
+      return res.status(404).json({ message: 'Boundary not found' });
+    }
+
+    res.json(boundary);
+  } catch (error) {
+    console.error('Get boundary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/boundaries/import
+// @desc    Import boundaries from a GeoJSON FeatureCollection (`file` upload)
+//          and reassign the complaints, communities and users they contain
+// @access  Private (Admin only)
+router.post('/import', adminAuth, dataUpload.single('file'), handleMulterError, [
+  body('level').optional().isIn(LEVELS).withMessage(`Level must be one of: ${LEVELS.join(', ')}`),
+  body('nameProperty').optional().trim().notEmpty().withMessage('nameProperty cannot be empty'),
+  body('codeProperty').optional().trim().notEmpty().withMessage('codeProperty cannot be empty'),
+  body('replace').optional().isBoolean().withMessage('replace must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A GeoJSON file is required' });
+    }
+
+    const summary = await importBoundaries(req.file.buffer, {
+      level: req.body.level,
+      nameProperty: req.body.nameProperty,
+      codeProperty: req.body.codeProperty,
+      replace: String(req.body.replace) === 'true',
+      importedBy: req.user._id
+    });
+
+    res.json({
+      message: summary.errors.length > 0
+        ? 'Boundaries imported with errors'
+        : 'Boundaries imported',
+      ...summary
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Import boundaries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/boundaries/:id
+// @desc    Deactivate a boundary and reassign the records inside it
+// @access  Private (Admin only)
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const boundary = await Boundary.findById(req.params.id);
+
+    if (!boundary) {
+      return res.status(404).json({ message: 'Boundary not found' });
+    }
+
+    boundary.isActive = false;
+    await boundary.save();
+
+    const reassigned = await Boundary.reassignRecords([boundary]);
+
+    res.json({ message: 'Boundary deactivated', reassigned });
+  } catch (error) {
+    console.error('Delete boundary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
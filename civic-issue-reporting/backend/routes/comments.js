@@ -3,7 +3,11 @@ const { body, validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
 const Complaint = require('../models/Complaint');
 const CommunityPost = require('../models/CommunityPost');
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { maskReporterComments } = require('../services/anonymity');
+const { publish } = require('../services/eventBus');
+const { autoFollow } = require('../services/complaintAudience');
+const { parseLimit, parseFields, fetchPage } = require('../services/pagination');
 
 const router = express.Router();
 
@@ -33,11 +37,21 @@ router.post('/', auth, [
     }
 
     // Validate that the target exists
+    let complaintExists = null;
     if (complaint) {
-      const complaintExists = await Complaint.findById(complaint);
+      complaintExists = await Complaint.findById(complaint);
       if (!complaintExists) {
         return res.status(404).json({ message: 'Complaint not found' });
       }
+      if (complaintExists.status === 'Merged') {
+        return res.status(400).json({
+          message: 'This complaint was merged into another complaint',
+          mergedInto: complaintExists.mergedInto
+        });
+      }
+      if (complaintExists.status === 'Withdrawn') {
+        return res.status(400).json({ message: 'This complaint was withdrawn by its submitter' });
+      }
     }
 
     if (communityPost) {
@@ -70,8 +84,13 @@ router.post('/', auth, [
       await Complaint.findByIdAndUpdate(complaint, {
         $push: { comments: comment._id }
       });
+      await Complaint.refreshRanking(complaint);
     }
 
+    const followedComplaint = complaintExists
+      ? await autoFollow(complaintExists, req.user, 'comment')
+      : false;
+
     if (communityPost) {
       await CommunityPost.findByIdAndUpdate(communityPost, {
         $push: { comments: comment._id }
@@ -90,21 +109,27 @@ router.post('/', auth, [
     // Emit real-time update
     const io = req.app.get('io');
     if (complaint) {
-      io.emit('new-complaint-comment', {
+      // Broadcasts never reveal the reporter of an anonymous complaint
+      const complaintComment = {
         complaintId: complaint,
-        comment: populatedComment
-      });
+        comment: maskReporterComments([populatedComment], complaintExists)[0]
+      };
+      io.emit('new-complaint-comment', complaintComment);
+      publish('comment.created', complaintComment);
     }
     if (communityPost) {
-      io.emit('new-post-comment', {
+      const postComment = {
         postId: communityPost,
         comment: populatedComment
-      });
+      };
+      io.emit('new-post-comment', postComment);
+      publish('comment.created', postComment);
     }
 
     res.status(201).json({
       message: 'Comment created successfully',
-      comment: populatedComment
+      comment: populatedComment,
+      followedComplaint
     });
   } catch (error) {
     console.error('Create comment error:', error);
@@ -115,7 +140,7 @@ router.post('/', auth, [
 // @route   GET /api/comments/:id
 // @desc    Get comment by ID with replies
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const comment = await Comment.findById(req.params.id)
       .populate('author', 'name avatar')
@@ -132,6 +157,11 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
+    if (comment.complaint) {
+      const complaint = await Complaint.findById(comment.complaint).select('isAnonymous submittedBy');
+      return res.json(maskReporterComments([comment], complaint, req.user)[0]);
+    }
+
     res.json(comment);
   } catch (error) {
     console.error('Get comment error:', error);
@@ -258,56 +288,74 @@ router.post('/:id/like', auth, async (req, res) => {
   }
 });
 
+// Fields the comment lists can return with `fields=`
+const LIST_FIELDS = ['content', 'author', 'replies', 'isEdited', 'createdAt', 'updatedAt'];
+const LIST_DERIVED_FIELDS = { likeCount: 'likes', replyCount: 'replies' };
+
 // @route   GET /api/comments/complaint/:complaintId
 // @desc    Get comments for a specific complaint
 // @access  Public
-router.get('/complaint/:complaintId', async (req, res) => {
+router.get('/complaint/:complaintId', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page, cursor, fields, includeTotal } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const selection = parseFields(fields, {
+      allowed: LIST_FIELDS,
+      derived: LIST_DERIVED_FIELDS,
+      required: ['author']
+    });
 
-    const comments = await Comment.find({
+    const filter = {
       complaint: req.params.complaintId,
       parentComment: { $exists: false }, // Only top-level comments
       isDeleted: false
-    })
-    .populate('author', 'name avatar')
-    .populate({
-      path: 'replies',
-      populate: {
-        path: 'author',
-        select: 'name avatar'
-      },
-      match: { isDeleted: false },
-      options: { sort: { createdAt: 1 } }
-    })
-    .sort({ createdAt: -1 })
-    .limit(limit * 1)
-    .skip((page - 1) * limit)
-    .lean();
+    };
 
-    // Add like counts
-    const commentsWithCounts = comments.map(comment => ({
-      ...comment,
-      likeCount: comment.likes?.length || 0,
-      replyCount: comment.replies?.length || 0
-    }));
+    const query = Comment.find(filter)
+      .populate('author', 'name avatar')
+      .populate({
+        path: 'replies',
+        populate: {
+          path: 'author',
+          select: 'name avatar'
+        },
+        match: { isDeleted: false },
+        options: { sort: { createdAt: 1 } }
+      })
+      .lean();
+    if (selection) query.select(selection.select);
+
+    const { items: comments, pagination } = await fetchPage(query, {
+      sort: { createdAt: -1 },
+      limit,
+      cursor,
+      page,
+      countTotal: () => Comment.countDocuments(filter),
+      includeTotal: includeTotal === 'true'
+    });
 
-    const total = await Comment.countDocuments({
-      complaint: req.params.complaintId,
-      parentComment: { $exists: false },
-      isDeleted: false
+    // Reporters of anonymous complaints stay anonymous in their own threads
+    const complaint = await Complaint.findById(req.params.complaintId).select('isAnonymous submittedBy');
+    const visibleComments = maskReporterComments(comments, complaint, req.user);
+
+    // Add like counts
+    const commentsWithCounts = visibleComments.map(comment => {
+      const item = {
+        ...comment,
+        likeCount: comment.likes?.length || 0,
+        replyCount: comment.replies?.length || 0
+      };
+      return selection ? selection.pick(item) : item;
     });
 
     res.json({
       comments: commentsWithCounts,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get complaint comments error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -318,51 +366,61 @@ router.get('/complaint/:complaintId', async (req, res) => {
 // @access  Public
 router.get('/post/:postId', async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page, cursor, fields, includeTotal } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const selection = parseFields(fields, {
+      allowed: LIST_FIELDS,
+      derived: LIST_DERIVED_FIELDS,
+      required: ['author']
+    });
 
-    const comments = await Comment.find({
+    const filter = {
       communityPost: req.params.postId,
       parentComment: { $exists: false }, // Only top-level comments
       isDeleted: false
-    })
-    .populate('author', 'name avatar')
-    .populate({
-      path: 'replies',
-      populate: {
-        path: 'author',
-        select: 'name avatar'
-      },
-      match: { isDeleted: false },
-      options: { sort: { createdAt: 1 } }
-    })
-    .sort({ createdAt: -1 })
-    .limit(limit * 1)
-    .skip((page - 1) * limit)
-    .lean();
+    };
 
-    // Add like counts
-    const commentsWithCounts = comments.map(comment => ({
-      ...comment,
-      likeCount: comment.likes?.length || 0,
-      replyCount: comment.replies?.length || 0
-    }));
+    const query = Comment.find(filter)
+      .populate('author', 'name avatar')
+      .populate({
+        path: 'replies',
+        populate: {
+          path: 'author',
+          select: 'name avatar'
+        },
+        match: { isDeleted: false },
+        options: { sort: { createdAt: 1 } }
+      })
+      .lean();
+    if (selection) query.select(selection.select);
+
+    const { items: comments, pagination } = await fetchPage(query, {
+      sort: { createdAt: -1 },
+      limit,
+      cursor,
+      page,
+      countTotal: () => Comment.countDocuments(filter),
+      includeTotal: includeTotal === 'true'
+    });
 
-    const total = await Comment.countDocuments({
-      communityPost: req.params.postId,
-      parentComment: { $exists: false },
-      isDeleted: false
+    // Add like counts
+    const commentsWithCounts = comments.map(comment => {
+      const item = {
+        ...comment,
+        likeCount: comment.likes?.length || 0,
+        replyCount: comment.replies?.length || 0
+      };
+      return selection ? selection.pick(item) : item;
     });
 
     res.json({
       comments: commentsWithCounts,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get post comments error:', error);
     res.status(500).json({ message: 'Server error' });
   }
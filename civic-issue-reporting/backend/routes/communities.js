@@ -3,30 +3,50 @@ const { body, validationResult } = require('express-validator');
 const Community = require('../models/Community');
 const CommunityPost = require('../models/CommunityPost');
 const User = require('../models/User');
+const Boundary = require('../models/Boundary');
 const { auth } = require('../middleware/auth');
 const { upload, handleMulterError } = require('../middleware/upload');
+const { parseLimit, parseFields, fetchPage } = require('../services/pagination');
+const { publish } = require('../services/eventBus');
 
 const router = express.Router();
 
+// Fields the community list can return with `fields=`
+const LIST_FIELDS = [
+  'name', 'slug', 'description', 'category', 'avatar', 'coverImage', 'createdBy',
+  'moderators', 'location', 'ward', 'zone', 'settings', 'rules', 'tags', 'createdAt', 'updatedAt'
+];
+const LIST_DERIVED_FIELDS = { memberCount: 'members', postCount: 'posts' };
+
 // @route   GET /api/communities
-// @desc    Get all communities with filtering and pagination
+// @desc    Get all communities with filtering and cursor pagination
 // @access  Public
 router.get('/', async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 10,
+      page,
+      cursor,
+      fields,
+      includeTotal,
       category,
+      ward,
       search,
       sortBy = 'memberCount',
       order = 'desc'
     } = req.query;
 
+    const limit = parseLimit(req.query.limit);
+    const selection = parseFields(fields, { allowed: LIST_FIELDS, derived: LIST_DERIVED_FIELDS });
+
     const filter = { isActive: true };
     
     if (category && category !== 'all') {
       filter.category = category;
     }
+
+    if (ward) {
+      filter.ward = { $in: await Boundary.resolveIds(ward) };
+    }
     
     if (search) {
       filter.$or = [
@@ -43,33 +63,40 @@ router.get('/', async (req, res) => {
       sortField = { [sortBy]: order === 'desc' ? -1 : 1 };
     }
 
-    const communities = await Community.find(filter)
+    const query = Community.find(filter)
       .populate('createdBy', 'name avatar')
       .populate('moderators', 'name avatar')
-      .sort(sortField)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
       .lean();
+    if (selection) query.select(selection.select);
+
+    const { items: communities, pagination } = await fetchPage(query, {
+      sort: sortField,
+      limit,
+      cursor,
+      page,
+      keyset: ['name', 'createdAt', 'updatedAt'].includes(sortBy),
+      countTotal: () => Community.countDocuments(filter),
+      includeTotal: includeTotal === 'true'
+    });
 
     // Add member count
-    const communitiesWithCounts = communities.map(community => ({
-      ...community,
-      memberCount: community.members?.length || 0,
-      postCount: community.posts?.length || 0
-    }));
-
-    const total = await Community.countDocuments(filter);
+    const communitiesWithCounts = communities.map(community => {
+      const item = {
+        ...community,
+        memberCount: community.members?.length || 0,
+        postCount: community.posts?.length || 0
+      };
+      return selection ? selection.pick(item) : item;
+    });
 
     res.json({
       communities: communitiesWithCounts,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get communities error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -200,14 +227,16 @@ router.post('/:id/join', auth, async (req, res) => {
 
     // Emit real-time update
     const io = req.app.get('io');
-    io.to(community._id.toString()).emit('member-joined', {
+    const memberJoined = {
       user: {
         id: req.user._id,
         name: req.user.name,
         avatar: req.user.avatar
       },
       community: community._id
-    });
+    };
+    io.to(community._id.toString()).emit('member-joined', memberJoined);
+    publish('community.member_joined', memberJoined);
 
     res.json({
       message: 'Successfully joined the community',
@@ -256,54 +285,62 @@ router.post('/:id/leave', auth, async (req, res) => {
   }
 });
 
+// Fields the post list can return with `fields=`
+const POST_LIST_FIELDS = [
+  'title', 'content', 'author', 'community', 'type', 'images', 'relatedComplaint',
+  'tags', 'isPinned', 'isLocked', 'isEdited', 'createdAt', 'updatedAt'
+];
+const POST_DERIVED_FIELDS = { likeCount: 'likes', commentCount: 'comments', viewCount: 'views' };
+
 // @route   GET /api/communities/:id/posts
-// @desc    Get community posts
+// @desc    Get community posts with cursor pagination
 // @access  Public
 router.get('/:id/posts', async (req, res) => {
   try {
-    const { page = 1, limit = 10, type } = req.query;
+    const { page, cursor, fields, includeTotal, type } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const selection = parseFields(fields, { allowed: POST_LIST_FIELDS, derived: POST_DERIVED_FIELDS });
     
     const filter = { community: req.params.id };
     if (type && type !== 'all') {
       filter.type = type;
     }
 
-    const posts = await CommunityPost.find(filter)
+    // Only counts are listed; the comments themselves load per post
+    const query = CommunityPost.find(filter)
       .populate('author', 'name avatar')
       .populate('relatedComplaint', 'title status')
-      .populate({
-        path: 'comments',
-        populate: {
-          path: 'author',
-          select: 'name avatar'
-        },
-        options: { limit: 3, sort: { createdAt: -1 } }
-      })
-      .sort({ isPinned: -1, createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
       .lean();
+    if (selection) query.select(selection.select);
+
+    const { items: posts, pagination } = await fetchPage(query, {
+      sort: { isPinned: -1, createdAt: -1 },
+      limit,
+      cursor,
+      page,
+      countTotal: () => CommunityPost.countDocuments(filter),
+      includeTotal: includeTotal === 'true'
+    });
 
     // Add engagement counts
-    const postsWithCounts = posts.map(post => ({
-      ...post,
-      likeCount: post.likes?.length || 0,
-      commentCount: post.comments?.length || 0,
-      viewCount: post.views?.length || 0
-    }));
-
-    const total = await CommunityPost.countDocuments(filter);
+    const postsWithCounts = posts.map(post => {
+      const item = {
+        ...post,
+        likeCount: post.likes?.length || 0,
+        commentCount: post.comments?.length || 0,
+        viewCount: post.views?.length || 0
+      };
+      return selection ? selection.pick(item) : item;
+    });
 
     res.json({
       posts: postsWithCounts,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get community posts error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -368,6 +405,7 @@ router.post('/:id/posts', auth, upload.single('image'), handleMulterError, [
     // Emit real-time update
     const io = req.app.get('io');
     io.to(community._id.toString()).emit('new-post', populatedPost);
+    publish('community.post_created', populatedPost);
 
     res.status(201).json({
       message: 'Post created successfully',
@@ -1,112 +1,362 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Complaint = require('../models/Complaint');
 const User = require('../models/User');
 const Comment = require('../models/Comment');
-const { auth } = require('../middleware/auth');
-const { upload, handleMulterError } = require('../middleware/upload');
+const Department = require('../models/Department');
+const { auth, adminAuth, optionalAuth } = require('../middleware/auth');
+const { upload, dataUpload, handleMulterError, processImages, MAX_COMPLAINT_IMAGES } = require('../middleware/upload');
+const { CLOSED_STATUSES, RESOLUTION_CONFIRMATION_DAYS } = require('../config/sla');
+const { RANKING_SORTS, RANKING_PERIODS } = require('../config/ranking');
+const { STATUSES, REASON_REQUIRED, HIDDEN_STATUSES, validateTransition } = require('../config/statusWorkflow');
+const { findPossibleDuplicates } = require('../services/duplicateDetection');
+const { removeImageFiles } = require('../services/imageProcessing');
+const { findPhotoLocation, toStoredImage } = require('../services/photoMetadata');
+const { suggestQuery, buildSnippet } = require('../services/search');
+const { parseLimit, parseFields, fetchPage } = require('../services/pagination');
+const { getMapFeatures } = require('../services/mapClusters');
+const { getHeatmap, getHotspots } = require('../services/heatmap');
+const { EXPORT_FORMATS, exportComplaints } = require('../services/complaintExport');
+const { MAX_BATCH_SIZE, importComplaints } = require('../services/complaintImport');
+const { canViewReporter, maskComplaint, maskComplaints } = require('../services/anonymity');
+const { publish } = require('../services/eventBus');
+const { autoFollow } = require('../services/complaintAudience');
+const ReporterAccessLog = require('../models/ReporterAccessLog');
+const Boundary = require('../models/Boundary');
 
 const router = express.Router();
 
+const EARTH_RADIUS_KM = 6378.1;
+
+// How far back a complaint saved offline may date its report
+const OFFLINE_REPORT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Fields the complaint list can return with `fields=`
+const LIST_FIELDS = [
+  'title', 'description', 'category', 'status', 'priority', 'location', 'images',
+  'submittedBy', 'assignedTo', 'department', 'ward', 'zone', 'isAnonymous', 'tags', 'dueAt', 'sla',
+  'community', 'isEdited', 'viewCount', 'ranking', 'followerCount', 'createdAt', 'updatedAt'
+];
+const LIST_DERIVED_FIELDS = {
+  upvoteCount: 'upvotes',
+  downvoteCount: 'downvotes',
+  commentCount: 'comments',
+  snippet: 'description',
+  titleHighlights: 'title',
+  searchScore: []
+};
+
+// Sorts that can resume from the last item's values instead of an offset
+const KEYSET_SORT_FIELDS = [
+  'createdAt', 'updatedAt', 'title', 'status', 'category', 'priority',
+  ...Object.values(RANKING_SORTS)
+];
+
+// Exact, case-insensitive match for free-text location names
+const namePattern = (value) =>
+  new RegExp(`^${String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+// Filters shared by the complaint list and map: status, category, department,
+// overdue, city and ward
+const buildListFilter = async ({ status, category, department, overdue, city, ward }) => {
+  const filter = {};
+
+  // Filter by status (withdrawn complaints never appear in public lists)
+  if (status && status !== 'all') {
+    filter.status = status === 'Withdrawn' ? { $in: [] } : status;
+  }
+
+  // Filter by category
+  if (category && category !== 'all') {
+    filter.category = category;
+  }
+
+  // Filter by department queue
+  if (department && department !== 'all') {
+    filter.department = department;
+  }
+
+  // Only complaints past their SLA deadline
+  if (overdue === 'true') {
+    filter.dueAt = { $lt: new Date() };
+    filter.status = filter.status || { $nin: CLOSED_STATUSES };
+  }
+
+  // Merged duplicates only show up when asked for explicitly
+  if (!filter.status) {
+    filter.status = { $nin: HIDDEN_STATUSES };
+  }
+
+  // Scope to a city or ward
+  if (city) {
+    filter['location.city'] = namePattern(city);
+  }
+  if (ward) {
+    filter.ward = { $in: await Boundary.resolveIds(ward) };
+  }
+
+  return filter;
+};
+
+// Geospatial filter (radius in km). Lists are ordered by `sortBy`, so a
+// plain radius match is used; unlike $near it also works with text search
+// and counting.
+const radiusFilter = (lat, lng, radius = 10) => ({
+  $geoWithin: {
+    $centerSphere: [[parseFloat(lng), parseFloat(lat)], radius / EARTH_RADIUS_KM]
+  }
+});
+
 // @route   GET /api/complaints
-// @desc    Get all complaints with filtering and pagination
+// @desc    Get all complaints with filtering, full-text search and cursor pagination
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 10,
-      status,
-      category,
+      page,
+      cursor,
+      fields,
+      includeTotal,
       sortBy = 'createdAt',
       order = 'desc',
+      period,
       search,
       lat,
       lng,
       radius = 10
     } = req.query;
 
-    const filter = {};
-    
-    // Filter by status
-    if (status && status !== 'all') {
-      filter.status = status;
+    const limit = parseLimit(req.query.limit);
+    const selection = parseFields(fields, {
+      allowed: LIST_FIELDS,
+      derived: LIST_DERIVED_FIELDS,
+      // Needed to mask anonymous reporters whatever the client asks for
+      required: ['submittedBy', 'isAnonymous']
+    });
+
+    const filter = await buildListFilter(req.query);
+
+    // Top and controversial lists can be limited to recent complaints
+    if (RANKING_PERIODS[period] && (sortBy === 'top' || sortBy === 'controversial')) {
+      filter.createdAt = { $gte: new Date(Date.now() - RANKING_PERIODS[period] * 60 * 60 * 1000) };
     }
-    
-    // Filter by category
-    if (category && category !== 'all') {
-      filter.category = category;
-    }
-    
-    // Search in title and description
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    // Geospatial filter
+
     if (lat && lng) {
-      filter.location = {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(lng), parseFloat(lat)]
-          },
-          $maxDistance: radius * 1000 // Convert km to meters
-        }
-      };
+      filter.location = radiusFilter(lat, lng, radius);
     }
 
-    const complaints = await Complaint.find(filter)
-      .populate('submittedBy', 'name avatar')
-      .populate('assignedTo', 'name avatar')
-      .populate({
-        path: 'comments',
-        populate: {
-          path: 'author',
-          select: 'name avatar'
-        }
-      })
-      .sort({ [sortBy]: order === 'desc' ? -1 : 1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .lean();
+    let searchQuery = search ? search.trim() : '';
+
+    // Full-text search over title, description, address and tags, ranked by
+    // relevance unless another sort order is requested
+    const findComplaints = (query) => {
+      const queryFilter = query ? { ...filter, $text: { $search: query } } : filter;
+      const sortByRelevance = query && (!req.query.sortBy || sortBy === 'relevance');
+      const sortField = sortBy === 'relevance' ? 'createdAt' : RANKING_SORTS[sortBy] || sortBy;
+      const sort = sortByRelevance
+        ? { score: { $meta: 'textScore' }, createdAt: -1 }
+        : { [sortField]: order === 'desc' ? -1 : 1 };
+
+      const listQuery = Complaint.find(queryFilter, query ? { score: { $meta: 'textScore' } } : {})
+        .populate('submittedBy', 'name avatar')
+        .populate('assignedTo', 'name avatar')
+        .populate('department', 'name slug')
+        .populate('ward', 'name code')
+        .lean();
+      if (selection) listQuery.select(selection.select);
+
+      return fetchPage(listQuery, {
+        sort,
+        limit,
+        cursor,
+        page,
+        keyset: !sortByRelevance && KEYSET_SORT_FIELDS.includes(sortField),
+        countTotal: () => Complaint.countDocuments(queryFilter),
+        includeTotal: includeTotal === 'true'
+      });
+    };
+
+    let didYouMean = null;
+    let { items: complaints, pagination } = await findComplaints(searchQuery);
 
-    // Add vote counts
-    const complaintsWithCounts = complaints.map(complaint => ({
-      ...complaint,
-      upvoteCount: complaint.upvotes?.length || 0,
-      downvoteCount: complaint.downvotes?.length || 0,
-      commentCount: complaint.comments?.length || 0
-    }));
+    // Nothing found: retry with the closest spelling from known complaint words
+    if (searchQuery && !cursor && complaints.length === 0) {
+      didYouMean = await suggestQuery(searchQuery);
+      if (didYouMean) {
+        ({ items: complaints, pagination } = await findComplaints(didYouMean));
+        searchQuery = didYouMean;
+      }
+    }
 
-    const total = await Complaint.countDocuments(filter);
+    // Add vote counts; comments are only counted, threads load per complaint
+    const complaintsWithCounts = maskComplaints(complaints, req.user).map(complaint => {
+      const item = {
+        ...complaint,
+        upvoteCount: complaint.upvotes?.length || 0,
+        downvoteCount: complaint.downvotes?.length || 0,
+        commentCount: complaint.comments?.length || 0,
+        ...(searchQuery && {
+          searchScore: complaint.score,
+          titleHighlights: buildSnippet(complaint.title, searchQuery).highlights,
+          snippet: buildSnippet(complaint.description, searchQuery)
+        })
+      };
+      return selection ? selection.pick(item) : item;
+    });
 
     res.json({
       complaints: complaintsWithCounts,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination,
+      ...(searchQuery && {
+        search: {
+          query: search.trim(),
+          correctedQuery: didYouMean && complaints.length > 0 ? didYouMean : null
+        }
+      })
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get complaints error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/complaints/export
+// @desc    Stream the filtered complaint list as GeoJSON, CSV, KML or XLSX
+//          (format=...), with the list filters plus search, lat/lng/radius
+//          and from/to dates. Staff get internal columns; anonymous reporters
+//          are never included.
+// @access  Private
+router.get('/export', auth, [
+  query('format').isIn(Object.keys(EXPORT_FORMATS)).withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  query('radius').optional().isFloat({ gt: 0 }).withMessage('radius must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format, from, to, lat, lng, radius } = req.query;
+    const filter = await buildListFilter(req.query);
+
+    if (from || to) {
+      filter.createdAt = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) })
+      };
+    }
+    if (lat && lng) {
+      filter.location = radiusFilter(lat, lng, radius);
+    }
+    if (req.query.search && req.query.search.trim()) {
+      filter.$text = { $search: req.query.search.trim() };
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `complaints-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await exportComplaints(res, { filter, format, viewer: req.user });
+  } catch (error) {
+    console.error('Export complaints error:', error);
+    // Once streaming has started the client only sees a truncated download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/complaints/map
+// @desc    Complaints inside a viewport as GeoJSON (bbox=minLng,minLat,maxLng,maxLat
+//          and zoom, plus the list filters and search), clustered with per-status and per-category counts when
+//          zoomed out and as individual points when zoomed in
+// @access  Public
+router.get('/map', async (req, res) => {
+  try {
+    const filter = await buildListFilter(req.query);
+    if (req.query.search && req.query.search.trim()) {
+      filter.$text = { $search: req.query.search.trim() };
+    }
+
+    const collection = await getMapFeatures(filter, {
+      bbox: req.query.bbox,
+      zoom: req.query.zoom
+    });
+
+    res.json(collection);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get complaint map error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/complaints/heatmap
+// @desc    Complaint density on a geohash grid (precision, or derived from zoom)
+//          with counts and average resolution time per cell, filtered like the
+//          list plus from/to dates; cells are flagged as hotspots against the
+//          trailing `weeks`
+// @access  Public
+router.get('/heatmap', async (req, res) => {
+  try {
+    const filter = await buildListFilter(req.query);
+    const { bbox, zoom, precision, from, to, weeks } = req.query;
+
+    res.json(await getHeatmap(filter, { bbox, zoom, precision, from, to, weeks }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get complaint heatmap error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/complaints/hotspots
+// @desc    Grid cells whose complaints in the week before `to` (default now)
+//          are anomalously high compared with the trailing `weeks`
+// @access  Public
+router.get('/hotspots', async (req, res) => {
+  try {
+    const filter = await buildListFilter(req.query);
+    const { bbox, zoom, precision, to, weeks } = req.query;
+
+    res.json(await getHotspots(filter, { bbox, zoom, precision, to, weeks }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get complaint hotspots error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/complaints/:id
 // @desc    Get single complaint by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const complaint = await Complaint.findById(req.params.id)
       .populate('submittedBy', 'name avatar email')
       .populate('assignedTo', 'name avatar email')
+      .populate('department', 'name slug contactEmail contactPhone')
+      .populate('ward', 'name code')
+      .populate('zone', 'name code')
+      .populate('sla.escalatedTo', 'name avatar')
+      .populate('mergedInto', 'title status')
+      .populate('mergedFrom.complaint', 'title createdAt')
       .populate({
         path: 'comments',
         populate: {
@@ -121,17 +371,37 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Complaint not found' });
     }
 
-    res.json(complaint);
+    // Views by anyone but the reporter count towards the hot ranking
+    if (!req.user || req.user._id.toString() !== complaint.submittedBy?._id?.toString()) {
+      await Complaint.recordView(complaint);
+    }
+
+    res.json({
+      ...maskComplaint(complaint, req.user),
+      isFollowing: req.user ? await Complaint.isFollowedBy(complaint._id, req.user._id) : false
+    });
   } catch (error) {
     console.error('Get complaint error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   POST /api/complaints
-// @desc    Create a new complaint
-// @access  Private
-router.post('/', auth, upload.single('image'), handleMulterError, [
+const CATEGORIES = ['Sanitation', 'Roads', 'Water', 'Electricity', 'Parks', 'Transport', 'Health', 'Other'];
+
+// Match a category case-insensitively; returns undefined for unknown values
+const normalizeCategory = (value) =>
+  CATEGORIES.find(category => category.toLowerCase() === String(value).toLowerCase());
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Manual location fields are only required when no uploaded photo has GPS
+const needsManualLocation = (value, { req }) => {
+  const given = !isBlank(req.body.latitude) || !isBlank(req.body.longitude);
+  return given || !findPhotoLocation(req.processedImages);
+};
+
+// Field rules for new complaints, shared with the bulk import
+const createComplaintRules = [
   body('title').trim().isLength({ min: 5, max: 100 }).withMessage('Title must be between 5 and 100 characters'),
   body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('category').custom((value) => {
@@ -142,51 +412,150 @@ router.post('/', auth, upload.single('image'), handleMulterError, [
     if (!ok) throw new Error('Invalid category');
     return true;
   }),
-  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
-  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
-  body('address').trim().isLength({ min: 5 }).withMessage('Address is required')
+  // Coordinates and address may be left out when a photo carries a GPS position
+  body('latitude').if(needsManualLocation).isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('longitude').if(needsManualLocation).isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('address').if(needsManualLocation).trim().isLength({ min: 5 }).withMessage('Address is required'),
+  body('city').optional().trim().isLength({ max: 100 }).withMessage('City cannot be more than 100 characters')
+];
+
+// Complaint already filed from the submission saved offline as `offlineId`
+const findOfflineSubmission = (offlineId) =>
+  Complaint.findOne({ 'source.offlineId': offlineId })
+    .populate('submittedBy', 'name avatar')
+    .populate('department', 'name slug');
+
+// Respond with the complaint an offline submission already created
+const sendOfflineSubmission = (res, complaint, user) => {
+  if (complaint.submittedBy._id.toString() !== user._id.toString()) {
+    return res.status(400).json({ message: 'offlineId belongs to another complaint' });
+  }
+  res.json({
+    message: 'Complaint was already submitted',
+    complaint: maskComplaint(complaint, user),
+    alreadySubmitted: true
+  });
+};
+
+// When a complaint saved offline was reported; the upload time for dates in
+// the future or older than OFFLINE_REPORT_MAX_AGE_MS
+const offlineReportedAt = (value) => {
+  const reportedAt = value ? new Date(value) : null;
+  const now = Date.now();
+  if (!reportedAt || reportedAt > now || now - reportedAt > OFFLINE_REPORT_MAX_AGE_MS) {
+    return new Date(now);
+  }
+  return reportedAt;
+};
+
+// @route   POST /api/complaints
+// @desc    Create a new complaint. Complaints saved offline by the app send
+//          their `offlineId` (a UUID) and `reportedAt`; sending the same
+//          offlineId again returns the complaint it created.
+// @access  Private
+router.post('/', auth, upload.array('images', MAX_COMPLAINT_IMAGES), handleMulterError, processImages, [
+  ...createComplaintRules,
+  body('offlineId').optional().isUUID().withMessage('offlineId must be a UUID'),
+  body('reportedAt').optional().isISO8601().withMessage('reportedAt must be a date')
 ], async (req, res) => {
+  // Uploaded photos are kept only once they belong to a saved complaint
+  let saved = false;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      req.processedImages.forEach(removeImageFiles);
       return res.status(400).json({
         message: 'Validation failed',
         errors: errors.array()
       });
     }
 
-  const { title, description, category, latitude, longitude, address, isAnonymous, priority } = req.body;
+  const { title, description, category, latitude, longitude, address, city, isAnonymous, priority, ignoreDuplicates, offlineId } = req.body;
+
+    if (offlineId) {
+      const submitted = await findOfflineSubmission(offlineId);
+      if (submitted) {
+        req.processedImages.forEach(removeImageFiles);
+        return sendOfflineSubmission(res, submitted, req.user);
+      }
+    }
 
   // Normalize category capitalization
   const allowed = ['Sanitation', 'Roads', 'Water', 'Electricity', 'Parks', 'Transport', 'Health', 'Other'];
   const normalizedCategory = allowed.find(a => a.toLowerCase() === String(category).toLowerCase()) || 'Other';
 
+    // Fall back to the photo's GPS position when no location was given
+    const hasManualLocation = !isBlank(latitude) && !isBlank(longitude);
+    const photoLocation = findPhotoLocation(req.processedImages);
+    const coordinates = hasManualLocation
+      ? [parseFloat(longitude), parseFloat(latitude)]
+      : photoLocation;
+    const locationSource = hasManualLocation ? 'manual' : 'photo';
+
+    // Check for likely duplicates unless the user already confirmed this is a new issue
+    if (ignoreDuplicates !== 'true' && ignoreDuplicates !== true) {
+      const duplicates = await findPossibleDuplicates({
+        title,
+        description,
+        category: normalizedCategory,
+        coordinates
+      }, { userId: req.user._id });
+
+      if (duplicates.length > 0) {
+        // Discard the upload; the client resubmits it if the user confirms
+        req.processedImages.forEach(removeImageFiles);
+        return res.status(409).json({
+          message: 'Possible duplicates found',
+          duplicates
+        });
+      }
+    }
+
     const complaint = new Complaint({
       title,
       description,
       category: normalizedCategory,
       location: {
         type: 'Point',
-        coordinates: [parseFloat(longitude), parseFloat(latitude)],
-        address
+        coordinates,
+        address: isBlank(address)
+          ? `Photo location (${coordinates[1].toFixed(5)}, ${coordinates[0].toFixed(5)})`
+          : address.trim(),
+        // Derived from the city boundary or address when not given
+        city: isBlank(city) ? undefined : city
       },
       submittedBy: req.user._id,
       isAnonymous: isAnonymous === 'true'
     });
 
+    if (offlineId) {
+      const reportedAt = offlineReportedAt(req.body.reportedAt);
+      complaint.source = { channel: 'offline', offlineId };
+      complaint.createdAt = reportedAt;
+      complaint.statusHistory.push({
+        status: 'Submitted',
+        changedBy: req.user._id,
+        changedAt: reportedAt
+      });
+    }
+
     if (priority && ['Low', 'Medium', 'High', 'Critical'].includes(priority)) {
       complaint.priority = priority;
     }
 
-    // Add image if uploaded
-    if (req.file) {
+    // Add uploaded images with their captions (matched by position),
+    // flagging photos taken far from the reported location
+    const captions = [].concat(req.body.imageCaptions || []);
+    req.processedImages.forEach((image, index) => {
       complaint.images.push({
-        url: `/uploads/${req.file.filename}`,
-        caption: req.body.imageCaption || ''
+        ...toStoredImage(image, coordinates),
+        caption: (captions[index] || '').slice(0, 200),
+        uploadedBy: req.user._id
       });
-    }
+    });
 
     await complaint.save();
+    saved = true;
 
     // Update user's complaint count
     await User.findByIdAndUpdate(req.user._id, {
@@ -195,28 +564,163 @@ router.post('/', auth, upload.single('image'), handleMulterError, [
 
     // Populate the complaint for response
     const populatedComplaint = await Complaint.findById(complaint._id)
-      .populate('submittedBy', 'name avatar');
+      .populate('submittedBy', 'name avatar')
+      .populate('department', 'name slug');
 
     // Emit real-time update
     const io = req.app.get('io');
-    io.emit('new-complaint', populatedComplaint);
+    const newComplaint = maskComplaint(populatedComplaint);
+    io.emit('new-complaint', newComplaint);
+    publish('complaint.created', newComplaint);
+    if (complaint.department) {
+      const assignment = {
+        complaintId: complaint._id,
+        department: complaint.department,
+        assignedTo: complaint.assignedTo || null
+      };
+      io.emit('complaint-assigned', assignment);
+      publish('complaint.assigned', assignment);
+    }
 
     res.status(201).json({
       message: 'Complaint submitted successfully',
-      complaint: populatedComplaint
+      complaint: maskComplaint(populatedComplaint, req.user),
+      locationSource
     });
   } catch (error) {
+    // The same offline submission was uploaded twice at once
+    if (error.code === 11000 && req.body.offlineId) {
+      const submitted = await findOfflineSubmission(req.body.offlineId).catch(() => null);
+      if (submitted) {
+        (req.processedImages || []).forEach(removeImageFiles);
+        return sendOfflineSubmission(res, submitted, req.user);
+      }
+    }
+    if (!saved) {
+      (req.processedImages || []).forEach(removeImageFiles);
+    }
     console.error('Create complaint error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   PUT /api/complaints/:id/status
-// @desc    Update complaint status (admin only)
-// @access  Private (Admin)
-router.put('/:id/status', auth, [
-  body('status').isIn(['Submitted', 'In Progress', 'Resolved', 'Rejected']).withMessage('Invalid status'),
-  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+// Run the create rules on one imported row. The row has no photos, so its
+// coordinates and address are always required.
+const validateImportRow = async (fields) => {
+  const rowReq = { body: { ...fields }, processedImages: [] };
+  await Promise.all(createComplaintRules.map(rule => rule.run(rowReq)));
+  return { errors: validationResult(rowReq).array(), body: rowReq.body };
+};
+
+// @route   POST /api/complaints/import
+// @desc    Bulk import complaints from a CSV or XLSX file (`file` upload).
+//          Dry run by default; pass dryRun=false to save the valid rows in
+//          batches. `mapping` is a JSON object of complaint field -> column;
+//          `geocoded` is the JSON list of the same name from an earlier report.
+// @access  Private (Admin only)
+router.post('/import', adminAuth, dataUpload.single('file'), handleMulterError, [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  body('skipInvalid').optional().isBoolean().withMessage('skipInvalid must be a boolean'),
+  body('force').optional().isBoolean().withMessage('force must be a boolean'),
+  body('batchSize').optional().isInt({ min: 1, max: MAX_BATCH_SIZE }).withMessage(`batchSize must be between 1 and ${MAX_BATCH_SIZE}`),
+  body('proxyUser').optional().isMongoId().withMessage('proxyUser must be a user id'),
+  body('mapping').optional().custom((value) => {
+    let mapping;
+    try {
+      mapping = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      throw new Error('mapping must be a JSON object');
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error('mapping must be a JSON object');
+    }
+    return true;
+  }),
+  body('geocoded').optional().custom((value) => {
+    let geocoded;
+    try {
+      geocoded = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      throw new Error('geocoded must be a JSON array');
+    }
+    const isEntry = (entry) => entry && Number.isInteger(entry.row) && typeof entry.address === 'string' &&
+      typeof entry.latitude === 'number' && typeof entry.longitude === 'number';
+    if (!Array.isArray(geocoded) || !geocoded.every(isEntry)) {
+      throw new Error('geocoded must be the geocoded list of an import report');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV or XLSX file is required' });
+    }
+
+    const { mapping, geocoded, proxyUser } = req.body;
+    if (proxyUser && !(await User.exists({ _id: proxyUser }))) {
+      return res.status(400).json({ message: 'Proxy user not found' });
+    }
+
+    const dryRun = String(req.body.dryRun) !== 'false';
+    const report = await importComplaints(req.file.buffer, {
+      filename: req.file.originalname,
+      mapping: typeof mapping === 'string' ? JSON.parse(mapping) : mapping,
+      geocoded: typeof geocoded === 'string' ? JSON.parse(geocoded) : geocoded,
+      dryRun,
+      skipInvalid: String(req.body.skipInvalid) === 'true',
+      force: String(req.body.force) === 'true',
+      batchSize: req.body.batchSize,
+      validateRow: validateImportRow,
+      importedBy: req.user._id,
+      proxyUser
+    });
+
+    if (!dryRun && report.created > 0) {
+      req.app.get('io').emit('complaints-imported', {
+        batchId: report.batchId,
+        created: report.created
+      });
+    }
+
+    res.json({
+      message: dryRun
+        ? 'Dry run complete; nothing was saved'
+        : `Imported ${report.created} complaints`,
+      report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        ...(error.report && { report: error.report })
+      });
+    }
+    console.error('Import complaints error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/complaints/:id
+// @desc    Edit a complaint while it is still Submitted
+// @access  Private (Submitter)
+router.put('/:id', auth, [
+  body('title').optional().trim().isLength({ min: 5, max: 100 }).withMessage('Title must be between 5 and 100 characters'),
+  body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+  body('category').optional().custom((value) => {
+    if (!normalizeCategory(value)) throw new Error('Invalid category');
+    return true;
+  }),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('address').optional().trim().isLength({ min: 5 }).withMessage('Address must be at least 5 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -227,63 +731,100 @@ router.put('/:id/status', auth, [
       });
     }
 
-    const { status, comment } = req.body;
     const complaint = await Complaint.findById(req.params.id);
 
     if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
 
-    // Check if user is admin or assigned to this complaint
-    if (req.user.role !== 'admin' && complaint.assignedTo?.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to update this complaint' });
+    if (complaint.submittedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to edit this complaint' });
     }
 
-    const oldStatus = complaint.status;
-    complaint.status = status;
+    if (!complaint.isEditableBy(req.user._id)) {
+      return res.status(403).json({ message: 'Complaints can only be edited while they are Submitted' });
+    }
 
-    // Add to status history
-    complaint.statusHistory.push({
-      status,
-      changedBy: req.user._id,
-      comment
-    });
+    const { title, description, category, latitude, longitude, address } = req.body;
+    if (isBlank(latitude) !== isBlank(longitude)) {
+      return res.status(400).json({ message: 'Latitude and longitude must be provided together' });
+    }
 
-    // If resolved, add resolution details
-    if (status === 'Resolved') {
-      complaint.resolutionDetails = {
-        description: comment,
-        resolvedBy: req.user._id,
-        resolvedAt: new Date()
+    // Collect the previous value of every field that actually changes
+    const previous = {};
+    if (title !== undefined && title !== complaint.title) {
+      previous.title = complaint.title;
+      complaint.title = title;
+    }
+    if (description !== undefined && description !== complaint.description) {
+      previous.description = complaint.description;
+      complaint.description = description;
+    }
+    if (category !== undefined && normalizeCategory(category) !== complaint.category) {
+      previous.category = complaint.category;
+      complaint.category = normalizeCategory(category);
+    }
+
+    const [oldLng, oldLat] = complaint.location.coordinates;
+    const coordinatesChanged = !isBlank(latitude) &&
+      (parseFloat(latitude) !== oldLat || parseFloat(longitude) !== oldLng);
+    const addressChanged = address !== undefined && address !== complaint.location.address;
+    if (coordinatesChanged || addressChanged) {
+      previous.location = {
+        coordinates: [oldLng, oldLat],
+        address: complaint.location.address
       };
+      if (coordinatesChanged) {
+        complaint.location.coordinates = [parseFloat(longitude), parseFloat(latitude)];
+      }
+      if (addressChanged) {
+        complaint.location.address = address;
+      }
+    }
+
+    if (Object.keys(previous).length === 0) {
+      return res.status(400).json({ message: 'No changes to save' });
+    }
+
+    complaint.recordEdit(previous, req.user._id);
+
+    // A new category or location may belong to a different department
+    if (previous.category || coordinatesChanged) {
+      complaint.department = undefined;
+      complaint.assignedTo = undefined;
+      await Department.routeComplaint(complaint);
     }
 
     await complaint.save();
 
+    const populatedComplaint = await Complaint.findById(complaint._id)
+      .populate('submittedBy', 'name avatar')
+      .populate('department', 'name slug');
+
     // Emit real-time update
     const io = req.app.get('io');
-    io.emit('complaint-status-update', {
+    const complaintUpdate = {
       complaintId: complaint._id,
-      oldStatus,
-      newStatus: status,
-      updatedBy: req.user.name
-    });
+      fields: Object.keys(previous)
+    };
+    io.emit('complaint-updated', complaintUpdate);
+    publish('complaint.updated', complaintUpdate);
 
     res.json({
-      message: 'Complaint status updated successfully',
-      complaint
+      message: 'Complaint updated successfully',
+      complaint: maskComplaint(populatedComplaint, req.user)
     });
   } catch (error) {
-    console.error('Update complaint status error:', error);
+    console.error('Update complaint error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   POST /api/complaints/:id/vote
-// @desc    Vote on a complaint (upvote/downvote)
-// @access  Private
-router.post('/:id/vote', auth, [
-  body('voteType').isIn(['upvote', 'downvote']).withMessage('Invalid vote type')
+// @route   DELETE /api/complaints/:id
+// @desc    Withdraw a complaint. It stays in the audit trail but leaves public lists
+// @access  Private (Submitter)
+router.delete('/:id', auth, [
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -294,75 +835,831 @@ router.post('/:id/vote', auth, [
       });
     }
 
-    const { voteType } = req.body;
     const complaint = await Complaint.findById(req.params.id);
 
     if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
 
-    const userId = req.user._id;
-    const hasUpvoted = complaint.upvotes.some(vote => vote.user.toString() === userId.toString());
-    const hasDownvoted = complaint.downvotes.some(vote => vote.user.toString() === userId.toString());
+    if (complaint.submittedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to withdraw this complaint' });
+    }
 
-    // Remove existing votes
-    complaint.upvotes = complaint.upvotes.filter(vote => vote.user.toString() !== userId.toString());
-    complaint.downvotes = complaint.downvotes.filter(vote => vote.user.toString() !== userId.toString());
+    const oldStatus = complaint.status;
+    const transitionError = complaint.transitionTo('Withdrawn', {
+      roles: ['reporter'],
+      changedBy: req.user._id,
+      reason: req.body.reason
+    });
 
-    // Add new vote if different from existing
-    if (voteType === 'upvote' && !hasUpvoted) {
-      complaint.upvotes.push({ user: userId });
-    } else if (voteType === 'downvote' && !hasDownvoted) {
-      complaint.downvotes.push({ user: userId });
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json({ message: transitionError.message });
     }
 
     await complaint.save();
 
-    res.json({
-      message: 'Vote recorded successfully',
-      upvoteCount: complaint.upvotes.length,
-      downvoteCount: complaint.downvotes.length,
-      userVote: complaint.hasUserVoted(userId)
-    });
+    // Emit real-time update
+    const io = req.app.get('io');
+    const statusUpdate = {
+      complaintId: complaint._id,
+      oldStatus,
+      newStatus: 'Withdrawn',
+      updatedBy: req.user.name
+    };
+    io.emit('complaint-status-update', statusUpdate);
+    publish('complaint.status_changed', statusUpdate);
+
+    res.json({ message: 'Complaint withdrawn successfully' });
   } catch (error) {
-    console.error('Vote complaint error:', error);
+    console.error('Withdraw complaint error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   GET /api/complaints/user/my-complaints
-// @desc    Get current user's complaints
-// @access  Private
-router.get('/user/my-complaints', auth, async (req, res) => {
+// @route   POST /api/complaints/:id/images
+// @desc    Add images to an existing complaint
+// @access  Private (Submitter, assigned officer or admin)
+router.post('/:id/images', auth, upload.array('images', MAX_COMPLAINT_IMAGES), handleMulterError, processImages, async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
-    const filter = { submittedBy: req.user._id };
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      req.processedImages.forEach(removeImageFiles);
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const isStaff = req.user.role === 'admin' || complaint.assignedTo?.toString() === userId;
+
+    if (!isStaff && complaint.submittedBy.toString() !== userId) {
+      req.processedImages.forEach(removeImageFiles);
+      return res.status(403).json({ message: 'Not authorized to add images to this complaint' });
+    }
+
+    // Submitters may only change their photos while the complaint is still Submitted
+    if (!isStaff && !complaint.isEditableBy(req.user._id)) {
+      req.processedImages.forEach(removeImageFiles);
+      return res.status(403).json({ message: 'Complaints can only be edited while they are Submitted' });
+    }
+
+    if (req.processedImages.length === 0) {
+      return res.status(400).json({ message: 'No images uploaded' });
+    }
+
+    if (complaint.images.length + req.processedImages.length > MAX_COMPLAINT_IMAGES) {
+      req.processedImages.forEach(removeImageFiles);
+      return res.status(400).json({
+        message: `A complaint can have at most ${MAX_COMPLAINT_IMAGES} images`
+      });
+    }
+
+    if (!isStaff) {
+      complaint.recordEdit({ imageCount: complaint.images.length }, req.user._id);
+    }
+
+    const captions = [].concat(req.body.imageCaptions || []);
+    req.processedImages.forEach((image, index) => {
+      complaint.images.push({
+        ...toStoredImage(image, complaint.location.coordinates),
+        caption: (captions[index] || '').slice(0, 200),
+        uploadedBy: req.user._id
+      });
+    });
+
+    await complaint.save();
+
+    res.status(201).json({
+      message: 'Images added successfully',
+      images: complaint.images
+    });
+  } catch (error) {
+    console.error('Add complaint images error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/complaints/:id/images/:imageId
+// @desc    Remove an image from a complaint
+// @access  Private (Submitter, uploader or admin)
+router.delete('/:id/images/:imageId', auth, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const image = complaint.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const isSubmitter = complaint.submittedBy.toString() === userId;
+    const canRemove = req.user.role === 'admin' || isSubmitter || image.uploadedBy?.toString() === userId;
+
+    if (!canRemove) {
+      return res.status(403).json({ message: 'Not authorized to remove this image' });
+    }
+
+    // Submitters may only change their photos while the complaint is still Submitted
+    const isSubmitterEdit = isSubmitter && req.user.role !== 'admin';
+    if (isSubmitterEdit && !complaint.isEditableBy(req.user._id)) {
+      return res.status(403).json({ message: 'Complaints can only be edited while they are Submitted' });
+    }
+
+    if (isSubmitterEdit) {
+      complaint.recordEdit({ imageCount: complaint.images.length }, req.user._id);
+    }
+
+    complaint.images.pull(image._id);
+    await complaint.save();
+    removeImageFiles(image);
+
+    res.json({
+      message: 'Image removed successfully',
+      images: complaint.images
+    });
+  } catch (error) {
+    console.error('Remove complaint image error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/complaints/:id/reporter
+// @desc    Reveal who reported a complaint. Every access is logged with its reason
+// @access  Private (Staff with the view_reporter_identity permission)
+router.post('/:id/reporter', auth, [
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!canViewReporter(req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view reporter identity' });
+    }
+
+    const { reason } = req.body;
+
+    const complaint = await Complaint.findById(req.params.id)
+      .populate('submittedBy', 'name email phone avatar');
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    await ReporterAccessLog.create({
+      complaint: complaint._id,
+      reporter: complaint.submittedBy?._id,
+      accessedBy: req.user._id,
+      reason,
+      wasAnonymous: complaint.isAnonymous,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      reporter: complaint.submittedBy,
+      // Set when the complaint was filed by proxy for a citizen without an account
+      citizen: complaint.citizen && complaint.citizen.name ? complaint.citizen : null,
+      isAnonymous: complaint.isAnonymous
+    });
+  } catch (error) {
+    console.error('Get complaint reporter error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/complaints/:id/transitions
+// @desc    Get the statuses the current user may set through PUT /:id/status
+// @access  Private
+router.get('/:id/transitions', auth, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const roles = (await complaint.getActorRoles(req.user)).filter(role => role !== 'reporter');
+
+    res.json({
+      status: complaint.status,
+      allowed: complaint.getAllowedTransitions(roles),
+      reasonRequired: REASON_REQUIRED
+    });
+  } catch (error) {
+    console.error('Get complaint transitions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/complaints/:id/status
+// @desc    Move a complaint through the status workflow. Rejecting and reopening
+//          require a `comment` as the reason; resolving requires "after" photos (`images`)
+// @access  Private (Admin, assigned officer or department staff)
+router.put('/:id/status', auth, upload.array('images', MAX_COMPLAINT_IMAGES), handleMulterError, processImages, [
+  body('status').isIn(STATUSES.filter(status => !HIDDEN_STATUSES.includes(status))).withMessage('Invalid status'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.processedImages.forEach(removeImageFiles);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, comment } = req.body;
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      req.processedImages.forEach(removeImageFiles);
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    // Photos are only accepted as proof of a resolution
+    if (status !== 'Resolved' && req.processedImages.length > 0) {
+      req.processedImages.forEach(removeImageFiles);
+      return res.status(400).json({ message: 'Photos can only be attached when resolving a complaint' });
+    }
+
+    // Reporters respond through the confirm/dispute endpoints instead
+    const roles = (await complaint.getActorRoles(req.user)).filter(role => role !== 'reporter');
+    if (roles.length === 0) {
+      req.processedImages.forEach(removeImageFiles);
+      return res.status(403).json({ message: 'Not authorized to update this complaint' });
+    }
+
+    const oldStatus = complaint.status;
+    const transitionError = complaint.transitionTo(status, {
+      roles,
+      changedBy: req.user._id,
+      reason: comment
+    });
+
+    if (transitionError) {
+      req.processedImages.forEach(removeImageFiles);
+      return res.status(transitionError.statusCode).json({
+        message: transitionError.message,
+        allowed: complaint.getAllowedTransitions(roles)
+      });
+    }
+
+    if (status === 'Resolved' && req.processedImages.length === 0) {
+      return res.status(400).json({ message: 'At least one photo of the fix is required to resolve a complaint' });
+    }
+
+    // If resolved, add resolution details and open the reporter's confirmation window
+    if (status === 'Resolved') {
+      const previousImages = complaint.resolutionDetails?.resolutionImages || [];
+      complaint.resolutionDetails = {
+        description: comment,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date(),
+        resolutionImages: req.processedImages.map(image =>
+          toStoredImage(image, complaint.location.coordinates)
+        ),
+        confirmation: {
+          status: 'pending',
+          deadline: new Date(Date.now() + RESOLUTION_CONFIRMATION_DAYS * 24 * 60 * 60 * 1000)
+        }
+      };
+      // Photos from an earlier, disputed resolution are replaced
+      previousImages.forEach(removeImageFiles);
+    }
+
+    await complaint.save();
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    const statusUpdate = {
+      complaintId: complaint._id,
+      oldStatus,
+      newStatus: status,
+      updatedBy: req.user.name
+    };
+    io.emit('complaint-status-update', statusUpdate);
+    publish('complaint.status_changed', statusUpdate);
+
+    res.json({
+      message: 'Complaint status updated successfully',
+      complaint: maskComplaint(complaint, req.user)
+    });
+  } catch (error) {
+    console.error('Update complaint status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/complaints/:id/confirm-resolution
+// @desc    Reporter confirms that the complaint was fixed
+// @access  Private (Submitter)
+router.post('/:id/confirm-resolution', auth, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (complaint.submittedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the reporter can confirm this resolution' });
+    }
+
+    if (!complaint.awaitingConfirmation) {
+      return res.status(400).json({ message: 'This complaint is not awaiting confirmation' });
+    }
+
+    // A confirmed fix closes the complaint
+    const transitionError = complaint.transitionTo('Closed', {
+      roles: ['reporter'],
+      changedBy: req.user._id,
+      reason: 'Resolution confirmed by reporter'
+    });
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json({ message: transitionError.message });
+    }
+
+    complaint.resolutionDetails.confirmation.status = 'confirmed';
+    complaint.resolutionDetails.confirmation.respondedAt = new Date();
+    await complaint.save();
+
+    const io = req.app.get('io');
+    io.emit('resolution-confirmed', {
+      complaintId: complaint._id
+    });
+    const statusUpdate = {
+      complaintId: complaint._id,
+      oldStatus: 'Resolved',
+      newStatus: 'Closed',
+      updatedBy: req.user.name
+    };
+    io.emit('complaint-status-update', statusUpdate);
+    publish('complaint.status_changed', statusUpdate);
+
+    res.json({
+      message: 'Resolution confirmed, complaint closed',
+      complaint: maskComplaint(complaint, req.user)
+    });
+  } catch (error) {
+    console.error('Confirm resolution error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/complaints/:id/dispute-resolution
+// @desc    Reporter disputes the resolution, which reopens the complaint
+// @access  Private (Submitter)
+router.post('/:id/dispute-resolution', auth, [
+  body('reason').trim().isLength({ min: 10, max: 500 }).withMessage('Reason must be between 10 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (complaint.submittedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the reporter can dispute this resolution' });
+    }
+
+    if (!complaint.awaitingConfirmation) {
+      return res.status(400).json({ message: 'This complaint is not awaiting confirmation' });
+    }
+
+    const { reason } = req.body;
+
+    const transitionError = complaint.transitionTo('Reopened', {
+      roles: ['reporter'],
+      changedBy: req.user._id,
+      reason: `Resolution disputed: ${reason}`
+    });
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json({ message: transitionError.message });
+    }
+
+    complaint.resolutionDetails.confirmation.status = 'disputed';
+    complaint.resolutionDetails.confirmation.respondedAt = new Date();
+    complaint.resolutionDetails.confirmation.reason = reason;
+
+    await complaint.save();
+
+    const io = req.app.get('io');
+    const statusUpdate = {
+      complaintId: complaint._id,
+      oldStatus: 'Resolved',
+      newStatus: 'Reopened',
+      updatedBy: req.user.name
+    };
+    io.emit('complaint-status-update', statusUpdate);
+    publish('complaint.status_changed', statusUpdate);
+
+    res.json({
+      message: 'Resolution disputed, complaint reopened',
+      complaint: maskComplaint(complaint, req.user)
+    });
+  } catch (error) {
+    console.error('Dispute resolution error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/complaints/:id/assign
+// @desc    Reassign a complaint to a department and/or officer
+// @access  Private (Admin or department head)
+router.put('/:id/assign', auth, [
+  body('department').optional().isMongoId().withMessage('Invalid department ID'),
+  body('assignedTo').optional({ nullable: true }).isMongoId().withMessage('Invalid officer ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const targetId = req.body.department || complaint.department;
+    const department = targetId ? await Department.findById(targetId) : null;
+
+    if (!department || !department.isActive) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    // Only admins or the head of the target department may reassign
+    const isHead = department.head && department.head.toString() === req.user._id.toString();
+    if (req.user.role !== 'admin' && !isHead) {
+      return res.status(403).json({ message: 'Not authorized to assign this complaint' });
+    }
+
+    const { assignedTo } = req.body;
+    if (assignedTo && !department.officers.some(officer => officer.toString() === assignedTo)) {
+      return res.status(400).json({ message: 'Officer does not belong to this department' });
+    }
+
+    const departmentChanged = complaint.department?.toString() !== department._id.toString();
+    complaint.department = department._id;
+
+    if (assignedTo !== undefined) {
+      complaint.assignedTo = assignedTo || undefined;
+    } else if (departmentChanged) {
+      complaint.assignedTo = (await department.pickOfficer()) || undefined;
+    }
+
+    await complaint.save();
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    const assignment = {
+      complaintId: complaint._id,
+      department: complaint.department,
+      assignedTo: complaint.assignedTo || null,
+      updatedBy: req.user.name
+    };
+    io.emit('complaint-assigned', assignment);
+    publish('complaint.assigned', assignment);
+
+    res.json({
+      message: 'Complaint assigned successfully',
+      complaint: maskComplaint(complaint, req.user)
+    });
+  } catch (error) {
+    console.error('Assign complaint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/complaints/:id/merge
+// @desc    Merge duplicate complaints into this (primary) complaint
+// @access  Private (Admin only)
+router.post('/:id/merge', adminAuth, [
+  body('duplicateIds').isArray({ min: 1 }).withMessage('At least one duplicate complaint is required'),
+  body('duplicateIds.*').isMongoId().withMessage('Invalid complaint ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const duplicateIds = [...new Set(req.body.duplicateIds)];
+
+    if (duplicateIds.includes(req.params.id)) {
+      return res.status(400).json({ message: 'A complaint cannot be merged into itself' });
+    }
+
+    const primary = await Complaint.findById(req.params.id);
+
+    if (!primary) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (primary.status === 'Merged') {
+      return res.status(400).json({ message: 'Cannot merge into a complaint that has itself been merged' });
+    }
+
+    const duplicates = await Complaint.find({ _id: { $in: duplicateIds } });
+
+    if (duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({ message: 'One or more duplicate complaints not found' });
+    }
+
+    for (const duplicate of duplicates) {
+      const transitionError = validateTransition(duplicate.status, 'Merged', ['admin']);
+      if (transitionError) {
+        return res.status(400).json({ message: `Complaint ${duplicate._id}: ${transitionError.message}` });
+      }
+    }
+
+    await primary.absorbDuplicates(duplicates, req.user._id);
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    const merge = {
+      primaryId: primary._id,
+      mergedIds: duplicates.map(duplicate => duplicate._id),
+      mergedBy: req.user.name
+    };
+    io.emit('complaints-merged', merge);
+    publish('complaint.merged', merge);
+
+    res.json({
+      message: `${duplicates.length} complaint(s) merged successfully`,
+      complaint: maskComplaint(primary, req.user),
+      upvoteCount: primary.upvotes.length,
+      commentCount: primary.comments.length
+    });
+  } catch (error) {
+    console.error('Merge complaints error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/complaints/:id/vote
+// @desc    Vote on a complaint (upvote/downvote)
+// @access  Private
+router.post('/:id/vote', auth, [
+  body('voteType').isIn(['upvote', 'downvote']).withMessage('Invalid vote type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { voteType } = req.body;
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (complaint.status === 'Merged') {
+      return res.status(400).json({
+        message: 'This complaint was merged into another complaint',
+        mergedInto: complaint.mergedInto
+      });
+    }
+
+    if (complaint.status === 'Withdrawn') {
+      return res.status(400).json({ message: 'This complaint was withdrawn by its submitter' });
+    }
+
+    const userId = req.user._id;
+    const hasUpvoted = complaint.upvotes.some(vote => vote.user.toString() === userId.toString());
+    const hasDownvoted = complaint.downvotes.some(vote => vote.user.toString() === userId.toString());
+
+    // Remove existing votes
+    complaint.upvotes = complaint.upvotes.filter(vote => vote.user.toString() !== userId.toString());
+    complaint.downvotes = complaint.downvotes.filter(vote => vote.user.toString() !== userId.toString());
+
+    // Add new vote if different from existing
+    if (voteType === 'upvote' && !hasUpvoted) {
+      complaint.upvotes.push({ user: userId });
+    } else if (voteType === 'downvote' && !hasDownvoted) {
+      complaint.downvotes.push({ user: userId });
+    }
+
+    await complaint.save();
+
+    const userVote = complaint.hasUserVoted(userId);
+    const followed = userVote === 'upvote' && await autoFollow(complaint, req.user, 'upvote');
+
+    res.json({
+      message: 'Vote recorded successfully',
+      upvoteCount: complaint.upvotes.length,
+      downvoteCount: complaint.downvotes.length,
+      userVote,
+      followed
+    });
+  } catch (error) {
+    console.error('Vote complaint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/complaints/:id/follow
+// @desc    Follow a complaint to get its status changes and comments
+// @access  Private
+router.post('/:id/follow', auth, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id).select('status mergedInto submittedBy');
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (complaint.status === 'Merged') {
+      return res.status(400).json({
+        message: 'This complaint was merged into another complaint',
+        mergedInto: complaint.mergedInto
+      });
+    }
+
+    if (complaint.submittedBy && complaint.submittedBy.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You already get updates on complaints you reported' });
+    }
+
+    await Complaint.follow(complaint._id, req.user._id);
+    const { followerCount } = await Complaint.findById(complaint._id).select('followerCount');
+
+    res.json({
+      message: 'You are now following this complaint',
+      isFollowing: true,
+      followerCount
+    });
+  } catch (error) {
+    console.error('Follow complaint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/complaints/:id/follow
+// @desc    Stop following a complaint
+// @access  Private
+router.delete('/:id/follow', auth, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id).select('_id');
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    await Complaint.unfollow(complaint._id, req.user._id);
+    const { followerCount } = await Complaint.findById(complaint._id).select('followerCount');
+
+    res.json({
+      message: 'You are no longer following this complaint',
+      isFollowing: false,
+      followerCount
+    });
+  } catch (error) {
+    console.error('Unfollow complaint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/complaints/user/my-complaints
+// @desc    Get current user's complaints
+// @access  Private
+router.get('/user/my-complaints', auth, async (req, res) => {
+  try {
+    const { page, cursor, fields, includeTotal, status } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const selection = parseFields(fields, { allowed: LIST_FIELDS, derived: LIST_DERIVED_FIELDS });
+    const filter = { submittedBy: req.user._id };
 
     if (status && status !== 'all') {
       filter.status = status;
     }
 
-    const complaints = await Complaint.find(filter)
+    const query = Complaint.find(filter)
       .populate('assignedTo', 'name avatar')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+      .lean();
+    if (selection) query.select(selection.select);
 
-    const total = await Complaint.countDocuments(filter);
+    const { items: complaints, pagination } = await fetchPage(query, {
+      sort: { createdAt: -1 },
+      limit,
+      cursor,
+      page,
+      countTotal: () => Complaint.countDocuments(filter),
+      includeTotal: includeTotal === 'true'
+    });
+
+    const complaintsWithCounts = complaints.map(complaint => {
+      const item = {
+        ...complaint,
+        upvoteCount: complaint.upvotes?.length || 0,
+        downvoteCount: complaint.downvotes?.length || 0,
+        commentCount: complaint.comments?.length || 0
+      };
+      return selection ? selection.pick(item) : item;
+    });
 
     res.json({
-      complaints,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      complaints: complaintsWithCounts,
+      pagination
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get user complaints error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/complaints/user/following
+// @desc    Get the complaints the current user follows
+// @access  Private
+router.get('/user/following', auth, async (req, res) => {
+  try {
+    const { page, cursor, fields, includeTotal, status } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const selection = parseFields(fields, {
+      allowed: LIST_FIELDS,
+      derived: LIST_DERIVED_FIELDS,
+      // Needed to mask anonymous reporters whatever the client asks for
+      required: ['submittedBy', 'isAnonymous']
+    });
+    const filter = { followers: req.user._id };
+
+    // Merged and withdrawn complaints drop out unless asked for by status
+    if (status && status !== 'all') {
+      filter.status = status;
+    } else {
+      filter.status = { $nin: HIDDEN_STATUSES };
+    }
+
+    const query = Complaint.find(filter)
+      .populate('submittedBy', 'name avatar')
+      .populate('assignedTo', 'name avatar')
+      .lean();
+    if (selection) query.select(selection.select);
+
+    const { items: complaints, pagination } = await fetchPage(query, {
+      sort: { createdAt: -1 },
+      limit,
+      cursor,
+      page,
+      countTotal: () => Complaint.countDocuments(filter),
+      includeTotal: includeTotal === 'true'
+    });
+
+    const complaintsWithCounts = maskComplaints(complaints, req.user).map(complaint => {
+      const item = {
+        ...complaint,
+        upvoteCount: complaint.upvotes?.length || 0,
+        downvoteCount: complaint.downvotes?.length || 0,
+        commentCount: complaint.comments?.length || 0
+      };
+      return selection ? selection.pick(item) : item;
+    });
+
+    res.json({
+      complaints: complaintsWithCounts,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get followed complaints error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
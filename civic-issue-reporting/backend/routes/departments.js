@@ -0,0 +1,300 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Department = require('../models/Department');
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const Boundary = require('../models/Boundary');
+const { auth, adminAuth } = require('../middleware/auth');
+const { maskComplaints } = require('../services/anonymity');
+
+const router = express.Router();
+
+const CATEGORIES = ['Sanitation', 'Roads', 'Water', 'Electricity', 'Parks', 'Transport', 'Health', 'Other'];
+
+const departmentValidators = (isUpdate) => {
+  const optionalIfUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optionalIfUpdate(body('name')).trim().isLength({ min: 2, max: 60 }).withMessage('Name must be between 2 and 60 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    optionalIfUpdate(body('categories')).isArray({ min: 1 }).withMessage('At least one category is required'),
+    body('categories.*').isIn(CATEGORIES).withMessage('Invalid category'),
+    body('serviceArea').optional({ nullable: true }).custom((value) => {
+      if (value === null) return true;
+      if (!value || !['Polygon', 'MultiPolygon'].includes(value.type) || !Array.isArray(value.coordinates)) {
+        throw new Error('Service area must be a GeoJSON Polygon or MultiPolygon');
+      }
+      return true;
+    }),
+    body('head').optional({ nullable: true }).isMongoId().withMessage('Invalid head user ID'),
+    body('officers').optional().isArray().withMessage('Officers must be an array'),
+    body('officers.*').isMongoId().withMessage('Invalid officer ID'),
+    body('autoAssignOfficer').optional().isBoolean().withMessage('autoAssignOfficer must be a boolean'),
+    body('contactEmail').optional().isEmail().withMessage('Invalid contact email')
+  ];
+};
+
+// Keep User.department in sync with the department's staff list
+const syncStaff = async (department) => {
+  const staff = [...department.officers];
+  if (department.head) staff.push(department.head);
+
+  await User.updateMany(
+    { department: department._id, _id: { $nin: staff } },
+    { $unset: { department: 1 } }
+  );
+  if (staff.length > 0) {
+    await User.updateMany({ _id: { $in: staff } }, { department: department._id });
+  }
+};
+
+// @route   GET /api/departments
+// @desc    Get all active departments
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { category } = req.query;
+    const filter = { isActive: true };
+
+    if (category && category !== 'all') {
+      filter.categories = category;
+    }
+
+    const departments = await Department.find(filter)
+      .select('-serviceArea')
+      .populate('head', 'name avatar')
+      .sort({ name: 1 })
+      .lean();
+
+    const departmentsWithCounts = departments.map(department => ({
+      ...department,
+      officerCount: department.officers?.length || 0
+    }));
+
+    res.json({ departments: departmentsWithCounts });
+  } catch (error) {
+    console.error('Get departments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/departments/:id
+// @desc    Get single department with queue statistics
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id)
+      .populate('head', 'name avatar')
+      .populate('officers', 'name avatar');
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const queueStats = await Complaint.aggregate([
+      { $match: { department: department._id } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    res.json({
+      department,
+      queueStats
+    });
+  } catch (error) {
+    console.error('Get department error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/departments/:id/complaints
+// @desc    Get the complaint queue of a department
+// @access  Private (Admin or department staff)
+router.get('/:id/complaints', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, assignedTo, ward } = req.query;
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    if (req.user.role !== 'admin' && !department.isStaff(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this queue' });
+    }
+
+    const filter = { department: department._id };
+
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    if (ward) {
+      filter.ward = { $in: await Boundary.resolveIds(ward) };
+    }
+
+    if (assignedTo === 'me') {
+      filter.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      filter.assignedTo = { $exists: false };
+    }
+
+    const complaints = await Complaint.find(filter)
+      .populate('submittedBy', 'name avatar')
+      .populate('assignedTo', 'name avatar')
+      .populate('ward', 'name code')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await Complaint.countDocuments(filter);
+
+    res.json({
+      complaints: maskComplaints(complaints, req.user),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get department complaints error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/departments
+// @desc    Create a new department
+// @access  Private (Admin only)
+router.post('/', adminAuth, departmentValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, categories, serviceArea, head, officers = [], autoAssignOfficer, contactEmail, contactPhone } = req.body;
+
+    const existingDepartment = await Department.findOne({
+      $or: [{ name }, { slug: Department.slugFor(name) }]
+    });
+    if (existingDepartment) {
+      return res.status(400).json({ message: 'Department name already exists' });
+    }
+
+    const department = new Department({
+      name,
+      description,
+      categories,
+      serviceArea: serviceArea || undefined,
+      head,
+      officers,
+      autoAssignOfficer,
+      contactEmail,
+      contactPhone
+    });
+
+    await department.save();
+    await syncStaff(department);
+
+    res.status(201).json({
+      message: 'Department created successfully',
+      department
+    });
+  } catch (error) {
+    // Created at the same time under the same name
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Department name already exists' });
+    }
+    console.error('Create department error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/departments/:id
+// @desc    Update a department
+// @access  Private (Admin only)
+router.put('/:id', adminAuth, departmentValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    if (req.body.name !== undefined && req.body.name !== department.name) {
+      const existingDepartment = await Department.findOne({
+        $or: [{ name: req.body.name }, { slug: Department.slugFor(req.body.name) }],
+        _id: { $ne: department._id }
+      });
+      if (existingDepartment) {
+        return res.status(400).json({ message: 'Department name already exists' });
+      }
+    }
+
+    const fields = ['name', 'description', 'categories', 'head', 'officers', 'autoAssignOfficer', 'contactEmail', 'contactPhone', 'isActive'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        department[field] = req.body[field];
+      }
+    });
+
+    if (req.body.serviceArea !== undefined) {
+      department.serviceArea = req.body.serviceArea || undefined;
+    }
+
+    await department.save();
+    await syncStaff(department);
+
+    res.json({
+      message: 'Department updated successfully',
+      department
+    });
+  } catch (error) {
+    // Renamed at the same time to the same name
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Department name already exists' });
+    }
+    console.error('Update department error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/departments/:id
+// @desc    Deactivate a department (soft delete)
+// @access  Private (Admin only)
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    department.isActive = false;
+    await department.save();
+
+    res.json({ message: 'Department deactivated successfully' });
+  } catch (error) {
+    console.error('Delete department error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
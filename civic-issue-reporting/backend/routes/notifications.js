@@ -0,0 +1,119 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const { auth } = require('../middleware/auth');
+const { parseLimit, fetchPage } = require('../services/pagination');
+const { emitRead } = require('../services/inAppNotifications');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    The current user's notifications, newest first, with the unread
+//          count. `unread=true` lists unread ones only.
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page, cursor, unread, includeTotal } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    const filter = { recipient: req.user._id };
+    if (unread === 'true') filter.read = false;
+
+    const query = Notification.find(filter)
+      .populate('actor', 'name avatar')
+      .lean();
+
+    const [{ items: notifications, pagination }, unreadCount] = await Promise.all([
+      fetchPage(query, {
+        sort: { createdAt: -1 },
+        limit,
+        cursor,
+        page,
+        countTotal: () => Notification.countDocuments(filter),
+        includeTotal: includeTotal === 'true'
+      }),
+      Notification.countDocuments({ recipient: req.user._id, read: false })
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, read: false });
+
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    emitRead(req.user._id, 'all');
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount,
+      unreadCount: 0
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+      emitRead(req.user._id, [notification._id]);
+    }
+
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, read: false });
+
+    res.json({
+      message: 'Notification marked as read',
+      notification,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { HIDDEN_STATUSES } = require('../config/statusWorkflow');
+const { geocodeAddress } = require('../services/geocoding');
+const { maskComplaint } = require('../services/anonymity');
+const { publish } = require('../services/eventBus');
+const {
+  MAX_OPEN311_REQUESTS,
+  findCategory,
+  getServices,
+  getServiceDefinition,
+  toServiceRequest,
+  buildRequestFilter,
+  titleFrom,
+  toXml
+} = require('../services/open311');
+
+// Open311 GeoReport v2 endpoints. Every path ends in .json or .xml, which
+// picks the response format; errors are GeoReport error lists.
+const router = express.Router();
+
+const FORMAT = ':format(json|xml)';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Send `value` as JSON, or as an XML document with a `root` element
+const respond = (req, res, status, root, value) => {
+  if (req.params.format === 'xml') {
+    return res.status(status).type('application/xml').send(toXml(root, value));
+  }
+  res.status(status).json(value);
+};
+
+const respondError = (req, res, status, descriptions) =>
+  respond(req, res, status, 'errors', [].concat(descriptions).map(description => ({
+    code: status,
+    description
+  })));
+
+// @route   GET /open311/v2/services.(json|xml)
+// @desc    List services (complaint categories)
+// @access  Public
+router.get(`/services.${FORMAT}`, (req, res) => {
+  respond(req, res, 200, 'services', getServices());
+});
+
+// @route   GET /open311/v2/services/:service_code.(json|xml)
+// @desc    Service definition with its extra attributes
+// @access  Public
+router.get(`/services/:service_code.${FORMAT}`, (req, res) => {
+  const category = findCategory(req.params.service_code);
+  if (!category) {
+    return respondError(req, res, 404, 'Service not found');
+  }
+
+  respond(req, res, 200, 'service_definition', getServiceDefinition(category));
+});
+
+// @route   GET /open311/v2/requests.(json|xml)
+// @desc    List service requests. Filters: service_request_id (comma-separated),
+//          service_code, status (open/closed), start_date and end_date
+// @access  Public
+router.get(`/requests.${FORMAT}`, async (req, res) => {
+  try {
+    const filter = buildRequestFilter(req.query);
+
+    const complaints = await Complaint.find(filter)
+      .select('category status description department location images source statusHistory resolutionDetails dueAt createdAt updatedAt')
+      .populate('department', 'name')
+      .sort({ createdAt: -1 })
+      .limit(MAX_OPEN311_REQUESTS)
+      .lean();
+
+    const baseUrl = baseUrlOf(req);
+    respond(req, res, 200, 'service_requests', complaints.map(complaint => toServiceRequest(complaint, baseUrl)));
+  } catch (error) {
+    if (error.statusCode) {
+      return respondError(req, res, error.statusCode, error.message);
+    }
+    console.error('Open311 list requests error:', error);
+    respondError(req, res, 500, 'Server error');
+  }
+});
+
+// @route   GET /open311/v2/requests/:service_request_id.(json|xml)
+// @desc    Get one service request
+// @access  Public
+router.get(`/requests/:service_request_id.${FORMAT}`, async (req, res) => {
+  try {
+    const id = req.params.service_request_id;
+    const complaint = /^[a-f\d]{24}$/i.test(id)
+      ? await Complaint.findOne({ _id: id, status: { $nin: HIDDEN_STATUSES } })
+        .populate('department', 'name')
+        .lean()
+      : null;
+
+    if (!complaint) {
+      return respondError(req, res, 404, 'Service request not found');
+    }
+
+    respond(req, res, 200, 'service_requests', [toServiceRequest(complaint, baseUrlOf(req))]);
+  } catch (error) {
+    console.error('Open311 get request error:', error);
+    respondError(req, res, 500, 'Server error');
+  }
+});
+
+// @route   GET /open311/v2/tokens/:token.(json|xml)
+// @desc    Look up the service request id for a submission token
+// @access  Public
+router.get(`/tokens/:token.${FORMAT}`, async (req, res) => {
+  try {
+    const complaint = await Complaint.findOne({ 'source.token': req.params.token }).select('_id');
+
+    if (!complaint) {
+      return respondError(req, res, 404, 'Token not found');
+    }
+
+    respond(req, res, 200, 'service_requests', [{
+      service_request_id: complaint._id.toString(),
+      token: req.params.token
+    }]);
+  } catch (error) {
+    console.error('Open311 get token error:', error);
+    respondError(req, res, 500, 'Server error');
+  }
+});
+
+// @route   POST /open311/v2/requests.(json|xml)
+// @desc    Submit a service request. Needs an api_key, a service_code, a
+//          description and a location (lat and long, or address_string).
+//          The complaint is filed under the key's account; the citizen's
+//          name, email and phone are kept on the complaint.
+// @access  API key
+router.post(`/requests.${FORMAT}`, [
+  body('service_code').custom((value) => {
+    if (isBlank(value)) throw new Error('service_code is required');
+    if (!findCategory(value)) throw new Error('Unknown service_code');
+    return true;
+  }),
+  body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('description must be between 10 and 1000 characters'),
+  body('lat').optional({ checkFalsy: true }).isFloat({ min: -90, max: 90 }).withMessage('Invalid lat'),
+  body('long').optional({ checkFalsy: true }).isFloat({ min: -180, max: 180 }).withMessage('Invalid long'),
+  body('address_string').optional().trim().isLength({ max: 500 }).withMessage('address_string cannot be more than 500 characters'),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Invalid email'),
+  body('phone').optional().trim().isLength({ max: 20 }).withMessage('Invalid phone'),
+  body('media_url').optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('media_url must be an http(s) URL'),
+  body('attribute.priority').optional({ checkFalsy: true })
+    .isIn(['Low', 'Medium', 'High', 'Critical']).withMessage('Invalid priority')
+], async (req, res) => {
+  try {
+    const apiKey = await ApiKey.authenticate(req.body.api_key);
+    if (!apiKey) {
+      return respondError(req, res, 403, 'Invalid api_key');
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return respondError(req, res, 400, errors.array().map(error => error.msg));
+    }
+
+    const {
+      service_code, description, lat, long, address_string,
+      first_name, last_name, email, phone, media_url, account_id
+    } = req.body;
+    const category = findCategory(service_code);
+
+    let coordinates;
+    if (!isBlank(lat) && !isBlank(long)) {
+      coordinates = [parseFloat(long), parseFloat(lat)];
+    } else if (!isBlank(address_string)) {
+      try {
+        coordinates = await geocodeAddress(address_string);
+      } catch (error) {
+        console.error('Open311 geocoding error:', error);
+        return respondError(req, res, 503, 'address_string could not be geocoded right now; send lat and long');
+      }
+      if (!coordinates) {
+        return respondError(req, res, 400, 'address_string could not be located');
+      }
+    } else {
+      return respondError(req, res, 400, 'A location is required: lat and long, or address_string');
+    }
+
+    const citizenName = [first_name, last_name].filter(name => !isBlank(name)).join(' ').trim().slice(0, 50);
+    const hasCitizen = citizenName || !isBlank(email) || !isBlank(phone);
+    const token = crypto.randomBytes(16).toString('hex');
+
+    const complaint = new Complaint({
+      title: titleFrom(description, category),
+      description,
+      category,
+      location: {
+        type: 'Point',
+        coordinates,
+        address: isBlank(address_string)
+          ? `Reported location (${coordinates[1].toFixed(5)}, ${coordinates[0].toFixed(5)})`
+          : address_string
+      },
+      submittedBy: apiKey.user,
+      citizen: hasCitizen
+        ? { name: citizenName || undefined, email: email || undefined, phone: phone || undefined }
+        : undefined,
+      source: { channel: 'open311', apiKey: apiKey._id, token, mediaUrl: media_url || undefined },
+      statusHistory: [{
+        status: 'Submitted',
+        changedBy: apiKey.user,
+        changedAt: new Date(),
+        comment: `Submitted through Open311 (${apiKey.name})`
+      }]
+    });
+
+    const priority = req.body.attribute && req.body.attribute.priority;
+    if (priority) {
+      complaint.priority = priority;
+    }
+
+    await complaint.save();
+
+    await User.findByIdAndUpdate(apiKey.user, {
+      $inc: { complaintsSubmitted: 1 }
+    });
+
+    const populatedComplaint = await Complaint.findById(complaint._id)
+      .populate('submittedBy', 'name avatar')
+      .populate('department', 'name slug');
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    const newComplaint = maskComplaint(populatedComplaint);
+    io.emit('new-complaint', newComplaint);
+    publish('complaint.created', newComplaint);
+    if (complaint.department) {
+      const assignment = {
+        complaintId: complaint._id,
+        department: complaint.department,
+        assignedTo: complaint.assignedTo || null
+      };
+      io.emit('complaint-assigned', assignment);
+      publish('complaint.assigned', assignment);
+    }
+
+    respond(req, res, 201, 'service_requests', [{
+      service_request_id: complaint._id.toString(),
+      token,
+      service_notice: populatedComplaint.department
+        ? `Routed to ${populatedComplaint.department.name}`
+        : '',
+      account_id: account_id || ''
+    }]);
+  } catch (error) {
+    console.error('Open311 create request error:', error);
+    respondError(req, res, 500, 'Server error');
+  }
+});
+
+module.exports = router;
@@ -5,9 +5,29 @@ const Complaint = require('../models/Complaint');
 const Community = require('../models/Community');
 const { auth, adminAuth } = require('../middleware/auth');
 const { upload, handleMulterError } = require('../middleware/upload');
+const { CLOSED_STATUSES } = require('../config/sla');
+const { HIDDEN_STATUSES } = require('../config/statusWorkflow');
+const { REPORTER_PERMISSION, maskComplaints } = require('../services/anonymity');
+const ReporterAccessLog = require('../models/ReporterAccessLog');
+const Boundary = require('../models/Boundary');
+const ApiKey = require('../models/ApiKey');
+const { EMAIL_PREFERENCES, verifyUnsubscribeToken } = require('../services/emailNotifications');
+const { SMS_PREFERENCES } = require('../services/smsNotifications');
+const { AUTO_FOLLOW_PREFERENCES } = require('../services/complaintAudience');
+const { LANGUAGES, unsubscribedMessage } = require('../services/emailTemplates');
 
 const router = express.Router();
 
+// Notification types each channel can be switched on or off for, and the
+// actions that follow a complaint automatically
+const NOTIFICATION_PREFERENCES = {
+  email: EMAIL_PREFERENCES,
+  sms: SMS_PREFERENCES,
+  autoFollow: AUTO_FOLLOW_PREFERENCES
+};
+const preferencePaths = Object.entries(NOTIFICATION_PREFERENCES)
+  .flatMap(([channel, preferences]) => preferences.map(preference => `${channel}.${preference}`));
+
 // @route   GET /api/users/profile/:id
 // @desc    Get user profile by ID
 // @access  Public
@@ -41,9 +61,9 @@ router.get('/profile/:id', async (req, res) => {
 
     complaintStats.forEach(stat => {
       stats.total += stat.count;
-      if (stat._id === 'Submitted') stats.submitted = stat.count;
-      if (stat._id === 'In Progress') stats.inProgress = stat.count;
-      if (stat._id === 'Resolved') stats.resolved = stat.count;
+      if (['Submitted', 'Acknowledged'].includes(stat._id)) stats.submitted += stat.count;
+      if (['In Progress', 'On Hold', 'Reopened'].includes(stat._id)) stats.inProgress += stat.count;
+      if (['Resolved', 'Closed'].includes(stat._id)) stats.resolved += stat.count;
     });
 
     res.json({
@@ -99,6 +119,102 @@ router.put('/profile', auth, upload.single('avatar'), handleMulterError, [
   }
 });
 
+// @route   GET /api/users/notification-preferences
+// @desc    Get the current user's notification language and channels
+// @access  Private
+router.get('/notification-preferences', auth, (req, res) => {
+  res.json({
+    language: req.user.language,
+    notificationPreferences: req.user.notificationPreferences
+  });
+});
+
+// @route   PUT /api/users/notification-preferences
+// @desc    Update the notification language, which notifications are sent
+//          per channel (email, sms) and whether upvoting or commenting
+//          follows a complaint (autoFollow). SMS needs a phone number.
+// @access  Private
+router.put('/notification-preferences', auth, [
+  body('language').optional().isIn(LANGUAGES).withMessage(`Language must be one of: ${LANGUAGES.join(', ')}`),
+  ...preferencePaths.map(preference =>
+    body(`notificationPreferences.${preference}`).optional().isBoolean().withMessage(`${preference} must be a boolean`).toBoolean(true)
+  )
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updateFields = {};
+    const { language, notificationPreferences } = req.body;
+
+    if (language) updateFields.language = language;
+    Object.entries(NOTIFICATION_PREFERENCES).forEach(([channel, preferences]) => {
+      const values = (notificationPreferences && notificationPreferences[channel]) || {};
+      preferences.forEach((preference) => {
+        if (values[preference] !== undefined) {
+          updateFields[`notificationPreferences.${channel}.${preference}`] = values[preference];
+        }
+      });
+    });
+
+    const enablesSms = SMS_PREFERENCES.some(preference =>
+      updateFields[`notificationPreferences.sms.${preference}`] === true);
+    if (enablesSms && !req.user.phone) {
+      return res.status(400).json({ message: 'Add a phone number to your profile to get SMS updates' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updateFields,
+      { new: true, runValidators: true }
+    ).select('language notificationPreferences');
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      language: user.language,
+      notificationPreferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET|POST /api/users/unsubscribe?token=
+// @desc    Turn off one kind of notification email from the link in that
+//          email. POST is the one-click unsubscribe of mail clients.
+// @access  Public (signed token)
+const unsubscribeFromEmail = async (req, res) => {
+  try {
+    const target = verifyUnsubscribeToken(req.query.token);
+    if (!target) {
+      return res.status(400).type('text/plain').send('This unsubscribe link is invalid.');
+    }
+
+    const user = await User.findByIdAndUpdate(
+      target.userId,
+      { [`notificationPreferences.email.${target.preference}`]: false },
+      { new: true }
+    ).select('language');
+
+    if (!user) {
+      return res.status(404).type('text/plain').send('Account not found.');
+    }
+
+    res.type('text/plain').send(unsubscribedMessage(user.language));
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).type('text/plain').send('Server error');
+  }
+};
+router.get('/unsubscribe', unsubscribeFromEmail);
+router.post('/unsubscribe', unsubscribeFromEmail);
+
 // @route   GET /api/users/dashboard
 // @desc    Get user dashboard data
 // @access  Private
@@ -112,6 +228,15 @@ router.get('/dashboard', auth, async (req, res) => {
       .limit(5)
       .populate('assignedTo', 'name avatar');
 
+    // Get complaints the user follows, most recently updated first
+    const followedComplaints = await Complaint.find({
+      followers: userId,
+      status: { $nin: HIDDEN_STATUSES }
+    })
+      .sort({ updatedAt: -1 })
+      .limit(5)
+      .populate('submittedBy', 'name avatar');
+
     // Get user's communities
     const userCommunities = await Community.find({
       'members.user': userId,
@@ -140,9 +265,9 @@ router.get('/dashboard', auth, async (req, res) => {
 
     complaintStats.forEach(stat => {
       stats.total += stat.count;
-      if (stat._id === 'Submitted') stats.submitted = stat.count;
-      if (stat._id === 'In Progress') stats.inProgress = stat.count;
-      if (stat._id === 'Resolved') stats.resolved = stat.count;
+      if (['Submitted', 'Acknowledged'].includes(stat._id)) stats.submitted += stat.count;
+      if (['In Progress', 'On Hold', 'Reopened'].includes(stat._id)) stats.inProgress += stat.count;
+      if (['Resolved', 'Closed'].includes(stat._id)) stats.resolved += stat.count;
     });
 
     // Get nearby complaints (if user has location)
@@ -155,7 +280,8 @@ router.get('/dashboard', auth, async (req, res) => {
             $maxDistance: 5000 // 5km radius
           }
         },
-        submittedBy: { $ne: userId }
+        submittedBy: { $ne: userId },
+        status: { $nin: HIDDEN_STATUSES }
       })
       .limit(5)
       .populate('submittedBy', 'name avatar');
@@ -163,9 +289,10 @@ router.get('/dashboard', auth, async (req, res) => {
 
     res.json({
       recentComplaints,
+      followedComplaints: maskComplaints(followedComplaints, req.user),
       userCommunities,
       complaintStats: stats,
-      nearbyComplaints
+      nearbyComplaints: maskComplaints(nearbyComplaints, req.user)
     });
   } catch (error) {
     console.error('Get dashboard error:', error);
@@ -191,13 +318,17 @@ router.put('/location', auth, [
     }
 
     const { latitude, longitude, address } = req.body;
+    const coordinates = [parseFloat(longitude), parseFloat(latitude)];
+    const { ward, zone } = await Boundary.assignmentFor(coordinates);
 
     await User.findByIdAndUpdate(req.user._id, {
       location: {
         type: 'Point',
-        coordinates: [parseFloat(longitude), parseFloat(latitude)],
+        coordinates,
         address: address || ''
-      }
+      },
+      ward,
+      zone
     });
 
     res.json({ message: 'Location updated successfully' });
@@ -259,15 +390,19 @@ router.get('/search', auth, async (req, res) => {
 // @access  Public
 router.get('/leaderboard', async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, ward } = req.query;
+    const filter = { isActive: true };
+    if (ward) {
+      filter.ward = { $in: await Boundary.resolveIds(ward) };
+    }
 
-    const users = await User.find({ isActive: true })
+    const users = await User.find(filter)
       .select('name avatar reputationScore complaintsSubmitted')
       .sort({ reputationScore: -1, complaintsSubmitted: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await User.countDocuments({ isActive: true });
+    const total = await User.countDocuments(filter);
 
     res.json({
       users,
@@ -289,16 +424,23 @@ router.get('/leaderboard', async (req, res) => {
 // @access  Private (Admin only)
 router.get('/admin/stats', adminAuth, async (req, res) => {
   try {
+    // Optionally restrict every statistic to one ward
+    const scope = req.query.ward
+      ? { ward: { $in: await Boundary.resolveIds(req.query.ward) } }
+      : {};
+
     // User statistics
-    const totalUsers = await User.countDocuments({ isActive: true });
+    const totalUsers = await User.countDocuments({ ...scope, isActive: true });
     const newUsersThisMonth = await User.countDocuments({
+      ...scope,
       isActive: true,
       createdAt: { $gte: new Date(new Date().setDate(1)) }
     });
 
     // Complaint statistics
-    const totalComplaints = await Complaint.countDocuments();
+    const totalComplaints = await Complaint.countDocuments(scope);
     const complaintsByStatus = await Complaint.aggregate([
+      { $match: scope },
       {
         $group: {
           _id: '$status',
@@ -308,6 +450,7 @@ router.get('/admin/stats', adminAuth, async (req, res) => {
     ]);
 
     const complaintsByCategory = await Complaint.aggregate([
+      { $match: scope },
       {
         $group: {
           _id: '$category',
@@ -316,10 +459,47 @@ router.get('/admin/stats', adminAuth, async (req, res) => {
       }
     ]);
 
+    const complaintsByWard = await Complaint.aggregate([
+      { $match: scope },
+      {
+        $group: {
+          _id: '$ward',
+          count: { $sum: 1 },
+          open: { $sum: { $cond: [{ $in: ['$status', CLOSED_STATUSES] }, 0, 1] } }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $lookup: { from: 'boundaries', localField: '_id', foreignField: '_id', as: 'ward' } },
+      {
+        $project: {
+          count: 1,
+          open: 1,
+          name: { $first: '$ward.name' },
+          code: { $first: '$ward.code' }
+        }
+      }
+    ]);
+
+    // SLA statistics
+    const overdueComplaints = await Complaint.countDocuments({
+      ...scope,
+      status: { $nin: CLOSED_STATUSES },
+      dueAt: { $lt: new Date() }
+    });
+    const complaintsByEscalation = await Complaint.aggregate([
+      { $match: { ...scope, 'sla.breached': true, status: { $nin: CLOSED_STATUSES } } },
+      {
+        $group: {
+          _id: '$sla.escalationLevel',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
     // Community statistics
-    const totalCommunities = await Community.countDocuments({ isActive: true });
+    const totalCommunities = await Community.countDocuments({ ...scope, isActive: true });
     const communitiesByCategory = await Community.aggregate([
-      { $match: { isActive: true } },
+      { $match: { ...scope, isActive: true } },
       {
         $group: {
           _id: '$category',
@@ -329,11 +509,11 @@ router.get('/admin/stats', adminAuth, async (req, res) => {
     ]);
 
     // Recent activity
-    const recentComplaints = await Complaint.find()
+    const recentComplaints = await Complaint.find(scope)
       .sort({ createdAt: -1 })
       .limit(10)
       .populate('submittedBy', 'name avatar')
-      .select('title status category createdAt');
+      .select('title status category createdAt isAnonymous submittedBy');
 
     res.json({
       userStats: {
@@ -343,13 +523,16 @@ router.get('/admin/stats', adminAuth, async (req, res) => {
       complaintStats: {
         total: totalComplaints,
         byStatus: complaintsByStatus,
-        byCategory: complaintsByCategory
+        byCategory: complaintsByCategory,
+        byWard: complaintsByWard,
+        overdue: overdueComplaints,
+        byEscalationLevel: complaintsByEscalation
       },
       communityStats: {
         total: totalCommunities,
         byCategory: communitiesByCategory
       },
-      recentActivity: recentComplaints
+      recentActivity: maskComplaints(recentComplaints, req.user)
     });
   } catch (error) {
     console.error('Get admin stats error:', error);
@@ -357,11 +540,174 @@ router.get('/admin/stats', adminAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/admin/reporter-access-logs
+// @desc    Audit log of staff revealing complaint reporters
+// @access  Private (Admin only)
+router.get('/admin/reporter-access-logs', adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, complaint, accessedBy } = req.query;
+    const filter = {};
+
+    if (complaint) filter.complaint = complaint;
+    if (accessedBy) filter.accessedBy = accessedBy;
+
+    const logs = await ReporterAccessLog.find(filter)
+      .populate('complaint', 'title isAnonymous')
+      .populate('accessedBy', 'name email role')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ReporterAccessLog.countDocuments(filter);
+
+    res.json({
+      logs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reporter access logs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/admin/api-keys
+// @desc    List Open311 API keys (without the keys themselves)
+// @access  Private (Admin only)
+router.get('/admin/api-keys', adminAuth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('user', 'name email')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/admin/api-keys
+// @desc    Issue an Open311 API key. Complaints submitted with it are filed
+//          under `user`, by default the call-centre proxy account.
+//          The key is only returned in this response.
+// @access  Private (Admin only)
+router.post('/admin/api-keys', adminAuth, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('user').optional().isMongoId().withMessage('Invalid user')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.body.user
+      ? await User.findById(req.body.user).select('_id')
+      : await User.callCentreUser();
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { key, keyHash, prefix } = ApiKey.generateKey();
+    const apiKey = await ApiKey.create({
+      name: req.body.name,
+      keyHash,
+      prefix,
+      user: user._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'API key created; store it now, it will not be shown again',
+      apiKey: { ...apiKey.toObject(), keyHash: undefined },
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/admin/api-keys/:id
+// @desc    Revoke an Open311 API key
+// @access  Private (Admin only)
+router.delete('/admin/api-keys/:id', adminAuth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { isActive: false, revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.json({
+      message: 'API key revoked successfully',
+      apiKey
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/users/:id/permissions
+// @desc    Grant or revoke staff permissions (admin only)
+// @access  Private (Admin only)
+router.put('/:id/permissions', adminAuth, [
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn([REPORTER_PERMISSION]).withMessage('Invalid permission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const permissions = [...new Set(req.body.permissions)];
+    if (permissions.length > 0 && !['admin', 'officer'].includes(user.role)) {
+      return res.status(400).json({ message: 'Permissions can only be granted to admins and officers' });
+    }
+
+    user.permissions = permissions;
+    await user.save();
+
+    res.json({
+      message: 'User permissions updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user permissions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/users/:id/role
 // @desc    Update user role (admin only)
 // @access  Private (Admin only)
 router.put('/:id/role', adminAuth, [
-  body('role').isIn(['user', 'admin', 'moderator']).withMessage('Invalid role')
+  body('role').isIn(['user', 'admin', 'moderator', 'officer']).withMessage('Invalid role')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -373,9 +719,15 @@ router.put('/:id/role', adminAuth, [
     }
 
     const { role } = req.body;
+    const update = { role };
+    // Staff permissions do not survive a demotion
+    if (!['admin', 'officer'].includes(role)) {
+      update.permissions = [];
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { role },
+      update,
       { new: true, runValidators: true }
     ).select('-password');
 
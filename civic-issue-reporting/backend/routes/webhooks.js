@@ -0,0 +1,273 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { adminAuth } = require('../middleware/auth');
+const { EVENTS } = require('../services/eventBus');
+const { generateSecret, replayDelivery, sendTestEvent } = require('../services/webhooks');
+
+const router = express.Router();
+
+// Local receivers are fine while developing
+const urlRule = (chain) => chain
+  .trim()
+  .isURL({
+    protocols: ['http', 'https'],
+    require_protocol: true,
+    require_tld: process.env.NODE_ENV === 'production'
+  })
+  .withMessage('URL must be an http(s) URL');
+
+const eventsRule = (chain) => chain
+  .isArray({ min: 1 }).withMessage('Subscribe to at least one event')
+  .custom(events => events.every(event => EVENTS.includes(event)))
+  .withMessage(`Events must be among: ${EVENTS.join(', ')}`);
+
+// @route   GET /api/webhooks
+// @desc    List webhooks and the events they can subscribe to
+// @access  Private (Admin only)
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find()
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({ webhooks, events: EVENTS });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Register a webhook. Its signing secret is only returned here
+//          and when it is rotated.
+// @access  Private (Admin only)
+router.post('/', adminAuth, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  urlRule(body('url')),
+  eventsRule(body('events')),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, url, events, isActive } = req.body;
+    const secret = generateSecret();
+
+    const webhook = await Webhook.create({
+      name,
+      url,
+      events: [...new Set(events)],
+      isActive: isActive !== false,
+      secret,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: { ...webhook.toObject(), secret: undefined },
+      secret
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook's name, URL, events or active flag
+// @access  Private (Admin only)
+router.put('/:id', adminAuth, [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  urlRule(body('url').optional()),
+  eventsRule(body('events').optional()),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const { name, url, events, isActive } = req.body;
+    if (name !== undefined) webhook.name = name;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (isActive !== undefined) webhook.isActive = isActive;
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Replace a webhook's signing secret
+// @access  Private (Admin only)
+router.post('/:id/rotate-secret', adminAuth, async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json({
+      message: 'Webhook secret rotated successfully',
+      webhook,
+      secret
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook and its delivery log
+// @access  Private (Admin only)
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a `ping` event to a webhook
+// @access  Private (Admin only)
+router.post('/:id/test', adminAuth, async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const delivery = await sendTestEvent(webhook, req.user);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Test event delivered' : 'Test event could not be delivered',
+      delivery
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    A webhook's delivery log, newest first (filter by status, event)
+// @access  Private (Admin only)
+router.get('/:id/deliveries', adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, event } = req.query;
+    const filter = { webhook: req.params.id };
+
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-payload -attemptLog')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/webhooks/deliveries/:deliveryId
+// @desc    One delivery with its payload and every attempt
+// @access  Private (Admin only)
+router.get('/deliveries/:deliveryId', adminAuth, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+      .populate('webhook', 'name url')
+      .populate('replayedBy', 'name');
+
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.json({ delivery });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks/deliveries/:deliveryId/replay
+// @desc    Send a logged delivery again, as a new delivery
+// @access  Private (Admin only)
+router.post('/deliveries/:deliveryId/replay', adminAuth, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const webhook = await Webhook.exists({ _id: delivery.webhook });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const replay = await replayDelivery(delivery, req.user);
+
+    res.status(201).json({
+      message: replay.status === 'succeeded' ? 'Delivery replayed' : 'Replay queued for retry',
+      delivery: replay
+    });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Complaint = require('../models/Complaint');
+const geohash = require('../services/geohash');
+
+// Store the geohash of complaints saved before the heatmap existed; new and
+// edited complaints get theirs on save
+const backfillGeohashes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/civic-issues');
+    console.log('✅ MongoDB Connected');
+
+    const cursor = Complaint.find({ 'location.geohash': { $exists: false } }, 'location.coordinates')
+      .lean()
+      .cursor();
+    let updates = [];
+    let count = 0;
+
+    for await (const complaint of cursor) {
+      const [lng, lat] = complaint.location.coordinates;
+      updates.push({
+        updateOne: {
+          filter: { _id: complaint._id },
+          update: { $set: { 'location.geohash': geohash.encode(lat, lng) } }
+        }
+      });
+      if (updates.length === 500) {
+        await Complaint.bulkWrite(updates);
+        count += updates.length;
+        updates = [];
+      }
+    }
+    if (updates.length > 0) {
+      await Complaint.bulkWrite(updates);
+      count += updates.length;
+    }
+
+    console.log(`✅ Stored the geohash of ${count} complaints`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling geohashes:', error);
+    process.exit(1);
+  }
+};
+
+backfillGeohashes();
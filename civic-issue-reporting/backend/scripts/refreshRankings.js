@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Complaint = require('../models/Complaint');
+
+// Recompute the stored hot/top/controversial ranking of every complaint,
+// e.g. after changing the weights in config/ranking.js
+const refreshRankings = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/civic-issues');
+    console.log('✅ MongoDB Connected');
+
+    const cursor = Complaint.find({}, 'upvotes downvotes comments viewCount createdAt').cursor();
+    let updates = [];
+    let count = 0;
+
+    for await (const complaint of cursor) {
+      updates.push({
+        updateOne: {
+          filter: { _id: complaint._id },
+          update: { $set: { ranking: complaint.computeRanking() } }
+        }
+      });
+      if (updates.length === 500) {
+        await Complaint.bulkWrite(updates);
+        count += updates.length;
+        updates = [];
+      }
+    }
+    if (updates.length > 0) {
+      await Complaint.bulkWrite(updates);
+      count += updates.length;
+    }
+
+    console.log(`✅ Refreshed ranking of ${count} complaints`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error refreshing rankings:', error);
+    process.exit(1);
+  }
+};
+
+refreshRankings();
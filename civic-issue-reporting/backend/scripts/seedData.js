@@ -8,6 +8,7 @@ const Complaint = require('../models/Complaint');
 const Community = require('../models/Community');
 const CommunityPost = require('../models/CommunityPost');
 const Comment = require('../models/Comment');
+const Department = require('../models/Department');
 
 // Connect to database
 const connectDB = async () => {
@@ -295,6 +296,7 @@ const clearDatabase = async () => {
     await Community.deleteMany({});
     await CommunityPost.deleteMany({});
     await Comment.deleteMany({});
+    await Department.deleteMany({});
     console.log('🗑️  Database cleared');
   } catch (error) {
     console.error('Error clearing database:', error);
@@ -323,6 +325,28 @@ const seedUsers = async () => {
   }
 };
 
+// Seed departments (one city-wide department per category)
+const seedDepartments = async (users) => {
+  try {
+    const admin = users.find(u => u.role === 'admin');
+
+    const created = await Department.create(
+      departments.map(name => ({
+        name,
+        description: `Handles ${name.toLowerCase()} related civic issues across the city.`,
+        categories: name === 'Health' ? ['Health', 'Other'] : [name],
+        head: admin ? admin._id : undefined
+      }))
+    );
+
+    console.log(`🏛️  Created ${created.length} departments`);
+    return created;
+  } catch (error) {
+    console.error('Error seeding departments:', error);
+    return [];
+  }
+};
+
 // Seed communities
 const seedCommunities = async (users) => {
   try {
@@ -541,6 +565,7 @@ const seedDatabase = async () => {
     await clearDatabase();
     
     const users = await seedUsers();
+    const seededDepartments = await seedDepartments(users);
     const communities = await seedCommunities(users);
     const complaints = await seedComplaints(users, communities);
     const posts = await seedCommunityPosts(users, communities);
@@ -549,6 +574,7 @@ const seedDatabase = async () => {
     console.log('\n✅ Database seeding completed successfully!');
     console.log('\n📊 Seeded data summary:');
     console.log(`   👥 Users: ${users.length}`);
+    console.log(`   🏛️  Departments: ${seededDepartments.length}`);
     console.log(`   🏘️  Communities: ${communities.length}`);
     console.log(`   📝 Complaints: ${complaints.length}`);
     console.log(`   📄 Community Posts: ${posts.length}`);
@@ -574,6 +600,7 @@ async function seedAll() {
   }
   await clearDatabase();
   const users = await seedUsers();
+  await seedDepartments(users);
   const communities = await seedCommunities(users);
   const complaints = await seedComplaints(users, communities);
   const posts = await seedCommunityPosts(users, communities);
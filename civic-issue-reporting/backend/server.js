@@ -5,6 +5,12 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
+const { startSlaScheduler, stopSlaScheduler } = require('./services/slaScheduler');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./services/webhooks');
+const { startEmailNotifications, stopEmailNotifications } = require('./services/emailNotifications');
+const { startSmsNotifications, stopSmsNotifications } = require('./services/smsNotifications');
+const { userRoom, startInAppNotifications, stopInAppNotifications } = require('./services/inAppNotifications');
+const { socketAuth } = require('./middleware/auth');
 
 const app = express();
 
@@ -18,6 +24,7 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
+app.use('/open311/', limiter);
 
 // CORS configuration
 app.use(cors({
@@ -65,6 +72,13 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/complaints', require('./routes/complaints'));
 app.use('/api/communities', require('./routes/communities'));
 app.use('/api/comments', require('./routes/comments'));
+app.use('/api/departments', require('./routes/departments'));
+app.use('/api/boundaries', require('./routes/boundaries'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/notifications', require('./routes/notifications'));
+
+// Open311 GeoReport v2 facade for city systems and civic apps
+app.use('/open311/v2', require('./routes/open311'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -123,8 +137,15 @@ async function startServer() {
       }
     });
 
+    io.use(socketAuth);
+
     io.on('connection', (socket) => {
       console.log('👤 User connected:', socket.id);
+
+      // Personal notifications for signed-in users
+      if (socket.data.user) {
+        socket.join(userRoom(socket.data.user._id));
+      }
       
       socket.on('join-community', (communityId) => {
         socket.join(communityId);
@@ -144,8 +165,36 @@ async function startServer() {
     // Make io available to routes
     app.set('io', io);
 
+    // Background SLA breach detection and escalation
+    if (process.env.SLA_SCHEDULER !== 'false') {
+      startSlaScheduler(io);
+    }
+
+    // Outbound webhook deliveries and their retries
+    if (process.env.WEBHOOK_DISPATCHER !== 'false') {
+      startWebhookDispatcher();
+    }
+
+    // Notification center entries, pushed to each recipient's sockets
+    startInAppNotifications(io);
+
+    // Email notifications to reporters and retries of the email outbox
+    if (process.env.EMAIL_NOTIFICATIONS !== 'false') {
+      startEmailNotifications();
+    }
+
+    // Text message status updates and their retries
+    if (process.env.SMS_NOTIFICATIONS !== 'false') {
+      startSmsNotifications();
+    }
+
     // Graceful shutdown for in-memory Mongo
     process.on('SIGINT', async () => {
+      stopSlaScheduler();
+      stopWebhookDispatcher();
+      stopEmailNotifications();
+      stopSmsNotifications();
+      stopInAppNotifications();
       if (mongoMemoryServer) {
         await mongoose.disconnect();
         await mongoMemoryServer.stop();
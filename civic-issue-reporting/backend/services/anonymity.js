@@ -0,0 +1,99 @@
+// Anonymity layer for complaint responses.
+// Anonymous complaints never expose their reporter through the regular API,
+// socket broadcasts or exports; staff holding the reporter-identity permission
+// reveal it explicitly through POST /api/complaints/:id/reporter with a reason,
+// which is logged.
+
+const REPORTER_PERMISSION = 'view_reporter_identity';
+
+const STAFF_ROLES = ['admin', 'officer'];
+
+const idOf = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+// Whether a user may request the identity of anonymous reporters
+const canViewReporter = (user) =>
+  !!user && STAFF_ROLES.includes(user.role) &&
+  Array.isArray(user.permissions) && user.permissions.includes(REPORTER_PERMISSION);
+
+// Return a plain copy of a complaint that is safe to send to `viewer`
+// (null for public responses and broadcasts). The reporter sees their own
+// complaint unmasked; everyone else gets the reporter, and any trace of their
+// id in history entries, removed. Reporter emails are never public.
+const maskComplaint = (complaint, viewer = null) => {
+  if (!complaint) return complaint;
+
+  const data = typeof complaint.toObject === 'function' ? complaint.toObject() : { ...complaint };
+  const reporterId = idOf(data.submittedBy);
+  const isOwnComplaint = !!viewer && !!reporterId && idOf(viewer) === reporterId;
+
+  if (isOwnComplaint) return data;
+
+  if (data.submittedBy && typeof data.submittedBy === 'object' && data.submittedBy.email) {
+    const { email, ...reporter } = data.submittedBy;
+    data.submittedBy = reporter;
+  }
+
+  // Contact details of citizens filed for by proxy are for staff only
+  if (data.citizen && !data.isAnonymous && !(viewer && STAFF_ROLES.includes(viewer.role))) {
+    data.citizen = { name: data.citizen.name };
+  }
+
+  if (!data.isAnonymous) return data;
+
+  data.submittedBy = null;
+  data.citizen = null;
+
+  const hideReporter = (entry, field) => {
+    if (entry && idOf(entry[field]) === reporterId) {
+      return { ...entry, [field]: null };
+    }
+    return entry;
+  };
+
+  if (Array.isArray(data.statusHistory)) {
+    data.statusHistory = data.statusHistory.map(entry => hideReporter(entry, 'changedBy'));
+  }
+  if (Array.isArray(data.editHistory)) {
+    data.editHistory = data.editHistory.map(entry => hideReporter(entry, 'editedBy'));
+  }
+  if (Array.isArray(data.images)) {
+    data.images = data.images.map(image => hideReporter(image, 'uploadedBy'));
+  }
+  if (Array.isArray(data.comments)) {
+    data.comments = data.comments.map(comment => hideReporter(comment, 'author'));
+  }
+
+  return data;
+};
+
+// Hide the reporter as author of comments (and replies) on their own
+// anonymous complaint. `complaint` needs `isAnonymous` and `submittedBy`.
+const maskReporterComments = (comments, complaint, viewer = null) => {
+  const reporterId = idOf(complaint && complaint.submittedBy);
+  if (!complaint || !complaint.isAnonymous || !reporterId) return comments;
+  if (viewer && idOf(viewer) === reporterId) return comments;
+
+  const mask = (comment) => {
+    const data = typeof comment.toObject === 'function' ? comment.toObject() : { ...comment };
+    if (idOf(data.author) === reporterId) data.author = null;
+    if (Array.isArray(data.replies)) data.replies = data.replies.map(mask);
+    return data;
+  };
+
+  return comments.map(mask);
+};
+
+const maskComplaints = (complaints, viewer = null) =>
+  complaints.map(complaint => maskComplaint(complaint, viewer));
+
+module.exports = {
+  REPORTER_PERMISSION,
+  STAFF_ROLES,
+  canViewReporter,
+  maskComplaint,
+  maskComplaints,
+  maskReporterComments
+};
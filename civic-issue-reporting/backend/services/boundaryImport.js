@@ -0,0 +1,121 @@
+const Boundary = require('../models/Boundary');
+
+// Import of ward/zone/city boundaries from a GeoJSON FeatureCollection.
+// Features are matched to existing boundaries of the same level by code (or
+// name when they have no code), so re-importing an updated file edits the
+// boundaries in place. Records inside any changed boundary are reassigned.
+
+const POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseGeoJSON = (input) => {
+  let geojson = input;
+  if (Buffer.isBuffer(input)) geojson = input.toString('utf8');
+  if (typeof geojson === 'string') {
+    try {
+      geojson = JSON.parse(geojson);
+    } catch (error) {
+      throw importError('File is not valid JSON');
+    }
+  }
+
+  if (geojson && geojson.type === 'Feature') return [geojson];
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw importError('Expected a GeoJSON FeatureCollection');
+  }
+  return geojson.features;
+};
+
+const sameGeometry = (a, b) =>
+  a.type === b.type && JSON.stringify(a.coordinates) === JSON.stringify(b.coordinates);
+
+// Returns { created, updated, unchanged, deactivated, errors, reassigned }
+const importBoundaries = async (input, {
+  level = 'ward',
+  nameProperty = 'name',
+  codeProperty = 'code',
+  replace = false,
+  importedBy
+} = {}) => {
+  const features = parseGeoJSON(input);
+  const levels = Boundary.schema.path('level').enumValues;
+  const summary = { created: 0, updated: 0, unchanged: 0, deactivated: 0, errors: [] };
+  const changed = [];
+  const seen = new Set();
+
+  for (const [index, feature] of features.entries()) {
+    const properties = (feature && feature.properties) || {};
+    const geometry = feature && feature.geometry;
+    const name = properties[nameProperty] != null ? String(properties[nameProperty]).trim() : '';
+    const code = properties[codeProperty] != null ? String(properties[codeProperty]).trim() : '';
+    const featureLevel = properties.level || level;
+
+    if (!name) {
+      summary.errors.push({ index, message: `Missing "${nameProperty}" property` });
+      continue;
+    }
+    if (!levels.includes(featureLevel)) {
+      summary.errors.push({ index, name, message: `Invalid level "${featureLevel}"` });
+      continue;
+    }
+    if (!geometry || !POLYGON_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+      summary.errors.push({ index, name, message: 'Geometry must be a Polygon or MultiPolygon' });
+      continue;
+    }
+
+    try {
+      const match = code ? { level: featureLevel, code } : { level: featureLevel, name };
+      let boundary = await Boundary.findOne(match);
+      const isNew = !boundary;
+
+      if (isNew) {
+        boundary = new Boundary({ ...match, name, importedBy });
+      } else if (boundary.isActive && boundary.name === name && sameGeometry(boundary.geometry, geometry)) {
+        seen.add(boundary._id.toString());
+        summary.unchanged += 1;
+        continue;
+      }
+
+      boundary.name = name;
+      boundary.geometry = { type: geometry.type, coordinates: geometry.coordinates };
+      boundary.properties = properties;
+      boundary.isActive = true;
+      boundary.importedBy = importedBy;
+      // MongoDB rejects self-intersecting or unclosed polygons here
+      await boundary.save();
+
+      seen.add(boundary._id.toString());
+      changed.push(boundary);
+      summary[isNew ? 'created' : 'updated'] += 1;
+    } catch (error) {
+      summary.errors.push({ index, name, message: error.message });
+    }
+  }
+
+  // Boundaries of the imported level that the file no longer contains
+  if (replace && summary.errors.length === 0) {
+    const stale = await Boundary.find({ level, isActive: true });
+    for (const boundary of stale) {
+      if (seen.has(boundary._id.toString())) continue;
+      boundary.isActive = false;
+      await boundary.save();
+      changed.push(boundary);
+      summary.deactivated += 1;
+    }
+  }
+
+  summary.reassigned = changed.length > 0
+    ? await Boundary.reassignRecords(changed)
+    : {};
+
+  return summary;
+};
+
+module.exports = {
+  importBoundaries
+};
@@ -0,0 +1,73 @@
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+
+// Who hears about updates to a complaint: its reporter and the users who
+// follow it. The notification channels (email, SMS, in-app) share this so
+// they agree on who gets told and on who caused an update; the person who
+// caused it is never notified about it.
+//
+// Users follow complaints themselves or, unless they turn it off, by
+// upvoting or commenting on them.
+
+// Actions that follow a complaint for users who leave autoFollow on
+const AUTO_FOLLOW_PREFERENCES = ['upvote', 'comment'];
+
+const idOf = (value) => (value && value._id ? value._id : value || '').toString();
+
+// Complaints filed under the call-centre proxy account have no reporter
+// to write to
+const isProxyAccount = (user) =>
+  user.email === (process.env.CALL_CENTRE_EMAIL || 'call-centre@civic-issues.org').toLowerCase();
+
+// History entry of the latest change to `status`; its changedBy is the actor
+const latestStatusChange = (complaint, status) =>
+  [...complaint.statusHistory].reverse().find(change => change.status === status);
+
+// Comments by anonymous reporters arrive with their author masked; the
+// reporter is the only author that is ever masked
+const commentedBy = (complaint, comment) =>
+  (comment.author ? comment.author : complaint.submittedBy);
+
+// The reporter and followers of `complaint`, other than `actor`, loaded with
+// `userFields`. Resolves to [{ user, isReporter }], the reporter first.
+// `complaint` needs submittedBy and, unless `reporterOnly`, +followers.
+const complaintAudience = async (complaint, { actor, userFields, reporterOnly = false }) => {
+  const reporterId = idOf(complaint.submittedBy);
+  const ids = new Set([reporterId, ...(reporterOnly ? [] : (complaint.followers || []).map(idOf))]);
+  ids.delete(idOf(actor));
+  ids.delete('');
+  if (ids.size === 0) return [];
+
+  const users = await User.find({ _id: { $in: [...ids] }, isActive: true })
+    .select(`${userFields} email`);
+
+  return users
+    .filter(user => !isProxyAccount(user))
+    .map(user => ({ user, isReporter: idOf(user) === reporterId }))
+    .sort((a, b) => b.isReporter - a.isReporter);
+};
+
+// Load a complaint with what complaintAudience needs, plus `fields`
+const findWithAudience = (complaintId, fields) =>
+  Complaint.findById(complaintId).select(`${fields} submittedBy +followers`);
+
+// Follow `complaint` for `user` after they upvoted or commented on it
+// (`action`). Reporters hear about their complaints anyway. Resolves to
+// whether the user started following it.
+const autoFollow = (complaint, user, action) => {
+  const prefs = user.notificationPreferences && user.notificationPreferences.autoFollow;
+  if ((prefs && prefs[action] === false) || idOf(complaint.submittedBy) === idOf(user)) {
+    return Promise.resolve(false);
+  }
+  return Complaint.follow(complaint._id, user._id);
+};
+
+module.exports = {
+  AUTO_FOLLOW_PREFERENCES,
+  isProxyAccount,
+  latestStatusChange,
+  commentedBy,
+  complaintAudience,
+  findWithAudience,
+  autoFollow
+};
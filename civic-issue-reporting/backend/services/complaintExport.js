@@ -0,0 +1,203 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const Complaint = require('../models/Complaint');
+const { STAFF_ROLES, maskComplaint } = require('./anonymity');
+
+// Streaming export of the complaint list for GIS tools and spreadsheets.
+// Complaints are read through a cursor and written out one at a time, so
+// memory use does not grow with the size of the export.
+
+// Hard cap on rows in one export
+const MAX_EXPORT_ROWS = parseInt(process.env.MAX_EXPORT_ROWS, 10) || 100000;
+
+const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const nameOf = (value) => (value && typeof value === 'object' ? value.name : undefined);
+const isoDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// Exported columns. Staff-only columns cover internal routing and SLA data;
+// the reporter column goes through the anonymity layer like any response.
+const COLUMNS = [
+  { key: 'id', value: complaint => complaint._id.toString() },
+  { key: 'title', value: complaint => complaint.title },
+  { key: 'description', value: complaint => complaint.description },
+  { key: 'category', value: complaint => complaint.category },
+  { key: 'status', value: complaint => complaint.status },
+  { key: 'priority', value: complaint => complaint.priority },
+  { key: 'address', value: complaint => complaint.location.address },
+  { key: 'city', value: complaint => complaint.location.city },
+  { key: 'ward', value: complaint => nameOf(complaint.ward) },
+  { key: 'zone', value: complaint => nameOf(complaint.zone) },
+  { key: 'latitude', value: complaint => complaint.location.coordinates[1] },
+  { key: 'longitude', value: complaint => complaint.location.coordinates[0] },
+  { key: 'upvotes', value: complaint => (complaint.upvotes || []).length },
+  { key: 'downvotes', value: complaint => (complaint.downvotes || []).length },
+  { key: 'comments', value: complaint => (complaint.comments || []).length },
+  { key: 'reporter', value: complaint => nameOf(complaint.submittedBy) },
+  { key: 'isAnonymous', value: complaint => !!complaint.isAnonymous },
+  { key: 'createdAt', value: complaint => isoDate(complaint.createdAt) },
+  { key: 'updatedAt', value: complaint => isoDate(complaint.updatedAt) },
+  { key: 'resolvedAt', value: complaint => isoDate(complaint.resolutionDetails && complaint.resolutionDetails.resolvedAt) },
+  { key: 'department', staffOnly: true, value: complaint => nameOf(complaint.department) },
+  { key: 'assignedTo', staffOnly: true, value: complaint => nameOf(complaint.assignedTo) },
+  { key: 'dueAt', staffOnly: true, value: complaint => isoDate(complaint.dueAt) },
+  { key: 'slaBreached', staffOnly: true, value: complaint => !!(complaint.sla && complaint.sla.breached) },
+  { key: 'escalationLevel', staffOnly: true, value: complaint => (complaint.sla && complaint.sla.escalationLevel) || 0 },
+  { key: 'resolution', staffOnly: true, value: complaint => complaint.resolutionDetails && complaint.resolutionDetails.description }
+];
+
+const columnsFor = (viewer) => {
+  const isStaff = !!viewer && STAFF_ROLES.includes(viewer.role);
+  return COLUMNS.filter(column => isStaff || !column.staffOnly);
+};
+
+const rowOf = (complaint, columns) => columns.reduce((row, column) => {
+  const value = column.value(complaint);
+  row[column.key] = value === undefined || value === null ? '' : value;
+  return row;
+}, {});
+
+// Write respecting backpressure from slow clients
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// One writer per format: start(), row(row), end(). end() also ends the stream.
+const writers = {
+  geojson: (stream) => {
+    let first = true;
+    return {
+      start: () => write(stream, '{"type":"FeatureCollection","features":[\n'),
+      row: (row) => {
+        const { latitude, longitude, ...properties } = row;
+        const feature = {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [longitude, latitude] },
+          properties
+        };
+        const chunk = `${first ? '' : ',\n'}${JSON.stringify(feature)}`;
+        first = false;
+        return write(stream, chunk);
+      },
+      end: async () => {
+        await write(stream, '\n]}\n');
+        stream.end();
+      }
+    };
+  },
+
+  csv: (stream, columns) => ({
+    // The byte order mark makes Excel read Hindi and Kannada text correctly
+    start: () => write(stream, `\ufeff${columns.map(column => column.key).join(',')}\r\n`),
+    row: (row) => write(stream, `${columns.map(column => csvCell(row[column.key])).join(',')}\r\n`),
+    end: () => {
+      stream.end();
+      return Promise.resolve();
+    }
+  }),
+
+  kml: (stream) => ({
+    start: () => write(stream, '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Complaints</name>\n'),
+    row: (row) => {
+      const { id, title, description, latitude, longitude, ...data } = row;
+      const extended = Object.entries({ id, ...data })
+        .map(([name, value]) => `<Data name="${name}"><value>${xml(value)}</value></Data>`)
+        .join('');
+      return write(stream, `<Placemark id="c${id}"><name>${xml(title)}</name>` +
+        `<description>${xml(description)}</description>` +
+        `<ExtendedData>${extended}</ExtendedData>` +
+        `<Point><coordinates>${longitude},${latitude}</coordinates></Point></Placemark>\n`);
+    },
+    end: async () => {
+      await write(stream, '</Document></kml>\n');
+      stream.end();
+    }
+  }),
+
+  xlsx: (stream, columns) => {
+    // Rows are committed as they are added and flushed to the zip stream
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useStyles: false,
+      useSharedStrings: false
+    });
+    const sheet = workbook.addWorksheet('Complaints');
+    sheet.columns = columns.map(column => ({ header: column.key, key: column.key }));
+
+    return {
+      start: () => Promise.resolve(),
+      row: (row) => {
+        sheet.addRow(row).commit();
+        return Promise.resolve();
+      },
+      // Finishing the zip ends the stream
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+};
+
+// Stream the complaints matching `filter` to `stream` in `format`.
+// Resolves to the number of complaints written.
+const exportComplaints = async (stream, { filter, format, viewer }) => {
+  const columns = columnsFor(viewer);
+  const writer = writers[format](stream, columns);
+
+  const cursor = Complaint.find(filter)
+    .select(`title description category status priority location ward zone upvotes downvotes comments
+      submittedBy isAnonymous createdAt updatedAt resolutionDetails department assignedTo dueAt sla`)
+    .populate('submittedBy', 'name')
+    .populate('ward', 'name')
+    .populate('zone', 'name')
+    .populate('department', 'name')
+    .populate('assignedTo', 'name')
+    .sort({ createdAt: -1 })
+    .limit(MAX_EXPORT_ROWS)
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  let count = 0;
+  await writer.start();
+  try {
+    for await (const complaint of cursor) {
+      const masked = maskComplaint(complaint, viewer);
+      await writer.row(rowOf(masked, columns));
+      count += 1;
+    }
+  } finally {
+    await cursor.close();
+  }
+  await writer.end();
+
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_EXPORT_ROWS,
+  exportComplaints
+};
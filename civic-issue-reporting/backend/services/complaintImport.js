@@ -0,0 +1,504 @@
+const crypto = require('crypto');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const validator = require('validator');
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const Boundary = require('../models/Boundary');
+const { GEOCODING_ENABLED, geocodeAddress } = require('./geocoding');
+const { findPossibleDuplicates } = require('./duplicateDetection');
+
+// Bulk import of complaints from CSV or XLSX files (paper forms and
+// call-centre logs). Every row is validated with the rules of
+// POST /api/complaints; a dry run only reports, a real run saves the valid
+// rows in batches. Rows whose reporter has no account are filed under the
+// call-centre proxy user with the citizen's details kept on the complaint.
+// Addresses are geocoded during the request, so only a few are looked up
+// per run; passing a report's `geocoded` list back reuses its coordinates.
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 5000;
+const DEFAULT_BATCH_SIZE = 100;
+const MAX_BATCH_SIZE = 500;
+// Addresses geocoded per request; at one per second the default keeps an
+// import well under a minute
+const MAX_GEOCODED_ROWS = parseInt(process.env.MAX_GEOCODED_ROWS, 10) || 25;
+
+// Complaint fields a column can map to, with the headers recognised for
+// them when no explicit mapping is given
+const IMPORT_FIELDS = {
+  title: ['title', 'subject', 'issue', 'complaint'],
+  description: ['description', 'details', 'complaint details', 'remarks'],
+  category: ['category', 'type', 'issue type'],
+  priority: ['priority', 'severity'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long'],
+  address: ['address', 'location', 'landmark'],
+  city: ['city', 'town'],
+  tags: ['tags', 'keywords'],
+  isAnonymous: ['anonymous', 'is anonymous'],
+  reportedAt: ['reported at', 'reported on', 'date', 'created at'],
+  reporterName: ['reporter name', 'citizen name', 'name'],
+  reporterEmail: ['reporter email', 'citizen email', 'email'],
+  reporterPhone: ['reporter phone', 'citizen phone', 'phone', 'mobile']
+};
+
+const REQUIRED_FIELDS = ['title', 'description', 'category'];
+const PRIORITIES = Complaint.schema.path('priority').enumValues;
+const CATEGORIES = Complaint.schema.path('category').enumValues;
+
+const importError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// RFC 4180 CSV with the delimiter (comma, semicolon or tab) taken from the
+// header line. Returns arrays of cell strings.
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const headerLine = content.slice(0, content.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Plain value of an XLSX cell (hyperlinks, rich text and formulas included)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    if (value.result !== undefined) return cellValue(value.result);
+    return '';
+  }
+  return value;
+};
+
+// Returns { headers, records: [{ row, cells }] } where `row` is the
+// spreadsheet row number shown to users in the report
+const parseFile = async (buffer, filename) => {
+  const extension = path.extname(filename || '').toLowerCase();
+
+  if (extension === '.csv') {
+    const [headers = [], ...rows] = parseCsv(buffer.toString('utf8'));
+    return {
+      headers,
+      records: rows.map((cells, index) => ({ row: index + 2, cells }))
+    };
+  }
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw importError('File is not a valid XLSX workbook');
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) throw importError('The workbook has no sheets');
+
+    const rows = [];
+    sheet.eachRow((row, number) => {
+      // row.values is 1-based
+      rows.push({ row: number, cells: row.values.slice(1).map(cellValue) });
+    });
+    const [header = { cells: [] }, ...records] = rows;
+    return { headers: header.cells.map(String), records };
+  }
+
+  throw importError('Upload a CSV or XLSX file');
+};
+
+// Column index of each field: explicit `mapping` ({ field: header }) first,
+// then the recognised header names
+const resolveColumns = (headers, mapping = {}) => {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!IMPORT_FIELDS[field]) {
+      throw importError(`Unknown field "${field}". Fields: ${Object.keys(IMPORT_FIELDS).join(', ')}`);
+    }
+    const index = normalized.indexOf(normalizeHeader(header));
+    if (index === -1) throw importError(`Column "${header}" mapped to ${field} is not in the file`);
+    columns[field] = index;
+  });
+
+  const taken = new Set(Object.values(columns));
+  Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+    if (columns[field] !== undefined) return;
+    const index = normalized.findIndex((header, i) =>
+      !taken.has(i) && aliases.some(alias => normalizeHeader(alias) === header));
+    if (index !== -1) {
+      columns[field] = index;
+      taken.add(index);
+    }
+  });
+
+  const missing = REQUIRED_FIELDS.filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw importError(`No column found for: ${missing.join(', ')}. Map them with \`mapping\``);
+  }
+  const hasCoordinates = columns.latitude !== undefined && columns.longitude !== undefined;
+  if (!hasCoordinates && columns.address === undefined) {
+    throw importError('The file needs latitude and longitude columns or an address column');
+  }
+
+  return columns;
+};
+
+const valuesOf = (cells, columns) => Object.entries(columns).reduce((values, [field, index]) => {
+  const value = cells[index];
+  values[field] = value instanceof Date ? value : String(value === undefined || value === null ? '' : value).trim();
+  return values;
+}, {});
+
+const parseBoolean = (value) => ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+
+const normalizePhone = (value) => String(value || '').replace(/[^\d+]/g, '');
+
+// Registered users matching the reporter emails or phone numbers in the file
+const findReporters = async (rows) => {
+  const emails = rows.map(values => String(values.reporterEmail || '').toLowerCase()).filter(Boolean);
+  const phones = rows.map(values => values.reporterPhone).filter(Boolean);
+  if (emails.length === 0 && phones.length === 0) return { byEmail: new Map(), byPhone: new Map() };
+
+  // Phone numbers are matched as written and without spaces or dashes
+  const users = await User.find({
+    $or: [
+      { email: { $in: emails } },
+      { phone: { $in: [...new Set([...phones, ...phones.map(normalizePhone)])] } }
+    ]
+  }).select('_id email phone').lean();
+
+  return {
+    byEmail: new Map(users.map(user => [user.email, user._id])),
+    byPhone: new Map(users.filter(user => user.phone).map(user => [normalizePhone(user.phone), user._id]))
+  };
+};
+
+// Validate one row and work out its location and reporter.
+// Returns { row, fields, errors, warnings }.
+const prepareRow = async ({ row, values }, context) => {
+  const errors = [];
+  const warnings = [];
+  const fail = (message, field) => errors.push({ row, ...(field && { field }), message });
+  const warn = (message, field) => warnings.push({ row, ...(field && { field }), message });
+
+  let { latitude, longitude } = values;
+
+  // Rows with only an address are placed by the geocoder, or with the
+  // coordinates an earlier run found for the same address
+  if (isBlank(latitude) && isBlank(longitude) && !isBlank(values.address)) {
+    const previous = context.geocoded.get(row);
+    let coordinates = null;
+    if (previous && previous.address === values.address) {
+      coordinates = [previous.longitude, previous.latitude];
+    } else if (!GEOCODING_ENABLED) {
+      fail('Coordinates are required because geocoding is disabled', 'latitude');
+    } else if (context.geocodeBudget <= 0) {
+      fail(`Only ${MAX_GEOCODED_ROWS} addresses are geocoded per request; add coordinates or run again with the \`geocoded\` list of this report`, 'latitude');
+    } else {
+      context.geocodeBudget -= 1;
+      try {
+        coordinates = await geocodeAddress(values.address, { city: values.city });
+        if (!coordinates) fail('Address could not be geocoded; add coordinates', 'address');
+      } catch (error) {
+        fail(`Geocoding failed: ${error.message}`, 'address');
+      }
+    }
+    if (coordinates) {
+      [longitude, latitude] = coordinates.map(String);
+      warn('Location geocoded from the address', 'address');
+      context.report.geocoded.push({ row, address: values.address, latitude: coordinates[1], longitude: coordinates[0] });
+    }
+  }
+
+  // Same rules as POST /api/complaints
+  const { errors: fieldErrors, body } = await context.validateRow({
+    title: values.title,
+    description: values.description,
+    category: values.category,
+    latitude,
+    longitude,
+    address: values.address,
+    city: values.city
+  });
+  fieldErrors.forEach(error => fail(error.msg, error.path));
+
+  const category = CATEGORIES.find(value => value.toLowerCase() === String(body.category).toLowerCase());
+  const coordinates = [parseFloat(body.longitude), parseFloat(body.latitude)];
+  if (fieldErrors.length === 0) {
+    if (coordinates[0] === 0 && coordinates[1] === 0) {
+      fail('0, 0 is not a real location', 'latitude');
+    } else if (context.hasCityBoundaries) {
+      const { city } = await Boundary.locate(coordinates);
+      if (!city) fail('Location is outside the service area', 'latitude');
+    }
+  }
+
+  let priority;
+  if (!isBlank(values.priority)) {
+    priority = PRIORITIES.find(value => value.toLowerCase() === values.priority.toLowerCase());
+    if (!priority) warn(`Unknown priority "${values.priority}" ignored`, 'priority');
+  }
+
+  let reportedAt;
+  if (!isBlank(values.reportedAt)) {
+    reportedAt = values.reportedAt instanceof Date ? values.reportedAt : new Date(values.reportedAt);
+    if (Number.isNaN(reportedAt.getTime())) {
+      fail(`"${values.reportedAt}" is not a date`, 'reportedAt');
+    } else if (reportedAt > new Date()) {
+      fail('Reported date is in the future', 'reportedAt');
+    }
+  }
+
+  // The named citizen when they have an account, otherwise the proxy user
+  let email = String(values.reporterEmail || '').toLowerCase();
+  if (email && !validator.isEmail(email)) {
+    warn(`Invalid reporter email "${values.reporterEmail}" ignored`, 'reporterEmail');
+    email = '';
+  }
+  const phone = normalizePhone(values.reporterPhone);
+  const reporterId = (email && context.reporters.byEmail.get(email)) ||
+    (phone && context.reporters.byPhone.get(phone)) || null;
+  const citizen = !reporterId && (values.reporterName || email || phone)
+    ? {
+      name: values.reporterName ? values.reporterName.slice(0, 50) : undefined,
+      phone: phone || undefined,
+      email: email || undefined
+    }
+    : undefined;
+
+  if (errors.length === 0) {
+    const duplicates = await findPossibleDuplicates({
+      title: body.title,
+      description: body.description,
+      category,
+      coordinates
+    });
+    if (duplicates.length > 0) {
+      warn(`Possible duplicate of ${duplicates.map(duplicate => duplicate._id).join(', ')}`);
+    }
+  }
+
+  return {
+    row,
+    errors,
+    warnings,
+    fields: {
+      title: body.title,
+      description: body.description,
+      category,
+      priority,
+      coordinates,
+      address: body.address,
+      city: isBlank(body.city) ? undefined : body.city,
+      tags: isBlank(values.tags)
+        ? []
+        : values.tags.split(/[,;]/).map(tag => tag.trim().toLowerCase()).filter(Boolean),
+      isAnonymous: !isBlank(values.isAnonymous) && parseBoolean(values.isAnonymous),
+      reportedAt: errors.length === 0 ? reportedAt : undefined,
+      reporterId,
+      citizen
+    }
+  };
+};
+
+const buildComplaint = ({ row, fields }, { batchId, filename, importedBy, proxyUserId }) => {
+  const reportedAt = fields.reportedAt || new Date();
+  return new Complaint({
+    title: fields.title,
+    description: fields.description,
+    category: fields.category,
+    ...(fields.priority && { priority: fields.priority }),
+    location: {
+      type: 'Point',
+      coordinates: fields.coordinates,
+      address: fields.address,
+      city: fields.city
+    },
+    tags: fields.tags,
+    isAnonymous: fields.isAnonymous,
+    submittedBy: fields.reporterId || proxyUserId,
+    citizen: fields.citizen,
+    source: { channel: 'import', importBatch: batchId, row },
+    createdAt: reportedAt,
+    statusHistory: [{
+      status: 'Submitted',
+      changedBy: importedBy,
+      changedAt: reportedAt,
+      comment: `Imported from ${filename}, row ${row}`
+    }]
+  });
+};
+
+// Returns the import report:
+// { batchId, dryRun, columns, totalRows, validRows, invalidRows, errors,
+//   warnings, geocoded, created }
+// `validateRow(fields)` resolves to { errors, body } for one row.
+// `geocoded` is the list of { row, address, latitude, longitude } from the
+// report of an earlier run of the same file.
+const importComplaints = async (buffer, {
+  filename,
+  mapping,
+  geocoded = [],
+  dryRun = true,
+  skipInvalid = false,
+  force = false,
+  batchSize = DEFAULT_BATCH_SIZE,
+  validateRow,
+  importedBy,
+  proxyUser
+}) => {
+  const { headers, records } = await parseFile(buffer, filename);
+  const columns = resolveColumns(headers, mapping);
+  const rows = records
+    .map(({ row, cells }) => ({ row, values: valuesOf(cells, columns) }))
+    .filter(({ values }) => Object.values(values).some(value => !isBlank(value)));
+
+  if (rows.length === 0) throw importError('The file has no data rows');
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw importError(`Files can have at most ${MAX_IMPORT_ROWS} rows; split this one`);
+  }
+
+  // The same file always gets the same batch id, so a repeated upload is caught
+  const batchId = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+  const report = {
+    batchId,
+    dryRun,
+    columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+    totalRows: rows.length,
+    validRows: 0,
+    invalidRows: 0,
+    errors: [],
+    warnings: [],
+    geocoded: [],
+    created: 0
+  };
+
+  const previouslyImported = await Complaint.countDocuments({ 'source.importBatch': batchId });
+  if (previouslyImported > 0) {
+    report.warnings.push({ message: `This file was already imported (${previouslyImported} complaints)` });
+  }
+
+  const context = {
+    report,
+    validateRow,
+    geocoded: new Map(geocoded.map(entry => [entry.row, entry])),
+    reporters: await findReporters(rows.map(({ values }) => values)),
+    hasCityBoundaries: !!(await Boundary.exists({ level: 'city', isActive: true })),
+    geocodeBudget: MAX_GEOCODED_ROWS
+  };
+
+  const prepared = [];
+  for (const row of rows) {
+    const result = await prepareRow(row, context);
+    report.errors.push(...result.errors);
+    report.warnings.push(...result.warnings);
+    if (result.errors.length > 0) {
+      report.invalidRows += 1;
+    } else {
+      report.validRows += 1;
+      prepared.push(result);
+    }
+  }
+
+  if (dryRun) return report;
+
+  const refuse = (message, statusCode) => {
+    const error = importError(message, statusCode);
+    error.report = report;
+    return error;
+  };
+  if (previouslyImported > 0 && !force) {
+    throw refuse('This file was already imported; pass force=true to import it again', 409);
+  }
+  if (report.invalidRows > 0 && !skipInvalid) {
+    throw refuse('Some rows are invalid; fix them or pass skipInvalid=true to import only the valid rows', 422);
+  }
+
+  const proxyUserId = proxyUser || (prepared.some(({ fields }) => !fields.reporterId)
+    ? (await User.callCentreUser())._id
+    : null);
+  const size = Math.min(Math.max(parseInt(batchSize, 10) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+  const submittedCounts = new Map();
+
+  for (let start = 0; start < prepared.length; start += size) {
+    const batch = prepared.slice(start, start + size);
+    const results = await Promise.allSettled(batch.map(item =>
+      buildComplaint(item, { batchId, filename, importedBy, proxyUserId }).save()));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        report.errors.push({ row: batch[index].row, message: result.reason.message });
+        return;
+      }
+      report.created += 1;
+      const reporter = result.value.submittedBy.toString();
+      submittedCounts.set(reporter, (submittedCounts.get(reporter) || 0) + 1);
+    });
+  }
+
+  if (submittedCounts.size > 0) {
+    await User.bulkWrite([...submittedCounts.entries()].map(([id, count]) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $inc: { complaintsSubmitted: count } }
+      }
+    })));
+  }
+
+  return report;
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  MAX_BATCH_SIZE,
+  parseCsv,
+  importComplaints
+};
@@ -0,0 +1,109 @@
+const Complaint = require('../models/Complaint');
+const { CLOSED_STATUSES } = require('../config/sla');
+
+// Search radius around the new complaint, in meters
+const DUPLICATE_RADIUS_METERS = parseInt(process.env.DUPLICATE_RADIUS_METERS, 10) || 250;
+
+// Minimum text similarity (0-1) for a nearby complaint to count as a duplicate
+const DUPLICATE_SIMILARITY_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.25;
+
+const MAX_DUPLICATES = 5;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'near', 'is', 'are',
+  'was', 'were', 'be', 'been', 'has', 'have', 'had', 'it', 'this', 'that', 'with', 'from',
+  'our', 'my', 'we', 'i', 'there', 'not', 'no', 'by', 'as', 'very', 'since', 'days'
+]);
+
+// Split text into lowercase word tokens, keeping Devanagari and Kannada letters
+const tokenize = (text = '') => {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+  return new Set(
+    words
+      .filter(word => word.length > 1 && !STOPWORDS.has(word))
+      // Cheap stemming so "potholes" matches "pothole"
+      .map(word => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word))
+  );
+};
+
+// Dice coefficient between two token sets
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+};
+
+// Great-circle distance between two [lng, lat] pairs, in meters
+const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+// Find open complaints of the same category near the given point whose
+// title/description look like the new report. With `options.userId` each match
+// tells whether that user already upvoted it.
+const findPossibleDuplicates = async ({ title, description, category, coordinates }, options = {}) => {
+  const radius = options.radius || DUPLICATE_RADIUS_METERS;
+  const threshold = options.threshold || DUPLICATE_SIMILARITY_THRESHOLD;
+
+  const nearby = await Complaint.find({
+    category,
+    status: { $nin: CLOSED_STATUSES },
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates },
+        $maxDistance: radius
+      }
+    }
+  })
+    .select('title description category status location images upvotes comments createdAt')
+    .limit(50)
+    .lean();
+
+  const userId = options.userId && options.userId.toString();
+  const titleTokens = tokenize(title);
+  const textTokens = tokenize(`${title} ${description}`);
+
+  return nearby
+    .map(complaint => {
+      const score = 0.6 * similarity(titleTokens, tokenize(complaint.title)) +
+        0.4 * similarity(textTokens, tokenize(`${complaint.title} ${complaint.description}`));
+      return {
+        _id: complaint._id,
+        title: complaint.title,
+        description: complaint.description.length > 200
+          ? `${complaint.description.slice(0, 200)}...`
+          : complaint.description,
+        category: complaint.category,
+        status: complaint.status,
+        location: complaint.location,
+        image: complaint.images?.[0]?.url || null,
+        createdAt: complaint.createdAt,
+        upvoteCount: complaint.upvotes?.length || 0,
+        commentCount: complaint.comments?.length || 0,
+        ...(userId && {
+          hasUpvoted: (complaint.upvotes || []).some(vote => vote.user.toString() === userId)
+        }),
+        distance: Math.round(distanceMeters(coordinates, complaint.location.coordinates)),
+        similarity: Math.round(score * 100) / 100
+      };
+    })
+    .filter(match => match.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity || a.distance - b.distance)
+    .slice(0, MAX_DUPLICATES);
+};
+
+module.exports = {
+  findPossibleDuplicates,
+  tokenize,
+  similarity,
+  distanceMeters,
+  DUPLICATE_RADIUS_METERS
+};
@@ -0,0 +1,176 @@
+const jwt = require('jsonwebtoken');
+const { subscribe } = require('./eventBus');
+const { queueEmail, startOutboxWorker, stopOutboxWorker } = require('./mailer');
+const { renderEmail, statusLabel, reporterLabel } = require('./emailTemplates');
+const { latestStatusChange, commentedBy, complaintAudience, findWithAudience } = require('./complaintAudience');
+
+// Emails reporters about their complaints: status changes, assignment to a
+// department or officer, and new comments. Followers of a complaint get the
+// status changes and comments too. Each kind can be turned off in the
+// user's notification preferences or from the unsubscribe link that every
+// email carries. Nothing is sent to whoever caused the update.
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// Preference (and template) for each event
+const PREFERENCES = {
+  'complaint.status_changed': 'statusChange',
+  'complaint.assigned': 'assignment',
+  'comment.created': 'comment'
+};
+const EMAIL_PREFERENCES = Object.values(PREFERENCES);
+
+// Templates for followers; assignments only go to the reporter
+const FOLLOWER_TEMPLATES = {
+  statusChange: 'followedStatusChange',
+  comment: 'followedComment'
+};
+
+const UNSUBSCRIBE_PURPOSE = 'email-unsubscribe';
+
+let unsubscribe = null;
+
+const idOf = (value) => (value && value._id ? value._id : value || '').toString();
+
+const unsubscribeToken = (userId, preference) =>
+  jwt.sign({ userId: idOf(userId), preference, purpose: UNSUBSCRIBE_PURPOSE }, process.env.JWT_SECRET);
+
+// Returns { userId, preference }, or null for an invalid token
+const verifyUnsubscribeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== UNSUBSCRIBE_PURPOSE || !EMAIL_PREFERENCES.includes(decoded.preference)) {
+      return null;
+    }
+    return { userId: decoded.userId, preference: decoded.preference };
+  } catch (error) {
+    return null;
+  }
+};
+
+const unsubscribeUrl = (userId, preference) =>
+  `${API_URL}/api/users/unsubscribe?token=${encodeURIComponent(unsubscribeToken(userId, preference))}`;
+
+// Template variables for `envelope` and who caused it, or null when there
+// is nothing to tell
+const buildEvent = (envelope, complaint) => {
+  const data = envelope.data;
+
+  switch (envelope.event) {
+    case 'complaint.status_changed': {
+      const entry = latestStatusChange(complaint, data.newStatus);
+      return {
+        actor: entry && entry.changedBy,
+        vars: {
+          oldStatus: data.oldStatus,
+          status: data.newStatus,
+          comment: entry && entry.comment
+        }
+      };
+    }
+    case 'complaint.assigned':
+      if (!complaint.department && !complaint.assignedTo) return null;
+      return {
+        actor: null,
+        vars: {
+          department: complaint.department ? complaint.department.name : undefined,
+          officer: complaint.assignedTo ? complaint.assignedTo.name : undefined
+        }
+      };
+    case 'comment.created': {
+      if (!data.comment) return null;
+      const author = data.comment.author;
+      return {
+        actor: commentedBy(complaint, data.comment),
+        vars: {
+          // Masked for an anonymous reporter
+          author: author ? author.name : null,
+          content: data.comment.content
+        }
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+const emailRecipient = ({ user, isReporter }, preference, complaint, vars) => {
+  const prefs = user.notificationPreferences && user.notificationPreferences.email;
+  if (prefs && prefs[preference] === false) return null;
+
+  const language = user.language;
+  const template = isReporter ? preference : FOLLOWER_TEMPLATES[preference];
+  const link = unsubscribeUrl(user._id, preference);
+  const message = renderEmail(template, language, {
+    ...vars,
+    // Status names in the recipient's language
+    status: vars.status && statusLabel(vars.status, language),
+    oldStatus: vars.oldStatus && statusLabel(vars.oldStatus, language),
+    author: vars.author === null ? reporterLabel(language) : vars.author,
+    name: user.name,
+    title: complaint.title,
+    url: `${FRONTEND_URL}/complaints/${complaint._id}`,
+    unsubscribeUrl: link
+  }, { following: !isReporter });
+
+  return queueEmail({
+    ...message,
+    to: user.email,
+    user: user._id,
+    complaint: complaint._id,
+    template,
+    language,
+    headers: {
+      'List-Unsubscribe': `<${link}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  });
+};
+
+const handleEvent = async (envelope) => {
+  const preference = PREFERENCES[envelope.event];
+  const complaintId = envelope.data.complaintId;
+  if (!preference || !complaintId) return [];
+
+  const complaint = await findWithAudience(complaintId, 'title status department assignedTo statusHistory')
+    .populate('department', 'name')
+    .populate('assignedTo', 'name');
+  if (!complaint) return [];
+
+  const event = buildEvent(envelope, complaint);
+  if (!event) return [];
+
+  const audience = await complaintAudience(complaint, {
+    actor: event.actor,
+    userFields: 'name language notificationPreferences',
+    reporterOnly: !FOLLOWER_TEMPLATES[preference]
+  });
+
+  const sent = await Promise.all(audience.map(recipient =>
+    emailRecipient(recipient, preference, complaint, event.vars)));
+  return sent.filter(Boolean);
+};
+
+const startEmailNotifications = () => {
+  if (unsubscribe) return;
+
+  unsubscribe = subscribe(Object.keys(PREFERENCES), handleEvent);
+  startOutboxWorker();
+};
+
+const stopEmailNotifications = () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  stopOutboxWorker();
+};
+
+module.exports = {
+  EMAIL_PREFERENCES,
+  verifyUnsubscribeToken,
+  handleEvent,
+  startEmailNotifications,
+  stopEmailNotifications
+};
@@ -0,0 +1,104 @@
+const path = require('path');
+
+// Notification emails in the frontend's languages. Each language file in
+// templates/email holds the shared strings (greeting, signature, footer,
+// status names), the link and footer wording for followers of a complaint
+// and, per template, a subject, a body and an optional note line that is
+// left out when its placeholders have no value.
+
+const LANGUAGES = ['en', 'hi', 'kn'];
+const DEFAULT_LANGUAGE = 'en';
+
+const strings = Object.fromEntries(LANGUAGES.map(language => [
+  language,
+  require(path.join(__dirname, '..', 'templates', 'email', `${language}.json`))
+]));
+
+const TEMPLATES = Object.keys(strings[DEFAULT_LANGUAGE].templates);
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+const LINKS = ['url', 'unsubscribeUrl'];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Replace {{name}} placeholders; `escape(value, name)` is applied to the
+// values only
+const fill = (text, vars, escape = String) =>
+  text.replace(PLACEHOLDER, (match, name) => (isEmpty(vars[name]) ? '' : escape(vars[name], name)));
+
+// A note is only worth a line when every placeholder in it has a value
+const hasValues = (text, vars) =>
+  [...text.matchAll(PLACEHOLDER)].every(([, name]) => !isEmpty(vars[name]));
+
+const languageOf = (language) => (LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE);
+
+// Status names as the reader knows them
+const statusLabel = (status, language) =>
+  strings[languageOf(language)].statuses[status] || status;
+
+const unsubscribedMessage = (language) => strings[languageOf(language)].unsubscribed;
+
+// Stands in for the name of an anonymous reporter
+const reporterLabel = (language) => strings[languageOf(language)].reporter;
+
+// Render `template` in `language` with `vars`. `url` and `unsubscribeUrl`
+// are filled into the shared complaint link and footer, worded for a
+// follower of the complaint when `following` is set.
+// Returns { subject, text, html }.
+const renderEmail = (template, language, vars, { following = false } = {}) => {
+  const lang = strings[languageOf(language)];
+  const shared = following ? lang.following : lang;
+  const parts = lang.templates[template];
+  if (!parts) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const paragraphs = [
+    lang.greeting,
+    parts.body,
+    parts.note && hasValues(parts.note, vars) ? parts.note : null,
+    vars.url ? shared.viewComplaint : null,
+    lang.signature
+  ].filter(Boolean);
+  const footer = vars.unsubscribeUrl ? shared.footer : null;
+
+  const text = [...paragraphs, footer && `--\n${footer}`]
+    .filter(Boolean)
+    .map(paragraph => fill(paragraph, vars))
+    .join('\n\n');
+
+  // Our links are written out as anchors; everything else is escaped text
+  const linkify = (paragraph) => fill(paragraph, vars, (value, name) => {
+    const escaped = escapeHtml(value);
+    return LINKS.includes(name) ? `<a href="${escaped}">${escaped}</a>` : escaped;
+  });
+  const html = [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">',
+    ...paragraphs.map(paragraph => `<p>${linkify(paragraph)}</p>`),
+    footer ? `<hr><p style="font-size: 12px; color: #6b7280;">${linkify(footer)}</p>` : '',
+    '</body></html>'
+  ].join('\n');
+
+  return {
+    subject: fill(parts.subject, vars).replace(/\s+/g, ' ').trim(),
+    text,
+    html
+  };
+};
+
+module.exports = {
+  LANGUAGES,
+  TEMPLATES,
+  statusLabel,
+  unsubscribedMessage,
+  reporterLabel,
+  renderEmail
+};
@@ -0,0 +1,55 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// In-process bus for domain events. Routes and background jobs publish here
+// next to their socket.io broadcasts, with the same payload; integrations
+// such as webhooks subscribe without the routes knowing about them.
+
+const EVENTS = [
+  'complaint.created',
+  'complaint.updated',
+  'complaint.status_changed',
+  'complaint.assigned',
+  'complaint.escalated',
+  'complaint.merged',
+  'comment.created',
+  'community.member_joined',
+  'community.post_created'
+];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+// Publish `event` with `data`. Subscribers receive
+// { id, event, occurredAt, data } with `data` as plain JSON.
+const publish = (event, data) => {
+  if (!EVENTS.includes(event)) {
+    throw new Error(`Unknown event: ${event}`);
+  }
+  bus.emit(event, {
+    id: crypto.randomUUID(),
+    event,
+    occurredAt: new Date().toISOString(),
+    data: JSON.parse(JSON.stringify(data))
+  });
+};
+
+// Handlers run after the publisher has moved on; their errors are logged
+// and never reach the request that published the event
+const subscribe = (events, handler) => {
+  const listener = (envelope) => {
+    setImmediate(() => {
+      Promise.resolve()
+        .then(() => handler(envelope))
+        .catch(error => console.error(`Event handler for ${envelope.event} failed:`, error));
+    });
+  };
+  [].concat(events).forEach(event => bus.on(event, listener));
+  return () => [].concat(events).forEach(event => bus.off(event, listener));
+};
+
+module.exports = {
+  EVENTS,
+  publish,
+  subscribe
+};
@@ -0,0 +1,70 @@
+// Address geocoding for complaints that arrive without coordinates (bulk
+// imports of paper forms and call-centre logs). Uses a Nominatim-compatible
+// search endpoint; the public OpenStreetMap instance allows one request per
+// second and requires an identifying User-Agent.
+
+const GEOCODING_URL = process.env.GEOCODING_URL || 'https://nominatim.openstreetmap.org/search';
+const GEOCODING_ENABLED = process.env.GEOCODING_ENABLED !== 'false';
+const GEOCODING_USER_AGENT = process.env.GEOCODING_USER_AGENT || 'civic-issue-reporting/1.0';
+const GEOCODING_INTERVAL_MS = parseInt(process.env.GEOCODING_INTERVAL_MS, 10) || 1100;
+// Two-letter country codes to search in, e.g. "in"
+const GEOCODING_COUNTRIES = process.env.GEOCODING_COUNTRIES || 'in';
+
+const CACHE_SIZE = 1000;
+const cache = new Map();
+
+// Requests are queued so that concurrent callers share the rate limit
+let queue = Promise.resolve();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const search = async (query) => {
+  const params = new URLSearchParams({ q: query, format: 'json', limit: '1' });
+  if (GEOCODING_COUNTRIES) params.set('countrycodes', GEOCODING_COUNTRIES);
+
+  const response = await fetch(`${GEOCODING_URL}?${params.toString()}`, {
+    headers: { 'User-Agent': GEOCODING_USER_AGENT, Accept: 'application/json' }
+  });
+  if (!response.ok) {
+    throw new Error(`Geocoding failed with status ${response.status}`);
+  }
+
+  const [result] = await response.json();
+  if (!result) return null;
+  return [parseFloat(result.lon), parseFloat(result.lat)];
+};
+
+// Resolves to [lng, lat], or null when the address could not be found.
+// Throws when the geocoding service itself fails.
+const geocodeAddress = async (address, { city } = {}) => {
+  if (!GEOCODING_ENABLED) return null;
+
+  let query = String(address || '').trim();
+  if (!query) return null;
+  if (city && !query.toLowerCase().includes(String(city).trim().toLowerCase())) {
+    query = `${query}, ${String(city).trim()}`;
+  }
+
+  const key = query.toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  const request = queue.then(async () => {
+    try {
+      return await search(query);
+    } finally {
+      await wait(GEOCODING_INTERVAL_MS);
+    }
+  });
+  // Keep the queue going even when one request fails
+  queue = request.catch(() => {});
+
+  const coordinates = await request;
+  if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(key, coordinates);
+  return coordinates;
+};
+
+module.exports = {
+  GEOCODING_ENABLED,
+  geocodeAddress
+};
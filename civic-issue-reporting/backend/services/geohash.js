@@ -0,0 +1,83 @@
+// Geohash encoding for grid aggregation. Every complaint stores the geohash
+// of its location, so grouping on a prefix of it buckets complaints into
+// cells: precision 5 cells are about 4.9 x 4.9 km, precision 6 about
+// 1.2 x 0.6 km and precision 7 about 150 x 150 m.
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Precision stored on complaints; any shorter prefix can be aggregated
+const STORED_PRECISION = 9;
+const MIN_PRECISION = 1;
+const MAX_PRECISION = 8;
+
+const encode = (lat, lng, precision = STORED_PRECISION) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coordinate = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    bits += 1;
+    if (bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+};
+
+// [minLng, minLat, maxLng, maxLat] of a geohash cell
+const bounds = (hash) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const character of String(hash).toLowerCase()) {
+    const index = BASE32.indexOf(character);
+    if (index === -1) throw new Error(`Invalid geohash "${hash}"`);
+
+    for (let bit = 4; bit >= 0; bit -= 1) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((index >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+
+  return [lngRange[0], latRange[0], lngRange[1], latRange[1]];
+};
+
+// Cell size that keeps roughly the same number of cells on screen at
+// every web map zoom level
+const precisionForZoom = (zoom) => {
+  const level = parseInt(zoom, 10);
+  if (Number.isNaN(level)) return 6;
+  return Math.min(Math.max(Math.floor((level + 3) / 2.5), MIN_PRECISION), MAX_PRECISION);
+};
+
+module.exports = {
+  STORED_PRECISION,
+  MIN_PRECISION,
+  MAX_PRECISION,
+  encode,
+  bounds,
+  precisionForZoom
+};
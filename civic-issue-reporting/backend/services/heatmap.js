@@ -0,0 +1,224 @@
+const Complaint = require('../models/Complaint');
+const geohash = require('./geohash');
+const { parseBBox, viewportFilter } = require('./mapClusters');
+
+// Complaint density on a geohash grid, and detection of cells whose
+// complaints in the last week stand out against the weeks before.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Most cells returned for one request, densest first
+const MAX_HEATMAP_CELLS = parseInt(process.env.MAX_HEATMAP_CELLS, 10) || 5000;
+
+// A cell is a hotspot when its count this week is this many standard
+// deviations above its trailing weekly mean...
+const HOTSPOT_Z_THRESHOLD = parseFloat(process.env.HOTSPOT_Z_THRESHOLD) || 2.5;
+// ...and it had at least this many complaints this week
+const HOTSPOT_MIN_COMPLAINTS = parseInt(process.env.HOTSPOT_MIN_COMPLAINTS, 10) || 3;
+const DEFAULT_TRAILING_WEEKS = 4;
+const MAX_TRAILING_WEEKS = 26;
+
+const heatmapError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw heatmapError(`${name} must be a date`);
+  return date;
+};
+
+const parsePrecision = ({ precision, zoom }) => {
+  if (precision === undefined) return geohash.precisionForZoom(zoom);
+  const value = parseInt(precision, 10);
+  if (Number.isNaN(value) || value < geohash.MIN_PRECISION || value > geohash.MAX_PRECISION) {
+    throw heatmapError(`precision must be between ${geohash.MIN_PRECISION} and ${geohash.MAX_PRECISION}`);
+  }
+  return value;
+};
+
+// Location filter for an optional bbox; complaints saved before geohashes
+// were stored have none until `npm run geohash:backfill` is run
+const areaFilter = (bbox) => ({
+  'location.geohash': { $exists: true },
+  ...(bbox && viewportFilter(parseBBox(bbox)))
+});
+
+const cellKey = (precision) => ({ $substrCP: ['$location.geohash', 0, precision] });
+
+const cellFeature = (cell, properties) => {
+  const [minLng, minLat, maxLng, maxLat] = geohash.bounds(cell);
+  return {
+    type: 'Feature',
+    id: cell,
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+      ]]
+    },
+    properties: { geohash: cell, ...properties }
+  };
+};
+
+// Weekly counts per cell over the trailing weeks, compared with the week
+// ending at `until`. The spread is floored at the Poisson deviation of the
+// mean so that cells with a flat history are not flagged for one extra
+// complaint. Returns a Map of geohash -> hotspot statistics.
+const scoreCells = async (filter, { precision, until, weeks }) => {
+  const end = until || new Date();
+  const start = new Date(end.getTime() - WEEK_MS * (weeks + 1));
+  const match = Complaint.find().cast(Complaint, {
+    ...filter,
+    createdAt: { $gte: start, $lt: end }
+  });
+
+  const rows = await Complaint.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          cell: cellKey(precision),
+          // 0 is the current week, 1..weeks the trailing ones
+          week: { $floor: { $divide: [{ $subtract: [end, '$createdAt'] }, WEEK_MS] } }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const weekly = new Map();
+  rows.forEach(({ _id, count }) => {
+    if (!weekly.has(_id.cell)) weekly.set(_id.cell, new Array(weeks + 1).fill(0));
+    weekly.get(_id.cell)[_id.week] = count;
+  });
+
+  const scores = new Map();
+  weekly.forEach(([current, ...trailing], cell) => {
+    const mean = trailing.reduce((sum, count) => sum + count, 0) / weeks;
+    const variance = trailing.reduce((sum, count) => sum + Math.pow(count - mean, 2), 0) / weeks;
+    const spread = Math.max(Math.sqrt(variance), Math.sqrt(Math.max(mean, 1)));
+    const zScore = (current - mean) / spread;
+
+    scores.set(cell, {
+      current,
+      trailingMean: Number(mean.toFixed(2)),
+      zScore: Number(zScore.toFixed(2)),
+      isHotspot: current >= HOTSPOT_MIN_COMPLAINTS && zScore >= HOTSPOT_Z_THRESHOLD
+    });
+  });
+
+  return scores;
+};
+
+const parseWeeks = (weeks) => {
+  if (weeks === undefined) return DEFAULT_TRAILING_WEEKS;
+  const value = parseInt(weeks, 10);
+  if (Number.isNaN(value) || value < 1 || value > MAX_TRAILING_WEEKS) {
+    throw heatmapError(`weeks must be between 1 and ${MAX_TRAILING_WEEKS}`);
+  }
+  return value;
+};
+
+// Grid cells with their complaint count and average resolution time,
+// flagged where they are hotspots in the week ending at `to` (or now).
+// `filter` holds the non-date list filters.
+const getHeatmap = async (filter, { bbox, zoom, precision, from, to, weeks }) => {
+  const cellPrecision = parsePrecision({ precision, zoom });
+  const since = parseDate(from, 'from');
+  const until = parseDate(to, 'to');
+  const trailingWeeks = parseWeeks(weeks);
+  const area = { ...filter, ...areaFilter(bbox) };
+
+  const createdAt = {};
+  if (since) createdAt.$gte = since;
+  if (until) createdAt.$lt = until;
+  const match = Complaint.find().cast(Complaint, {
+    ...area,
+    ...(Object.keys(createdAt).length > 0 && { createdAt })
+  });
+
+  const [cells, scores] = await Promise.all([
+    Complaint.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: cellKey(cellPrecision),
+          count: { $sum: 1 },
+          resolvedCount: {
+            $sum: { $cond: [{ $ifNull: ['$resolutionDetails.resolvedAt', false] }, 1, 0] }
+          },
+          // $avg skips the nulls of unresolved complaints
+          resolutionMs: {
+            $avg: {
+              $cond: [
+                { $ifNull: ['$resolutionDetails.resolvedAt', false] },
+                { $subtract: ['$resolutionDetails.resolvedAt', '$createdAt'] },
+                null
+              ]
+            }
+          }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: MAX_HEATMAP_CELLS + 1 }
+    ]),
+    scoreCells(area, { precision: cellPrecision, until, weeks: trailingWeeks })
+  ]);
+
+  const features = cells.slice(0, MAX_HEATMAP_CELLS).map(cell => cellFeature(cell._id, {
+    count: cell.count,
+    resolvedCount: cell.resolvedCount,
+    avgResolutionHours: cell.resolutionMs === null ? null : Number((cell.resolutionMs / HOUR_MS).toFixed(1)),
+    hotspot: scores.get(cell._id) || null
+  }));
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    meta: {
+      precision: cellPrecision,
+      maxCount: features.reduce((max, feature) => Math.max(max, feature.properties.count), 0),
+      truncated: cells.length > MAX_HEATMAP_CELLS,
+      hotspotWeeks: trailingWeeks,
+      hotspotCount: features.filter(feature => feature.properties.hotspot && feature.properties.hotspot.isHotspot).length
+    }
+  };
+};
+
+// Only the hotspot cells, most anomalous first
+const getHotspots = async (filter, { bbox, zoom, precision, to, weeks }) => {
+  const cellPrecision = parsePrecision({ precision, zoom });
+  const scores = await scoreCells({ ...filter, ...areaFilter(bbox) }, {
+    precision: cellPrecision,
+    until: parseDate(to, 'to'),
+    weeks: parseWeeks(weeks)
+  });
+
+  const features = [...scores.entries()]
+    .filter(([, score]) => score.isHotspot)
+    .sort(([, a], [, b]) => b.zScore - a.zScore)
+    .map(([cell, score]) => cellFeature(cell, score));
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    meta: {
+      precision: cellPrecision,
+      zThreshold: HOTSPOT_Z_THRESHOLD,
+      minComplaints: HOTSPOT_MIN_COMPLAINTS
+    }
+  };
+};
+
+module.exports = {
+  HOTSPOT_Z_THRESHOLD,
+  HOTSPOT_MIN_COMPLAINTS,
+  getHeatmap,
+  getHotspots
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Generated variants for every uploaded photo
+const VARIANTS = {
+  thumbnail: { width: 320, height: 320, fit: 'cover', quality: 70 },
+  web: { width: 1280, height: 1280, fit: 'inside', quality: 80 }
+};
+
+const toUrl = (filename) => `/uploads/${filename}`;
+
+// Create thumbnail and web-sized variants next to the stored original. If one
+// fails, the variants already written for this file are removed.
+const createVariants = async (file) => {
+  const base = path.parse(file.filename).name;
+  const source = sharp(file.path).rotate();
+  const metadata = await source.metadata();
+  const result = {
+    url: toUrl(file.filename),
+    width: metadata.width,
+    height: metadata.height
+  };
+
+  try {
+    for (const [name, options] of Object.entries(VARIANTS)) {
+      const filename = `${base}-${name}.webp`;
+      await source
+        .clone()
+        .resize({
+          width: options.width,
+          height: options.height,
+          fit: options.fit,
+          withoutEnlargement: true
+        })
+        .webp({ quality: options.quality })
+        .toFile(path.join(path.dirname(file.path), filename));
+      result[`${name}Url`] = toUrl(filename);
+    }
+  } catch (error) {
+    // The original is left to the caller
+    removeImageFiles({ ...result, url: null });
+    throw error;
+  }
+
+  return result;
+};
+
+// Delete an image and its variants from disk
+const removeImageFiles = (image) => {
+  [image.url, image.thumbnailUrl, image.webUrl]
+    .filter(url => url && url.startsWith('/uploads/'))
+    .forEach(url => {
+      fs.unlink(path.join(UPLOAD_DIR, path.basename(url)), () => {});
+    });
+};
+
+module.exports = { createVariants, removeImageFiles, VARIANTS };
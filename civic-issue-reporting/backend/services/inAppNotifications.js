@@ -0,0 +1,193 @@
+const Notification = require('../models/Notification');
+const Community = require('../models/Community');
+const CommunityPost = require('../models/CommunityPost');
+const { subscribe } = require('./eventBus');
+const { latestStatusChange, commentedBy, complaintAudience, findWithAudience } = require('./complaintAudience');
+
+// Notification center entries built from domain events, pushed to each
+// recipient's socket room as they are created:
+//   complaint.status_changed  reporter and followers, other than whoever
+//                             made the change
+//   comment.created           reporter and followers of the complaint, or
+//                             author of the post, other than the commenter
+//   community.member_joined   community creator and moderators
+//   community.post_created    community members other than the author
+
+const EXCERPT_LENGTH = 140;
+
+let io = null;
+let unsubscribe = null;
+
+// Room every authenticated socket of a user joins
+const userRoom = (userId) => `user:${userId}`;
+
+const idOf = (value) => (value && value._id ? value._id : value || '').toString();
+
+const excerpt = (text) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > EXCERPT_LENGTH ? `${value.slice(0, EXCERPT_LENGTH - 1)}…` : value;
+};
+
+const statusChangeNotifications = async ({ complaintId, oldStatus, newStatus, updatedBy }) => {
+  const complaint = await findWithAudience(complaintId, 'title statusHistory');
+  if (!complaint) return [];
+
+  const entry = latestStatusChange(complaint, newStatus);
+  const actor = entry && entry.changedBy;
+  const audience = await complaintAudience(complaint, { actor, userFields: '_id' });
+
+  return audience.map(({ user, isReporter }) => ({
+    recipient: user._id,
+    type: 'status_change',
+    actor,
+    complaint: complaint._id,
+    data: {
+      title: complaint.title,
+      oldStatus,
+      newStatus,
+      actorName: actor ? updatedBy : undefined,
+      following: !isReporter
+    }
+  }));
+};
+
+const complaintCommentNotifications = async (complaintId, comment) => {
+  const complaint = await findWithAudience(complaintId, 'title');
+  if (!complaint) return [];
+
+  const actor = commentedBy(complaint, comment);
+  const audience = await complaintAudience(complaint, { actor, userFields: '_id' });
+
+  // An anonymous reporter's comment keeps its author masked
+  const author = comment.author;
+  return audience.map(({ user, isReporter }) => ({
+    recipient: user._id,
+    type: 'comment',
+    actor: author ? author._id : undefined,
+    complaint: complaint._id,
+    data: {
+      title: complaint.title,
+      actorName: author ? author.name : undefined,
+      excerpt: excerpt(comment.content),
+      following: !isReporter
+    }
+  }));
+};
+
+const postCommentNotifications = async (postId, comment) => {
+  const author = comment.author;
+  const post = await CommunityPost.findById(postId).select('title author community');
+  if (!post || !author || idOf(post.author) === idOf(author)) return [];
+
+  return [{
+    recipient: post.author,
+    type: 'comment',
+    actor: author._id,
+    community: post.community,
+    communityPost: post._id,
+    data: {
+      title: post.title,
+      actorName: author.name,
+      excerpt: excerpt(comment.content)
+    }
+  }];
+};
+
+const commentNotifications = async ({ complaintId, postId, comment }) => {
+  if (!comment) return [];
+  if (complaintId) return complaintCommentNotifications(complaintId, comment);
+  if (postId) return postCommentNotifications(postId, comment);
+  return [];
+};
+
+const memberJoinedNotifications = async ({ user, community: communityId }) => {
+  const community = await Community.findById(communityId).select('name createdBy moderators');
+  if (!community) return [];
+
+  const recipients = new Set([community.createdBy, ...community.moderators].map(idOf));
+  recipients.delete(idOf(user.id));
+
+  return [...recipients].map(recipient => ({
+    recipient,
+    type: 'member_joined',
+    actor: user.id,
+    community: community._id,
+    data: {
+      actorName: user.name,
+      communityName: community.name
+    }
+  }));
+};
+
+const postNotifications = async (post) => {
+  const community = await Community.findById(idOf(post.community)).select('name members.user');
+  if (!community) return [];
+
+  const authorId = idOf(post.author);
+  return community.members
+    .map(member => idOf(member.user))
+    .filter(memberId => memberId && memberId !== authorId)
+    .map(recipient => ({
+      recipient,
+      type: 'community_post',
+      actor: authorId,
+      community: community._id,
+      communityPost: post._id,
+      data: {
+        title: post.title,
+        actorName: post.author && post.author.name,
+        communityName: community.name
+      }
+    }));
+};
+
+const BUILDERS = {
+  'complaint.status_changed': statusChangeNotifications,
+  'comment.created': commentNotifications,
+  'community.member_joined': memberJoinedNotifications,
+  'community.post_created': postNotifications
+};
+
+const handleEvent = async (envelope) => {
+  const docs = await BUILDERS[envelope.event](envelope.data);
+  if (docs.length === 0) return [];
+
+  const notifications = await Notification.insertMany(docs);
+  if (io) {
+    notifications.forEach((notification) => {
+      io.to(userRoom(notification.recipient)).emit('notification', notification);
+    });
+  }
+  return notifications;
+};
+
+// Tell a user's other tabs and devices that notifications were read:
+// `ids` of the notifications, or 'all'
+const emitRead = (userId, ids) => {
+  if (io) {
+    io.to(userRoom(userId)).emit('notifications-read', { ids });
+  }
+};
+
+const startInAppNotifications = (socketIo) => {
+  if (unsubscribe) return;
+
+  io = socketIo;
+  unsubscribe = subscribe(Object.keys(BUILDERS), handleEvent);
+};
+
+const stopInAppNotifications = () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  io = null;
+};
+
+module.exports = {
+  userRoom,
+  emitRead,
+  handleEvent,
+  startInAppNotifications,
+  stopInAppNotifications
+};
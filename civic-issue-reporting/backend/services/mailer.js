@@ -0,0 +1,182 @@
+const nodemailer = require('nodemailer');
+const OutboxEmail = require('../models/OutboxEmail');
+
+// Outgoing mail over SMTP. Messages are written to the outbox first and sent
+// from there right away; failed sends are retried with exponential backoff
+// by a background loop until they go out or run out of attempts.
+//
+// Configure SMTP_HOST/SMTP_PORT (any SMTP server, including a local sink
+// such as MailHog or smtp4dev while developing) or a nodemailer
+// EMAIL_SERVICE such as gmail. Without either, messages stay pending in the
+// outbox.
+
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const EMAIL_SERVICE = process.env.EMAIL_SERVICE;
+const EMAIL_USER = process.env.SMTP_USER || process.env.EMAIL_USER;
+const EMAIL_PASS = process.env.SMTP_PASS || process.env.EMAIL_PASS;
+const EMAIL_FROM = process.env.EMAIL_FROM || EMAIL_USER || 'CivicConnect <no-reply@civic-issues.org>';
+const EMAIL_ENABLED = process.env.EMAIL_ENABLED !== 'false' && Boolean(SMTP_HOST || EMAIL_SERVICE);
+
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+// Delay before the first retry; doubled for each further one
+const EMAIL_RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 60 * 1000;
+const EMAIL_TIMEOUT_MS = parseInt(process.env.EMAIL_TIMEOUT_MS, 10) || 30 * 1000;
+const EMAIL_CHECK_INTERVAL_MS = parseInt(process.env.EMAIL_CHECK_INTERVAL_MS, 10) || 60 * 1000;
+
+let transport = null;
+let timer = null;
+let running = false;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      ...(SMTP_HOST
+        ? { host: SMTP_HOST, port: SMTP_PORT, secure: SMTP_SECURE }
+        : { service: EMAIL_SERVICE }),
+      auth: EMAIL_USER ? { user: EMAIL_USER, pass: EMAIL_PASS } : undefined,
+      connectionTimeout: EMAIL_TIMEOUT_MS,
+      socketTimeout: EMAIL_TIMEOUT_MS
+    });
+  }
+  return transport;
+};
+
+const retryDelay = (attempts) => EMAIL_RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// Take a due message for sending. Pushing nextAttemptAt past the send
+// timeout keeps the retry loop and an immediate send from both taking it.
+const claimEmail = (id) => {
+  const now = new Date();
+  return OutboxEmail.findOneAndUpdate(
+    { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + EMAIL_TIMEOUT_MS * 2) },
+    { new: true }
+  );
+};
+
+// Make one attempt at a claimed message and record its outcome
+const attemptEmail = async (email) => {
+  const now = new Date();
+  email.attempts += 1;
+  email.lastAttemptAt = now;
+
+  try {
+    const info = await getTransport().sendMail({
+      from: EMAIL_FROM,
+      to: email.to,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+      headers: email.headers
+    });
+    email.status = 'sent';
+    email.sentAt = new Date();
+    email.messageId = info.messageId;
+    email.error = undefined;
+    email.nextAttemptAt = undefined;
+  } catch (error) {
+    email.error = error.message;
+    // A 5xx reply (e.g. unknown mailbox) will not get better on retry
+    const permanent = error.responseCode >= 500;
+    if (permanent || email.attempts >= EMAIL_MAX_ATTEMPTS) {
+      email.status = 'failed';
+      email.nextAttemptAt = undefined;
+    } else {
+      email.nextAttemptAt = new Date(now.getTime() + retryDelay(email.attempts));
+    }
+  }
+
+  return email.save();
+};
+
+const sendNow = async (email) => {
+  const claimed = await claimEmail(email._id);
+  return claimed ? attemptEmail(claimed) : email;
+};
+
+// Put a rendered message ({ to, subject, text, html, headers, user,
+// complaint, template, language }) in the outbox and try to send it
+const queueEmail = async (message) => {
+  const email = await OutboxEmail.create({
+    ...message,
+    nextAttemptAt: new Date()
+  });
+
+  if (!EMAIL_ENABLED) return email;
+
+  return sendNow(email).catch((error) => {
+    // Left pending; the retry loop picks it up
+    console.error(`Email ${email._id} failed:`, error);
+    return email;
+  });
+};
+
+// Retry messages whose backoff has elapsed
+const processDueEmails = async () => {
+  const due = await OutboxEmail.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  let sent = 0;
+  for (const { _id } of due) {
+    try {
+      const claimed = await claimEmail(_id);
+      if (!claimed) continue;
+      await attemptEmail(claimed);
+      sent++;
+    } catch (error) {
+      console.error(`Email ${_id} failed:`, error);
+    }
+  }
+  return sent;
+};
+
+const startOutboxWorker = () => {
+  if (timer) return;
+
+  if (!EMAIL_ENABLED) {
+    console.log('✉️  Email sending is not configured; notifications stay in the outbox');
+    return;
+  }
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueEmails();
+    } catch (error) {
+      console.error('Email outbox worker error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, EMAIL_CHECK_INTERVAL_MS);
+  tick();
+};
+
+const stopOutboxWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (transport) {
+    transport.close();
+    transport = null;
+  }
+};
+
+module.exports = {
+  EMAIL_ENABLED,
+  EMAIL_MAX_ATTEMPTS,
+  queueEmail,
+  processDueEmails,
+  startOutboxWorker,
+  stopOutboxWorker
+};
@@ -0,0 +1,199 @@
+const Complaint = require('../models/Complaint');
+const { STATUSES } = require('../config/statusWorkflow');
+
+// Viewport queries for the complaint map. Below CLUSTER_MAX_ZOOM complaints
+// are grouped on a grid whose cells shrink as the map zooms in, so a request
+// returns at most a few hundred features whatever the number of complaints.
+// From CLUSTER_MAX_ZOOM on, each complaint is returned as its own feature.
+
+const CLUSTER_MAX_ZOOM = parseInt(process.env.MAP_CLUSTER_MAX_ZOOM, 10) || 15;
+const MAX_ZOOM = 22;
+
+// Grid cells per 256px map tile; 4 gives clusters roughly 64px apart
+const CELLS_PER_TILE = 4;
+
+// Upper bound on individual features returned for one viewport
+const MAX_MAP_FEATURES = parseInt(process.env.MAX_MAP_FEATURES, 10) || 1000;
+
+const CATEGORIES = Complaint.schema.path('category').enumValues;
+
+const mapError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// `bbox=minLng,minLat,maxLng,maxLat` as sent by Leaflet's toBBoxString()
+const parseBBox = (value) => {
+  const parts = String(value || '').split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => Number.isNaN(part))) {
+    throw mapError('bbox must be minLng,minLat,maxLng,maxLat');
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLat >= maxLat || minLat < -90 || maxLat > 90) {
+    throw mapError('bbox latitudes are out of range');
+  }
+  if (minLng >= maxLng) {
+    throw mapError('bbox must not cross the antimeridian');
+  }
+
+  // Leaflet reports longitudes beyond ±180 when the world wraps
+  return [Math.max(minLng, -180), minLat, Math.min(maxLng, 180), maxLat];
+};
+
+const parseZoom = (value) => {
+  const zoom = parseInt(value, 10);
+  if (Number.isNaN(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+    throw mapError(`zoom must be between 0 and ${MAX_ZOOM}`);
+  }
+  return zoom;
+};
+
+// Location filter for the viewport. A polygon wider than a hemisphere would
+// be read as its complement, so very wide views fall back to no filter.
+const viewportFilter = ([minLng, minLat, maxLng, maxLat]) => {
+  if (maxLng - minLng >= 180) {
+    return { 'location.coordinates': { $exists: true } };
+  }
+  return {
+    location: {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+          ]]
+        }
+      }
+    }
+  };
+};
+
+const countsBy = (values, prefix, group) => values.reduce((counts, value, index) => {
+  if (group[`${prefix}${index}`] > 0) counts[value] = group[`${prefix}${index}`];
+  return counts;
+}, {});
+
+// Grid clusters with their complaint count per status and category
+const clusterFeatures = async (filter, zoom) => {
+  const cellSize = 360 / Math.pow(2, zoom) / CELLS_PER_TILE;
+  const lng = { $arrayElemAt: ['$location.coordinates', 0] };
+  const lat = { $arrayElemAt: ['$location.coordinates', 1] };
+
+  // One counter per known status and category keeps the group bounded
+  const counters = {};
+  STATUSES.forEach((status, index) => {
+    counters[`status${index}`] = { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } };
+  });
+  CATEGORIES.forEach((category, index) => {
+    counters[`category${index}`] = { $sum: { $cond: [{ $eq: ['$category', category] }, 1, 0] } };
+  });
+
+  // Aggregation skips schema casting (e.g. of department ids), so cast first
+  const match = Complaint.find().cast(Complaint, { ...filter });
+
+  const groups = await Complaint.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: [lng, cellSize] } },
+          y: { $floor: { $divide: [lat, cellSize] } }
+        },
+        count: { $sum: 1 },
+        lng: { $avg: lng },
+        lat: { $avg: lat },
+        minLng: { $min: lng },
+        minLat: { $min: lat },
+        maxLng: { $max: lng },
+        maxLat: { $max: lat },
+        complaintId: { $first: '$_id' },
+        ...counters
+      }
+    }
+  ]);
+
+  return groups.map(group => ({
+    type: 'Feature',
+    id: `${zoom}:${group._id.x}:${group._id.y}`,
+    geometry: {
+      type: 'Point',
+      coordinates: [group.lng, group.lat]
+    },
+    bbox: [group.minLng, group.minLat, group.maxLng, group.maxLat],
+    properties: {
+      cluster: true,
+      count: group.count,
+      statuses: countsBy(STATUSES, 'status', group),
+      categories: countsBy(CATEGORIES, 'category', group),
+      // Lone complaints can be opened straight from the cluster
+      ...(group.count === 1 && { complaintId: group.complaintId })
+    }
+  }));
+};
+
+// Individual complaints, newest first. Reporters are never included, so
+// anonymous complaints need no masking here.
+const complaintFeatures = async (filter) => {
+  const complaints = await Complaint.find(filter)
+    .select('title category status priority location createdAt')
+    .sort({ createdAt: -1 })
+    .limit(MAX_MAP_FEATURES + 1)
+    .lean();
+
+  return {
+    truncated: complaints.length > MAX_MAP_FEATURES,
+    features: complaints.slice(0, MAX_MAP_FEATURES).map(complaint => ({
+      type: 'Feature',
+      id: complaint._id.toString(),
+      geometry: {
+        type: 'Point',
+        coordinates: complaint.location.coordinates
+      },
+      properties: {
+        cluster: false,
+        title: complaint.title,
+        category: complaint.category,
+        status: complaint.status,
+        priority: complaint.priority,
+        address: complaint.location.address,
+        createdAt: complaint.createdAt
+      }
+    }))
+  };
+};
+
+// GeoJSON FeatureCollection of the complaints matching `filter` inside
+// `bbox`, clustered or not depending on `zoom`
+const getMapFeatures = async (filter, { bbox, zoom }) => {
+  const viewport = parseBBox(bbox);
+  const level = parseZoom(zoom);
+  const query = { ...filter, ...viewportFilter(viewport) };
+  const clustered = level < CLUSTER_MAX_ZOOM;
+
+  const { features, truncated = false } = clustered
+    ? { features: await clusterFeatures(query, level) }
+    : await complaintFeatures(query);
+
+  return {
+    type: 'FeatureCollection',
+    bbox: viewport,
+    features,
+    meta: {
+      zoom: level,
+      clustered,
+      clusterMaxZoom: CLUSTER_MAX_ZOOM,
+      total: features.reduce((sum, feature) => sum + (feature.properties.count || 1), 0),
+      truncated
+    }
+  };
+};
+
+module.exports = {
+  CLUSTER_MAX_ZOOM,
+  MAX_MAP_FEATURES,
+  parseBBox,
+  viewportFilter,
+  getMapFeatures
+};
@@ -0,0 +1,224 @@
+const Complaint = require('../models/Complaint');
+const { CLOSED_STATUSES } = require('../config/sla');
+const { HIDDEN_STATUSES } = require('../config/statusWorkflow');
+
+// Open311 GeoReport v2 (http://wiki.open311.org/GeoReport_v2) view of the
+// complaint model: categories are services, complaints are service requests.
+
+// Most requests returned by one list call, and how far back a list reaches
+// when no start_date is given (the spec suggests 1000 and 90 days)
+const MAX_OPEN311_REQUESTS = parseInt(process.env.MAX_OPEN311_REQUESTS, 10) || 1000;
+const DEFAULT_WINDOW_DAYS = 90;
+
+const CATEGORIES = Complaint.schema.path('category').enumValues;
+const PRIORITIES = Complaint.schema.path('priority').enumValues;
+
+const SERVICE_DETAILS = {
+  Sanitation: {
+    description: 'Garbage collection, overflowing bins, blocked drains and public toilets',
+    keywords: 'garbage,waste,drain,toilet'
+  },
+  Roads: {
+    description: 'Potholes, damaged roads and footpaths, missing signage',
+    keywords: 'pothole,road,footpath,signage'
+  },
+  Water: {
+    description: 'Water supply, leaking pipes, contamination and sewage',
+    keywords: 'water,leak,pipe,sewage'
+  },
+  Electricity: {
+    description: 'Streetlights, power outages and exposed wiring',
+    keywords: 'streetlight,power,wiring'
+  },
+  Parks: {
+    description: 'Parks, playgrounds, trees and other public spaces',
+    keywords: 'park,playground,tree'
+  },
+  Transport: {
+    description: 'Bus stops, traffic signals, parking and public transport',
+    keywords: 'bus,traffic,signal,parking'
+  },
+  Health: {
+    description: 'Public health hazards such as mosquito breeding and stray animals',
+    keywords: 'mosquito,stray,hazard'
+  },
+  Other: {
+    description: 'Any other civic issue',
+    keywords: ''
+  }
+};
+
+const serviceCode = (category) => category.toLowerCase();
+
+const findCategory = (code) =>
+  CATEGORIES.find(category => serviceCode(category) === String(code).trim().toLowerCase());
+
+const toService = (category) => ({
+  service_code: serviceCode(category),
+  service_name: category,
+  description: SERVICE_DETAILS[category].description,
+  // Every service takes the optional priority attribute
+  metadata: true,
+  type: 'realtime',
+  keywords: SERVICE_DETAILS[category].keywords,
+  group: 'Civic issues'
+});
+
+const getServices = () => CATEGORIES.map(toService);
+
+const getServiceDefinition = (category) => ({
+  service_code: serviceCode(category),
+  attributes: [{
+    variable: true,
+    code: 'priority',
+    datatype: 'singlevaluelist',
+    required: false,
+    datatype_description: 'How urgent the issue is',
+    order: 1,
+    description: 'Priority',
+    values: PRIORITIES.map(priority => ({ key: priority, name: priority }))
+  }]
+});
+
+const isOpen = (status) => !CLOSED_STATUSES.includes(status);
+
+// Absolute URL of the complaint's first photo, or the media_url it was
+// submitted with
+const mediaUrlOf = (complaint, baseUrl) => {
+  const image = (complaint.images || [])[0];
+  const url = image ? image.webUrl || image.url : complaint.source && complaint.source.mediaUrl;
+  if (!url) return '';
+  return url.startsWith('/') ? `${baseUrl}${url}` : url;
+};
+
+const toServiceRequest = (complaint, baseUrl) => {
+  const history = complaint.statusHistory || [];
+  const latest = history[history.length - 1];
+  const resolution = complaint.resolutionDetails && complaint.resolutionDetails.description;
+
+  return {
+    service_request_id: complaint._id.toString(),
+    status: isOpen(complaint.status) ? 'open' : 'closed',
+    status_notes: (!isOpen(complaint.status) && resolution) || (latest && latest.comment) || '',
+    service_name: complaint.category,
+    service_code: serviceCode(complaint.category),
+    description: complaint.description,
+    agency_responsible: (complaint.department && complaint.department.name) || '',
+    service_notice: '',
+    requested_datetime: complaint.createdAt,
+    updated_datetime: complaint.updatedAt,
+    expected_datetime: complaint.dueAt || '',
+    address: complaint.location.address,
+    address_id: '',
+    zipcode: '',
+    lat: complaint.location.coordinates[1],
+    long: complaint.location.coordinates[0],
+    media_url: mediaUrlOf(complaint, baseUrl)
+  };
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${name} must be a W3C date-time`);
+  return date;
+};
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Mongo filter for GET /requests. service_request_id overrides every other
+// parameter, as the spec requires.
+const buildRequestFilter = ({ service_request_id, service_code, start_date, end_date, status }) => {
+  const filter = { status: { $nin: HIDDEN_STATUSES } };
+
+  if (service_request_id) {
+    const ids = splitList(service_request_id);
+    if (ids.some(id => !/^[a-f\d]{24}$/i.test(id))) {
+      throw badRequest('service_request_id must be a comma-separated list of request ids');
+    }
+    filter._id = { $in: ids };
+    return filter;
+  }
+
+  if (service_code) {
+    const categories = splitList(service_code).map(findCategory);
+    if (categories.some(category => !category)) throw badRequest('Unknown service_code');
+    filter.category = { $in: categories };
+  }
+
+  if (status) {
+    const statuses = splitList(status);
+    if (statuses.some(value => !['open', 'closed'].includes(value))) {
+      throw badRequest('status must be open or closed');
+    }
+    if (statuses.length === 1) {
+      // Closed statuses include the hidden ones
+      filter.status = statuses[0] === 'open'
+        ? { $nin: CLOSED_STATUSES }
+        : { $in: CLOSED_STATUSES.filter(value => !HIDDEN_STATUSES.includes(value)) };
+    }
+  }
+
+  const end = end_date ? parseDate(end_date, 'end_date') : new Date();
+  const start = start_date
+    ? parseDate(start_date, 'start_date')
+    : new Date(end.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  filter.createdAt = { $gte: start, $lte: end };
+
+  return filter;
+};
+
+// Complaint title for a request, which only has a description: its first
+// line, shortened to a whole word when it is too long
+const titleFrom = (description, category) => {
+  const line = String(description).trim().split(/\r?\n/)[0].trim();
+  if (line.length < 5) return `${category} issue`;
+  if (line.length <= 100) return line;
+  const cut = line.slice(0, 99);
+  const space = cut.lastIndexOf(' ');
+  return `${space > 50 ? cut.slice(0, space) : cut}…`;
+};
+
+// Element names for the items of each list
+const XML_ITEMS = {
+  services: 'service',
+  service_requests: 'request',
+  errors: 'error',
+  attributes: 'attribute',
+  values: 'value'
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const xmlElement = (name, value) => {
+  if (value === undefined || value === null || value === '') return `<${name}/>`;
+  if (value instanceof Date) return `<${name}>${value.toISOString()}</${name}>`;
+  if (Array.isArray(value)) {
+    return `<${name}>${value.map(item => xmlElement(XML_ITEMS[name] || 'item', item)).join('')}</${name}>`;
+  }
+  if (typeof value === 'object') {
+    const children = Object.entries(value).map(([key, child]) => xmlElement(key, child)).join('');
+    return `<${name}>${children}</${name}>`;
+  }
+  return `<${name}>${escapeXml(value)}</${name}>`;
+};
+
+// GeoReport XML document with `value` as its `root` element
+const toXml = (root, value) => `<?xml version="1.0" encoding="utf-8"?>\n${xmlElement(root, value)}\n`;
+
+module.exports = {
+  MAX_OPEN311_REQUESTS,
+  findCategory,
+  getServices,
+  getServiceDefinition,
+  toServiceRequest,
+  buildRequestFilter,
+  titleFrom,
+  toXml
+};
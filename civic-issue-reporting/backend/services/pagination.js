@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+// List endpoint helpers: opaque cursor pagination and `fields=` selection.
+//
+// Cursors are base64url-encoded JSON. For sorts on scalar fields they hold the
+// sort values of the last item (keyset pagination, no skip); for sorts that
+// cannot be resumed from a value, such as text relevance or distance, they
+// hold an offset. Clients treat them as opaque either way.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const paginationError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseLimit = (limit, fallback = DEFAULT_LIMIT) => {
+  const value = parseInt(limit, 10);
+  if (Number.isNaN(value) || value < 1) return fallback;
+  return Math.min(value, MAX_LIMIT);
+};
+
+// Dates and ObjectIds survive the JSON round trip through tagged values
+const serializeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value;
+};
+
+const deserializeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (value.$date) return new Date(value.$date);
+    if (value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+  }
+  return value;
+};
+
+const sortSignature = (sort) =>
+  Object.entries(sort).map(([key, direction]) => `${key}:${direction}`).join(',');
+
+const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw paginationError('Invalid cursor');
+  }
+  if (!payload || typeof payload !== 'object' || payload.s !== sortSignature(sort)) {
+    throw paginationError('Cursor does not match this query; start again without a cursor');
+  }
+  return payload;
+};
+
+const valueAt = (doc, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Documents strictly after `values` in `sort` order:
+// { $or: [{ a: { $lt: va } }, { a: va, b: { $lt: vb } }, ...] }
+const keysetFilter = (sort, values) => {
+  const keys = Object.keys(sort);
+  return {
+    $or: keys.map((key, index) => {
+      const condition = {};
+      keys.slice(0, index).forEach((previous, i) => {
+        condition[previous] = values[i];
+      });
+      condition[key] = { [sort[key] === -1 ? '$lt' : '$gt']: values[index] };
+      return condition;
+    })
+  };
+};
+
+// Run a lean Mongoose list query one page at a time.
+// `keyset` must only be enabled when every sort key is a non-null scalar.
+// Passing `page` keeps the older numbered pages (skip + total) for clients
+// that still use them; `countTotal` is only called in that case or when a
+// client opts in with `includeTotal`.
+// Resolves to { items, pagination }.
+const fetchPage = async (query, { sort, limit, cursor, page, keyset = true, countTotal, includeTotal = false }) => {
+  if (page) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const [items, total] = await Promise.all([
+      query.sort(sort).skip((pageNumber - 1) * limit).limit(limit),
+      countTotal()
+    ]);
+    return {
+      items,
+      pagination: { page: pageNumber, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  const fullSort = keyset ? { ...sort, _id: Object.values(sort).pop() || -1 } : sort;
+  const position = cursor ? decodeCursor(cursor, fullSort) : null;
+  let offset = 0;
+
+  if (keyset) {
+    if (position) {
+      if (!Array.isArray(position.after)) throw paginationError('Invalid cursor');
+      query.and([keysetFilter(fullSort, position.after.map(deserializeValue))]);
+    }
+    // The cursor is built from the sort keys, so they must be selected
+    if (query.selectedInclusively()) {
+      query.select(Object.keys(fullSort).join(' '));
+    }
+  } else {
+    offset = position ? parseInt(position.offset, 10) || 0 : 0;
+    query.skip(offset);
+  }
+
+  const [docs, total] = await Promise.all([
+    query.sort(fullSort).limit(limit + 1),
+    includeTotal && countTotal ? countTotal() : undefined
+  ]);
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  const last = items[items.length - 1];
+
+  let nextCursor = null;
+  if (hasMore) {
+    nextCursor = encodeCursor(keyset
+      ? { s: sortSignature(fullSort), after: Object.keys(fullSort).map(key => serializeValue(valueAt(last, key))) }
+      : { s: sortSignature(fullSort), offset: offset + limit });
+  }
+
+  return {
+    items,
+    pagination: { limit, nextCursor, hasMore, ...(total !== undefined && { total }) }
+  };
+};
+
+// Parse `fields=title,status,upvoteCount` against the fields a list exposes.
+// `derived` maps computed response fields to the stored fields they need, and
+// `required` lists stored fields the route always needs (for example to mask
+// anonymous reporters). Returns null when no selection was requested.
+const parseFields = (fields, { allowed, derived = {}, required = [] }) => {
+  if (!fields) return null;
+
+  const requested = [...new Set(String(fields).split(',').map(field => field.trim()).filter(Boolean))];
+  const invalid = requested.filter(field => !allowed.includes(field) && !derived[field]);
+  if (invalid.length > 0) {
+    throw paginationError(`Unknown fields: ${invalid.join(', ')}. Allowed: ${[...allowed, ...Object.keys(derived)].join(', ')}`);
+  }
+
+  const stored = new Set(['_id', ...required]);
+  requested.forEach(field => {
+    [].concat(derived[field] || field).forEach(source => stored.add(source));
+  });
+
+  return {
+    requested,
+    select: [...stored].join(' '),
+    has: (field) => stored.has(field),
+    // Trim a response item to `_id` plus the requested fields
+    pick: (item) => requested.reduce((picked, field) => {
+      if (item[field] !== undefined) picked[field] = item[field];
+      return picked;
+    }, { _id: item._id })
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  parseFields,
+  fetchPage,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,73 @@
+const exifr = require('exifr');
+const sharp = require('sharp');
+const { distanceMeters } = require('./duplicateDetection');
+
+// Formats we re-encode as-is; anything else (e.g. HEIC) is stored as JPEG
+const OUTPUT_FORMATS = {
+  jpeg: '.jpg',
+  png: '.png',
+  webp: '.webp',
+  gif: '.gif',
+  avif: '.avif',
+  tiff: '.tiff'
+};
+
+// Distance beyond which a photo's GPS is considered inconsistent
+// with the location claimed in the complaint, in meters
+const PHOTO_GPS_MISMATCH_METERS = parseInt(process.env.PHOTO_GPS_MISMATCH_METERS, 10) || 1000;
+
+// Read the GPS position and capture time embedded in a photo, if any
+const readPhotoMetadata = async (buffer) => {
+  try {
+    const exif = await exifr.parse(buffer, { tiff: true, exif: true, gps: true });
+    if (!exif) return { gps: null, takenAt: null };
+
+    const hasGps = Number.isFinite(exif.latitude) && Number.isFinite(exif.longitude) &&
+      !(exif.latitude === 0 && exif.longitude === 0);
+    const takenAt = exif.DateTimeOriginal || exif.CreateDate || null;
+
+    return {
+      gps: hasGps ? { latitude: exif.latitude, longitude: exif.longitude } : null,
+      takenAt: takenAt instanceof Date && !isNaN(takenAt) ? takenAt : null
+    };
+  } catch (error) {
+    // Unreadable or missing EXIF is normal for screenshots and edited images
+    return { gps: null, takenAt: null };
+  }
+};
+
+// Re-encode an image without any metadata (EXIF, XMP, IPTC, ICC comments).
+// Orientation is applied to the pixels first so the photo still displays upright.
+const stripMetadata = async (buffer) => {
+  const image = sharp(buffer).rotate();
+  const { format } = await image.metadata();
+  const outputFormat = OUTPUT_FORMATS[format] ? format : 'jpeg';
+  const data = await image.toFormat(outputFormat).toBuffer();
+
+  return { data, extension: OUTPUT_FORMATS[outputFormat] };
+};
+
+// First GPS position found among processed uploads, as [lng, lat]
+const findPhotoLocation = (images = []) => {
+  const image = images.find(img => img.gps);
+  return image ? [image.gps.longitude, image.gps.latitude] : null;
+};
+
+// Prepare a processed upload for storage: record how far the photo was taken
+// from the complaint location and drop the raw GPS position itself.
+const toStoredImage = (image, coordinates) => {
+  const { gps, ...stored } = image;
+  if (gps && coordinates) {
+    stored.gpsDistance = Math.round(distanceMeters(coordinates, [gps.longitude, gps.latitude]));
+    stored.gpsMismatch = stored.gpsDistance > PHOTO_GPS_MISMATCH_METERS;
+  }
+  return stored;
+};
+
+module.exports = {
+  readPhotoMetadata,
+  stripMetadata,
+  findPhotoLocation,
+  toStoredImage,
+  PHOTO_GPS_MISMATCH_METERS
+};
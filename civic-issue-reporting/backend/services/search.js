@@ -0,0 +1,151 @@
+const Complaint = require('../models/Complaint');
+
+// Number of recent complaints whose words feed the "did you mean" vocabulary
+const VOCABULARY_SAMPLE = parseInt(process.env.SEARCH_VOCABULARY_SAMPLE, 10) || 5000;
+
+// How long the vocabulary is reused before being rebuilt
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+const SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+const words = (text = '') => String(text).toLowerCase().match(WORD_PATTERN) || [];
+
+// Fold common spelling variants of transliterated Hindi/Kannada into one form,
+// so "paani"/"pani", "kachara"/"kachra" or "bijlee"/"bijli" compare equal.
+const phoneticKey = (word) => {
+  if (!/^[a-z]+$/.test(word)) return word;
+  const folded = word
+    .replace(/ph/g, 'f')
+    .replace(/([bcdgjkpt])h/g, '$1')
+    .replace(/sh/g, 's')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/ck/g, 'k')
+    .replace(/ee|ii/g, 'i')
+    .replace(/oo|uu/g, 'u')
+    .replace(/(.)\1+/g, '$1');
+  // Drop the inherent "a" between consonants (schwa deletion) after the first letter
+  return folded[0] + folded.slice(1).replace(/([^aeiou])a(?=[^aeiou])/g, '$1');
+};
+
+// Damerau-Levenshtein distance (optimal string alignment)
+const editDistance = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+};
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+
+// Word frequencies from recent complaint titles, addresses and tags
+const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) {
+    return vocabulary;
+  }
+
+  const complaints = await Complaint.find({}, 'title tags location.address')
+    .sort({ createdAt: -1 })
+    .limit(VOCABULARY_SAMPLE)
+    .lean();
+
+  const counts = new Map();
+  complaints.forEach(complaint => {
+    const text = [complaint.title, complaint.location?.address, ...(complaint.tags || [])].join(' ');
+    words(text)
+      .filter(word => word.length > 2)
+      .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  });
+
+  vocabulary = counts;
+  vocabularyBuiltAt = Date.now();
+  return vocabulary;
+};
+
+// Closest known word, preferring phonetic matches and then frequent words
+const correctWord = (word, known) => {
+  if (word.length <= 2 || known.has(word)) return word;
+
+  const key = phoneticKey(word);
+  const maxDistance = word.length > 6 ? 2 : 1;
+  let best = null;
+
+  known.forEach((count, candidate) => {
+    if (Math.abs(candidate.length - word.length) > maxDistance + 1) return;
+    const distance = phoneticKey(candidate) === key ? 0 : editDistance(word, candidate);
+    if (distance > maxDistance) return;
+    if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+      best = { word: candidate, distance, count };
+    }
+  });
+
+  return best ? best.word : word;
+};
+
+// Suggest a corrected query, or null when every word is already known
+const suggestQuery = async (query) => {
+  const known = await getVocabulary();
+  const original = words(query);
+  const corrected = original.map(word => correctWord(word, known));
+  return corrected.some((word, index) => word !== original[index]) ? corrected.join(' ') : null;
+};
+
+// Loose stem used to highlight "potholes" when searching for "pothole"
+const stemOf = (word) => word.replace(/(ing|es|ed|s)$/, '').slice(0, Math.max(3, word.length - 3)) || word;
+
+// Extract a snippet around the first matching term. Matches are returned as
+// [start, end] offsets into `text` so clients can highlight them safely.
+const buildSnippet = (text = '', query = '', length = SNIPPET_LENGTH) => {
+  const stems = words(query).filter(word => word.length > 1).map(stemOf);
+  const matches = [];
+  let match;
+
+  WORD_PATTERN.lastIndex = 0;
+  while ((match = WORD_PATTERN.exec(text)) !== null) {
+    const word = match[0].toLowerCase();
+    if (stems.some(stem => word.startsWith(stem))) {
+      matches.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  if (matches.length === 0) {
+    return text.length > length
+      ? { text: `${text.slice(0, length)}…`, highlights: [] }
+      : { text, highlights: [] };
+  }
+
+  const start = Math.max(0, Math.min(matches[0][0] - 40, text.length - length));
+  const end = Math.min(text.length, start + length);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset])
+  };
+};
+
+module.exports = {
+  suggestQuery,
+  buildSnippet,
+  phoneticKey,
+  editDistance
+};
@@ -0,0 +1,185 @@
+const Complaint = require('../models/Complaint');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const { publish } = require('./eventBus');
+const {
+  CLOSED_STATUSES,
+  ESCALATION_LEVELS,
+  ESCALATION_INTERVAL_HOURS,
+  CHECK_INTERVAL_MS
+} = require('../config/sla');
+
+let timer = null;
+let running = false;
+
+// Resolve who should own a complaint at a given escalation level
+const findEscalationTarget = async (complaint, level) => {
+  if (ESCALATION_LEVELS[level] === 'department_head' && complaint.department) {
+    const department = await Department.findById(complaint.department).select('head');
+    if (department && department.head) return department.head;
+  }
+
+  const admin = await User.findOne({ role: 'admin', isActive: true })
+    .sort({ createdAt: 1 })
+    .select('_id');
+  return admin ? admin._id : null;
+};
+
+// Move a complaint one step up the escalation chain.
+// The update is conditional on the current level so that concurrent
+// scheduler runs cannot escalate the same complaint twice.
+const escalate = async (complaint, io) => {
+  const now = new Date();
+  const currentLevel = complaint.sla?.escalationLevel || 0;
+  const nextLevel = Math.min(currentLevel + 1, ESCALATION_LEVELS.length - 1);
+  const target = await findEscalationTarget(complaint, nextLevel);
+  const firstBreach = !complaint.sla?.breached;
+
+  const label = ESCALATION_LEVELS[nextLevel].replace('_', ' ');
+  const update = {
+    $set: {
+      'sla.breached': true,
+      'sla.escalationLevel': nextLevel,
+      'sla.escalatedAt': now,
+      'sla.escalatedTo': target
+    },
+    $push: {
+      statusHistory: {
+        status: complaint.status,
+        changedAt: now,
+        comment: firstBreach
+          ? `SLA breached (due ${complaint.dueAt.toISOString()}), escalated to ${label}`
+          : `Still unresolved, escalated to ${label}`
+      }
+    }
+  };
+  if (firstBreach) {
+    update.$set['sla.breachedAt'] = now;
+  }
+
+  const result = await Complaint.updateOne(
+    { _id: complaint._id, 'sla.escalationLevel': currentLevel },
+    update
+  );
+  if (result.modifiedCount === 0) return false;
+
+  const escalation = {
+    complaintId: complaint._id,
+    escalationLevel: nextLevel,
+    escalatedTo: target,
+    dueAt: complaint.dueAt,
+    breached: true
+  };
+  if (io) {
+    io.emit('complaint-escalated', escalation);
+  }
+  publish('complaint.escalated', escalation);
+  return true;
+};
+
+// Scan open complaints for SLA breaches and stale escalations
+const checkSlaBreaches = async (io) => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - ESCALATION_INTERVAL_HOURS * 60 * 60 * 1000);
+  const maxLevel = ESCALATION_LEVELS.length - 1;
+
+  const candidates = await Complaint.find({
+    status: { $nin: CLOSED_STATUSES },
+    dueAt: { $lt: now },
+    $or: [
+      { 'sla.breached': { $ne: true } },
+      {
+        'sla.escalationLevel': { $lt: maxLevel },
+        'sla.escalatedAt': { $lt: staleBefore }
+      }
+    ]
+  })
+    .select('status dueAt department sla')
+    .limit(500);
+
+  let escalated = 0;
+  for (const complaint of candidates) {
+    try {
+      if (await escalate(complaint, io)) escalated++;
+    } catch (error) {
+      console.error(`SLA escalation failed for complaint ${complaint._id}:`, error);
+    }
+  }
+  return escalated;
+};
+
+// Resolutions the reporter neither confirmed nor disputed in time are
+// accepted and the complaint is closed
+const expireResolutionConfirmations = async (io) => {
+  const expired = await Complaint.find({
+    status: 'Resolved',
+    'resolutionDetails.confirmation.status': 'pending',
+    'resolutionDetails.confirmation.deadline': { $lte: new Date() }
+  }).limit(500);
+
+  let closed = 0;
+  for (const complaint of expired) {
+    try {
+      const error = complaint.transitionTo('Closed', {
+        roles: ['system'],
+        reason: 'Confirmation window expired'
+      });
+      if (error) continue;
+
+      complaint.resolutionDetails.confirmation.status = 'expired';
+      await complaint.save();
+      closed++;
+
+      const statusUpdate = {
+        complaintId: complaint._id,
+        oldStatus: 'Resolved',
+        newStatus: 'Closed',
+        updatedBy: 'system'
+      };
+      if (io) {
+        io.emit('complaint-status-update', statusUpdate);
+      }
+      publish('complaint.status_changed', statusUpdate);
+    } catch (error) {
+      console.error(`Closing complaint ${complaint._id} failed:`, error);
+    }
+  }
+  return closed;
+};
+
+const startSlaScheduler = (io) => {
+  if (timer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const escalated = await checkSlaBreaches(io);
+      if (escalated > 0) {
+        console.log(`⏰ Escalated ${escalated} overdue complaint(s)`);
+      }
+      await expireResolutionConfirmations(io);
+    } catch (error) {
+      console.error('SLA scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, CHECK_INTERVAL_MS);
+  tick();
+};
+
+const stopSlaScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startSlaScheduler,
+  stopSlaScheduler,
+  checkSlaBreaches,
+  expireResolutionConfirmations
+};
@@ -0,0 +1,254 @@
+const path = require('path');
+const SmsMessage = require('../models/SmsMessage');
+const { providerError, createSmsProvider } = require('./smsProviders');
+
+// Outgoing text messages. Messages are rendered from the templates in
+// templates/sms, logged as SmsMessage and sent right away through the
+// configured provider; failed sends are retried with exponential backoff by
+// a background loop. Each number gets at most SMS_RATE_LIMIT_PER_HOUR and
+// SMS_RATE_LIMIT_PER_DAY messages; the rest are logged as rate_limited.
+//
+// Indian (DLT) gateways only deliver texts that match a registered template
+// exactly, sent under a registered sender id and entity id. Register the
+// texts in templates/sms and set their ids in SMS_TEMPLATE_IDS as
+// {"statusChange":{"en":"1107...","hi":"1107...","kn":"1107..."}}.
+
+const LANGUAGES = ['en', 'hi', 'kn'];
+const DEFAULT_LANGUAGE = 'en';
+
+const SMS_SENDER_ID = process.env.SMS_SENDER_ID;
+const SMS_ENTITY_ID = process.env.SMS_ENTITY_ID;
+const SMS_DEFAULT_COUNTRY_CODE = (process.env.SMS_DEFAULT_COUNTRY_CODE || '91').replace(/\D/g, '');
+const SMS_RATE_LIMIT_PER_HOUR = parseInt(process.env.SMS_RATE_LIMIT_PER_HOUR, 10) || 3;
+const SMS_RATE_LIMIT_PER_DAY = parseInt(process.env.SMS_RATE_LIMIT_PER_DAY, 10) || 10;
+const SMS_MAX_ATTEMPTS = parseInt(process.env.SMS_MAX_ATTEMPTS, 10) || 3;
+// Delay before the first retry; doubled for each further one
+const SMS_RETRY_BASE_MS = parseInt(process.env.SMS_RETRY_BASE_MS, 10) || 60 * 1000;
+const SMS_CHECK_INTERVAL_MS = parseInt(process.env.SMS_CHECK_INTERVAL_MS, 10) || 60 * 1000;
+// A claimed message is left alone this long before the retry loop may take it
+const SMS_CLAIM_MS = 2 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const templates = Object.fromEntries(LANGUAGES.map(language => [
+  language,
+  require(path.join(__dirname, '..', 'templates', 'sms', `${language}.json`))
+]));
+
+const parseTemplateIds = () => {
+  if (!process.env.SMS_TEMPLATE_IDS) return {};
+  try {
+    return JSON.parse(process.env.SMS_TEMPLATE_IDS);
+  } catch (error) {
+    console.error('SMS_TEMPLATE_IDS is not valid JSON:', error.message);
+    return {};
+  }
+};
+const templateIds = parseTemplateIds();
+
+let provider = null;
+let timer = null;
+let running = false;
+
+const getProvider = () => {
+  if (!provider) provider = createSmsProvider();
+  return provider;
+};
+
+const retryDelay = (attempts) => SMS_RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// E.164 form of a stored phone number (spaces, dashes and a trunk 0 are
+// allowed). National numbers of up to ten digits get
+// SMS_DEFAULT_COUNTRY_CODE; longer ones already carry a country code.
+// Returns null when it cannot be a mobile number.
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+  const trimmed = String(phone).trim();
+  let digits = trimmed.replace(/\D/g, '');
+
+  if (!trimmed.startsWith('+')) {
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    } else {
+      digits = digits.replace(/^0/, '');
+      if (digits.length <= 10) digits = SMS_DEFAULT_COUNTRY_CODE + digits;
+    }
+  }
+  return /^[1-9]\d{9,14}$/.test(digits) ? `+${digits}` : null;
+};
+
+// Render `template` in `language`. Returns { text, templateId }.
+const renderSms = (template, language, vars) => {
+  const lang = LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+  const text = templates[lang][template];
+  if (!text) {
+    throw new Error(`Unknown SMS template: ${template}`);
+  }
+
+  return {
+    text: text.replace(/\{\{(\w+)\}\}/g, (match, name) => (vars[name] == null ? '' : String(vars[name]))),
+    templateId: templateIds[template] && templateIds[template][lang]
+  };
+};
+
+// Messages recently sent or waiting to be sent to `to`
+const isRateLimited = async (to) => {
+  const now = Date.now();
+  const recent = { to, status: { $in: ['pending', 'sent'] } };
+  const [lastHour, lastDay] = await Promise.all([
+    SmsMessage.countDocuments({ ...recent, createdAt: { $gte: new Date(now - HOUR_MS) } }),
+    SmsMessage.countDocuments({ ...recent, createdAt: { $gte: new Date(now - 24 * HOUR_MS) } })
+  ]);
+  return lastHour >= SMS_RATE_LIMIT_PER_HOUR || lastDay >= SMS_RATE_LIMIT_PER_DAY;
+};
+
+// Take a due message for sending. Pushing nextAttemptAt ahead keeps the
+// retry loop and an immediate send from both taking it.
+const claimSms = (id) => {
+  const now = new Date();
+  return SmsMessage.findOneAndUpdate(
+    { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + SMS_CLAIM_MS) },
+    { new: true }
+  );
+};
+
+// Make one attempt at a claimed message and record its outcome
+const attemptSms = async (sms) => {
+  const smsProvider = getProvider();
+  const now = new Date();
+  sms.attempts += 1;
+  sms.lastAttemptAt = now;
+  sms.provider = smsProvider.name;
+
+  try {
+    if (smsProvider.requiresTemplateId && !sms.templateId) {
+      throw providerError(`No template id configured for ${sms.template} (${sms.language})`, true);
+    }
+
+    const result = await smsProvider.send({
+      to: sms.to,
+      text: sms.text,
+      templateId: sms.templateId,
+      senderId: SMS_SENDER_ID,
+      entityId: SMS_ENTITY_ID,
+      // Hindi and Kannada texts need UCS-2 encoding
+      unicode: /[^\x20-\x7e]/.test(sms.text)
+    });
+    sms.status = 'sent';
+    sms.sentAt = new Date();
+    sms.providerMessageId = result.messageId;
+    sms.error = undefined;
+    sms.nextAttemptAt = undefined;
+  } catch (error) {
+    sms.error = error.message;
+    if (error.permanent || sms.attempts >= SMS_MAX_ATTEMPTS) {
+      sms.status = 'failed';
+      sms.nextAttemptAt = undefined;
+    } else {
+      sms.nextAttemptAt = new Date(now.getTime() + retryDelay(sms.attempts));
+    }
+  }
+
+  return sms.save();
+};
+
+const sendNow = async (sms) => {
+  const claimed = await claimSms(sms._id);
+  return claimed ? attemptSms(claimed) : sms;
+};
+
+// Render `template` for `to` (a stored phone number) and send it, unless the
+// number is over its rate limit. `message` also carries user, complaint and
+// language for the log.
+const queueSms = async ({ to, template, language, vars, ...message }) => {
+  const number = normalizePhone(to);
+  if (!number) return null;
+
+  const { text, templateId } = renderSms(template, language, vars);
+  const sms = {
+    ...message,
+    to: number,
+    template,
+    templateId,
+    language,
+    text
+  };
+
+  if (await isRateLimited(number)) {
+    return SmsMessage.create({
+      ...sms,
+      status: 'rate_limited',
+      error: 'Rate limit for this number reached'
+    });
+  }
+
+  const created = await SmsMessage.create({ ...sms, nextAttemptAt: new Date() });
+  return sendNow(created).catch((error) => {
+    // Left pending; the retry loop picks it up
+    console.error(`SMS ${created._id} failed:`, error);
+    return created;
+  });
+};
+
+// Retry messages whose backoff has elapsed
+const processDueSms = async () => {
+  const due = await SmsMessage.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  let sent = 0;
+  for (const { _id } of due) {
+    try {
+      const claimed = await claimSms(_id);
+      if (!claimed) continue;
+      await attemptSms(claimed);
+      sent++;
+    } catch (error) {
+      console.error(`SMS ${_id} failed:`, error);
+    }
+  }
+  return sent;
+};
+
+const startSmsWorker = () => {
+  if (timer) return;
+
+  // Fail at startup rather than on the first message
+  getProvider();
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueSms();
+    } catch (error) {
+      console.error('SMS worker error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, SMS_CHECK_INTERVAL_MS);
+  tick();
+};
+
+const stopSmsWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  normalizePhone,
+  renderSms,
+  queueSms,
+  processDueSms,
+  startSmsWorker,
+  stopSmsWorker
+};
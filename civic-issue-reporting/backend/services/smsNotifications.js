@@ -0,0 +1,90 @@
+const { subscribe } = require('./eventBus');
+const { queueSms, startSmsWorker, stopSmsWorker } = require('./sms');
+const { statusLabel } = require('./emailTemplates');
+const { latestStatusChange, complaintAudience, findWithAudience } = require('./complaintAudience');
+
+// Texts reporters and followers a short note when a complaint's status
+// changes, if they turned SMS on for it and have a phone number. Nothing is
+// sent to whoever made the change.
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Preference (and template) for each event
+const PREFERENCES = {
+  'complaint.status_changed': 'statusChange'
+};
+const SMS_PREFERENCES = Object.values(PREFERENCES);
+
+// Templates for followers of a complaint
+const FOLLOWER_TEMPLATES = {
+  statusChange: 'followedStatusChange'
+};
+
+// Titles are cut so a message fits in as few parts as possible
+const TITLE_LENGTH = 30;
+
+let unsubscribe = null;
+
+const shortTitle = (title) =>
+  (title.length > TITLE_LENGTH ? `${title.slice(0, TITLE_LENGTH - 3).trim()}...` : title);
+
+const smsRecipient = ({ user, isReporter }, preference, complaint, newStatus) => {
+  if (!user.phone) return null;
+
+  const prefs = user.notificationPreferences && user.notificationPreferences.sms;
+  if (!prefs || !prefs[preference]) return null;
+
+  return queueSms({
+    to: user.phone,
+    user: user._id,
+    complaint: complaint._id,
+    template: isReporter ? preference : FOLLOWER_TEMPLATES[preference],
+    language: user.language,
+    vars: {
+      title: shortTitle(complaint.title),
+      status: statusLabel(newStatus, user.language),
+      url: `${FRONTEND_URL}/complaints/${complaint._id}`
+    }
+  });
+};
+
+const handleEvent = async (envelope) => {
+  const preference = PREFERENCES[envelope.event];
+  const { complaintId, newStatus } = envelope.data;
+  if (!preference || !complaintId) return [];
+
+  const complaint = await findWithAudience(complaintId, 'title statusHistory');
+  if (!complaint) return [];
+
+  const entry = latestStatusChange(complaint, newStatus);
+  const audience = await complaintAudience(complaint, {
+    actor: entry && entry.changedBy,
+    userFields: 'phone language notificationPreferences'
+  });
+
+  const sent = await Promise.all(audience.map(recipient =>
+    smsRecipient(recipient, preference, complaint, newStatus)));
+  return sent.filter(Boolean);
+};
+
+const startSmsNotifications = () => {
+  if (unsubscribe) return;
+
+  startSmsWorker();
+  unsubscribe = subscribe(Object.keys(PREFERENCES), handleEvent);
+};
+
+const stopSmsNotifications = () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  stopSmsWorker();
+};
+
+module.exports = {
+  SMS_PREFERENCES,
+  handleEvent,
+  startSmsNotifications,
+  stopSmsNotifications
+};
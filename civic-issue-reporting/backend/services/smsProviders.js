@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+
+// SMS provider adapters. An adapter is an object with
+//   name                  used in logs and on SmsMessage.provider
+//   requiresTemplateId    true when the gateway rejects messages without a
+//                         registered (DLT) template id
+//   send(message)         message: { to, text, templateId, senderId,
+//                         entityId, unicode }; resolves to { messageId } or
+//                         throws. An error with `permanent: true` is not
+//                         retried.
+// Adapters are created from the environment by name (SMS_PROVIDER); gateway
+// integrations register another factory with registerSmsProvider.
+
+const SMS_TIMEOUT_MS = parseInt(process.env.SMS_TIMEOUT_MS, 10) || 15 * 1000;
+
+const providerError = (message, permanent = false) => {
+  const error = new Error(message);
+  error.permanent = permanent;
+  return error;
+};
+
+let sequence = 0;
+const localMessageId = (prefix) => `${prefix}-${Date.now()}-${++sequence}`;
+
+// Prints messages to the server log. The default while developing.
+const createConsoleProvider = () => ({
+  name: 'console',
+  requiresTemplateId: false,
+  send: async (message) => {
+    console.log(`📱 SMS to ${message.to} [${message.templateId || 'no template id'}]: ${message.text}`);
+    return { messageId: localMessageId('console') };
+  }
+});
+
+// Appends messages to a JSON-lines file (SMS_FILE_PATH) that tests and
+// developers can read back
+const createFileProvider = () => {
+  const filePath = path.resolve(process.env.SMS_FILE_PATH || './logs/sms.log');
+
+  return {
+    name: 'file',
+    requiresTemplateId: false,
+    send: async (message) => {
+      const messageId = localMessageId('file');
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify({
+        messageId,
+        sentAt: new Date().toISOString(),
+        ...message
+      })}\n`);
+      return { messageId };
+    }
+  };
+};
+
+// POSTs messages as JSON to an HTTP gateway (SMS_HTTP_URL) with the key in
+// SMS_HTTP_AUTH_HEADER. The gateway's response should include an id field
+// (`messageId`, `message_id`, `id` or `request_id`).
+const createHttpProvider = () => {
+  const url = process.env.SMS_HTTP_URL;
+  const apiKey = process.env.SMS_HTTP_API_KEY;
+  const authHeader = process.env.SMS_HTTP_AUTH_HEADER || 'Authorization';
+  if (!url) {
+    throw new Error('SMS_HTTP_URL is required for the http SMS provider');
+  }
+
+  return {
+    name: 'http',
+    requiresTemplateId: true,
+    send: async (message) => {
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { [authHeader]: apiKey })
+          },
+          body: JSON.stringify({
+            to: message.to,
+            text: message.text,
+            sender_id: message.senderId,
+            template_id: message.templateId,
+            entity_id: message.entityId,
+            unicode: message.unicode
+          }),
+          signal: AbortSignal.timeout(SMS_TIMEOUT_MS)
+        });
+      } catch (error) {
+        throw providerError(error.name === 'TimeoutError'
+          ? `No response within ${SMS_TIMEOUT_MS} ms`
+          : error.message);
+      }
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        // Client errors (bad number, unregistered template) will not get better
+        throw providerError(
+          `Gateway responded with ${response.status}${body.message ? `: ${body.message}` : ''}`,
+          response.status >= 400 && response.status < 500 && response.status !== 429
+        );
+      }
+      return { messageId: String(body.messageId || body.message_id || body.id || body.request_id || '') };
+    }
+  };
+};
+
+const factories = {
+  console: createConsoleProvider,
+  file: createFileProvider,
+  http: createHttpProvider
+};
+
+const registerSmsProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+const createSmsProvider = (name = process.env.SMS_PROVIDER || 'console') => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown SMS provider: ${name}. Available: ${Object.keys(factories).join(', ')}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  providerError,
+  registerSmsProvider,
+  createSmsProvider
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { EVENTS, subscribe } = require('./eventBus');
+
+// Outbound webhooks. Every event a webhook subscribes to becomes a delivery
+// that is POSTed right away and, on failure, retried with exponential
+// backoff by a background loop until it succeeds or runs out of attempts.
+//
+// Requests carry
+//   X-Webhook-Event      event name
+//   X-Webhook-Id         event id (stable across retries and replays)
+//   X-Webhook-Delivery   delivery id
+//   X-Webhook-Timestamp  unix seconds when the request was signed
+//   X-Webhook-Signature  sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) as hex
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+// Delay before the first retry; doubled for each further one
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const WEBHOOK_CHECK_INTERVAL_MS = parseInt(process.env.WEBHOOK_CHECK_INTERVAL_MS, 10) || 30 * 1000;
+
+// Characters of the receiver's response kept in the log
+const RESPONSE_BODY_LIMIT = 1000;
+
+let timer = null;
+let running = false;
+let unsubscribe = null;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const retryDelay = (attempts) => WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// Take a due delivery for sending. Pushing nextAttemptAt past the request
+// timeout keeps the retry loop and an immediate send from both taking it.
+const claimDelivery = (id) => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + WEBHOOK_TIMEOUT_MS * 2) },
+    { new: true }
+  );
+};
+
+const send = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'civic-issue-reporting-webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    const text = await response.text().catch(() => '');
+    return {
+      ok: response.ok,
+      responseStatus: response.status,
+      responseBody: text.slice(0, RESPONSE_BODY_LIMIT),
+      error: response.ok ? undefined : `Receiver responded with ${response.status}`
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      error: error.name === 'TimeoutError'
+        ? `No response within ${WEBHOOK_TIMEOUT_MS} ms`
+        : error.message
+    };
+  }
+};
+
+// Make one attempt at a claimed delivery and record its outcome
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook was deleted';
+    return delivery.save();
+  }
+
+  const startedAt = Date.now();
+  const result = await send(webhook, delivery);
+  const now = new Date();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+  delivery.responseStatus = result.responseStatus;
+  delivery.responseBody = result.responseBody;
+  delivery.error = result.error;
+  delivery.attemptLog.push({
+    at: now,
+    responseStatus: result.responseStatus,
+    error: result.error,
+    durationMs: Date.now() - startedAt
+  });
+
+  if (result.ok) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(now.getTime() + retryDelay(delivery.attempts));
+  }
+  await delivery.save();
+
+  if (delivery.status !== 'pending') {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { lastDeliveryAt: now, lastDeliveryStatus: delivery.status }
+    );
+  }
+  return delivery;
+};
+
+const sendNow = async (delivery) => {
+  const claimed = await claimDelivery(delivery._id);
+  return claimed ? attemptDelivery(claimed) : delivery;
+};
+
+// Create deliveries of `envelope` ({ id, event, occurredAt, data }) for
+// `webhooks` and send them
+const dispatch = async (webhooks, envelope, extra = {}) => {
+  if (webhooks.length === 0) return [];
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    event: envelope.event,
+    eventId: envelope.id,
+    payload: envelope,
+    nextAttemptAt: new Date(),
+    ...extra
+  })));
+
+  return Promise.all(deliveries.map(delivery => sendNow(delivery).catch((error) => {
+    // Left pending; the retry loop picks it up
+    console.error(`Webhook delivery ${delivery._id} failed:`, error);
+    return delivery;
+  })));
+};
+
+const handleEvent = async (envelope) => {
+  const webhooks = await Webhook.find({ isActive: true, events: envelope.event }).select('_id');
+  await dispatch(webhooks, envelope);
+};
+
+// Send a copy of a logged delivery as a new delivery, keeping its event id
+// so receivers can recognise events they already processed
+const replayDelivery = async (delivery, user) => {
+  const [replay] = await dispatch([{ _id: delivery.webhook }], delivery.payload, {
+    replayOf: delivery._id,
+    replayedBy: user && user._id
+  });
+  return replay;
+};
+
+// Send a `ping` event so admins can check an endpoint and its signature check
+const sendTestEvent = async (webhook, user) => {
+  const [delivery] = await dispatch([webhook], {
+    id: crypto.randomUUID(),
+    event: 'ping',
+    occurredAt: new Date().toISOString(),
+    data: {
+      webhook: webhook._id.toString(),
+      name: webhook.name,
+      sentBy: user ? user.name : undefined
+    }
+  });
+  return delivery;
+};
+
+// Retry deliveries whose backoff has elapsed
+const processDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  let sent = 0;
+  for (const { _id } of due) {
+    try {
+      const claimed = await claimDelivery(_id);
+      if (!claimed) continue;
+      await attemptDelivery(claimed);
+      sent++;
+    } catch (error) {
+      console.error(`Webhook delivery ${_id} failed:`, error);
+    }
+  }
+  return sent;
+};
+
+const startWebhookDispatcher = () => {
+  if (timer) return;
+
+  unsubscribe = subscribe(EVENTS, handleEvent);
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error('Webhook dispatcher error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, WEBHOOK_CHECK_INTERVAL_MS);
+  tick();
+};
+
+const stopWebhookDispatcher = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+};
+
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  replayDelivery,
+  sendTestEvent,
+  processDueDeliveries,
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+};
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const {
+  canViewReporter,
+  maskComplaint,
+  maskComplaints,
+  maskReporterComments
+} = require('../services/anonymity');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const reporter = { _id: id(), name: 'Asha Rao', avatar: '/avatars/asha.png', email: 'asha@example.com' };
+const officer = { _id: id(), role: 'officer', permissions: [] };
+
+const complaintBy = (fields = {}) => ({
+  _id: id(),
+  title: 'Pothole near the school gate',
+  submittedBy: reporter,
+  isAnonymous: false,
+  statusHistory: [
+    { status: 'Submitted', changedBy: reporter._id },
+    { status: 'Acknowledged', changedBy: officer._id }
+  ],
+  editHistory: [{ title: 'Pothole', editedBy: reporter._id }],
+  images: [{ url: '/uploads/a.jpg', uploadedBy: reporter._id }],
+  ...fields
+});
+
+describe('canViewReporter', () => {
+  test('needs a staff role and the reporter-identity permission', () => {
+    expect(canViewReporter({ role: 'officer', permissions: ['view_reporter_identity'] })).toBe(true);
+    expect(canViewReporter({ role: 'admin', permissions: ['view_reporter_identity'] })).toBe(true);
+    expect(canViewReporter({ role: 'admin', permissions: [] })).toBe(false);
+    expect(canViewReporter({ role: 'user', permissions: ['view_reporter_identity'] })).toBe(false);
+    expect(canViewReporter(null)).toBe(false);
+  });
+});
+
+describe('maskComplaint', () => {
+  test('hides the reporter of an anonymous complaint and every trace of their id', () => {
+    const masked = maskComplaint(complaintBy({ isAnonymous: true }), { _id: id() });
+
+    expect(masked.submittedBy).toBeNull();
+    expect(masked.statusHistory[0].changedBy).toBeNull();
+    expect(masked.statusHistory[1].changedBy).toEqual(officer._id);
+    expect(masked.editHistory[0].editedBy).toBeNull();
+    expect(masked.images[0].uploadedBy).toBeNull();
+  });
+
+  test('masks anonymous complaints in public responses', () => {
+    expect(maskComplaint(complaintBy({ isAnonymous: true })).submittedBy).toBeNull();
+  });
+
+  test('masks a reporter given only as an id', () => {
+    const masked = maskComplaint(complaintBy({ isAnonymous: true, submittedBy: reporter._id }), officer);
+    expect(masked.submittedBy).toBeNull();
+  });
+
+  test('shows the reporter their own anonymous complaint', () => {
+    const masked = maskComplaint(complaintBy({ isAnonymous: true }), { _id: reporter._id });
+
+    expect(masked.submittedBy).toEqual(reporter);
+    expect(masked.statusHistory[0].changedBy).toEqual(reporter._id);
+  });
+
+  test('keeps the reporter of a public complaint but drops their email', () => {
+    const masked = maskComplaint(complaintBy(), { _id: id() });
+
+    expect(masked.submittedBy).toEqual({ _id: reporter._id, name: 'Asha Rao', avatar: '/avatars/asha.png' });
+    expect(masked.statusHistory[0].changedBy).toEqual(reporter._id);
+  });
+
+  test('leaves the input untouched', () => {
+    const complaint = complaintBy({ isAnonymous: true });
+    maskComplaint(complaint, null);
+    expect(complaint.submittedBy).toBe(reporter);
+  });
+
+  test('shows contact details of citizens filed for by proxy to staff only', () => {
+    const citizen = { name: 'Ravi', phone: '+919800000000', email: 'ravi@example.com' };
+
+    expect(maskComplaint(complaintBy({ citizen }), { _id: id(), role: 'user' }).citizen).toEqual({ name: 'Ravi' });
+    expect(maskComplaint(complaintBy({ citizen }), officer).citizen).toEqual(citizen);
+    expect(maskComplaint(complaintBy({ citizen, isAnonymous: true }), officer).citizen).toBeNull();
+  });
+
+  test('works on documents through toObject', () => {
+    const document = { toObject: () => complaintBy({ isAnonymous: true }) };
+    expect(maskComplaint(document, null).submittedBy).toBeNull();
+  });
+
+  test('maskComplaints masks each complaint for the viewer', () => {
+    const masked = maskComplaints([complaintBy({ isAnonymous: true }), complaintBy()], null);
+    expect(masked.map(complaint => complaint.submittedBy && complaint.submittedBy.name)).toEqual([null, 'Asha Rao']);
+  });
+});
+
+describe('maskReporterComments', () => {
+  const neighbour = { _id: id(), name: 'Neighbour' };
+  const comments = [
+    { content: 'Still there', author: reporter, replies: [{ content: 'Thanks', author: reporter }] },
+    { content: 'Me too', author: neighbour, replies: [] }
+  ];
+
+  test('hides the reporter as author on their anonymous complaint', () => {
+    const masked = maskReporterComments(comments, { isAnonymous: true, submittedBy: reporter._id }, null);
+
+    expect(masked[0].author).toBeNull();
+    expect(masked[0].replies[0].author).toBeNull();
+    expect(masked[1].author).toBe(neighbour);
+  });
+
+  test('leaves comments alone on public complaints and for the reporter', () => {
+    expect(maskReporterComments(comments, { isAnonymous: false, submittedBy: reporter._id }, null)).toBe(comments);
+    expect(maskReporterComments(comments, { isAnonymous: true, submittedBy: reporter._id }, reporter)).toBe(comments);
+  });
+});
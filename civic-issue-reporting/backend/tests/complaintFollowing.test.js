@@ -0,0 +1,46 @@
+const request = require('supertest');
+const Complaint = require('../models/Complaint');
+const { useTestDatabase } = require('./helpers/db');
+const { createApp, authHeader, createUser, createComplaint } = require('./helpers/app');
+
+useTestDatabase();
+
+const app = createApp();
+
+let follower;
+let open;
+let merged;
+let withdrawn;
+
+beforeEach(async () => {
+  const reporter = await createUser();
+  follower = await createUser();
+  open = await createComplaint(reporter, { status: 'In Progress' });
+  merged = await createComplaint(reporter, { status: 'Merged' });
+  withdrawn = await createComplaint(reporter, { status: 'Withdrawn' });
+  await createComplaint(reporter);
+  for (const complaint of [open, merged, withdrawn]) {
+    await Complaint.follow(complaint._id, follower._id);
+  }
+});
+
+const following = (query = '') => request(app)
+  .get(`/api/complaints/user/following${query}`)
+  .set('Authorization', authHeader(follower));
+
+const ids = (res) => res.body.complaints.map(complaint => complaint._id);
+
+describe('GET /api/complaints/user/following', () => {
+  test.each(['', '?status=all'])('lists followed complaints without merged or withdrawn ones (%s)', async (query) => {
+    const res = await following(query);
+
+    expect(res.status).toBe(200);
+    expect(ids(res)).toEqual([open._id.toString()]);
+  });
+
+  test('lists merged complaints when asked for by status', async () => {
+    const res = await following('?status=Merged');
+
+    expect(ids(res)).toEqual([merged._id.toString()]);
+  });
+});
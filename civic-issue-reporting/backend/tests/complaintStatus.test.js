@@ -0,0 +1,218 @@
+const request = require('supertest');
+const Complaint = require('../models/Complaint');
+const { useTestDatabase } = require('./helpers/db');
+const {
+  createApp,
+  authHeader,
+  createUser,
+  createComplaint,
+  photo,
+  removeUploads
+} = require('./helpers/app');
+
+useTestDatabase();
+
+const app = createApp();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('PUT /api/complaints/:id/status', () => {
+  let admin;
+  let reporter;
+
+  beforeEach(async () => {
+    admin = await createUser({ role: 'admin' });
+    reporter = await createUser();
+  });
+
+  test('moves a complaint one step and records a single history entry', async () => {
+    const complaint = await createComplaint(reporter);
+
+    const res = await request(app)
+      .put(`/api/complaints/${complaint._id}/status`)
+      .set('Authorization', authHeader(admin))
+      .send({ status: 'Acknowledged' });
+
+    expect(res.status).toBe(200);
+    const stored = await Complaint.findById(complaint._id);
+    expect(stored.status).toBe('Acknowledged');
+    expect(stored.statusHistory.map(entry => entry.status)).toEqual(['Submitted', 'Acknowledged']);
+    expect(stored.statusHistory[1].changedBy.toString()).toBe(admin._id.toString());
+  });
+
+  test('rejects a step outside the workflow with the allowed statuses', async () => {
+    const complaint = await createComplaint(reporter);
+
+    const res = await request(app)
+      .put(`/api/complaints/${complaint._id}/status`)
+      .set('Authorization', authHeader(admin))
+      .send({ status: 'Closed' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.allowed).toEqual(['Acknowledged', 'Rejected', 'Merged']);
+    expect((await Complaint.findById(complaint._id)).status).toBe('Submitted');
+  });
+
+  test('requires a reason to reject', async () => {
+    const complaint = await createComplaint(reporter);
+
+    const res = await request(app)
+      .put(`/api/complaints/${complaint._id}/status`)
+      .set('Authorization', authHeader(admin))
+      .send({ status: 'Rejected' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('A reason is required to move a complaint to Rejected');
+  });
+
+  test('does not let the reporter move their own complaint', async () => {
+    const complaint = await createComplaint(reporter);
+
+    const res = await request(app)
+      .put(`/api/complaints/${complaint._id}/status`)
+      .set('Authorization', authHeader(reporter))
+      .send({ status: 'Acknowledged' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('requires photos of the fix to resolve', async () => {
+    const complaint = await createComplaint(reporter, { status: 'In Progress' });
+
+    const res = await request(app)
+      .put(`/api/complaints/${complaint._id}/status`)
+      .set('Authorization', authHeader(admin))
+      .send({ status: 'Resolved', comment: 'Replaced the bulb' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('At least one photo of the fix is required to resolve a complaint');
+    expect((await Complaint.findById(complaint._id)).status).toBe('In Progress');
+  });
+
+  test('resolves with photos and opens the confirmation window', async () => {
+    const complaint = await createComplaint(reporter, { status: 'In Progress' });
+
+    const res = await request(app)
+      .put(`/api/complaints/${complaint._id}/status`)
+      .set('Authorization', authHeader(admin))
+      .field('status', 'Resolved')
+      .field('comment', 'Replaced the bulb')
+      .attach('images', await photo(), 'fix.png');
+
+    const resolution = res.body.complaint && res.body.complaint.resolutionDetails;
+    removeUploads(resolution ? resolution.resolutionImages : []);
+
+    expect(res.status).toBe(200);
+    expect(res.body.complaint.status).toBe('Resolved');
+    expect(resolution.resolutionImages).toHaveLength(1);
+    expect(resolution.resolutionImages[0].thumbnailUrl).toMatch(/^\/uploads\/.*-thumbnail\.webp$/);
+    expect(resolution.confirmation.status).toBe('pending');
+    expect(new Date(resolution.confirmation.deadline).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('only accepts photos when resolving', async () => {
+    const complaint = await createComplaint(reporter);
+
+    const res = await request(app)
+      .put(`/api/complaints/${complaint._id}/status`)
+      .set('Authorization', authHeader(admin))
+      .field('status', 'Acknowledged')
+      .attach('images', await photo(), 'fix.png');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Photos can only be attached when resolving a complaint');
+  });
+});
+
+describe('reporter confirmation of a resolution', () => {
+  let reporter;
+  let complaint;
+
+  const resolvedFields = (deadline) => ({
+    status: 'Resolved',
+    resolutionDetails: {
+      description: 'Replaced the bulb',
+      resolvedAt: new Date(),
+      confirmation: { status: 'pending', deadline }
+    }
+  });
+
+  beforeEach(async () => {
+    reporter = await createUser();
+    complaint = await createComplaint(reporter, resolvedFields(new Date(Date.now() + 7 * DAY_MS)));
+  });
+
+  test('confirming closes the complaint', async () => {
+    const res = await request(app)
+      .post(`/api/complaints/${complaint._id}/confirm-resolution`)
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(200);
+    const stored = await Complaint.findById(complaint._id);
+    expect(stored.status).toBe('Closed');
+    expect(stored.resolutionDetails.confirmation.status).toBe('confirmed');
+    expect(stored.resolutionDetails.confirmation.respondedAt).toBeInstanceOf(Date);
+    expect(stored.statusHistory[stored.statusHistory.length - 1].changedBy.toString()).toBe(reporter._id.toString());
+  });
+
+  test('disputing reopens the complaint with the reason', async () => {
+    const res = await request(app)
+      .post(`/api/complaints/${complaint._id}/dispute-resolution`)
+      .set('Authorization', authHeader(reporter))
+      .send({ reason: 'The light is still off at night' });
+
+    expect(res.status).toBe(200);
+    const stored = await Complaint.findById(complaint._id);
+    expect(stored.status).toBe('Reopened');
+    expect(stored.resolutionDetails.confirmation.status).toBe('disputed');
+    expect(stored.resolutionDetails.confirmation.reason).toBe('The light is still off at night');
+    expect(stored.statusHistory[stored.statusHistory.length - 1].comment)
+      .toBe('Resolution disputed: The light is still off at night');
+  });
+
+  test('a dispute needs a reason', async () => {
+    const res = await request(app)
+      .post(`/api/complaints/${complaint._id}/dispute-resolution`)
+      .set('Authorization', authHeader(reporter))
+      .send({ reason: 'No' });
+
+    expect(res.status).toBe(400);
+    expect((await Complaint.findById(complaint._id)).status).toBe('Resolved');
+  });
+
+  test('only the reporter can respond', async () => {
+    const neighbour = await createUser();
+
+    const confirm = await request(app)
+      .post(`/api/complaints/${complaint._id}/confirm-resolution`)
+      .set('Authorization', authHeader(neighbour));
+    const dispute = await request(app)
+      .post(`/api/complaints/${complaint._id}/dispute-resolution`)
+      .set('Authorization', authHeader(neighbour))
+      .send({ reason: 'The light is still off at night' });
+
+    expect(confirm.status).toBe(403);
+    expect(dispute.status).toBe(403);
+    expect((await Complaint.findById(complaint._id)).status).toBe('Resolved');
+  });
+
+  test('the window closes at its deadline', async () => {
+    const expired = await createComplaint(reporter, resolvedFields(new Date(Date.now() - DAY_MS)));
+
+    const res = await request(app)
+      .post(`/api/complaints/${expired._id}/confirm-resolution`)
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('This complaint is not awaiting confirmation');
+  });
+
+  test('a complaint that is not resolved cannot be confirmed', async () => {
+    const open = await createComplaint(reporter, { status: 'In Progress' });
+
+    const res = await request(app)
+      .post(`/api/complaints/${open._id}/confirm-resolution`)
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { useTestDatabase } = require('./helpers/db');
+const { createApp, authHeader, createUser, photo } = require('./helpers/app');
+
+useTestDatabase();
+
+const app = createApp();
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+const uploadedFiles = () => (fs.existsSync(UPLOAD_DIR) ? fs.readdirSync(UPLOAD_DIR).sort() : []);
+
+describe('POST /api/complaints photo cleanup', () => {
+  test('removes the processed photos and their variants when validation fails', async () => {
+    const reporter = await createUser();
+    const before = uploadedFiles();
+
+    const res = await request(app)
+      .post('/api/complaints')
+      .set('Authorization', authHeader(reporter))
+      .field('title', 'Hi')
+      .field('category', 'Roads')
+      .attach('images', await photo(), 'pothole.png');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+    expect(uploadedFiles()).toEqual(before);
+  });
+});
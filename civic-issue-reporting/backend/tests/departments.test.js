@@ -0,0 +1,56 @@
+const request = require('supertest');
+const Department = require('../models/Department');
+const { useTestDatabase } = require('./helpers/db');
+const { createApp, authHeader, createUser } = require('./helpers/app');
+
+useTestDatabase();
+
+const app = createApp();
+
+let admin;
+let roads;
+
+beforeEach(async () => {
+  admin = await createUser({ role: 'admin' });
+  roads = await Department.create({ name: 'Roads and Works', categories: ['Roads'] });
+});
+
+const create = (name) => request(app)
+  .post('/api/departments')
+  .set('Authorization', authHeader(admin))
+  .send({ name, categories: ['Roads'] });
+
+const rename = (department, name) => request(app)
+  .put(`/api/departments/${department._id}`)
+  .set('Authorization', authHeader(admin))
+  .send({ name });
+
+describe('department names', () => {
+  test.each(['Roads and Works', 'Roads & Works', 'roads and works!'])(
+    'rejects creating a department named like an existing one (%s)',
+    async (name) => {
+      const res = await create(name);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Department name already exists');
+      expect(await Department.countDocuments()).toBe(1);
+    }
+  );
+
+  test.each(['Roads and Works', 'Roads & Works'])('rejects renaming to an existing name (%s)', async (name) => {
+    const water = await Department.create({ name: 'Water Supply', categories: ['Water'] });
+
+    const res = await rename(water, name);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Department name already exists');
+    expect((await Department.findById(water._id)).name).toBe('Water Supply');
+  });
+
+  test('lets a department keep its own slug when renamed', async () => {
+    const res = await rename(roads, 'Roads & Works');
+
+    expect(res.status).toBe(200);
+    expect(res.body.department.slug).toBe('roads-and-works');
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const Complaint = require('../models/Complaint');
+const { fetchPage, encodeCursor } = require('../services/pagination');
+const { useTestDatabase } = require('./helpers/db');
+const { createApp, createUser, createComplaint } = require('./helpers/app');
+
+useTestDatabase();
+
+const app = createApp();
+const SAME_TIME = new Date('2024-05-01T10:00:00.000Z');
+
+let complaints;
+
+// Five complaints filed at the same moment, two of them with the same title
+beforeEach(async () => {
+  const reporter = await createUser();
+  complaints = [];
+  for (const title of ['Blocked drain', 'Broken bench', 'Broken bench', 'Fallen tree', 'Open manhole']) {
+    complaints.push(await createComplaint(reporter, { title }));
+  }
+  await Complaint.collection.updateMany({}, { $set: { createdAt: SAME_TIME } });
+});
+
+const ids = (items) => items.map(item => item._id.toString());
+
+// Every page of a query, following nextCursor
+const fetchAll = async (options, select) => {
+  const pages = [];
+  let cursor = null;
+  do {
+    const query = Complaint.find().lean();
+    if (select) query.select(select);
+    const page = await fetchPage(query, { ...options, cursor });
+    pages.push(page);
+    cursor = page.pagination.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+describe('fetchPage', () => {
+  test('breaks ties on equal sort keys by _id so no item is skipped or repeated', async () => {
+    const pages = await fetchAll({ sort: { createdAt: -1 }, limit: 2 });
+
+    expect(pages.map(page => page.items.length)).toEqual([2, 2, 1]);
+    expect(pages.map(page => page.pagination.hasMore)).toEqual([true, true, false]);
+    const expected = ids(complaints).sort().reverse();
+    expect(ids(pages.flatMap(page => page.items))).toEqual(expected);
+  });
+
+  test('breaks ties in ascending order too', async () => {
+    const pages = await fetchAll({ sort: { title: 1 }, limit: 1 });
+
+    const items = pages.flatMap(page => page.items);
+    expect(items.map(item => item.title)).toEqual([
+      'Blocked drain', 'Broken bench', 'Broken bench', 'Fallen tree', 'Open manhole'
+    ]);
+    expect(ids(items.slice(1, 3))).toEqual(ids(complaints.slice(1, 3)).sort());
+  });
+
+  test('selects the sort keys it needs for the cursor', async () => {
+    const pages = await fetchAll({ sort: { createdAt: -1 }, limit: 2 }, '_id title');
+
+    expect(pages[0].items[0].createdAt).toEqual(SAME_TIME);
+    expect(pages[0].items[0].description).toBeUndefined();
+    expect(pages.flatMap(page => page.items)).toHaveLength(5);
+  });
+
+  test('pages by offset when the sort cannot be resumed from a value', async () => {
+    const pages = await fetchAll({ sort: { createdAt: -1, title: 1 }, limit: 2, keyset: false });
+
+    expect(pages.flatMap(page => page.items)).toHaveLength(5);
+    expect(new Set(ids(pages.flatMap(page => page.items))).size).toBe(5);
+  });
+
+  test('keeps numbered pages with a total', async () => {
+    const { items, pagination } = await fetchPage(Complaint.find().lean(), {
+      sort: { createdAt: -1 },
+      limit: 2,
+      page: '3',
+      countTotal: () => Complaint.countDocuments()
+    });
+
+    expect(items).toHaveLength(1);
+    expect(pagination).toEqual({ page: 3, limit: 2, total: 5, pages: 3 });
+  });
+
+  test('rejects a keyset cursor without sort values', async () => {
+    const cursor = encodeCursor({ s: 'createdAt:-1,_id:-1', offset: 2 });
+
+    await expect(fetchPage(Complaint.find().lean(), { sort: { createdAt: -1 }, limit: 2, cursor }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid cursor' });
+  });
+});
+
+describe('GET /api/complaints pagination', () => {
+  test('follows nextCursor through complaints filed at the same time', async () => {
+    const seen = [];
+    let cursor = '';
+    do {
+      const res = await request(app).get(`/api/complaints?limit=2${cursor && `&cursor=${cursor}`}`);
+      expect(res.status).toBe(200);
+      seen.push(...ids(res.body.complaints));
+      cursor = res.body.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual(ids(complaints).sort().reverse());
+  });
+
+  test.each([
+    ['a malformed cursor', 'cursor=not-a-cursor', 'Invalid cursor'],
+    ['a cursor from another sort', `sortBy=title&cursor=${encodeCursor({ s: 'createdAt:-1,_id:-1', after: [] })}`,
+      'Cursor does not match this query; start again without a cursor']
+  ])('returns 400 for %s', async (name, query, message) => {
+    const res = await request(app).get(`/api/complaints?${query}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(message);
+  });
+
+  test('returns only the requested fields', async () => {
+    const res = await request(app).get('/api/complaints?fields=title,upvoteCount&limit=1');
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.complaints[0]).sort()).toEqual(['_id', 'title', 'upvoteCount']);
+    expect(res.body.pagination.nextCursor).toEqual(expect.any(String));
+  });
+
+  test('returns 400 for unknown fields', async () => {
+    const res = await request(app).get('/api/complaints?fields=title,password');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Unknown fields: password\./);
+  });
+});
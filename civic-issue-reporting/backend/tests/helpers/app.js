@@ -0,0 +1,76 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Complaint = require('../../models/Complaint');
+const { removeImageFiles } = require('../../services/imageProcessing');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Stands in for socket.io; routes only emit
+const io = {
+  emit: () => true,
+  to: () => io
+};
+
+// The API routes without the server around them (no listener, rate limits
+// or background jobs)
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.set('io', io);
+  app.use('/api/complaints', require('../../routes/complaints'));
+  app.use('/api/departments', require('../../routes/departments'));
+  return app;
+};
+
+const authHeader = (user) =>
+  `Bearer ${jwt.sign({ userId: user._id }, process.env.JWT_SECRET)}`;
+
+let userCount = 0;
+
+const createUser = (fields = {}) => {
+  userCount++;
+  return User.create({
+    name: `User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: 'not-used-by-tests',
+    avatar: `/avatars/${userCount}.png`,
+    ...fields
+  });
+};
+
+const createComplaint = (reporter, fields = {}) => Complaint.create({
+  title: 'Broken streetlight on Main Road',
+  description: 'The streetlight outside house 12 has been off for a week.',
+  category: 'Electricity',
+  location: {
+    type: 'Point',
+    coordinates: [77.5946, 12.9716],
+    address: '12 Main Road, Indiranagar, Bengaluru'
+  },
+  submittedBy: reporter._id,
+  ...fields
+});
+
+// A small PNG to upload as a photo
+const photo = () => sharp({
+  create: { width: 32, height: 32, channels: 3, background: '#808080' }
+}).png().toBuffer();
+
+// Delete the files written for uploaded photos
+const removeUploads = (images = []) => images.forEach(removeImageFiles);
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  createApp,
+  authHeader,
+  createUser,
+  createComplaint,
+  photo,
+  removeUploads,
+  objectId
+};
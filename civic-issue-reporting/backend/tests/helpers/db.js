@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// In-memory MongoDB for one test file. The binary version is set under
+// `config.mongodbMemoryServer` in package.json.
+
+let server = null;
+
+const connect = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  // Text, geo and unique indexes are part of what the tests exercise
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const close = async () => {
+  await mongoose.disconnect();
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+};
+
+// Register the hooks of a test file that talks to the database
+const useTestDatabase = () => {
+  beforeAll(connect, 120 * 1000);
+  afterEach(clear);
+  afterAll(close);
+};
+
+module.exports = { connect, clear, close, useTestDatabase };
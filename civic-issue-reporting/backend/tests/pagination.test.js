@@ -0,0 +1,109 @@
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  parseFields,
+  encodeCursor,
+  decodeCursor
+} = require('../services/pagination');
+
+const statusOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return { statusCode: error.statusCode, message: error.message };
+  }
+  return null;
+};
+
+describe('parseLimit', () => {
+  test('falls back to the default for missing or bad values', () => {
+    expect(parseLimit(undefined)).toBe(DEFAULT_LIMIT);
+    expect(parseLimit('abc')).toBe(DEFAULT_LIMIT);
+    expect(parseLimit('0')).toBe(DEFAULT_LIMIT);
+    expect(parseLimit('-5', 20)).toBe(20);
+  });
+
+  test('caps the limit', () => {
+    expect(parseLimit('25')).toBe(25);
+    expect(parseLimit(String(MAX_LIMIT + 1))).toBe(MAX_LIMIT);
+  });
+});
+
+describe('cursors', () => {
+  const sort = { createdAt: -1, _id: -1 };
+
+  test('round-trip through an opaque url-safe string', () => {
+    const payload = { s: 'createdAt:-1,_id:-1', after: [{ $date: '2024-05-01T10:00:00.000Z' }, 'abc'] };
+    const cursor = encodeCursor(payload);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, sort)).toEqual(payload);
+  });
+
+  test.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['JSON that is not an object', Buffer.from('42').toString('base64url')],
+    ['an empty value', '']
+  ])('rejects %s with a 400', (name, cursor) => {
+    expect(statusOf(() => decodeCursor(cursor, sort))).toMatchObject({ statusCode: 400 });
+  });
+
+  test('rejects a cursor made for another sort order', () => {
+    const cursor = encodeCursor({ s: 'title:1,_id:1', after: ['a', 'b'] });
+
+    expect(statusOf(() => decodeCursor(cursor, sort))).toEqual({
+      statusCode: 400,
+      message: 'Cursor does not match this query; start again without a cursor'
+    });
+  });
+});
+
+describe('parseFields', () => {
+  const options = {
+    allowed: ['title', 'status', 'submittedBy', 'isAnonymous'],
+    derived: { upvoteCount: 'upvotes', score: [] }
+  };
+
+  test('returns null when no selection was asked for', () => {
+    expect(parseFields(undefined, options)).toBeNull();
+    expect(parseFields('', options)).toBeNull();
+  });
+
+  test('selects the requested fields plus _id', () => {
+    const selection = parseFields('title, status,title', options);
+
+    expect(selection.requested).toEqual(['title', 'status']);
+    expect(selection.select.split(' ').sort()).toEqual(['_id', 'status', 'title']);
+  });
+
+  test('selects the stored fields behind derived ones', () => {
+    const selection = parseFields('upvoteCount,score', options);
+
+    expect(selection.select.split(' ').sort()).toEqual(['_id', 'upvotes']);
+    expect(selection.has('upvotes')).toBe(true);
+    expect(selection.has('upvoteCount')).toBe(false);
+  });
+
+  test('always selects the required fields', () => {
+    const selection = parseFields('submittedBy', { ...options, required: ['submittedBy', 'isAnonymous'] });
+
+    expect(selection.select.split(' ').sort()).toEqual(['_id', 'isAnonymous', 'submittedBy']);
+    expect(selection.requested).toEqual(['submittedBy']);
+  });
+
+  test('rejects unknown fields with a 400 listing the allowed ones', () => {
+    const error = statusOf(() => parseFields('title,password', options));
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Unknown fields: password. Allowed: title, status, submittedBy, isAnonymous, upvoteCount, score');
+  });
+
+  test('picks _id and the requested fields that are set', () => {
+    const selection = parseFields('title,submittedBy,upvoteCount', options);
+    const item = { _id: 'c1', title: 'Pothole', submittedBy: null, isAnonymous: true, upvoteCount: 0, status: 'Submitted' };
+
+    expect(selection.pick(item)).toEqual({ _id: 'c1', title: 'Pothole', submittedBy: null, upvoteCount: 0 });
+    expect(selection.pick({ _id: 'c2' })).toEqual({ _id: 'c2' });
+  });
+});
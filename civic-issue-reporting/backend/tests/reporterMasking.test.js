@@ -0,0 +1,316 @@
+const request = require('supertest');
+const Complaint = require('../models/Complaint');
+const ReporterAccessLog = require('../models/ReporterAccessLog');
+const { useTestDatabase } = require('./helpers/db');
+const { createApp, authHeader, createUser, createComplaint, objectId } = require('./helpers/app');
+
+useTestDatabase();
+
+const app = createApp();
+
+// Reporter of both complaints, once anonymously and once publicly
+let reporter;
+let neighbour;
+let anonymous;
+let named;
+
+const find = (complaints, complaint) =>
+  complaints.find(item => item._id === complaint._id.toString());
+
+beforeEach(async () => {
+  reporter = await createUser({ name: 'Asha Rao' });
+  neighbour = await createUser();
+  anonymous = await createComplaint(reporter, {
+    title: 'Pothole near the school gate',
+    description: 'A deep pothole right at the school gate floods when it rains.',
+    category: 'Roads',
+    isAnonymous: true
+  });
+  named = await createComplaint(reporter, {
+    title: 'Pothole on the ring road',
+    description: 'Two-wheelers swerve around a pothole on the ring road.',
+    category: 'Roads'
+  });
+});
+
+const expectMasked = (item) => {
+  expect(item.submittedBy).toBeNull();
+  if (item.statusHistory) {
+    expect(item.statusHistory[0].changedBy).toBeNull();
+  }
+};
+
+const expectNamed = (item) => {
+  expect(item.submittedBy).toMatchObject({ _id: reporter._id.toString(), name: 'Asha Rao' });
+  expect(item.submittedBy.email).toBeUndefined();
+};
+
+describe.each([
+  ['list', ''],
+  ['search', 'search=pothole&']
+])('GET /api/complaints (%s)', (name, search) => {
+  const list = (query = '', user) => {
+    const req = request(app).get(`/api/complaints?${search}${query}`);
+    return user ? req.set('Authorization', authHeader(user)) : req;
+  };
+
+  test('hides the reporter of anonymous complaints', async () => {
+    const res = await list();
+
+    expect(res.status).toBe(200);
+    expect(res.body.complaints).toHaveLength(2);
+    expectMasked(find(res.body.complaints, anonymous));
+    expectNamed(find(res.body.complaints, named));
+  });
+
+  test.each([
+    'submittedBy',
+    'title,submittedBy',
+    'submittedBy,upvoteCount'
+  ])('hides it with fields=%s', async (fields) => {
+    const res = await list(`fields=${fields}`, neighbour);
+
+    expect(res.status).toBe(200);
+    const masked = find(res.body.complaints, anonymous);
+    expect(masked.submittedBy).toBeNull();
+    expect(Object.keys(masked).sort()).toEqual(['_id', ...fields.split(',')].sort());
+    expectNamed(find(res.body.complaints, named));
+  });
+
+  test('returns only the requested fields', async () => {
+    const res = await list('fields=title', neighbour);
+
+    expect(find(res.body.complaints, anonymous)).toEqual({
+      _id: anonymous._id.toString(),
+      title: 'Pothole near the school gate'
+    });
+  });
+
+  test('shows reporters their own anonymous complaints', async () => {
+    const res = await list('fields=title,submittedBy', reporter);
+
+    expect(find(res.body.complaints, anonymous).submittedBy.name).toBe('Asha Rao');
+  });
+
+  test('hides the reporter from staff who may reveal it', async () => {
+    const officer = await createUser({ role: 'officer', permissions: ['view_reporter_identity'] });
+
+    const res = await list('', officer);
+
+    expectMasked(find(res.body.complaints, anonymous));
+  });
+});
+
+describe('GET /api/complaints/:id', () => {
+  test.each(['', '?fields=submittedBy'])('hides the reporter of an anonymous complaint (%s)', async (query) => {
+    const res = await request(app)
+      .get(`/api/complaints/${anonymous._id}${query}`)
+      .set('Authorization', authHeader(neighbour));
+
+    expect(res.status).toBe(200);
+    expectMasked(res.body);
+    expect(res.body.isAnonymous).toBe(true);
+  });
+
+  test('hides it from visitors who are not signed in', async () => {
+    const res = await request(app).get(`/api/complaints/${anonymous._id}`);
+
+    expectMasked(res.body);
+  });
+
+  test('shows the reporter of a public complaint without their email', async () => {
+    const res = await request(app)
+      .get(`/api/complaints/${named._id}`)
+      .set('Authorization', authHeader(neighbour));
+
+    expectNamed(res.body);
+  });
+
+  test('shows reporters their own anonymous complaint', async () => {
+    const res = await request(app)
+      .get(`/api/complaints/${anonymous._id}`)
+      .set('Authorization', authHeader(reporter));
+
+    expect(res.body.submittedBy).toMatchObject({ name: 'Asha Rao', email: reporter.email });
+    expect(res.body.statusHistory[0].changedBy).toBe(reporter._id.toString());
+  });
+});
+
+describe('GET /api/complaints/user/following', () => {
+  const following = (query = '') => request(app)
+    .get(`/api/complaints/user/following${query}`)
+    .set('Authorization', authHeader(neighbour));
+
+  beforeEach(async () => {
+    await Complaint.follow(anonymous._id, neighbour._id);
+    await Complaint.follow(named._id, neighbour._id);
+  });
+
+  test.each(['', '?fields=submittedBy', '?fields=title,submittedBy'])(
+    'hides the reporter of followed anonymous complaints (%s)',
+    async (query) => {
+      const res = await following(query);
+
+      expect(res.status).toBe(200);
+      expect(res.body.complaints).toHaveLength(2);
+      expect(find(res.body.complaints, anonymous).submittedBy).toBeNull();
+      expectNamed(find(res.body.complaints, named));
+    }
+  );
+
+  test('returns only the requested fields', async () => {
+    const res = await following('?fields=submittedBy');
+
+    expect(find(res.body.complaints, anonymous)).toEqual({ _id: anonymous._id.toString(), submittedBy: null });
+  });
+});
+
+describe('GET /api/complaints/export', () => {
+  const exportAs = (format, user, query = '') => request(app)
+    .get(`/api/complaints/export?format=${format}${query}`)
+    .set('Authorization', authHeader(user))
+    .buffer(true)
+    .parse((res, callback) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => callback(null, text));
+    });
+
+  // Cells of one CSV line; quoted cells may hold commas and doubled quotes
+  const csvCells = (line) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted && char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+      } else if (char === ',' && !quoted) {
+        cells.push(cell);
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell);
+    return cells;
+  };
+
+  // CSV rows keyed by column, by complaint id
+  const csvRows = (text) => {
+    const [header, ...lines] = text.replace(/^\ufeff/, '').trim().split('\r\n');
+    const columns = csvCells(header);
+    return lines.reduce((rows, line) => {
+      const cells = csvCells(line);
+      const row = Object.fromEntries(columns.map((column, index) => [column, cells[index]]));
+      rows[row.id] = row;
+      return rows;
+    }, {});
+  };
+
+  test.each(['', '&search=pothole'])('leaves the reporter column empty for anonymous complaints in CSV (%s)', async (query) => {
+    const res = await exportAs('csv', neighbour, query);
+
+    expect(res.status).toBe(200);
+    const rows = csvRows(res.body);
+    expect(rows[anonymous._id.toString()].reporter).toBe('');
+    expect(rows[anonymous._id.toString()].isAnonymous).toBe('true');
+    expect(rows[named._id.toString()].reporter).toBe('Asha Rao');
+    expect(res.body).not.toContain(reporter.email);
+  });
+
+  test('leaves the reporter out of anonymous complaints in GeoJSON', async () => {
+    const res = await exportAs('geojson', neighbour);
+
+    const features = JSON.parse(res.body).features;
+    const reporterOf = (complaint) =>
+      features.find(feature => feature.properties.id === complaint._id.toString()).properties.reporter;
+    expect(reporterOf(anonymous)).toBe('');
+    expect(reporterOf(named)).toBe('Asha Rao');
+  });
+
+  test('hides the reporter from staff too', async () => {
+    const officer = await createUser({ role: 'officer', permissions: ['view_reporter_identity'] });
+
+    const res = await exportAs('csv', officer);
+
+    expect(csvRows(res.body)[anonymous._id.toString()].reporter).toBe('');
+  });
+
+  test('shows reporters their own name', async () => {
+    const res = await exportAs('csv', reporter);
+
+    expect(csvRows(res.body)[anonymous._id.toString()].reporter).toBe('Asha Rao');
+  });
+});
+
+describe('POST /api/complaints/:id/reporter', () => {
+  const reveal = (complaintId, user, body = { reason: 'Needed to arrange a site visit' }) => request(app)
+    .post(`/api/complaints/${complaintId}/reporter`)
+    .set('Authorization', authHeader(user))
+    .send(body);
+
+  test('reveals the reporter to staff with the permission and logs the access', async () => {
+    const officer = await createUser({ role: 'officer', permissions: ['view_reporter_identity'] });
+
+    const res = await reveal(anonymous._id, officer);
+
+    expect(res.status).toBe(200);
+    expect(res.body.isAnonymous).toBe(true);
+    expect(res.body.reporter).toMatchObject({ name: 'Asha Rao', email: reporter.email });
+
+    const logs = await ReporterAccessLog.find();
+    expect(logs).toHaveLength(1);
+    expect(logs[0].complaint.toString()).toBe(anonymous._id.toString());
+    expect(logs[0].reporter.toString()).toBe(reporter._id.toString());
+    expect(logs[0].accessedBy.toString()).toBe(officer._id.toString());
+    expect(logs[0].reason).toBe('Needed to arrange a site visit');
+    expect(logs[0].wasAnonymous).toBe(true);
+  });
+
+  test('logs access to the reporter of public complaints too', async () => {
+    const admin = await createUser({ role: 'admin', permissions: ['view_reporter_identity'] });
+
+    const res = await reveal(named._id, admin);
+
+    expect(res.status).toBe(200);
+    const log = await ReporterAccessLog.findOne();
+    expect(log.wasAnonymous).toBe(false);
+  });
+
+  test.each([
+    ['a citizen', { role: 'user', permissions: ['view_reporter_identity'] }],
+    ['an officer without the permission', { role: 'officer' }],
+    ['an admin without the permission', { role: 'admin' }]
+  ])('refuses %s', async (name, fields) => {
+    const user = await createUser(fields);
+
+    const res = await reveal(anonymous._id, user);
+
+    expect(res.status).toBe(403);
+    expect(res.body.reporter).toBeUndefined();
+    expect(await ReporterAccessLog.countDocuments()).toBe(0);
+  });
+
+  test('requires a reason', async () => {
+    const officer = await createUser({ role: 'officer', permissions: ['view_reporter_identity'] });
+
+    const res = await reveal(anonymous._id, officer, {});
+
+    expect(res.status).toBe(400);
+    expect(await ReporterAccessLog.countDocuments()).toBe(0);
+  });
+
+  test('returns 404 for unknown complaints without logging', async () => {
+    const officer = await createUser({ role: 'officer', permissions: ['view_reporter_identity'] });
+
+    const res = await reveal(objectId(), officer);
+
+    expect(res.status).toBe(404);
+    expect(await ReporterAccessLog.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+const {
+  STATUSES,
+  TRANSITIONS,
+  getAllowedTransitions,
+  validateTransition
+} = require('../config/statusWorkflow');
+
+const newComplaint = (status) => new Complaint({
+  title: 'Overflowing garbage bin',
+  description: 'The bin at the bus stop has not been cleared for days.',
+  category: 'Sanitation',
+  status,
+  location: { type: 'Point', coordinates: [77.59, 12.97], address: 'Bus stop, MG Road, Bengaluru' },
+  submittedBy: new mongoose.Types.ObjectId()
+});
+
+describe('validateTransition', () => {
+  test.each([
+    ['Submitted', 'Acknowledged', ['staff']],
+    ['Acknowledged', 'In Progress', ['staff']],
+    ['In Progress', 'Resolved', ['admin']],
+    ['In Progress', 'On Hold', ['staff']],
+    ['On Hold', 'In Progress', ['staff']],
+    ['Resolved', 'Closed', ['reporter']],
+    ['Resolved', 'Closed', ['system']],
+    ['Submitted', 'Merged', ['admin']]
+  ])('allows %s → %s for %j', (from, to, roles) => {
+    expect(validateTransition(from, to, roles)).toBeNull();
+  });
+
+  test.each([
+    ['Submitted', 'Resolved'],
+    ['Submitted', 'In Progress'],
+    ['Acknowledged', 'Closed'],
+    ['Resolved', 'In Progress'],
+    ['Closed', 'In Progress']
+  ])('rejects %s → %s as not a step of the workflow', (from, to) => {
+    const error = validateTransition(from, to, ['admin']);
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(`Cannot change status from ${from} to ${to}`);
+  });
+
+  test('lists the allowed next statuses when rejecting a step', () => {
+    const error = validateTransition('Submitted', 'Resolved', ['admin']);
+    expect(error.message).toMatch(Object.keys(TRANSITIONS.Submitted).join(', '));
+  });
+
+  test.each(['Merged', 'Withdrawn'])('treats %s as terminal', (from) => {
+    const error = validateTransition(from, 'Reopened', ['admin'], 'Still broken');
+    expect(error).toEqual({ statusCode: 400, message: `Cannot change status of a ${from} complaint` });
+  });
+
+  test.each([
+    ['Submitted', 'Acknowledged', ['reporter']],
+    ['In Progress', 'Resolved', ['reporter']],
+    ['Resolved', 'Reopened', ['staff']],
+    ['Closed', 'Reopened', ['staff', 'reporter']],
+    ['Submitted', 'Merged', ['staff']],
+    ['Submitted', 'Withdrawn', ['admin']],
+    ['Resolved', 'Closed', []]
+  ])('forbids %s → %s for %j', (from, to, roles) => {
+    const error = validateTransition(from, to, roles, 'Reason given');
+    expect(error.statusCode).toBe(403);
+  });
+
+  test.each(['Rejected', 'Withdrawn'])('requires a reason to move to %s', (to) => {
+    const roles = ['admin', 'reporter'];
+    expect(validateTransition('Submitted', to, roles).statusCode).toBe(400);
+    expect(validateTransition('Submitted', to, roles, '   ').statusCode).toBe(400);
+    expect(validateTransition('Submitted', to, roles, 'Not a civic issue')).toBeNull();
+  });
+
+  test('requires a reason to reopen', () => {
+    expect(validateTransition('Resolved', 'Reopened', ['reporter']).message)
+      .toBe('A reason is required to move a complaint to Reopened');
+  });
+
+  test('rejects unknown and unchanged statuses', () => {
+    expect(validateTransition('Submitted', 'Fixed', ['admin']).message).toBe('Unknown status "Fixed"');
+    expect(validateTransition('Submitted', 'Submitted', ['admin']).message).toBe('Complaint is already Submitted');
+  });
+
+  test('only maps known statuses', () => {
+    Object.entries(TRANSITIONS).forEach(([from, targets]) => {
+      expect(STATUSES).toContain(from);
+      Object.keys(targets).forEach(to => expect(STATUSES).toContain(to));
+    });
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  test('returns the steps open to any of the roles', () => {
+    expect(getAllowedTransitions('Resolved', ['reporter'])).toEqual(['Closed', 'Reopened']);
+    expect(getAllowedTransitions('Resolved', ['staff'])).toEqual([]);
+    expect(getAllowedTransitions('Submitted', ['reporter'])).toEqual(['Withdrawn']);
+  });
+});
+
+describe('Complaint#transitionTo', () => {
+  test('moves the complaint and records one history entry with author and reason', () => {
+    const complaint = newComplaint('In Progress');
+    const officer = new mongoose.Types.ObjectId();
+
+    const error = complaint.transitionTo('On Hold', { roles: ['staff'], changedBy: officer, reason: '  Waiting for parts ' });
+
+    expect(error).toBeNull();
+    expect(complaint.status).toBe('On Hold');
+    expect(complaint.statusHistory).toHaveLength(1);
+    expect(complaint.statusHistory[0].status).toBe('On Hold');
+    expect(complaint.statusHistory[0].changedBy).toEqual(officer);
+    expect(complaint.statusHistory[0].comment).toBe('Waiting for parts');
+    expect(complaint.$locals.statusRecorded).toBe(true);
+  });
+
+  test('leaves the complaint untouched when the transition is not allowed', () => {
+    const complaint = newComplaint('Submitted');
+
+    const error = complaint.transitionTo('Resolved', { roles: ['admin'] });
+
+    expect(error.statusCode).toBe(400);
+    expect(complaint.status).toBe('Submitted');
+    expect(complaint.statusHistory).toHaveLength(0);
+  });
+
+  test('treats a missing role list as no roles', () => {
+    const complaint = newComplaint('Submitted');
+    expect(complaint.transitionTo('Acknowledged').statusCode).toBe(403);
+  });
+
+  test('restarts the SLA clock when a complaint is reopened', () => {
+    const complaint = newComplaint('Resolved');
+    complaint.dueAt = new Date('2020-01-01');
+    complaint.sla.breached = true;
+    complaint.sla.breachedAt = new Date('2020-01-02');
+    complaint.sla.escalationLevel = 2;
+
+    const error = complaint.transitionTo('Reopened', { roles: ['reporter'], reason: 'The light is still off' });
+
+    expect(error).toBeNull();
+    expect(complaint.dueAt.getTime()).toBeGreaterThan(Date.now());
+    expect(complaint.sla.breached).toBe(false);
+    expect(complaint.sla.breachedAt).toBeUndefined();
+    expect(complaint.sla.escalationLevel).toBe(0);
+  });
+});
@@ -0,0 +1,197 @@
+const http = require('http');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  WEBHOOK_MAX_ATTEMPTS,
+  sign,
+  replayDelivery,
+  sendTestEvent,
+  processDueDeliveries
+} = require('../services/webhooks');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser } = require('./helpers/app');
+
+useTestDatabase();
+
+// Default delay before the first retry
+const RETRY_BASE_MS = 60 * 1000;
+const SECRET = 'whsec_test';
+
+// Receiving endpoint that records each request and answers with `status`
+let server;
+let url;
+let received;
+let status;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status < 300 ? 'ok' : 'try again later');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+// fetch keeps connections alive, which would hold the server open
+const closeServer = () => new Promise((resolve) => {
+  server.close(resolve);
+  server.closeAllConnections();
+});
+
+afterAll(closeServer);
+
+let webhook;
+
+beforeEach(async () => {
+  received = [];
+  status = 200;
+  webhook = await Webhook.create({ name: 'Ticketing', url, events: ['complaint.created'], secret: SECRET });
+});
+
+// Make a pending delivery due for its next retry
+const makeDue = (delivery) =>
+  WebhookDelivery.updateOne({ _id: delivery._id }, { nextAttemptAt: new Date(Date.now() - 1000) });
+
+describe('sign', () => {
+  test('is the hex HMAC-SHA256 of `timestamp.body` with the secret', () => {
+    expect(sign(SECRET, 1714557600, '{"id":"evt_1","event":"ping"}'))
+      .toBe('8f6e7820012de3553cd9088ec86e6fa151eb221c94c7ee7b1bc1ec15b24c00fa');
+  });
+});
+
+describe('delivery', () => {
+  test('signs each request so the receiver can check it with the shared secret', async () => {
+    const delivery = await sendTestEvent(webhook);
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(headers['x-webhook-event']).toBe('ping');
+    expect(headers['x-webhook-id']).toBe(delivery.eventId);
+    expect(headers['x-webhook-delivery']).toBe(delivery._id.toString());
+    expect(headers['x-webhook-signature'])
+      .toBe(`sha256=${sign(SECRET, headers['x-webhook-timestamp'], body)}`);
+    expect(JSON.parse(body)).toMatchObject({ id: delivery.eventId, event: 'ping' });
+
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.attempts).toBe(1);
+    expect((await Webhook.findById(webhook._id)).lastDeliveryStatus).toBe('succeeded');
+  });
+
+  test('reschedules a failed delivery with exponential backoff', async () => {
+    status = 503;
+    const before = Date.now();
+    const delivery = await sendTestEvent(webhook);
+    const after = Date.now();
+
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.responseStatus).toBe(503);
+    expect(delivery.responseBody).toBe('try again later');
+    expect(delivery.error).toBe('Receiver responded with 503');
+    expect(delivery.attemptLog).toHaveLength(1);
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + RETRY_BASE_MS);
+    expect(delivery.nextAttemptAt.getTime()).toBeLessThanOrEqual(after + RETRY_BASE_MS);
+
+    // Not due yet
+    expect(await processDueDeliveries()).toBe(0);
+    expect(received).toHaveLength(1);
+
+    await makeDue(delivery);
+    const retriedAt = Date.now();
+    expect(await processDueDeliveries()).toBe(1);
+
+    const retried = await WebhookDelivery.findById(delivery._id);
+    expect(received).toHaveLength(2);
+    expect(received[1].headers['x-webhook-id']).toBe(delivery.eventId);
+    expect(retried.attempts).toBe(2);
+    expect(retried.status).toBe('pending');
+    expect(retried.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(retriedAt + 2 * RETRY_BASE_MS);
+  });
+
+  test('succeeds on a later retry', async () => {
+    status = 500;
+    const delivery = await sendTestEvent(webhook);
+
+    status = 200;
+    await makeDue(delivery);
+    await processDueDeliveries();
+
+    const retried = await WebhookDelivery.findById(delivery._id);
+    expect(retried.status).toBe('succeeded');
+    expect(retried.attempts).toBe(2);
+    expect(retried.nextAttemptAt).toBeUndefined();
+    expect(retried.attemptLog.map(attempt => attempt.responseStatus)).toEqual([500, 200]);
+  });
+
+  test('gives up after the last attempt', async () => {
+    status = 500;
+    const delivery = await sendTestEvent(webhook);
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { attempts: WEBHOOK_MAX_ATTEMPTS - 1 });
+
+    await makeDue(delivery);
+    await processDueDeliveries();
+
+    const failed = await WebhookDelivery.findById(delivery._id);
+    expect(failed.status).toBe('failed');
+    expect(failed.attempts).toBe(WEBHOOK_MAX_ATTEMPTS);
+    expect(failed.nextAttemptAt).toBeUndefined();
+    expect((await Webhook.findById(webhook._id)).lastDeliveryStatus).toBe('failed');
+
+    await makeDue(failed);
+    expect(await processDueDeliveries()).toBe(0);
+  });
+
+  test('records an unreachable endpoint as a failed attempt', async () => {
+    await closeServer();
+    try {
+      const delivery = await sendTestEvent(webhook);
+
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.responseStatus).toBeUndefined();
+      expect(delivery.error).toEqual(expect.any(String));
+    } finally {
+      await new Promise(resolve => server.listen(Number(new URL(url).port), '127.0.0.1', resolve));
+    }
+  });
+});
+
+describe('replayDelivery', () => {
+  test('sends a logged delivery again as a new delivery with the same event id', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const original = await sendTestEvent(webhook);
+
+    const replay = await replayDelivery(original, admin);
+
+    expect(replay._id.toString()).not.toBe(original._id.toString());
+    expect(replay.status).toBe('succeeded');
+    expect(replay.eventId).toBe(original.eventId);
+    expect(replay.payload).toEqual(original.payload);
+    expect(replay.replayOf.toString()).toBe(original._id.toString());
+    expect(replay.replayedBy.toString()).toBe(admin._id.toString());
+
+    expect(received).toHaveLength(2);
+    expect(received[1].headers['x-webhook-id']).toBe(original.eventId);
+    expect(received[1].headers['x-webhook-delivery']).toBe(replay._id.toString());
+    expect(received[1].body).toBe(received[0].body);
+    expect(await WebhookDelivery.countDocuments()).toBe(2);
+  });
+
+  test('replays a failed delivery', async () => {
+    status = 500;
+    const original = await sendTestEvent(webhook);
+    await WebhookDelivery.updateOne({ _id: original._id }, { status: 'failed' });
+
+    status = 200;
+    const replay = await replayDelivery(original);
+
+    expect(replay.status).toBe('succeeded');
+    expect(replay.replayedBy).toBeUndefined();
+    expect((await WebhookDelivery.findById(original._id)).status).toBe('failed');
+  });
+});
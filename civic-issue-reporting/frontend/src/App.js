@@ -17,6 +17,7 @@ const Communities = React.lazy(() => import('./pages/Communities'));
 const CommunityDetail = React.lazy(() => import('./pages/CommunityDetail'));
 const Map = React.lazy(() => import('./pages/Map'));
 const Profile = React.lazy(() => import('./pages/Profile'));
+const AdminWebhooks = React.lazy(() => import('./pages/AdminWebhooks'));
 const NotFound = React.lazy(() => import('./pages/NotFound'));
 
 function App() {
@@ -51,6 +52,11 @@ function App() {
               <Profile />
             </ProtectedRoute>
           } />
+          <Route path="/admin/webhooks" element={
+            <ProtectedRoute>
+              <AdminWebhooks />
+            </ProtectedRoute>
+          } />
           
           {/* 404 Not Found */}
           <Route path="*" element={<NotFound />} />
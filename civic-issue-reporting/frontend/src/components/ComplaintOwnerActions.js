@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { PencilSquareIcon, ArchiveBoxXMarkIcon } from '@heroicons/react/24/outline';
+
+const CATEGORIES = ['Sanitation', 'Roads', 'Water', 'Electricity', 'Parks', 'Transport', 'Health', 'Other'];
+
+const ComplaintOwnerActions = ({ complaint, onUpdated, onWithdrawn }) => {
+  const { t } = useTranslation();
+  const [mode, setMode] = useState(null);
+  const [form, setForm] = useState({});
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const canEdit = complaint.status === 'Submitted';
+
+  const startEditing = () => {
+    const [lng, lat] = complaint.location?.coordinates || [];
+    setForm({
+      title: complaint.title,
+      description: complaint.description,
+      category: complaint.category,
+      address: complaint.location?.address || '',
+      coordinates: lat !== undefined ? `${lat}, ${lng}` : '',
+    });
+    setMode('edit');
+  };
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const request = async (method, body) => {
+    setSubmitting(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/complaints/${complaint._id}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(body),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.message || 'Request failed');
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Error updating complaint:', error);
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { coordinates, ...fields } = form;
+    const match = coordinates.match(/^\s*([-+]?\d+\.?\d*)\s*,\s*([-+]?\d+\.?\d*)\s*$/);
+    if (match) {
+      fields.latitude = parseFloat(match[1]);
+      fields.longitude = parseFloat(match[2]);
+    }
+
+    if (await request('PUT', fields)) {
+      setMode(null);
+      onUpdated();
+    }
+  };
+
+  const handleWithdraw = async (e) => {
+    e.preventDefault();
+    if (await request('DELETE', { reason })) {
+      setMode(null);
+      onWithdrawn();
+    }
+  };
+
+  if (mode === 'edit') {
+    return (
+      <form onSubmit={handleSave} className="mb-4 space-y-3 rounded-md border border-gray-200 dark:border-gray-700 p-4">
+        <input name="title" value={form.title} onChange={handleChange} className="input w-full" maxLength={100} />
+        <textarea
+          name="description"
+          value={form.description}
+          onChange={handleChange}
+          rows={4}
+          className="input w-full"
+          maxLength={1000}
+        />
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <select name="category" value={form.category} onChange={handleChange} className="input">
+            {CATEGORIES.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+          <input name="address" value={form.address} onChange={handleChange} className="input" placeholder="Street, Area, City" />
+          <input name="coordinates" value={form.coordinates} onChange={handleChange} className="input" placeholder="Latitude, Longitude" />
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={submitting}
+            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            {t('common.save')}
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode(null)}
+            className="px-4 py-2 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"
+          >
+            {t('common.cancel')}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (mode === 'withdraw') {
+    return (
+      <form onSubmit={handleWithdraw} className="mb-4 space-y-2 rounded-md border border-red-200 dark:border-red-800 p-4">
+        <p className="text-sm text-gray-700 dark:text-gray-300">{t('complaints.withdraw.prompt')}</p>
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows={2}
+          className="input w-full"
+          placeholder={t('complaints.withdraw.reason')}
+          maxLength={500}
+        />
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={submitting || reason.trim().length < 5}
+            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+          >
+            {t('complaints.withdraw.action')}
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode(null)}
+            className="px-4 py-2 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"
+          >
+            {t('common.cancel')}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="mb-4 flex gap-2">
+      {canEdit && (
+        <button
+          type="button"
+          onClick={startEditing}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm font-medium text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600"
+        >
+          <PencilSquareIcon className="h-4 w-4 mr-2" />
+          {t('common.edit')}
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={() => setMode('withdraw')}
+        className="inline-flex items-center px-3 py-2 border border-red-200 dark:border-red-800 rounded-md text-sm font-medium text-red-700 dark:text-red-400 bg-white dark:bg-gray-700 hover:bg-red-50 dark:hover:bg-gray-600"
+      >
+        <ArchiveBoxXMarkIcon className="h-4 w-4 mr-2" />
+        {t('complaints.withdraw.action')}
+      </button>
+    </div>
+  );
+};
+
+export default ComplaintOwnerActions;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Menu, Transition } from '@headlessui/react';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'geojson', label: 'GeoJSON' },
+  { value: 'kml', label: 'KML' },
+];
+
+// Downloads the complaint list with `filters` (query parameters for
+// GET /api/complaints/export) in the chosen format
+const ExportMenu = ({ filters }) => {
+  const { t } = useTranslation();
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const token = localStorage.getItem('token');
+      const qs = new URLSearchParams({ ...filters, format });
+      const response = await fetch(`/api/complaints/export?${qs.toString()}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        alert(data.message || t('complaints.export.failed'));
+        return;
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `complaints.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting complaints:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Menu as="div" className="relative inline-block text-left">
+      <Menu.Button
+        disabled={exporting}
+        className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+      >
+        <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+        {exporting ? t('complaints.export.exporting') : t('complaints.export.button')}
+      </Menu.Button>
+      <Transition
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Menu.Items className="absolute right-0 mt-2 w-48 bg-white dark:bg-gray-800 rounded-md shadow-lg py-1 ring-1 ring-black ring-opacity-5 focus:outline-none z-50">
+          {FORMATS.map((format) => (
+            <Menu.Item key={format.value}>
+              {({ active }) => (
+                <button
+                  onClick={() => handleExport(format.value)}
+                  className={`${
+                    active ? 'bg-gray-100 dark:bg-gray-700' : ''
+                  } block w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300`}
+                >
+                  {format.label}
+                </button>
+              )}
+            </Menu.Item>
+          ))}
+        </Menu.Items>
+      </Transition>
+    </Menu>
+  );
+};
+
+export default ExportMenu;
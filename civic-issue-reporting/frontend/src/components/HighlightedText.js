@@ -0,0 +1,24 @@
+import React from 'react';
+
+// Renders `text` with the [start, end] ranges returned by the search API marked
+const HighlightedText = ({ text = '', highlights = [], className }) => {
+  if (!highlights.length) return <span className={className}>{text}</span>;
+
+  const parts = [];
+  let cursor = 0;
+  highlights.forEach(([start, end]) => {
+    if (start < cursor) return;
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-200 dark:bg-yellow-700 text-inherit rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+
+  return <span className={className}>{parts}</span>;
+};
+
+export default HighlightedText;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Dialog } from '@headlessui/react';
+import { useTranslation } from 'react-i18next';
+import {
+  ExclamationTriangleIcon,
+  XMarkIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+} from '@heroicons/react/24/outline';
+
+const ImageGallery = ({ images = [], onRemove, showPhotoChecks = false }) => {
+  const { t } = useTranslation();
+  const [activeIndex, setActiveIndex] = useState(null);
+  const isOpen = activeIndex !== null;
+
+  const showPrevious = useCallback(() => {
+    setActiveIndex(index => (index - 1 + images.length) % images.length);
+  }, [images.length]);
+
+  const showNext = useCallback(() => {
+    setActiveIndex(index => (index + 1) % images.length);
+  }, [images.length]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleKey = (e) => {
+      if (e.key === 'ArrowLeft') showPrevious();
+      if (e.key === 'ArrowRight') showNext();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [isOpen, showPrevious, showNext]);
+
+  if (images.length === 0) return null;
+
+  const active = isOpen ? images[activeIndex] : null;
+
+  return (
+    <>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+        {images.map((image, index) => (
+          <figure key={image._id || image.url} className="relative group">
+            <button
+              type="button"
+              onClick={() => setActiveIndex(index)}
+              className="block w-full focus:outline-none focus:ring-2 focus:ring-primary-500 rounded-lg"
+            >
+              <img
+                src={image.thumbnailUrl || image.url}
+                alt={image.caption || `Complaint ${index + 1}`}
+                className="w-full h-32 object-cover rounded-lg"
+                loading="lazy"
+              />
+            </button>
+            {showPhotoChecks && image.gpsMismatch && (
+              <span
+                className="absolute top-1 left-1 inline-flex items-center rounded bg-yellow-100 px-1.5 py-0.5 text-xs font-medium text-yellow-800"
+                title={t('complaints.photoGpsMismatch', { distance: (image.gpsDistance / 1000).toFixed(1) })}
+              >
+                <ExclamationTriangleIcon className="h-3 w-3 mr-1" />
+                {t('complaints.photoGpsMismatchShort')}
+              </span>
+            )}
+            {image.caption && (
+              <figcaption className="mt-1 text-xs text-gray-500 dark:text-gray-400 truncate">
+                {image.caption}
+              </figcaption>
+            )}
+            {onRemove && (
+              <button
+                type="button"
+                onClick={() => onRemove(image)}
+                className="absolute -top-2 -right-2 hidden group-hover:block bg-red-500 text-white rounded-full p-1 hover:bg-red-600"
+              >
+                <XMarkIcon className="h-4 w-4" />
+              </button>
+            )}
+          </figure>
+        ))}
+      </div>
+
+      <Dialog open={isOpen} onClose={() => setActiveIndex(null)} className="relative z-50">
+        <div className="fixed inset-0 bg-black/80" aria-hidden="true" />
+        <div className="fixed inset-0 flex items-center justify-center p-4">
+          <Dialog.Panel className="relative max-w-5xl w-full">
+            {active && (
+              <>
+                <img
+                  src={active.webUrl || active.url}
+                  alt={active.caption || `Complaint ${activeIndex + 1}`}
+                  className="mx-auto max-h-[80vh] rounded-lg object-contain"
+                />
+                <div className="mt-3 flex items-center justify-between text-sm text-gray-200">
+                  <span>{active.caption}</span>
+                  <span>{activeIndex + 1} / {images.length}</span>
+                </div>
+                {active.url && active.webUrl && (
+                  <a
+                    href={active.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-xs text-gray-400 hover:text-gray-200"
+                  >
+                    View original
+                  </a>
+                )}
+              </>
+            )}
+            <button
+              type="button"
+              onClick={() => setActiveIndex(null)}
+              className="absolute top-2 right-2 rounded-full bg-black/60 p-2 text-white hover:bg-black/80"
+            >
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+            {images.length > 1 && (
+              <>
+                <button
+                  type="button"
+                  onClick={showPrevious}
+                  className="absolute left-2 top-1/2 -translate-y-1/2 rounded-full bg-black/60 p-2 text-white hover:bg-black/80"
+                >
+                  <ChevronLeftIcon className="h-6 w-6" />
+                </button>
+                <button
+                  type="button"
+                  onClick={showNext}
+                  className="absolute right-2 top-1/2 -translate-y-1/2 rounded-full bg-black/60 p-2 text-white hover:bg-black/80"
+                >
+                  <ChevronRightIcon className="h-6 w-6" />
+                </button>
+              </>
+            )}
+          </Dialog.Panel>
+        </div>
+      </Dialog>
+    </>
+  );
+};
+
+export default ImageGallery;
@@ -17,6 +17,7 @@ import {
   ChartBarIcon,
 } from '@heroicons/react/24/outline';
 import { Menu, Transition } from '@headlessui/react';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
   const { t, i18n } = useTranslation();
@@ -147,6 +148,9 @@ const Navbar = () => {
               )}
             </button>
 
+            {/* Notifications */}
+            {isAuthenticated && <NotificationBell />}
+
             {/* User menu */}
             {isAuthenticated ? (
               <Menu as="div" className="relative">
@@ -186,6 +190,20 @@ const Navbar = () => {
                         </Link>
                       )}
                     </Menu.Item>
+                    {user?.role === 'admin' && (
+                      <Menu.Item>
+                        {({ active }) => (
+                          <Link
+                            to="/admin/webhooks"
+                            className={`${
+                              active ? 'bg-gray-100 dark:bg-gray-700' : ''
+                            } block px-4 py-2 text-sm text-gray-700 dark:text-gray-300`}
+                          >
+                            {t('nav.webhooks')}
+                          </Link>
+                        )}
+                      </Menu.Item>
+                    )}
                     <Menu.Item>
                       {({ active }) => (
                         <button
@@ -220,7 +238,8 @@ const Navbar = () => {
           </div>
 
           {/* Mobile menu button */}
-          <div className="sm:hidden flex items-center">
+          <div className="sm:hidden flex items-center space-x-2">
+            {isAuthenticated && <NotificationBell />}
             <button
               onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
               className="inline-flex items-center justify-center p-2 rounded-md text-gray-400 hover:text-gray-500 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-primary-500"
@@ -282,6 +301,15 @@ const Navbar = () => {
                 >
                   {t('nav.profile')}
                 </Link>
+                {user?.role === 'admin' && (
+                  <Link
+                    to="/admin/webhooks"
+                    className="block px-4 py-2 text-base font-medium text-gray-500 hover:text-gray-800 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-300 dark:hover:bg-gray-700"
+                    onClick={() => setIsMobileMenuOpen(false)}
+                  >
+                    {t('nav.webhooks')}
+                  </Link>
+                )}
                 <button
                   onClick={() => {
                     logout();
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { io } from 'socket.io-client';
+import toast from 'react-hot-toast';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { Menu, Transition } from '@headlessui/react';
+import { useAuth } from '../context/AuthContext';
+
+// Where a notification leads when clicked
+const linkFor = (notification) => {
+  if (notification.complaint) return `/complaints/${notification.complaint}`;
+  if (notification.community) return `/communities/${notification.community}`;
+  return null;
+};
+
+// Notification center in the navbar: unread badge, latest notifications and
+// live pushes over the user's authenticated socket
+const NotificationBell = () => {
+  const { t } = useTranslation();
+  const { token } = useAuth();
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  // Followers get their own wording; an anonymous reporter's comment has no
+  // author name
+  const describe = useCallback(({ type, data = {} }) =>
+    t(`notifications.types.${type}${data.following ? '_following' : ''}`, {
+      ...data,
+      actorName: data.actorName || t('notifications.reporter'),
+    }), [t]);
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const fetchNotifications = async () => {
+      try {
+        const response = await fetch('/api/notifications?limit=10', {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setNotifications(data.notifications);
+          setUnreadCount(data.unreadCount);
+        }
+      } catch (error) {
+        console.error('Error fetching notifications:', error);
+      }
+    };
+
+    fetchNotifications();
+
+    const socket = io({ auth: { token } });
+    socket.on('notification', (notification) => {
+      setNotifications((current) => [notification, ...current].slice(0, 10));
+      setUnreadCount((count) => count + 1);
+      toast(describe(notification));
+    });
+    // Read in another tab or on another device
+    socket.on('notifications-read', ({ ids }) => {
+      if (ids === 'all') {
+        setNotifications((current) => current.map((item) => ({ ...item, read: true })));
+        setUnreadCount(0);
+      } else {
+        fetchNotifications();
+      }
+    });
+
+    return () => socket.disconnect();
+  }, [token, describe]);
+
+  const markRead = async (notification) => {
+    if (!notification.read) {
+      try {
+        const response = await fetch(`/api/notifications/${notification._id}/read`, {
+          method: 'PUT',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setNotifications((current) => current.map((item) => (
+            item._id === notification._id ? { ...item, read: true } : item
+          )));
+          setUnreadCount(data.unreadCount);
+        }
+      } catch (error) {
+        console.error('Error marking notification read:', error);
+      }
+    }
+
+    const link = linkFor(notification);
+    if (link) navigate(link);
+  };
+
+  const markAllRead = async () => {
+    try {
+      const response = await fetch('/api/notifications/read-all', {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      if (response.ok) {
+        setNotifications((current) => current.map((item) => ({ ...item, read: true })));
+        setUnreadCount(0);
+      }
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  return (
+    <Menu as="div" className="relative">
+      <Menu.Button className="relative p-1 rounded-full text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
+        <span className="sr-only">{t('notifications.title')}</span>
+        <BellIcon className="h-6 w-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-medium flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </Menu.Button>
+      <Transition
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Menu.Items className="absolute right-0 mt-2 w-80 bg-white dark:bg-gray-800 rounded-md shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200 dark:border-gray-700">
+            <p className="text-sm font-medium text-gray-900 dark:text-white">
+              {t('notifications.title')}
+            </p>
+            {unreadCount > 0 && (
+              <button
+                onClick={markAllRead}
+                className="text-xs font-medium text-primary-600 hover:text-primary-700 dark:text-primary-400"
+              >
+                {t('notifications.markAllRead')}
+              </button>
+            )}
+          </div>
+          <div className="max-h-96 overflow-y-auto py-1">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">
+                {t('notifications.empty')}
+              </p>
+            ) : (
+              notifications.map((notification) => (
+                <Menu.Item key={notification._id}>
+                  {({ active }) => (
+                    <button
+                      onClick={() => markRead(notification)}
+                      className={`${
+                        active ? 'bg-gray-100 dark:bg-gray-700' : ''
+                      } ${
+                        notification.read ? '' : 'bg-primary-50 dark:bg-gray-900'
+                      } block w-full text-left px-4 py-2`}
+                    >
+                      <p className={`text-sm text-gray-700 dark:text-gray-300 ${notification.read ? '' : 'font-medium'}`}>
+                        {describe(notification)}
+                      </p>
+                      {notification.data?.excerpt && (
+                        <p className="mt-0.5 text-xs text-gray-500 dark:text-gray-400 truncate">
+                          {notification.data.excerpt}
+                        </p>
+                      )}
+                      <p className="mt-0.5 text-xs text-gray-400">
+                        {new Date(notification.createdAt).toLocaleString()}
+                      </p>
+                    </button>
+                  )}
+                </Menu.Item>
+              ))
+            )}
+          </div>
+        </Menu.Items>
+      </Transition>
+    </Menu>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../context/AuthContext';
+
+const TYPES = ['statusChange', 'assignment', 'comment'];
+// Notification types each channel can carry
+const CHANNELS = {
+  email: ['statusChange', 'assignment', 'comment'],
+  sms: ['statusChange'],
+};
+// Actions that follow a complaint, so its updates reach the user too
+const AUTO_FOLLOW = ['upvote', 'comment'];
+const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'hi', name: 'हिंदी' },
+  { code: 'kn', name: 'ಕನ್ನಡ' },
+];
+
+const NotificationSettings = () => {
+  const { t } = useTranslation();
+  const { user } = useAuth();
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/users/notification-preferences', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      if (response.ok) {
+        setSettings(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching notification settings:', error);
+    }
+  };
+
+  const saveSettings = async (changes) => {
+    setSaving(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/users/notification-preferences', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(changes),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setSettings({
+          language: data.language,
+          notificationPreferences: data.notificationPreferences,
+        });
+      } else {
+        alert(data.message || 'Failed to update notification settings');
+      }
+    } catch (error) {
+      console.error('Error updating notification settings:', error);
+      alert('Failed to update notification settings. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  const preferences = settings.notificationPreferences || {};
+  // Email is on unless turned off; SMS is off unless turned on
+  const isEnabled = (channel, type) => (channel === 'email'
+    ? preferences.email?.[type] !== false
+    : preferences[channel]?.[type] === true);
+
+  return (
+    <div className="px-4 py-4 space-y-4 rounded-md bg-gray-50 dark:bg-gray-700">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200">
+          {t('profile.notifications.language')}
+        </label>
+        <select
+          value={settings.language || 'en'}
+          onChange={(e) => saveSettings({ language: e.target.value })}
+          disabled={saving}
+          className="input mt-1"
+        >
+          {LANGUAGES.map(language => (
+            <option key={language.code} value={language.code}>{language.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <table className="w-full text-sm text-gray-700 dark:text-gray-200">
+        <thead>
+          <tr>
+            <th className="text-left font-medium">{t('profile.notifications.notifyMe')}</th>
+            {Object.keys(CHANNELS).map(channel => (
+              <th key={channel} className="w-16 text-center font-medium">
+                {t(`profile.notifications.channels.${channel}`)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {TYPES.map(type => (
+            <tr key={type}>
+              <td className="py-1 pr-2">{t(`profile.notifications.types.${type}`)}</td>
+              {Object.entries(CHANNELS).map(([channel, types]) => (
+                <td key={channel} className="py-1 text-center">
+                  {types.includes(type) && (
+                    <input
+                      type="checkbox"
+                      checked={isEnabled(channel, type)}
+                      onChange={(e) => saveSettings({
+                        notificationPreferences: { [channel]: { [type]: e.target.checked } },
+                      })}
+                      disabled={saving || (channel === 'sms' && !user?.phone)}
+                      className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500 disabled:opacity-50"
+                    />
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 dark:text-gray-200">
+          {t('profile.notifications.autoFollow.title')}
+        </legend>
+        {AUTO_FOLLOW.map(action => (
+          <label key={action} className="mt-1 flex items-center text-sm text-gray-700 dark:text-gray-200">
+            <input
+              type="checkbox"
+              checked={preferences.autoFollow?.[action] !== false}
+              onChange={(e) => saveSettings({
+                notificationPreferences: { autoFollow: { [action]: e.target.checked } },
+              })}
+              disabled={saving}
+              className="mr-2 h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500 disabled:opacity-50"
+            />
+            {t(`profile.notifications.autoFollow.${action}`)}
+          </label>
+        ))}
+      </fieldset>
+
+      {!user?.phone && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {t('profile.notifications.smsNeedsPhone')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettings;
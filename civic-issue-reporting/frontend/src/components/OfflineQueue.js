@@ -0,0 +1,211 @@
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { CloudArrowUpIcon, ArrowPathIcon, SignalSlashIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../context/AuthContext';
+import { useOffline } from '../context/OfflineContext';
+
+const statusColors = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  syncing: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  synced: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  conflict: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+};
+
+// Complaints saved on this device while offline, with their sync status.
+// Complaints the server held back as possible duplicates are resolved here:
+// upvote an existing complaint instead, submit anyway or discard.
+const OfflineQueue = () => {
+  const { t } = useTranslation();
+  const { token } = useAuth();
+  const navigate = useNavigate();
+  const { supported, isOnline, syncing, complaints, syncNow, retry, submitAnyway, discard } = useOffline();
+
+  if (!supported || complaints.length === 0) return null;
+
+  const hasPending = complaints.some(complaint => complaint.status === 'pending');
+
+  const upvoteDuplicate = async (complaint, { _id: duplicateId, hasUpvoted }) => {
+    try {
+      // Voting toggles, so a second upvote would take the user's upvote back
+      if (hasUpvoted) {
+        await discard(complaint.id);
+        navigate(`/complaints/${duplicateId}`);
+        return;
+      }
+
+      const response = await fetch(`/api/complaints/${duplicateId}/vote`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ voteType: 'upvote' }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || 'Failed to upvote complaint');
+      }
+      await discard(complaint.id);
+      navigate(`/complaints/${duplicateId}`);
+    } catch (error) {
+      console.error('Error upvoting complaint:', error);
+      alert('Failed to upvote the existing complaint. Please try again.');
+    }
+  };
+
+  const confirmDiscard = (complaint) => {
+    if (window.confirm(t('offline.confirmDiscard'))) {
+      discard(complaint.id);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 shadow rounded-lg mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white flex items-center">
+            <CloudArrowUpIcon className="h-5 w-5 mr-2 text-gray-400" />
+            {t('offline.queueTitle')}
+          </h3>
+          {hasPending && (
+            <button
+              type="button"
+              onClick={syncNow}
+              disabled={!isOnline || syncing}
+              className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ArrowPathIcon className={`h-4 w-4 mr-1 ${syncing ? 'animate-spin' : ''}`} />
+              {t('offline.syncNow')}
+            </button>
+          )}
+        </div>
+
+        {!isOnline && hasPending && (
+          <p className="mb-4 text-sm text-gray-500 dark:text-gray-400 flex items-center">
+            <SignalSlashIcon className="h-4 w-4 mr-1" />
+            {t('offline.waitingForConnection')}
+          </p>
+        )}
+
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {complaints.map((complaint) => (
+            <li key={complaint.id} className="py-4">
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {complaint.status === 'synced' && complaint.complaintId ? (
+                      <Link to={`/complaints/${complaint.complaintId}`} className="hover:text-primary-600">
+                        {complaint.fields.title}
+                      </Link>
+                    ) : (
+                      complaint.fields.title
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    {t('offline.savedAt', { date: new Date(complaint.createdAt).toLocaleString() })}
+                    {complaint.photos.length > 0 && ` • ${t('offline.photos', { count: complaint.photos.length })}`}
+                  </p>
+                  {complaint.errorCode && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      {t(`offline.errors.${complaint.errorCode}`)}
+                    </p>
+                  )}
+                  {complaint.status === 'failed' && (
+                    <p className="text-xs text-red-600 mt-1">
+                      {complaint.errors && complaint.errors.length > 0
+                        ? complaint.errors.map(error => error.msg).join(', ')
+                        : complaint.error}
+                    </p>
+                  )}
+                </div>
+                <span className={`flex-shrink-0 inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusColors[complaint.status]}`}>
+                  {t(`offline.status.${complaint.status}`)}
+                </span>
+              </div>
+
+              {complaint.status === 'failed' && (
+                <div className="mt-3 flex gap-3">
+                  <button
+                    type="button"
+                    onClick={() => retry(complaint.id)}
+                    disabled={!isOnline}
+                    className="px-3 py-1 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                  >
+                    {t('offline.retry')}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => confirmDiscard(complaint)}
+                    className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700"
+                  >
+                    {t('offline.discard')}
+                  </button>
+                </div>
+              )}
+
+              {/* Possible duplicates found by the backend when it was synced */}
+              {complaint.status === 'conflict' && (
+                <div className="mt-3 rounded-md border border-yellow-300 bg-yellow-50 dark:border-yellow-700 dark:bg-yellow-900/30 p-3">
+                  <p className="text-sm text-yellow-700 dark:text-yellow-300">
+                    {t('complaints.duplicates.subtitle')}
+                  </p>
+                  <ul className="mt-3 space-y-2">
+                    {(complaint.duplicates || []).map((match) => (
+                      <li key={match._id} className="flex items-start justify-between gap-4 bg-white dark:bg-gray-800 rounded-md p-3 shadow-sm">
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                            {match.title}
+                          </p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                            {match.status} • {match.distance} m away • {match.upvoteCount} upvotes
+                          </p>
+                        </div>
+                        <div className="flex flex-col gap-2 flex-shrink-0">
+                          <button
+                            type="button"
+                            onClick={() => upvoteDuplicate(complaint, match)}
+                            disabled={!isOnline}
+                            className="px-3 py-1 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                          >
+                            {t('complaints.duplicates.upvoteInstead')}
+                          </button>
+                          <Link
+                            to={`/complaints/${match._id}`}
+                            className="text-center text-sm text-primary-600 hover:text-primary-500"
+                          >
+                            {t('complaints.duplicates.view')}
+                          </Link>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="mt-3 flex justify-end gap-3">
+                    <button
+                      type="button"
+                      onClick={() => confirmDiscard(complaint)}
+                      className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700"
+                    >
+                      {t('offline.discard')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => submitAnyway(complaint.id)}
+                      className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700"
+                    >
+                      {t('complaints.duplicates.submitAnyway')}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default OfflineQueue;
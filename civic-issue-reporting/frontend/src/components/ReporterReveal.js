@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { EyeIcon } from '@heroicons/react/24/outline';
+
+const ReporterReveal = ({ complaintId }) => {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [reporter, setReporter] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/complaints/${complaintId}/reporter`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ reason }),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setReporter(data.reporter);
+        setOpen(false);
+      } else {
+        alert(data.message || 'Failed to load reporter');
+      }
+    } catch (error) {
+      console.error('Error revealing reporter:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (reporter) {
+    return (
+      <div className="mb-4 rounded-md border border-yellow-200 dark:border-yellow-800 bg-yellow-50 dark:bg-gray-700 p-3 text-sm text-gray-700 dark:text-gray-200">
+        <span className="font-medium">{t('complaints.reporter.label')}:</span>{' '}
+        {reporter.name} · {reporter.email}{reporter.phone ? ` · ${reporter.phone}` : ''}
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{t('complaints.reporter.logged')}</p>
+      </div>
+    );
+  }
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="mb-4 inline-flex items-center text-sm font-medium text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+      >
+        <EyeIcon className="h-4 w-4 mr-1" />
+        {t('complaints.reporter.reveal')}
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-4 flex gap-2">
+      <input
+        type="text"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        className="input flex-1"
+        placeholder={t('complaints.reporter.reason')}
+        maxLength={500}
+      />
+      <button
+        type="submit"
+        disabled={submitting || reason.trim().length < 5}
+        className="px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+      >
+        {t('complaints.reporter.reveal')}
+      </button>
+    </form>
+  );
+};
+
+export default ReporterReveal;
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { CheckCircleIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline';
+
+const PhotoColumn = ({ title, images }) => (
+  <div>
+    <h4 className="text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+      {title}
+    </h4>
+    {images.length === 0 ? (
+      <div className="h-32 rounded-lg bg-gray-100 dark:bg-gray-700" />
+    ) : (
+      <div className="grid grid-cols-2 gap-2">
+        {images.map((image) => (
+          <a key={image._id || image.url} href={image.webUrl || image.url} target="_blank" rel="noopener noreferrer">
+            <img
+              src={image.thumbnailUrl || image.url}
+              alt={title}
+              className="w-full h-32 object-cover rounded-lg"
+              loading="lazy"
+            />
+          </a>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+const ResolutionPanel = ({ complaint, isReporter, onUpdated }) => {
+  const { t } = useTranslation();
+  const [showDispute, setShowDispute] = useState(false);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const details = complaint.resolutionDetails;
+  if (!details || !details.resolvedAt) return null;
+
+  const confirmation = details.confirmation || {};
+  const awaitingConfirmation = complaint.status === 'Resolved' &&
+    confirmation.status === 'pending' &&
+    new Date(confirmation.deadline) > new Date();
+
+  const respond = async (action, body) => {
+    setSubmitting(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/complaints/${complaint._id}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(body || {}),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setShowDispute(false);
+        setReason('');
+        onUpdated();
+      } else {
+        alert(data.message || 'Failed to update resolution');
+      }
+    } catch (error) {
+      console.error('Error responding to resolution:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const statusMessage = {
+    confirmed: t('complaints.resolution.confirmed'),
+    disputed: t('complaints.resolution.disputed', { reason: confirmation.reason }),
+    expired: t('complaints.resolution.expired'),
+  }[confirmation.status];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 shadow rounded-lg mb-6">
+      <div className="px-6 py-4">
+        <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-2 flex items-center">
+          <CheckCircleIcon className="h-5 w-5 mr-2 text-green-600" />
+          {t('complaints.resolution.title')}
+        </h2>
+        {details.description && (
+          <p className="text-gray-700 dark:text-gray-300 mb-4">{details.description}</p>
+        )}
+
+        {/* Before / after comparison */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <PhotoColumn title={t('complaints.resolution.before')} images={complaint.images || []} />
+          <PhotoColumn title={t('complaints.resolution.after')} images={details.resolutionImages || []} />
+        </div>
+
+        {statusMessage && (
+          <p className="text-sm text-gray-600 dark:text-gray-400">{statusMessage}</p>
+        )}
+
+        {/* Reporter: confirm or dispute the fix */}
+        {isReporter && awaitingConfirmation && (
+          <div className="mt-2 rounded-md border border-primary-200 dark:border-primary-800 bg-primary-50 dark:bg-gray-700 p-4">
+            <p className="text-sm text-gray-700 dark:text-gray-200 mb-3">
+              {t('complaints.resolution.confirmPrompt', {
+                date: new Date(confirmation.deadline).toLocaleDateString(),
+              })}
+            </p>
+            {showDispute ? (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  respond('dispute-resolution', { reason });
+                }}
+              >
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  rows={3}
+                  className="input w-full mb-2"
+                  placeholder={t('complaints.resolution.disputePlaceholder')}
+                />
+                <div className="flex gap-2">
+                  <button
+                    type="submit"
+                    disabled={submitting || reason.trim().length < 10}
+                    className="px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                  >
+                    {t('complaints.resolution.dispute')}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowDispute(false)}
+                    className="px-4 py-2 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600"
+                  >
+                    {t('common.cancel')}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  disabled={submitting}
+                  onClick={() => respond('confirm-resolution')}
+                  className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                >
+                  <CheckCircleIcon className="h-4 w-4 mr-2" />
+                  {t('complaints.resolution.confirm')}
+                </button>
+                <button
+                  type="button"
+                  disabled={submitting}
+                  onClick={() => setShowDispute(true)}
+                  className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-red-700 bg-red-50 hover:bg-red-100 dark:bg-gray-800 dark:text-red-400 disabled:opacity-50"
+                >
+                  <ExclamationCircleIcon className="h-4 w-4 mr-2" />
+                  {t('complaints.resolution.dispute')}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResolutionPanel;
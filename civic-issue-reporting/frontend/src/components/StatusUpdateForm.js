@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+
+const MAX_IMAGES = 5;
+
+const StatusUpdateForm = ({ complaint, onUpdated }) => {
+  const { t } = useTranslation();
+  const [allowed, setAllowed] = useState([]);
+  const [reasonRequired, setReasonRequired] = useState([]);
+  const [status, setStatus] = useState('');
+  const [comment, setComment] = useState('');
+  const [files, setFiles] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchTransitions = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch(`/api/complaints/${complaint._id}/transitions`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setAllowed(data.allowed || []);
+          setReasonRequired(data.reasonRequired || []);
+          setStatus((data.allowed || [])[0] || '');
+        }
+      } catch (error) {
+        console.error('Error fetching status transitions:', error);
+      }
+    };
+
+    fetchTransitions();
+  }, [complaint._id, complaint.status]);
+
+  if (allowed.length === 0) return null;
+
+  const isResolving = status === 'Resolved';
+  const needsReason = reasonRequired.includes(status);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const formData = new FormData();
+      formData.append('status', status);
+      if (comment.trim()) formData.append('comment', comment.trim());
+      if (isResolving) files.forEach(file => formData.append('images', file));
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/complaints/${complaint._id}/status`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+        body: formData,
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setComment('');
+        setFiles([]);
+        onUpdated();
+      } else {
+        alert(data.message || 'Failed to update status');
+      }
+    } catch (error) {
+      console.error('Error updating status:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-4 space-y-2 rounded-md border border-gray-200 dark:border-gray-700 p-4">
+      <h3 className="text-sm font-medium text-gray-900 dark:text-white">
+        {t('complaints.resolution.updateStatus')}
+      </h3>
+      <div className="flex flex-col md:flex-row gap-2">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="input md:w-48"
+        >
+          {allowed.map(value => (
+            <option key={value} value={value}>{value}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          className="input flex-1"
+          placeholder={needsReason
+            ? t('complaints.resolution.statusReason')
+            : t('complaints.resolution.statusComment')}
+          maxLength={500}
+        />
+      </div>
+      {isResolving && (
+        <div>
+          <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">
+            {t('complaints.resolution.afterPhotos')}
+          </label>
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={(e) => setFiles(Array.from(e.target.files).slice(0, MAX_IMAGES))}
+            className="text-sm text-gray-600 dark:text-gray-400"
+          />
+        </div>
+      )}
+      <button
+        type="submit"
+        disabled={
+          submitting ||
+          !status ||
+          (needsReason && !comment.trim()) ||
+          (isResolving && files.length === 0)
+        }
+        className="px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+      >
+        {t('complaints.resolution.update')}
+      </button>
+    </form>
+  );
+};
+
+export default StatusUpdateForm;
@@ -53,6 +53,27 @@ const authReducer = (state, action) => {
   }
 };
 
+// The signed-in user's profile is kept so the app still knows who is signed
+// in when it is opened offline
+const USER_CACHE_KEY = 'user';
+
+const cacheUser = (user) => {
+  localStorage.setItem(USER_CACHE_KEY, JSON.stringify(user));
+};
+
+const readCachedUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_CACHE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem(USER_CACHE_KEY);
+};
+
 // Set up axios interceptors
 const setupAxiosInterceptors = (token, dispatch) => {
   // Request interceptor to add token to headers
@@ -74,7 +95,7 @@ const setupAxiosInterceptors = (token, dispatch) => {
     (error) => {
       if (error.response?.status === 401 && token) {
         dispatch({ type: 'LOGOUT' });
-        localStorage.removeItem('token');
+        clearSession();
         toast.error('Session expired. Please login again.');
       }
       return Promise.reject(error);
@@ -94,6 +115,7 @@ export const AuthProvider = ({ children }) => {
         try {
           setupAxiosInterceptors(token, dispatch);
           const response = await axios.get('/api/auth/me');
+          cacheUser(response.data.user);
           dispatch({
             type: 'LOGIN_SUCCESS',
             payload: {
@@ -103,7 +125,15 @@ export const AuthProvider = ({ children }) => {
           });
         } catch (error) {
           console.error('Failed to load user:', error);
-          localStorage.removeItem('token');
+          const cachedUser = readCachedUser();
+          // No response means no connection, not a rejected token
+          if (!error.response && cachedUser) {
+            dispatch({ type: 'LOGIN_SUCCESS', payload: { user: cachedUser, token } });
+            return;
+          }
+          if (error.response) {
+            clearSession();
+          }
           dispatch({ type: 'LOGOUT' });
         }
       } else {
@@ -133,6 +163,7 @@ export const AuthProvider = ({ children }) => {
       const { token, user } = response.data;
       
       localStorage.setItem('token', token);
+      cacheUser(user);
       
       dispatch({
         type: 'LOGIN_SUCCESS',
@@ -158,6 +189,7 @@ export const AuthProvider = ({ children }) => {
       const { token, user } = response.data;
       
       localStorage.setItem('token', token);
+      cacheUser(user);
       
       dispatch({
         type: 'LOGIN_SUCCESS',
@@ -175,7 +207,7 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
-    localStorage.removeItem('token');
+    clearSession();
     dispatch({ type: 'LOGOUT' });
     toast.success('Logged out successfully');
   };
@@ -183,6 +215,7 @@ export const AuthProvider = ({ children }) => {
   const updateProfile = async (userData) => {
     try {
       const response = await axios.put('/api/auth/profile', userData);
+      cacheUser(response.data.user);
       dispatch({ type: 'UPDATE_USER', payload: response.data.user });
       toast.success('Profile updated successfully!');
       return { success: true };
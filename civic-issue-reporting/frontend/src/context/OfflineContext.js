@@ -0,0 +1,151 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import {
+  subscribe,
+  isOfflineStorageSupported,
+  saveOfflineComplaint,
+  listOfflineComplaints,
+  updateOfflineComplaint,
+  removeOfflineComplaint,
+  forgetOfflineTokens,
+} from '../offline/outbox';
+import { syncOfflineComplaints } from '../offline/sync';
+import { requestBackgroundSync } from '../serviceWorkerRegistration';
+
+const OfflineContext = createContext();
+
+// How often waiting complaints are retried while the browser reports a
+// connection (it can be online yet unable to reach the server)
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+export const OfflineProvider = ({ children }) => {
+  const { t } = useTranslation();
+  const { user, token } = useAuth();
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [complaints, setComplaints] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
+  const userId = user?.id;
+  const supported = isOfflineStorageSupported();
+
+  const refresh = useCallback(async () => {
+    if (!supported || !userId) {
+      setComplaints([]);
+      return;
+    }
+    try {
+      setComplaints(await listOfflineComplaints(userId));
+    } catch (error) {
+      console.error('Error loading offline complaints:', error);
+    }
+  }, [supported, userId]);
+
+  const syncNow = useCallback(async () => {
+    if (!supported || !userId || !token || syncingRef.current) return;
+
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const { synced } = await syncOfflineComplaints({ userId, token });
+      if (synced > 0) {
+        toast.success(t('offline.synced', { count: synced }));
+      }
+    } catch (error) {
+      console.error('Error syncing offline complaints:', error);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+  }, [supported, userId, token, t]);
+
+  // Keep the list in step with this tab, other tabs and the service worker
+  useEffect(() => {
+    refresh();
+    return subscribe(refresh);
+  }, [refresh]);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const goOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [syncNow]);
+
+  // Send what was saved on an earlier visit as soon as the user is known
+  useEffect(() => {
+    if (navigator.onLine) syncNow();
+  }, [syncNow]);
+
+  const hasPending = complaints.some(complaint => complaint.status === 'pending');
+  useEffect(() => {
+    if (!hasPending || !isOnline) return undefined;
+    const timer = setInterval(syncNow, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasPending, isOnline, syncNow]);
+
+  // Tokens kept with saved complaints go when the user signs out
+  useEffect(() => {
+    if (supported && !token) {
+      forgetOfflineTokens().catch((error) => {
+        console.error('Error clearing offline tokens:', error);
+      });
+    }
+  }, [supported, token]);
+
+  // Save a complaint (form `fields` plus `photos` as { file, caption }) to
+  // send when there is a connection
+  const saveOffline = async ({ fields, photos }) => {
+    const complaint = await saveOfflineComplaint({ userId, token, fields, photos });
+    requestBackgroundSync();
+    return complaint;
+  };
+
+  const retry = async (id) => {
+    await updateOfflineComplaint(id, { status: 'pending', errorCode: null, error: null, errors: null });
+    syncNow();
+  };
+
+  // The user confirmed that a complaint with possible duplicates is new
+  const submitAnyway = async (id) => {
+    await updateOfflineComplaint(id, { status: 'pending', ignoreDuplicates: true, duplicates: null });
+    syncNow();
+  };
+
+  const discard = (id) => removeOfflineComplaint(id);
+
+  const value = {
+    supported,
+    isOnline,
+    syncing,
+    complaints,
+    saveOffline,
+    syncNow,
+    retry,
+    submitAnyway,
+    discard,
+  };
+
+  return (
+    <OfflineContext.Provider value={value}>
+      {children}
+    </OfflineContext.Provider>
+  );
+};
+
+export const useOffline = () => {
+  const context = useContext(OfflineContext);
+  if (!context) {
+    throw new Error('useOffline must be used within an OfflineProvider');
+  }
+  return context;
+};
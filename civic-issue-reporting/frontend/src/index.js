@@ -5,6 +5,8 @@ import './index.css';
 import App from './App';
 import { AuthProvider } from './context/AuthContext';
 import { ThemeProvider } from './context/ThemeContext';
+import { OfflineProvider } from './context/OfflineContext';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 import './locales/i18n';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -13,9 +15,15 @@ root.render(
     <BrowserRouter>
       <ThemeProvider>
         <AuthProvider>
-          <App />
+          <OfflineProvider>
+            <App />
+          </OfflineProvider>
         </AuthProvider>
       </ThemeProvider>
     </BrowserRouter>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Caches the app shell so the app opens offline, and sends complaints saved
+// offline in the background
+serviceWorkerRegistration.register();
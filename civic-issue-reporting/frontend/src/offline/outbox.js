@@ -0,0 +1,205 @@
+// Complaints saved on the device while offline, kept in IndexedDB until they
+// are sent. Both the app and the service worker read and write this store;
+// changes are announced on a BroadcastChannel so every open tab can refresh
+// its list.
+//
+// A saved complaint looks like
+//   { id, userId, token, createdAt, fields, photos: [{ blob, name, type, caption }],
+//     status, attempts, lastAttemptAt, error, errors, duplicates,
+//     ignoreDuplicates, complaintId, syncedAt }
+// where status is one of
+//   pending    waiting to be sent
+//   syncing    being sent right now
+//   synced     sent; complaintId is the new complaint
+//   conflict   the server found possible duplicates; the user decides
+//   failed     rejected by the server; the user retries or discards it
+
+const DB_NAME = 'civicconnect-offline';
+const DB_VERSION = 1;
+const STORE = 'complaints';
+const CHANNEL = 'civicconnect-offline';
+
+// A complaint left in `syncing` this long (e.g. the tab was closed mid-upload)
+// may be taken again
+const SYNC_LEASE_MS = 2 * 60 * 1000;
+// Sent complaints stay in the list this long so their status can be seen
+const SYNCED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+const listeners = new Set();
+let channel = null;
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    dbPromise = requestResult(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Run `work(store)` in one transaction and resolve to its result once the
+// transaction has committed
+const withStore = async (mode, work) => {
+  const db = await openDb();
+  const transaction = db.transaction(STORE, mode);
+  const done = transactionDone(transaction);
+  let result;
+  try {
+    result = await work(transaction.objectStore(STORE));
+  } catch (error) {
+    done.catch(() => {});
+    throw error;
+  }
+  await done;
+  return result;
+};
+
+const getChannel = () => {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL);
+    channel.onmessage = () => listeners.forEach(listener => listener());
+  }
+  return channel;
+};
+
+// Tell this context and every other tab (and the service worker) that the
+// list changed
+const notify = () => {
+  listeners.forEach(listener => listener());
+  const broadcast = getChannel();
+  if (broadcast) broadcast.postMessage('changed');
+};
+
+// Call `listener` whenever the list changes; returns the unsubscribe function
+export const subscribe = (listener) => {
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const isOfflineStorageSupported = () => typeof indexedDB !== 'undefined';
+
+const newId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  // RFC 4122 version 4 from Math.random where randomUUID is missing
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : (r % 4) + 8).toString(16);
+  });
+};
+
+// Save a complaint for sending later. `photos` are { file, caption } as picked
+// in the form; the files are stored as blobs.
+export const saveOfflineComplaint = async ({ userId, token, fields, photos = [] }) => {
+  const complaint = {
+    id: newId(),
+    userId,
+    token,
+    createdAt: new Date().toISOString(),
+    fields,
+    photos: photos.map(({ file, caption }) => ({
+      blob: file,
+      name: file.name,
+      type: file.type,
+      caption: caption || '',
+    })),
+    status: 'pending',
+    attempts: 0,
+  };
+  await withStore('readwrite', store => requestResult(store.add(complaint)));
+  notify();
+  return complaint;
+};
+
+// Saved complaints of `userId` (all users when left out), newest first.
+// Sent complaints older than SYNCED_RETENTION_MS are dropped on the way.
+export const listOfflineComplaints = async (userId) => {
+  const cutoff = Date.now() - SYNCED_RETENTION_MS;
+  const all = await withStore('readwrite', async (store) => {
+    const complaints = await requestResult(store.getAll());
+    return complaints.filter((complaint) => {
+      if (complaint.status === 'synced' && new Date(complaint.syncedAt).getTime() < cutoff) {
+        store.delete(complaint.id);
+        return false;
+      }
+      return true;
+    });
+  });
+
+  return all
+    .filter(complaint => !userId || complaint.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// Apply `changes` to a saved complaint. Resolves to the updated complaint,
+// or null when it no longer exists.
+export const updateOfflineComplaint = async (id, changes) => {
+  const updated = await withStore('readwrite', async (store) => {
+    const complaint = await requestResult(store.get(id));
+    if (!complaint) return null;
+    const next = { ...complaint, ...changes };
+    store.put(next);
+    return next;
+  });
+  if (updated) notify();
+  return updated;
+};
+
+export const removeOfflineComplaint = async (id) => {
+  await withStore('readwrite', store => requestResult(store.delete(id)));
+  notify();
+};
+
+// Mark a complaint as being sent. The read and write happen in one
+// transaction, so when the app and the service worker sync at the same time
+// only one of them gets it. Resolves to the complaint, or null when it is
+// not waiting to be sent.
+export const claimOfflineComplaint = async (id) => {
+  const claimed = await withStore('readwrite', async (store) => {
+    const complaint = await requestResult(store.get(id));
+    const stale = complaint && complaint.status === 'syncing' &&
+      Date.now() - new Date(complaint.lastAttemptAt).getTime() > SYNC_LEASE_MS;
+    if (!complaint || (complaint.status !== 'pending' && !stale)) return null;
+
+    const next = {
+      ...complaint,
+      status: 'syncing',
+      attempts: (complaint.attempts || 0) + 1,
+      lastAttemptAt: new Date().toISOString(),
+    };
+    store.put(next);
+    return next;
+  });
+  if (claimed) notify();
+  return claimed;
+};
+
+// Drop the sign-in tokens kept with saved complaints, e.g. on logout. The
+// complaints are sent with the user's new token once they sign in again.
+export const forgetOfflineTokens = async () => {
+  await withStore('readwrite', async (store) => {
+    const complaints = await requestResult(store.getAll());
+    complaints
+      .filter(complaint => complaint.token)
+      .forEach(complaint => store.put({ ...complaint, token: null }));
+  });
+};
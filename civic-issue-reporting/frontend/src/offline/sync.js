@@ -0,0 +1,126 @@
+import {
+  listOfflineComplaints,
+  claimOfflineComplaint,
+  updateOfflineComplaint,
+} from './outbox';
+
+// Sends complaints saved offline to POST /api/complaints, oldest first. The
+// app runs it when it starts, when the browser comes back online and when the
+// user retries; the service worker runs it on background sync. Each upload
+// carries the complaint's offline id, so one that reached the server before
+// its response was lost is not filed twice.
+
+// Background sync registration the service worker listens for
+export const SYNC_TAG = 'sync-offline-complaints';
+
+const buildFormData = (complaint) => {
+  const formData = new FormData();
+  Object.entries(complaint.fields).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      formData.append(name, String(value));
+    }
+  });
+  formData.append('offlineId', complaint.id);
+  formData.append('reportedAt', complaint.createdAt);
+  if (complaint.ignoreDuplicates) formData.append('ignoreDuplicates', 'true');
+
+  // Captions are matched to photos by position
+  complaint.photos.forEach((photo) => {
+    formData.append('images', photo.blob, photo.name);
+    formData.append('imageCaptions', photo.caption);
+  });
+  return formData;
+};
+
+// Upload one claimed complaint. Resolves to the changes to store and whether
+// the rest should wait for a better connection.
+const sendComplaint = async (complaint, token) => {
+  let response;
+  try {
+    response = await fetch('/api/complaints', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+      body: buildFormData(complaint),
+    });
+  } catch (error) {
+    return { changes: { status: 'pending', errorCode: 'offline', error: null }, retryLater: true };
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (response.ok) {
+    return {
+      changes: {
+        status: 'synced',
+        complaintId: data.complaint && data.complaint._id,
+        syncedAt: new Date().toISOString(),
+        // The server has the photos now
+        photos: [],
+        token: null,
+        errorCode: null,
+        error: null,
+        errors: null,
+        duplicates: null,
+      },
+    };
+  }
+
+  if (response.status === 409) {
+    return { changes: { status: 'conflict', duplicates: data.duplicates || [], errorCode: null, error: null } };
+  }
+
+  if (response.status === 401) {
+    // Sent again with the token of the next sign-in
+    return { changes: { status: 'pending', token: null, errorCode: 'signIn', error: null } };
+  }
+
+  if (response.status >= 500 || response.status === 429) {
+    return {
+      changes: { status: 'pending', errorCode: 'server', error: data.message || null },
+      retryLater: true,
+    };
+  }
+
+  return {
+    changes: {
+      status: 'failed',
+      errorCode: null,
+      error: data.message || `Request failed with status ${response.status}`,
+      errors: data.errors || null,
+    },
+  };
+};
+
+// Send the pending complaints of `userId` with `token`, or, when they are
+// left out (in the service worker), every pending complaint with the token
+// saved alongside it. Resolves to { synced, remaining, retryLater }.
+export const syncOfflineComplaints = async ({ userId, token } = {}) => {
+  const complaints = await listOfflineComplaints(userId);
+  const waiting = complaints
+    .filter(complaint => complaint.status === 'pending' || complaint.status === 'syncing')
+    .reverse();
+
+  let synced = 0;
+  let retryLater = false;
+  for (const complaint of waiting) {
+    const authToken = token || complaint.token;
+    if (!authToken) continue;
+
+    const claimed = await claimOfflineComplaint(complaint.id);
+    if (!claimed) continue;
+
+    const result = await sendComplaint(claimed, authToken);
+    await updateOfflineComplaint(claimed.id, result.changes);
+    if (result.changes.status === 'synced') synced++;
+    if (result.retryLater) {
+      retryLater = true;
+      break;
+    }
+  }
+
+  const remaining = (await listOfflineComplaints(userId))
+    .filter(complaint => complaint.status === 'pending').length;
+  return { synced, remaining, retryLater };
+};
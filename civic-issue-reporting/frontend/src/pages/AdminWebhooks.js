@@ -0,0 +1,432 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../context/AuthContext';
+import {
+  PlusIcon,
+  ArrowPathIcon,
+  PaperAirplaneIcon,
+  KeyIcon,
+  TrashIcon,
+  ListBulletIcon,
+} from '@heroicons/react/24/outline';
+
+const DELIVERY_STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  succeeded: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Admin view of outbound webhooks: register endpoints, send test events,
+// inspect the delivery log and replay deliveries
+const AdminWebhooks = () => {
+  const { t } = useTranslation();
+  const { user } = useAuth();
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ name: '', url: '', events: [] });
+  const [saving, setSaving] = useState(false);
+  const [secret, setSecret] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryStatus, setDeliveryStatus] = useState('');
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+
+  const isAdmin = user?.role === 'admin';
+
+  const request = async (url, options = {}) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const details = (data.errors || []).map((error) => error.msg).join('\n');
+      throw new Error([data.message || t('webhooks.failed'), details].filter(Boolean).join('\n'));
+    }
+    return data;
+  };
+
+  const fetchWebhooks = async () => {
+    try {
+      const data = await request('/api/webhooks');
+      setWebhooks(data.webhooks);
+      setEvents(data.events);
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDeliveries = useCallback(async (webhookId, page = 1) => {
+    try {
+      const token = localStorage.getItem('token');
+      const params = new URLSearchParams({ page, limit: 20 });
+      if (deliveryStatus) params.set('status', deliveryStatus);
+      const response = await fetch(`/api/webhooks/${webhookId}/deliveries?${params.toString()}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setDeliveries(data.deliveries);
+        setPagination(data.pagination);
+      }
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+    }
+  }, [deliveryStatus]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchWebhooks();
+    } else {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isAdmin]);
+
+  useEffect(() => {
+    if (selected) {
+      fetchDeliveries(selected._id);
+    }
+  }, [selected, fetchDeliveries]);
+
+  const toggleEvent = (event) => {
+    setForm((current) => ({
+      ...current,
+      events: current.events.includes(event)
+        ? current.events.filter((item) => item !== event)
+        : [...current.events, event],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const data = await request('/api/webhooks', {
+        method: 'POST',
+        body: JSON.stringify(form),
+      });
+      setSecret({ name: data.webhook.name, value: data.secret });
+      setForm({ name: '', url: '', events: [] });
+      fetchWebhooks();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (action) => {
+    try {
+      await action();
+      fetchWebhooks();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleToggle = (webhook) => runAction(() => request(`/api/webhooks/${webhook._id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ isActive: !webhook.isActive }),
+  }));
+
+  const handleTest = (webhook) => runAction(async () => {
+    const data = await request(`/api/webhooks/${webhook._id}/test`, { method: 'POST' });
+    alert(data.message);
+    if (selected?._id === webhook._id) fetchDeliveries(webhook._id);
+  });
+
+  const handleRotate = (webhook) => {
+    if (!window.confirm(t('webhooks.confirmRotate'))) return;
+    runAction(async () => {
+      const data = await request(`/api/webhooks/${webhook._id}/rotate-secret`, { method: 'POST' });
+      setSecret({ name: webhook.name, value: data.secret });
+    });
+  };
+
+  const handleDelete = (webhook) => {
+    if (!window.confirm(t('webhooks.confirmDelete'))) return;
+    runAction(async () => {
+      await request(`/api/webhooks/${webhook._id}`, { method: 'DELETE' });
+      if (selected?._id === webhook._id) setSelected(null);
+    });
+  };
+
+  const handleReplay = async (delivery) => {
+    try {
+      const data = await request(`/api/webhooks/deliveries/${delivery._id}/replay`, { method: 'POST' });
+      alert(data.message);
+      fetchDeliveries(selected._id, pagination.page);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!isAdmin) {
+    return (
+      <div className="page-container">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <p className="text-gray-600 dark:text-gray-400">{t('webhooks.adminOnly')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const buttonClass = 'inline-flex items-center px-2 py-1 text-xs font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700';
+
+  return (
+    <div className="page-container">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+            {t('webhooks.title')}
+          </h1>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">
+            {t('webhooks.subtitle')}
+          </p>
+        </div>
+
+        {secret && (
+          <div className="mb-6 rounded-md border border-yellow-200 dark:border-yellow-800 bg-yellow-50 dark:bg-gray-700 p-4 text-sm text-gray-700 dark:text-gray-200">
+            <p className="font-medium">{t('webhooks.secretNotice', { name: secret.name })}</p>
+            <code className="mt-2 block break-all font-mono text-xs">{secret.value}</code>
+            <button
+              type="button"
+              onClick={() => setSecret(null)}
+              className="mt-2 text-xs font-medium text-primary-600 hover:text-primary-700"
+            >
+              {t('common.close')}
+            </button>
+          </div>
+        )}
+
+        {/* New webhook */}
+        <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 mb-8">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+            {t('webhooks.create')}
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="input"
+              placeholder={t('webhooks.name')}
+              maxLength={100}
+              required
+            />
+            <input
+              type="url"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+              className="input"
+              placeholder={t('webhooks.url')}
+              required
+            />
+          </div>
+          <fieldset className="mb-4">
+            <legend className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              {t('webhooks.events')}
+            </legend>
+            <div className="flex flex-wrap gap-4">
+              {events.map((event) => (
+                <label key={event} className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={form.events.includes(event)}
+                    onChange={() => toggleEvent(event)}
+                    className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span className="font-mono">{event}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          <button
+            type="submit"
+            disabled={saving || form.events.length === 0}
+            className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            {t('webhooks.create')}
+          </button>
+        </form>
+
+        {/* Registered webhooks */}
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg mb-8">
+          {webhooks.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500 dark:text-gray-400">{t('webhooks.none')}</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {webhooks.map((webhook) => (
+                <li key={webhook._id} className="p-4">
+                  <div className="flex flex-wrap items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 dark:text-white">
+                        {webhook.name}
+                        <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${
+                          webhook.isActive
+                            ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+                            : 'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200'
+                        }`}>
+                          {webhook.isActive ? t('webhooks.active') : t('webhooks.inactive')}
+                        </span>
+                      </p>
+                      <p className="text-sm text-gray-500 dark:text-gray-400 break-all">{webhook.url}</p>
+                      <p className="mt-1 text-xs font-mono text-gray-500 dark:text-gray-400">{webhook.events.join(', ')}</p>
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        {t('webhooks.lastDelivery')}:{' '}
+                        {webhook.lastDeliveryAt
+                          ? `${formatDateTime(webhook.lastDeliveryAt)} · ${t(`webhooks.status.${webhook.lastDeliveryStatus}`)}`
+                          : t('webhooks.never')}
+                      </p>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      <button type="button" onClick={() => setSelected(webhook)} className={buttonClass}>
+                        <ListBulletIcon className="h-4 w-4 mr-1" />
+                        {t('webhooks.deliveries')}
+                      </button>
+                      <button type="button" onClick={() => handleTest(webhook)} className={buttonClass}>
+                        <PaperAirplaneIcon className="h-4 w-4 mr-1" />
+                        {t('webhooks.test')}
+                      </button>
+                      <button type="button" onClick={() => handleToggle(webhook)} className={buttonClass}>
+                        {webhook.isActive ? t('webhooks.disable') : t('webhooks.enable')}
+                      </button>
+                      <button type="button" onClick={() => handleRotate(webhook)} className={buttonClass}>
+                        <KeyIcon className="h-4 w-4 mr-1" />
+                        {t('webhooks.rotateSecret')}
+                      </button>
+                      <button type="button" onClick={() => handleDelete(webhook)} className={`${buttonClass} text-red-600 dark:text-red-400`}>
+                        <TrashIcon className="h-4 w-4 mr-1" />
+                        {t('common.delete')}
+                      </button>
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Delivery log */}
+        {selected && (
+          <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+              <h2 className="text-lg font-medium text-gray-900 dark:text-white">
+                {t('webhooks.deliveriesFor', { name: selected.name })}
+              </h2>
+              <select
+                value={deliveryStatus}
+                onChange={(e) => setDeliveryStatus(e.target.value)}
+                className="input w-auto"
+              >
+                <option value="">{t('webhooks.allStatuses')}</option>
+                {Object.keys(DELIVERY_STATUS_COLORS).map((status) => (
+                  <option key={status} value={status}>{t(`webhooks.status.${status}`)}</option>
+                ))}
+              </select>
+            </div>
+
+            {deliveries.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">{t('webhooks.noDeliveries')}</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 dark:text-gray-400">
+                      <th className="py-2 pr-4">{t('webhooks.time')}</th>
+                      <th className="py-2 pr-4">{t('webhooks.event')}</th>
+                      <th className="py-2 pr-4">{t('webhooks.deliveryStatus')}</th>
+                      <th className="py-2 pr-4">{t('webhooks.attempts')}</th>
+                      <th className="py-2 pr-4">{t('webhooks.response')}</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-gray-700 text-gray-700 dark:text-gray-300">
+                    {deliveries.map((delivery) => (
+                      <tr key={delivery._id}>
+                        <td className="py-2 pr-4 whitespace-nowrap">
+                          {formatDateTime(delivery.createdAt)}
+                          {delivery.replayOf && (
+                            <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">({t('webhooks.replayed')})</span>
+                          )}
+                        </td>
+                        <td className="py-2 pr-4 font-mono">{delivery.event}</td>
+                        <td className="py-2 pr-4">
+                          <span className={`px-2 py-0.5 text-xs rounded-full ${DELIVERY_STATUS_COLORS[delivery.status]}`}>
+                            {t(`webhooks.status.${delivery.status}`)}
+                          </span>
+                          {delivery.status === 'pending' && delivery.nextAttemptAt && (
+                            <span className="block text-xs text-gray-500 dark:text-gray-400">
+                              {t('webhooks.nextAttempt', { time: formatDateTime(delivery.nextAttemptAt) })}
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-2 pr-4">{delivery.attempts}</td>
+                        <td className="py-2 pr-4">
+                          {delivery.responseStatus || '—'}
+                          {delivery.error && (
+                            <span className="block text-xs text-red-600 dark:text-red-400">{delivery.error}</span>
+                          )}
+                        </td>
+                        <td className="py-2 text-right">
+                          <button type="button" onClick={() => handleReplay(delivery)} className={buttonClass}>
+                            <ArrowPathIcon className="h-4 w-4 mr-1" />
+                            {t('webhooks.replay')}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {pagination.pages > 1 && (
+              <div className="mt-4 flex justify-between">
+                <button
+                  type="button"
+                  disabled={pagination.page <= 1}
+                  onClick={() => fetchDeliveries(selected._id, pagination.page - 1)}
+                  className={`${buttonClass} disabled:opacity-50`}
+                >
+                  {t('common.previous')}
+                </button>
+                <button
+                  type="button"
+                  disabled={pagination.page >= pagination.pages}
+                  onClick={() => fetchDeliveries(selected._id, pagination.page + 1)}
+                  className={`${buttonClass} disabled:opacity-50`}
+                >
+                  {t('common.next')}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminWebhooks;
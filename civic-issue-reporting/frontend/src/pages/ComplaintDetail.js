@@ -1,7 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../context/AuthContext';
+import ImageGallery from '../components/ImageGallery';
+import ResolutionPanel from '../components/ResolutionPanel';
+import StatusUpdateForm from '../components/StatusUpdateForm';
+import ComplaintOwnerActions from '../components/ComplaintOwnerActions';
+import ReporterReveal from '../components/ReporterReveal';
 import {
   ArrowLeftIcon,
   CalendarIcon,
@@ -10,8 +15,14 @@ import {
   ChatBubbleLeftRightIcon,
   HandThumbUpIcon,
   HandThumbDownIcon,
+  ClockIcon,
+  BellIcon,
+  BellAlertIcon,
 } from '@heroicons/react/24/outline';
 
+// Statuses in which the submitter can still withdraw a complaint
+const WITHDRAWABLE_STATUSES = ['Submitted', 'Acknowledged', 'In Progress', 'On Hold', 'Reopened'];
+
 const ComplaintDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -21,6 +32,7 @@ const ComplaintDetail = () => {
   const [comments, setComments] = useState([]);
   const [newComment, setNewComment] = useState('');
   const [loading, setLoading] = useState(true);
+  const [mergeIds, setMergeIds] = useState('');
 
   useEffect(() => {
     fetchComplaint();
@@ -74,18 +86,23 @@ const ComplaintDetail = () => {
 
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch(`/api/comments/complaint/${id}`, {
+      const response = await fetch('/api/comments', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`,
         },
-        body: JSON.stringify({ content: newComment }),
+        body: JSON.stringify({ content: newComment, complaint: id }),
       });
 
       if (response.ok) {
+        const data = await response.json();
         setNewComment('');
         fetchComments();
+        // Commenting follows the complaint unless turned off in the profile
+        if (data.followedComplaint) {
+          fetchComplaint();
+        }
       }
     } catch (error) {
       console.error('Error posting comment:', error);
@@ -112,6 +129,83 @@ const ComplaintDetail = () => {
     }
   };
 
+  const handleFollow = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/complaints/${id}/follow`, {
+        method: complaint.isFollowing ? 'DELETE' : 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setComplaint((current) => ({
+          ...current,
+          isFollowing: data.isFollowing,
+          followerCount: data.followerCount,
+        }));
+      } else {
+        alert(data.message || 'Failed to update follow status');
+      }
+    } catch (error) {
+      console.error('Error updating follow status:', error);
+    }
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+    const duplicateIds = mergeIds.split(/[\s,]+/).filter(Boolean);
+    if (duplicateIds.length === 0) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/complaints/${id}/merge`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ duplicateIds }),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setMergeIds('');
+        fetchComplaint();
+        fetchComments();
+      } else {
+        alert(data.message || 'Failed to merge complaints');
+      }
+    } catch (error) {
+      console.error('Error merging complaints:', error);
+    }
+  };
+
+  const handleRemoveImage = async (image) => {
+    if (!window.confirm('Remove this image?')) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/complaints/${id}/images/${image._id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setComplaint(prev => ({ ...prev, images: data.images }));
+      }
+    } catch (error) {
+      console.error('Error removing image:', error);
+    }
+  };
+
+  const shortId = (value) => String(value || '').slice(-6).toUpperCase();
+
   const normalizeStatus = (status = '') => {
     const s = String(status).trim().toLowerCase();
     if (s === 'submitted') return 'pending';
@@ -127,6 +221,14 @@ const ComplaintDetail = () => {
         return 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200';
       case 'resolved':
         return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200';
+      case 'reopened':
+        return 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200';
+      case 'acknowledged':
+        return 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200';
+      case 'on-hold':
+        return 'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
+      case 'closed':
+        return 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900 dark:text-emerald-200';
       case 'rejected':
         return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200';
       default:
@@ -152,6 +254,19 @@ const ComplaintDetail = () => {
     );
   }
 
+  const isReporter = !!user && !!complaint &&
+    (complaint.submittedBy?._id || complaint.submittedBy) === user.id;
+
+  // Submitters can only change photos while the complaint is still Submitted
+  const canManageImages = !!user && !!complaint && (
+    user.role === 'admin' ||
+    (isReporter && complaint.status === 'Submitted')
+  );
+
+  // The form itself only shows the transitions the backend allows this user
+  const canUpdateStatus = !!user && !!complaint && complaint.status !== 'Merged' &&
+    ['admin', 'officer'].includes(user.role);
+
   if (!complaint) {
     return (
       <div className="page-container">
@@ -184,6 +299,27 @@ const ComplaintDetail = () => {
           Back to Complaints
         </button>
 
+        {/* Merged into another complaint */}
+        {complaint.status === 'Merged' && complaint.mergedInto && (
+          <div className="mb-6 rounded-md border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-800 p-4 text-sm text-gray-700 dark:text-gray-300">
+            {t('complaints.merge.mergedInto')}{' '}
+            <Link
+              to={`/complaints/${complaint.mergedInto._id || complaint.mergedInto}`}
+              className="font-medium text-primary-600 hover:text-primary-500"
+            >
+              #{shortId(complaint.mergedInto._id || complaint.mergedInto)}
+              {complaint.mergedInto.title ? ` – ${complaint.mergedInto.title}` : ''}
+            </Link>
+          </div>
+        )}
+
+        {/* Withdrawn by the submitter */}
+        {complaint.status === 'Withdrawn' && (
+          <div className="mb-6 rounded-md border border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-800 p-4 text-sm text-gray-700 dark:text-gray-300">
+            {t('complaints.withdraw.banner')}
+          </div>
+        )}
+
         {/* Complaint Header */}
         <div className="bg-white dark:bg-gray-800 shadow rounded-lg mb-6">
           <div className="px-6 py-4">
@@ -200,10 +336,14 @@ const ComplaintDetail = () => {
               <div className="flex items-center">
                 <CalendarIcon className="h-4 w-4 mr-1" />
                 {formatDate(complaint.createdAt)}
+                {complaint.isEdited && (
+                  <span className="ml-1 text-xs">({t('complaints.edited')})</span>
+                )}
               </div>
               <div className="flex items-center">
                 <MapPinIcon className="h-4 w-4 mr-1" />
                 {complaint?.location?.address || 'Unknown location'}
+                {complaint?.ward?.name && ` · ${complaint.ward.name}`}
               </div>
               <div className="flex items-center">
                 <UserIcon className="h-4 w-4 mr-1" />
@@ -212,6 +352,12 @@ const ComplaintDetail = () => {
               <div className="capitalize">
                 {complaint.category}
               </div>
+              {complaint.dueAt && (
+                <div className={`flex items-center ${complaint.sla?.breached ? 'text-red-600 dark:text-red-400 font-medium' : ''}`}>
+                  <ClockIcon className="h-4 w-4 mr-1" />
+                  {complaint.sla?.breached ? 'Overdue since' : 'Due by'} {formatDate(complaint.dueAt)}
+                </div>
+              )}
             </div>
 
             <p className="text-gray-700 dark:text-gray-300 mb-4">
@@ -219,19 +365,78 @@ const ComplaintDetail = () => {
             </p>
 
             {/* Images */}
-            {complaint.images && complaint.images.length > 0 && (
-              <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4">
-                {complaint.images.map((image, index) => (
-                  <img
-                    key={index}
-                    src={`/api/uploads/${image}`}
-                    alt={`Complaint ${index + 1}`}
-                    className="w-full h-32 object-cover rounded-lg"
-                  />
-                ))}
+            <ImageGallery
+              images={complaint.images || []}
+              onRemove={canManageImages ? handleRemoveImage : undefined}
+              showPhotoChecks={['admin', 'officer'].includes(user?.role)}
+            />
+
+            {/* Reports absorbed by this complaint */}
+            {complaint.mergedFrom && complaint.mergedFrom.length > 0 && (
+              <div className="mb-4">
+                <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">
+                  {t('complaints.merge.absorbed', { count: complaint.mergedFrom.length })}
+                </h3>
+                <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+                  {complaint.mergedFrom.map((entry) => (
+                    <li key={entry.complaint?._id || entry.complaint}>
+                      <Link
+                        to={`/complaints/${entry.complaint?._id || entry.complaint}`}
+                        className="text-primary-600 hover:text-primary-500"
+                      >
+                        #{shortId(entry.complaint?._id || entry.complaint)}
+                      </Link>
+                      {entry.complaint?.title ? ` ${entry.complaint.title}` : ''}
+                      <span className="text-gray-400"> • {formatDate(entry.mergedAt)}</span>
+                    </li>
+                  ))}
+                </ul>
               </div>
             )}
 
+            {/* Staff with explicit permission: reveal an anonymous reporter (logged) */}
+            {complaint.isAnonymous && !isReporter && user?.permissions?.includes('view_reporter_identity') && (
+              <ReporterReveal complaintId={complaint._id} />
+            )}
+
+            {/* Submitter: edit while Submitted, or withdraw */}
+            {isReporter && WITHDRAWABLE_STATUSES.includes(complaint.status) && (
+              <ComplaintOwnerActions
+                complaint={complaint}
+                onUpdated={fetchComplaint}
+                onWithdrawn={fetchComplaint}
+              />
+            )}
+
+            {/* Staff: update status, with "after" photos when resolving */}
+            {canUpdateStatus && (
+              <StatusUpdateForm
+                key={complaint.status}
+                complaint={complaint}
+                onUpdated={fetchComplaint}
+              />
+            )}
+
+            {/* Admin: merge duplicates into this complaint */}
+            {user?.role === 'admin' && complaint.status !== 'Merged' && (
+              <form onSubmit={handleMerge} className="mb-4 flex gap-2">
+                <input
+                  type="text"
+                  value={mergeIds}
+                  onChange={(e) => setMergeIds(e.target.value)}
+                  className="input flex-1"
+                  placeholder={t('complaints.merge.placeholder')}
+                />
+                <button
+                  type="submit"
+                  disabled={!mergeIds.trim()}
+                  className="px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {t('complaints.merge.action')}
+                </button>
+              </form>
+            )}
+
             {/* Voting */}
             <div className="flex items-center space-x-4">
               <button
@@ -248,10 +453,36 @@ const ComplaintDetail = () => {
                 <HandThumbDownIcon className="h-4 w-4 mr-2" />
                 {complaint.downvotes || 0}
               </button>
+              {user && !isReporter && complaint.status !== 'Merged' && (
+                <button
+                  onClick={handleFollow}
+                  title={t('complaints.follow.hint')}
+                  className={`inline-flex items-center px-3 py-2 border rounded-md text-sm font-medium ${
+                    complaint.isFollowing
+                      ? 'border-primary-600 text-primary-700 bg-primary-50 dark:bg-gray-700 dark:text-primary-400'
+                      : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  {complaint.isFollowing
+                    ? <BellAlertIcon className="h-4 w-4 mr-2" />
+                    : <BellIcon className="h-4 w-4 mr-2" />}
+                  {complaint.isFollowing ? t('complaints.follow.following') : t('complaints.follow.follow')}
+                </button>
+              )}
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {t('complaints.follow.followers', { count: complaint.followerCount || 0 })}
+              </span>
             </div>
           </div>
         </div>
 
+        {/* Resolution proof and reporter confirmation */}
+        <ResolutionPanel
+          complaint={complaint}
+          isReporter={isReporter}
+          onUpdated={fetchComplaint}
+        />
+
         {/* Comments Section */}
         <div className="bg-white dark:bg-gray-800 shadow rounded-lg">
           <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
@@ -1,7 +1,9 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../context/AuthContext';
+import HighlightedText from '../components/HighlightedText';
+import ExportMenu from '../components/ExportMenu';
 import {
   PlusIcon,
   MagnifyingGlassIcon,
@@ -15,23 +17,65 @@ import {
   ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline';
 
+// Only what the list renders; comment threads load on the detail page
+const LIST_FIELDS = 'title,status,category,location,images,createdAt,titleHighlights,snippet';
+
 const Complaints = () => {
   const { t } = useTranslation();
   const { user } = useAuth();
   const [complaints, setComplaints] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [searchParams] = useSearchParams();
   const [searchTerm, setSearchTerm] = useState('');
+  const [sortBy, setSortBy] = useState(searchParams.get('sort') || 'createdAt');
+  const [city, setCity] = useState(searchParams.get('city') || '');
+  const [ward, setWard] = useState(searchParams.get('ward') || '');
+  const [wards, setWards] = useState([]);
   const [statusFilter, setStatusFilter] = useState('all');
   const [departmentFilter, setDepartmentFilter] = useState('all');
+  const [searchInfo, setSearchInfo] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   useEffect(() => {
-    fetchComplaints();
+    const fetchWards = async () => {
+      try {
+        const response = await fetch('/api/boundaries?level=ward');
+        if (response.ok) {
+          const data = await response.json();
+          setWards(data.boundaries || []);
+        }
+      } catch (error) {
+        console.error('Error fetching wards:', error);
+      }
+    };
+
+    fetchWards();
   }, []);
 
-  const fetchComplaints = async () => {
+  // Status and category filters as the API spells them
+  const status = statusFilter === 'all'
+    ? ''
+    : statusFilter === 'pending'
+      ? 'Submitted'
+      : statusFilter.split('-').map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+  const category = departmentFilter === 'all'
+    ? ''
+    : departmentFilter.charAt(0).toUpperCase() + departmentFilter.slice(1);
+
+  const fetchComplaints = useCallback(async (search = '', cursor = null) => {
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch('/api/complaints', {
+      const qs = new URLSearchParams({ limit: '20', fields: LIST_FIELDS });
+      if (search) qs.set('search', search);
+      // Relevance ranks searches unless another order was picked
+      if (!search || sortBy !== 'createdAt') qs.set('sortBy', sortBy);
+      if (city.trim()) qs.set('city', city.trim());
+      if (ward) qs.set('ward', ward);
+      if (status) qs.set('status', status);
+      if (category) qs.set('category', category);
+      if (cursor) qs.set('cursor', cursor);
+      const response = await fetch(`/api/complaints?${qs.toString()}`, {
         headers: {
           'Authorization': `Bearer ${token}`,
         },
@@ -39,13 +83,29 @@ const Complaints = () => {
       
       if (response.ok) {
         const data = await response.json();
-        setComplaints(Array.isArray(data) ? data : (data.complaints || []));
+        const items = Array.isArray(data) ? data : (data.complaints || []);
+        setComplaints(prev => (cursor ? [...prev, ...items] : items));
+        setNextCursor(data.pagination?.nextCursor || null);
+        setSearchInfo(data.search || null);
       }
     } catch (error) {
       console.error('Error fetching complaints:', error);
     } finally {
       setLoading(false);
     }
+  }, [sortBy, city, ward, status, category]);
+
+  // Search, filters and ranking run on the server; a change starts again from
+  // the first page once the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => fetchComplaints(searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm, fetchComplaints]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    await fetchComplaints(searchTerm.trim(), nextCursor);
+    setLoadingMore(false);
   };
 
   // Normalize various backend status strings to UI-friendly canonical values
@@ -92,6 +152,14 @@ const Complaints = () => {
         return 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200';
       case 'resolved':
         return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200';
+      case 'acknowledged':
+        return 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200';
+      case 'on-hold':
+        return 'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
+      case 'closed':
+        return 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900 dark:text-emerald-200';
+      case 'reopened':
+        return 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200';
       case 'rejected':
         return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200';
       default:
@@ -99,6 +167,15 @@ const Complaints = () => {
     }
   };
 
+  // The list filters as API query parameters for exports
+  const exportFilters = {
+    ...(searchTerm.trim() && { search: searchTerm.trim() }),
+    ...(city.trim() && { city: city.trim() }),
+    ...(ward && { ward }),
+    ...(status && { status }),
+    ...(category && { category }),
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -108,21 +185,6 @@ const Complaints = () => {
     });
   };
 
-  const filteredComplaints = complaints.filter((complaint) => {
-    const title = complaint.title || '';
-    const description = complaint.description || '';
-    const category = complaint.category || '';
-    const matchesSearch =
-      title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      description.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesStatus =
-      statusFilter === 'all' || normalizeStatus(complaint.status) === statusFilter;
-    const matchesDepartment =
-      departmentFilter === 'all' || category.toLowerCase() === departmentFilter.toLowerCase();
-
-    return matchesSearch && matchesStatus && matchesDepartment;
-  });
-
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-64">
@@ -144,7 +206,8 @@ const Complaints = () => {
               Browse and track civic issues in your community
             </p>
           </div>
-          <div className="mt-4 sm:mt-0">
+          <div className="mt-4 sm:mt-0 flex items-center space-x-3">
+            {user && <ExportMenu filters={exportFilters} />}
             <Link
               to="/submit-complaint"
               className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
@@ -172,6 +235,49 @@ const Complaints = () => {
               />
             </div>
 
+            {/* Sort */}
+            <div>
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="block w-full pl-3 pr-10 py-2 text-base border border-gray-300 dark:border-gray-600 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md bg-white dark:bg-gray-700"
+              >
+                <option value="createdAt">{t('complaints.sort.newest')}</option>
+                <option value="hot">{t('complaints.sort.hot')}</option>
+                <option value="top">{t('complaints.sort.top')}</option>
+                <option value="controversial">{t('complaints.sort.controversial')}</option>
+              </select>
+            </div>
+
+            {/* City */}
+            <div>
+              <input
+                type="text"
+                placeholder={t('complaints.sort.city')}
+                value={city}
+                onChange={(e) => setCity(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md leading-5 bg-white dark:bg-gray-700 placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-1 focus:ring-primary-500 focus:border-primary-500 text-sm"
+              />
+            </div>
+
+            {/* Ward */}
+            {wards.length > 0 && (
+              <div>
+                <select
+                  value={ward}
+                  onChange={(e) => setWard(e.target.value)}
+                  className="block w-full pl-3 pr-10 py-2 text-base border border-gray-300 dark:border-gray-600 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md bg-white dark:bg-gray-700"
+                >
+                  <option value="">{t('complaints.allWards')}</option>
+                  {wards.map(boundary => (
+                    <option key={boundary._id} value={boundary._id}>
+                      {boundary.code ? `${boundary.code} · ${boundary.name}` : boundary.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Status Filter */}
             <div>
               <select
@@ -181,8 +287,12 @@ const Complaints = () => {
               >
                 <option value="all">All Status</option>
                 <option value="pending">Pending</option>
+                <option value="acknowledged">Acknowledged</option>
                 <option value="in-progress">In Progress</option>
+                <option value="on-hold">On Hold</option>
                 <option value="resolved">Resolved</option>
+                <option value="closed">Closed</option>
+                <option value="reopened">Reopened</option>
                 <option value="rejected">Rejected</option>
               </select>
             </div>
@@ -208,8 +318,17 @@ const Complaints = () => {
           </div>
         </div>
 
+        {searchInfo?.correctedQuery && (
+          <p className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+            {t('complaints.search.showingResultsFor')}{' '}
+            <span className="font-medium text-gray-900 dark:text-white">{searchInfo.correctedQuery}</span>
+            {' · '}
+            {t('complaints.search.noResultsFor', { query: searchInfo.query })}
+          </p>
+        )}
+
         {/* Complaints List */}
-        {filteredComplaints.length === 0 ? (
+        {complaints.length === 0 ? (
           <div className="text-center py-12">
             <ExclamationTriangleIcon className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-white">
@@ -222,7 +341,7 @@ const Complaints = () => {
         ) : (
           <div className="bg-white dark:bg-gray-800 shadow overflow-hidden sm:rounded-md">
             <ul className="divide-y divide-gray-200 dark:divide-gray-700">
-              {filteredComplaints.map((complaint) => (
+              {complaints.map((complaint) => (
                 <li key={complaint._id} className="px-4 py-4 sm:px-6 hover:bg-gray-50 dark:hover:bg-gray-700">
                   <div className="flex items-center justify-between">
                     <div className="flex items-center">
@@ -230,7 +349,7 @@ const Complaints = () => {
                       <div className="hidden sm:block mr-3">
                         {complaint?.images?.length ? (
                           <img
-                            src={`/api/uploads/${complaint.images[0]}`}
+                            src={complaint.images[0].thumbnailUrl || complaint.images[0].url}
                             alt={complaint.title}
                             className="h-14 w-14 rounded-md object-cover"
                             loading="lazy"
@@ -250,7 +369,7 @@ const Complaints = () => {
                       <div className="ml-4">
                         <div className="flex items-center">
                           <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                            {complaint.title}
+                            <HighlightedText text={complaint.title} highlights={complaint.titleHighlights} />
                           </p>
                           <span className={`ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(complaint.status)}`}>
                             {displayStatus(complaint.status)}
@@ -265,6 +384,11 @@ const Complaints = () => {
                           <span className="mx-2">•</span>
                           <span className="capitalize">{complaint.category || 'Other'}</span>
                         </div>
+                        {complaint.snippet && (
+                          <p className="mt-1 text-sm text-gray-600 dark:text-gray-300">
+                            <HighlightedText text={complaint.snippet.text} highlights={complaint.snippet.highlights} />
+                          </p>
+                        )}
                       </div>
                     </div>
                     <div className="ml-4 flex-shrink-0">
@@ -281,6 +405,19 @@ const Complaints = () => {
             </ul>
           </div>
         )}
+
+        {nextCursor && (
+          <div className="mt-6 text-center">
+            <button
+              type="button"
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="px-4 py-2 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+            >
+              {loadingMore ? t('common.loading') : t('complaints.loadMore')}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../context/AuthContext';
+import { useOffline } from '../context/OfflineContext';
+import OfflineQueue from '../components/OfflineQueue';
 import {
   PlusIcon,
   MapPinIcon,
@@ -10,13 +12,16 @@ import {
   ExclamationTriangleIcon,
   CalendarIcon,
   EyeIcon,
+  BellAlertIcon,
 } from '@heroicons/react/24/outline';
 import { Link } from 'react-router-dom';
 
 const Dashboard = () => {
   const { t } = useTranslation();
   const { user } = useAuth();
+  const { complaints: offlineComplaints } = useOffline();
   const [complaints, setComplaints] = useState([]);
+  const [followedComplaints, setFollowedComplaints] = useState([]);
   const [stats, setStats] = useState({
     total: 0,
     pending: 0,
@@ -27,8 +32,33 @@ const Dashboard = () => {
 
   useEffect(() => {
     fetchUserComplaints();
+    fetchFollowedComplaints();
   }, []);
 
+  // Complaints saved offline show up in the list once they are sent
+  const offlineSyncedCount = offlineComplaints.filter(complaint => complaint.status === 'synced').length;
+  useEffect(() => {
+    if (offlineSyncedCount > 0) fetchUserComplaints();
+  }, [offlineSyncedCount]);
+
+  const fetchFollowedComplaints = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/complaints/user/following?limit=5', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setFollowedComplaints(data.complaints || []);
+      }
+    } catch (error) {
+      console.error('Error fetching followed complaints:', error);
+    }
+  };
+
   const fetchUserComplaints = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -51,12 +81,16 @@ const Dashboard = () => {
             const normalized = s === 'submitted' ? 'pending' : (s === 'in progress' ? 'in-progress' : s);
             switch (normalized) {
               case 'pending':
+              case 'acknowledged':
                 acc.pending++;
                 break;
               case 'in-progress':
+              case 'on hold':
+              case 'reopened':
                 acc.inProgress++;
                 break;
               case 'resolved':
+              case 'closed':
                 acc.resolved++;
                 break;
               default:
@@ -105,6 +139,14 @@ const Dashboard = () => {
         return 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200';
       case 'resolved':
         return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200';
+      case 'acknowledged':
+        return 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200';
+      case 'on-hold':
+        return 'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200';
+      case 'closed':
+        return 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900 dark:text-emerald-200';
+      case 'reopened':
+        return 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200';
       case 'rejected':
         return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200';
       default:
@@ -245,6 +287,8 @@ const Dashboard = () => {
           </Link>
         </div>
 
+        <OfflineQueue />
+
         {/* Recent Complaints */}
         <div className="bg-white dark:bg-gray-800 shadow overflow-hidden sm:rounded-md">
           <div className="px-4 py-5 sm:px-6">
@@ -331,6 +375,51 @@ const Dashboard = () => {
             </div>
           )}
         </div>
+
+        {/* Followed Complaints */}
+        <div className="mt-8 bg-white dark:bg-gray-800 shadow overflow-hidden sm:rounded-md">
+          <div className="px-4 py-5 sm:px-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white flex items-center">
+              <BellAlertIcon className="h-5 w-5 mr-2" />
+              {t('dashboard.followedComplaints')}
+            </h3>
+            <p className="mt-1 max-w-2xl text-sm text-gray-500 dark:text-gray-400">
+              {t('dashboard.followedComplaintsSubtitle')}
+            </p>
+          </div>
+
+          {followedComplaints.length === 0 ? (
+            <p className="px-4 pb-6 sm:px-6 text-sm text-gray-500 dark:text-gray-400">
+              {t('dashboard.noFollowedComplaints')}
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {followedComplaints.map((complaint) => (
+                <li key={complaint._id} className="px-4 py-4 sm:px-6">
+                  <Link to={`/complaints/${complaint._id}`} className="flex items-center justify-between">
+                    <div className="flex items-center min-w-0">
+                      <div className="flex-shrink-0">
+                        {getStatusIcon(complaint.status)}
+                      </div>
+                      <div className="ml-4 min-w-0">
+                        <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                          {complaint.title}
+                        </p>
+                        <div className="flex items-center text-sm text-gray-500 dark:text-gray-400 mt-1">
+                          <MapPinIcon className="h-4 w-4 mr-1" />
+                          {complaint?.location?.address || 'Unknown location'}
+                        </div>
+                      </div>
+                    </div>
+                    <span className={`ml-4 flex-shrink-0 inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(complaint.status)}`}>
+                      {t(`complaints.status.${normalizeStatus(complaint.status)}`)}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -55,16 +55,12 @@ const Home = () => {
   useEffect(() => {
     const load = async () => {
       try {
-        const res = await fetch('/api/complaints?limit=24');
+        // Same hot ranking as the Complaints page
+        const res = await fetch('/api/complaints?sortBy=hot&limit=6&includeTotal=true&fields=title,description,status,category,location,images,createdAt,upvoteCount,downvoteCount,commentCount');
         if (res.ok) {
           const data = await res.json();
           const items = Array.isArray(data) ? data : (data.complaints || []);
-          const sorted = [...items].sort((a,b) => {
-            const ea = (a.upvoteCount||0) + (a.downvoteCount||0) + (a.commentCount||0);
-            const eb = (b.upvoteCount||0) + (b.downvoteCount||0) + (b.commentCount||0);
-            return eb - ea;
-          }).slice(0,6);
-          setTrending(sorted);
+          setTrending(items);
           // derive simple stats
           const total = (data?.pagination?.total) ?? items.length;
           setStats([
@@ -207,7 +203,7 @@ const Home = () => {
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex items-center justify-between mb-8">
             <h2 className="text-2xl md:text-3xl font-bold text-gray-900 dark:text-white">Trending complaints</h2>
-            <Link to="/complaints" className="text-primary-600 hover:text-primary-700 font-medium">View all</Link>
+            <Link to="/complaints?sort=hot" className="text-primary-600 hover:text-primary-700 font-medium">View all</Link>
           </div>
           {loadingTrending ? (
             <div className="flex items-center justify-center py-12">
@@ -1,11 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Rectangle, Tooltip, useMap, useMapEvents } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import {
   MagnifyingGlassIcon,
-  FunnelIcon,
   MapPinIcon,
   CalendarIcon,
 } from '@heroicons/react/24/outline';
@@ -18,47 +18,302 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
+const STATUSES = ['Submitted', 'Acknowledged', 'In Progress', 'On Hold', 'Resolved', 'Closed', 'Reopened', 'Rejected'];
+const CATEGORIES = ['Sanitation', 'Roads', 'Water', 'Electricity', 'Parks', 'Transport', 'Health', 'Other'];
+
+const STATUS_COLORS = {
+  Submitted: '#f59e0b',
+  Acknowledged: '#6366f1',
+  'In Progress': '#3b82f6',
+  'On Hold': '#6b7280',
+  Resolved: '#10b981',
+  Closed: '#059669',
+  Reopened: '#f97316',
+  Rejected: '#ef4444',
+};
+
+const getMarkerColor = (status) => STATUS_COLORS[status] || '#6b7280';
+
+const createCustomIcon = (status) => {
+  const color = getMarkerColor(status);
+  return L.divIcon({
+    className: 'custom-div-icon',
+    html: `
+      <div style="
+        background-color: ${color};
+        width: 20px;
+        height: 20px;
+        border-radius: 50%;
+        border: 3px solid white;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+      "></div>
+    `,
+    iconSize: [20, 20],
+    iconAnchor: [10, 10],
+  });
+};
+
+// Cluster bubbles grow with the number of complaints they hold
+const createClusterIcon = (count) => {
+  const size = Math.round(28 + Math.min(Math.log10(count), 4) * 10);
+  return L.divIcon({
+    className: 'custom-div-icon',
+    html: `
+      <div style="
+        background-color: rgba(37, 99, 235, 0.85);
+        color: white;
+        width: ${size}px;
+        height: ${size}px;
+        line-height: ${size - 6}px;
+        border-radius: 50%;
+        border: 3px solid white;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+        text-align: center;
+        font-size: 12px;
+        font-weight: 600;
+      ">${count}</div>
+    `,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+};
+
+// Heatmap cells shade from yellow to red with their share of the densest cell
+const getHeatColor = (count, maxCount) => {
+  const ratio = maxCount > 0 ? Math.sqrt(count / maxCount) : 0;
+  const green = Math.round(220 - ratio * 200);
+  return `rgb(239, ${green}, 38)`;
+};
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+// Reports the visible bounds and zoom once on load and after every pan or zoom
+const ViewportWatcher = ({ onChange }) => {
+  const map = useMapEvents({
+    moveend: () => onChange(map),
+  });
+
+  useEffect(() => {
+    onChange(map);
+  }, [map, onChange]);
+
+  return null;
+};
+
+// MapContainer only reads `center` on mount
+const Recenter = ({ center }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    map.setView(center);
+  }, [map, center]);
+
+  return null;
+};
+
+const ClusterMarker = ({ feature, clusterMaxZoom }) => {
+  const { t } = useTranslation();
+  const map = useMap();
+  const [lng, lat] = feature.geometry.coordinates;
+  const { count, statuses, categories } = feature.properties;
+
+  const zoomIn = () => {
+    const [minLng, minLat, maxLng, maxLat] = feature.bbox;
+    if (minLng === maxLng && minLat === maxLat) {
+      map.setView([lat, lng], clusterMaxZoom);
+    } else {
+      map.fitBounds([[minLat, minLng], [maxLat, maxLng]], { padding: [40, 40], maxZoom: clusterMaxZoom });
+    }
+  };
+
+  return (
+    <Marker
+      position={[lat, lng]}
+      icon={createClusterIcon(count)}
+      eventHandlers={{ click: zoomIn }}
+    >
+      <Tooltip direction="top">
+        <div className="text-xs">
+          <div className="font-semibold mb-1">{t('map.clusterCount', { count })}</div>
+          {Object.entries(statuses).map(([status, statusCount]) => (
+            <div key={status} className="flex items-center">
+              <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: getMarkerColor(status) }}></span>
+              {status}: {statusCount}
+            </div>
+          ))}
+          <div className="mt-1 text-gray-500">
+            {Object.entries(categories).map(([category, categoryCount]) => `${category} ${categoryCount}`).join(' · ')}
+          </div>
+          <div className="mt-1 text-gray-500">{t('map.clickToZoom')}</div>
+        </div>
+      </Tooltip>
+    </Marker>
+  );
+};
+
+const ComplaintMarker = ({ feature }) => {
+  const { t } = useTranslation();
+  const [lng, lat] = feature.geometry.coordinates;
+  const complaint = feature.properties;
+
+  return (
+    <Marker position={[lat, lng]} icon={createCustomIcon(complaint.status)}>
+      <Popup>
+        <div className="min-w-[200px]">
+          <h3 className="font-semibold text-gray-900 mb-2">
+            {complaint.title}
+          </h3>
+          <div className="text-xs text-gray-500 space-y-1">
+            <div className="flex items-center">
+              <CalendarIcon className="h-3 w-3 mr-1" />
+              {formatDate(complaint.createdAt)}
+            </div>
+            <div className="flex items-center">
+              <MapPinIcon className="h-3 w-3 mr-1" />
+              {complaint.address || complaint.category}
+            </div>
+            <div className="mt-2 flex items-center justify-between">
+              <span
+                className="inline-block px-2 py-1 text-xs rounded-full text-white"
+                style={{ backgroundColor: getMarkerColor(complaint.status) }}
+              >
+                {complaint.status}
+              </span>
+              <Link to={`/complaints/${feature.id}`} className="text-primary-600 hover:text-primary-700">
+                {t('map.viewDetails')}
+              </Link>
+            </div>
+          </div>
+        </div>
+      </Popup>
+    </Marker>
+  );
+};
+
+const HeatmapCell = ({ feature, maxCount }) => {
+  const { t } = useTranslation();
+  const ring = feature.geometry.coordinates[0];
+  const { count, resolvedCount, avgResolutionHours, hotspot } = feature.properties;
+  const isHotspot = Boolean(hotspot?.isHotspot);
+
+  return (
+    <Rectangle
+      bounds={[[ring[0][1], ring[0][0]], [ring[2][1], ring[2][0]]]}
+      pathOptions={{
+        fillColor: getHeatColor(count, maxCount),
+        fillOpacity: 0.25 + 0.45 * (maxCount > 0 ? count / maxCount : 0),
+        color: isHotspot ? '#991b1b' : '#ffffff',
+        weight: isHotspot ? 3 : 1,
+        dashArray: isHotspot ? '6 4' : null,
+      }}
+    >
+      <Tooltip sticky>
+        <div className="text-xs">
+          <div className="font-semibold">{t('map.clusterCount', { count })}</div>
+          <div>
+            {avgResolutionHours === null
+              ? t('map.heatmap.noneResolved')
+              : t('map.heatmap.avgResolution', { hours: avgResolutionHours, count: resolvedCount })}
+          </div>
+          {isHotspot && (
+            <div className="mt-1 font-semibold text-red-700">
+              {t('map.heatmap.hotspot', { current: hotspot.current, mean: hotspot.trailingMean })}
+            </div>
+          )}
+        </div>
+      </Tooltip>
+    </Rectangle>
+  );
+};
+
 const Map = () => {
   const { t } = useTranslation();
-  const [complaints, setComplaints] = useState([]);
-  const [filteredComplaints, setFilteredComplaints] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [collection, setCollection] = useState(null);
+  const [departments, setDepartments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [viewport, setViewport] = useState(null);
   const [statusFilter, setStatusFilter] = useState('all');
+  const [categoryFilter, setCategoryFilter] = useState('all');
   const [departmentFilter, setDepartmentFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [mode, setMode] = useState('markers');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
   const [mapCenter, setMapCenter] = useState([12.9716, 77.5946]); // Bangalore coordinates
 
   useEffect(() => {
-    fetchComplaints();
+    fetchDepartments();
     getUserLocation();
   }, []);
 
+  const handleViewportChange = useCallback((map) => {
+    setViewport({ bbox: map.getBounds().toBBoxString(), zoom: map.getZoom() });
+  }, []);
+
+  // Refetch for the visible area; typing in search waits for a pause, and
+  // responses for viewports the user already left are dropped
   useEffect(() => {
-    filterComplaints();
-  }, [complaints, statusFilter, departmentFilter, searchTerm]);
+    if (!viewport) return undefined;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const token = localStorage.getItem('token');
+        const qs = new URLSearchParams({ bbox: viewport.bbox, zoom: String(viewport.zoom) });
+        if (statusFilter !== 'all') qs.set('status', statusFilter);
+        if (categoryFilter !== 'all') qs.set('category', categoryFilter);
+        if (departmentFilter !== 'all') qs.set('department', departmentFilter);
+        if (mode === 'heatmap') {
+          if (fromDate) qs.set('from', fromDate);
+          // The end date is inclusive in the picker
+          if (toDate) qs.set('to', new Date(new Date(toDate).getTime() + 24 * 60 * 60 * 1000).toISOString());
+        } else if (searchTerm.trim()) {
+          qs.set('search', searchTerm.trim());
+        }
+
+        const endpoint = mode === 'heatmap' ? 'heatmap' : 'map';
+        const response = await fetch(`/api/complaints/${endpoint}?${qs.toString()}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+          signal: controller.signal,
+        });
+
+        if (response.ok) {
+          setCollection(await response.json());
+        }
+        setLoading(false);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Error fetching map complaints:', error);
+          setLoading(false);
+        }
+      }
+    }, 300);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [viewport, mode, statusFilter, categoryFilter, departmentFilter, searchTerm, fromDate, toDate]);
 
-  const fetchComplaints = async () => {
+  const fetchDepartments = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/complaints', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        },
-      });
-      
+      const response = await fetch('/api/departments');
       if (response.ok) {
         const data = await response.json();
-        // Filter complaints that have valid coordinates
-        const complaintsWithCoords = data.filter(complaint => {
-          const coords = parseCoordinates(complaint.location);
-          return coords !== null;
-        });
-        setComplaints(complaintsWithCoords);
+        setDepartments(data.departments || []);
       }
     } catch (error) {
-      console.error('Error fetching complaints:', error);
-    } finally {
-      setLoading(false);
+      console.error('Error fetching departments:', error);
     }
   };
 
@@ -75,100 +330,8 @@ const Map = () => {
     }
   };
 
-  const parseCoordinates = (location) => {
-    if (!location) return null;
-    
-    // Try to parse coordinates in format "lat, lng"
-    const coordPattern = /^(-?\d+\.?\d*),\s*(-?\d+\.?\d*)$/;
-    const match = location.match(coordPattern);
-    
-    if (match) {
-      const lat = parseFloat(match[1]);
-      const lng = parseFloat(match[2]);
-      
-      // Basic validation for reasonable coordinates
-      if (lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
-        return [lat, lng];
-      }
-    }
-    
-    return null;
-  };
-
-  const filterComplaints = () => {
-    let filtered = complaints;
-
-    if (statusFilter !== 'all') {
-      filtered = filtered.filter(complaint => 
-        complaint.status.toLowerCase() === statusFilter
-      );
-    }
-
-    if (departmentFilter !== 'all') {
-      filtered = filtered.filter(complaint => 
-        complaint.department === departmentFilter
-      );
-    }
-
-    if (searchTerm) {
-      filtered = filtered.filter(complaint =>
-        complaint.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        complaint.description.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-
-    setFilteredComplaints(filtered);
-  };
-
-  const getMarkerColor = (status) => {
-    switch (status.toLowerCase()) {
-      case 'pending':
-        return '#f59e0b'; // yellow
-      case 'in-progress':
-        return '#3b82f6'; // blue
-      case 'resolved':
-        return '#10b981'; // green
-      case 'rejected':
-        return '#ef4444'; // red
-      default:
-        return '#6b7280'; // gray
-    }
-  };
-
-  const createCustomIcon = (status) => {
-    const color = getMarkerColor(status);
-    return L.divIcon({
-      className: 'custom-div-icon',
-      html: `
-        <div style="
-          background-color: ${color};
-          width: 20px;
-          height: 20px;
-          border-radius: 50%;
-          border: 3px solid white;
-          box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-        "></div>
-      `,
-      iconSize: [20, 20],
-      iconAnchor: [10, 10],
-    });
-  };
-
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-    });
-  };
-
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center min-h-64">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
-      </div>
-    );
-  }
+  const features = collection?.features || [];
+  const meta = collection?.meta;
 
   return (
     <div className="page-container">
@@ -185,20 +348,62 @@ const Map = () => {
 
         {/* Filters */}
         <div className="mb-6 bg-white dark:bg-gray-800 rounded-lg shadow p-6">
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            {/* Search */}
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+          {/* Layer toggle */}
+          <div className="mb-4 inline-flex rounded-md shadow-sm">
+            {['markers', 'heatmap'].map((layer) => (
+              <button
+                key={layer}
+                type="button"
+                onClick={() => {
+                  setCollection(null);
+                  setMode(layer);
+                }}
+                className={`px-4 py-2 text-sm font-medium border border-gray-300 dark:border-gray-600 first:rounded-l-md last:rounded-r-md ${
+                  mode === layer
+                    ? 'bg-primary-600 text-white border-primary-600'
+                    : 'bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600'
+                }`}
+              >
+                {t(`map.layers.${layer}`)}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            {/* Search (the heatmap takes a date range instead) */}
+            {mode === 'heatmap' ? (
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  type="date"
+                  value={fromDate}
+                  onChange={(e) => setFromDate(e.target.value)}
+                  aria-label={t('map.heatmap.from')}
+                  title={t('map.heatmap.from')}
+                  className="block w-full px-2 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-sm"
+                />
+                <input
+                  type="date"
+                  value={toDate}
+                  onChange={(e) => setToDate(e.target.value)}
+                  aria-label={t('map.heatmap.to')}
+                  title={t('map.heatmap.to')}
+                  className="block w-full px-2 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-sm"
+                />
               </div>
-              <input
-                type="text"
-                placeholder="Search complaints..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="block w-full pl-10 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md leading-5 bg-white dark:bg-gray-700 placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:placeholder-gray-400 focus:ring-1 focus:ring-primary-500 focus:border-primary-500 text-sm"
-              />
-            </div>
+            ) : (
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Search complaints..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="block w-full pl-10 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md leading-5 bg-white dark:bg-gray-700 placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:placeholder-gray-400 focus:ring-1 focus:ring-primary-500 focus:border-primary-500 text-sm"
+                />
+              </div>
+            )}
 
             {/* Status Filter */}
             <div>
@@ -208,10 +413,23 @@ const Map = () => {
                 className="block w-full pl-3 pr-10 py-2 text-base border border-gray-300 dark:border-gray-600 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md bg-white dark:bg-gray-700"
               >
                 <option value="all">All Status</option>
-                <option value="pending">Pending</option>
-                <option value="in-progress">In Progress</option>
-                <option value="resolved">Resolved</option>
-                <option value="rejected">Rejected</option>
+                {STATUSES.map((status) => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Category Filter */}
+            <div>
+              <select
+                value={categoryFilter}
+                onChange={(e) => setCategoryFilter(e.target.value)}
+                className="block w-full pl-3 pr-10 py-2 text-base border border-gray-300 dark:border-gray-600 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md bg-white dark:bg-gray-700"
+              >
+                <option value="all">{t('map.allCategories')}</option>
+                {CATEGORIES.map((category) => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
               </select>
             </div>
 
@@ -223,42 +441,47 @@ const Map = () => {
                 className="block w-full pl-3 pr-10 py-2 text-base border border-gray-300 dark:border-gray-600 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md bg-white dark:bg-gray-700"
               >
                 <option value="all">All Departments</option>
-                <option value="sanitation">Sanitation</option>
-                <option value="roads">Roads</option>
-                <option value="water">Water</option>
-                <option value="electricity">Electricity</option>
-                <option value="parks">Parks</option>
-                <option value="transport">Transport</option>
-                <option value="health">Health</option>
-                <option value="other">Other</option>
+                {departments.map((department) => (
+                  <option key={department._id} value={department._id}>
+                    {department.name}
+                  </option>
+                ))}
               </select>
             </div>
           </div>
 
           {/* Legend */}
-          <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
-            <span className="text-gray-600 dark:text-gray-400">Legend:</span>
-            <div className="flex items-center">
-              <div className="w-4 h-4 rounded-full bg-yellow-500 mr-2"></div>
-              <span>Pending</span>
-            </div>
-            <div className="flex items-center">
-              <div className="w-4 h-4 rounded-full bg-blue-500 mr-2"></div>
-              <span>In Progress</span>
-            </div>
-            <div className="flex items-center">
-              <div className="w-4 h-4 rounded-full bg-green-500 mr-2"></div>
-              <span>Resolved</span>
+          {mode === 'heatmap' ? (
+            <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+              <span className="text-gray-600 dark:text-gray-400">Legend:</span>
+              <div className="flex items-center">
+                <div className="w-16 h-4 rounded mr-2" style={{ background: `linear-gradient(to right, ${getHeatColor(1, 100)}, ${getHeatColor(1, 1)})` }}></div>
+                <span>{t('map.heatmap.density')}</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-4 h-4 mr-2 border-2 border-dashed border-red-800"></div>
+                <span>{t('map.heatmap.hotspotLegend')}</span>
+              </div>
             </div>
-            <div className="flex items-center">
-              <div className="w-4 h-4 rounded-full bg-red-500 mr-2"></div>
-              <span>Rejected</span>
+          ) : (
+            <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+              <span className="text-gray-600 dark:text-gray-400">Legend:</span>
+              {STATUSES.map((status) => (
+                <div key={status} className="flex items-center">
+                  <div className="w-4 h-4 rounded-full mr-2" style={{ backgroundColor: getMarkerColor(status) }}></div>
+                  <span>{status}</span>
+                </div>
+              ))}
+              <div className="flex items-center">
+                <div className="w-4 h-4 rounded-full bg-blue-600 mr-2"></div>
+                <span>{t('map.cluster')}</span>
+              </div>
             </div>
-          </div>
+          )}
         </div>
 
         {/* Map */}
-        <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden" style={{ height: '600px' }}>
+        <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden" style={{ height: '600px' }}>
           <MapContainer
             center={mapCenter}
             zoom={13}
@@ -268,60 +491,38 @@ const Map = () => {
               attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
               url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
             />
-            
-            {filteredComplaints.map((complaint) => {
-              const coords = parseCoordinates(complaint.location);
-              if (!coords) return null;
-
-              return (
-                <Marker
-                  key={complaint._id}
-                  position={coords}
-                  icon={createCustomIcon(complaint.status)}
-                >
-                  <Popup>
-                    <div className="min-w-[200px]">
-                      <h3 className="font-semibold text-gray-900 mb-2">
-                        {complaint.title}
-                      </h3>
-                      <p className="text-sm text-gray-600 mb-2">
-                        {complaint.description.substring(0, 100)}...
-                      </p>
-                      <div className="text-xs text-gray-500 space-y-1">
-                        <div className="flex items-center">
-                          <CalendarIcon className="h-3 w-3 mr-1" />
-                          {formatDate(complaint.createdAt)}
-                        </div>
-                        <div className="flex items-center">
-                          <MapPinIcon className="h-3 w-3 mr-1" />
-                          {complaint.department}
-                        </div>
-                        <div className="mt-2">
-                          <span className={`inline-block px-2 py-1 text-xs rounded-full ${
-                            complaint.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
-                            complaint.status === 'in-progress' ? 'bg-blue-100 text-blue-800' :
-                            complaint.status === 'resolved' ? 'bg-green-100 text-green-800' :
-                            'bg-red-100 text-red-800'
-                          }`}>
-                            {complaint.status}
-                          </span>
-                        </div>
-                      </div>
-                    </div>
-                  </Popup>
-                </Marker>
-              );
-            })}
+            <Recenter center={mapCenter} />
+            <ViewportWatcher onChange={handleViewportChange} />
+
+            {mode === 'heatmap' && features.map((feature) => (
+              <HeatmapCell key={feature.id} feature={feature} maxCount={meta.maxCount} />
+            ))}
+
+            {mode === 'markers' && features.map((feature) => (
+              feature.properties.cluster ? (
+                <ClusterMarker key={feature.id} feature={feature} clusterMaxZoom={meta.clusterMaxZoom} />
+              ) : (
+                <ComplaintMarker key={feature.id} feature={feature} />
+              )
+            ))}
           </MapContainer>
+
+          {loading && (
+            <div className="absolute top-3 right-3 z-[1000] bg-white dark:bg-gray-800 rounded-full shadow p-2">
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600"></div>
+            </div>
+          )}
         </div>
 
         {/* Summary */}
         <div className="mt-6 text-center text-sm text-gray-600 dark:text-gray-400">
-          Showing {filteredComplaints.length} of {complaints.length} complaints on the map
+          {meta && mode === 'markers' && t('map.inView', { count: meta.total })}
+          {meta && mode === 'heatmap' && t('map.heatmap.summary', { cells: features.length, hotspots: meta.hotspotCount })}
+          {meta?.truncated && ` ${t('map.truncated')}`}
         </div>
       </div>
     </div>
   );
 };
 
-export default Map;
\ No newline at end of file
+export default Map;
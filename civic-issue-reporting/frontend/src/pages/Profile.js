@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../context/AuthContext';
+import NotificationSettings from '../components/NotificationSettings';
 import {
   UserIcon,
   EnvelopeIcon,
@@ -14,6 +15,7 @@ const Profile = () => {
   const { t } = useTranslation();
   const { user, updateUser } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -310,9 +312,13 @@ const Profile = () => {
                 <button className="w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md">
                   Change Password
                 </button>
-                <button className="w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md">
-                  Notification Settings
+                <button
+                  onClick={() => setShowNotificationSettings(!showNotificationSettings)}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md"
+                >
+                  {t('profile.notifications.title')}
                 </button>
+                {showNotificationSettings && <NotificationSettings />}
                 <button className="w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md">
                   Privacy Settings
                 </button>
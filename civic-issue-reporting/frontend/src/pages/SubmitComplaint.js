@@ -3,22 +3,28 @@ import { useForm } from 'react-hook-form';
 import { useTranslation } from 'react-i18next';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useOffline } from '../context/OfflineContext';
+import OfflineQueue from '../components/OfflineQueue';
 import {
   PhotoIcon,
   MapPinIcon,
   XMarkIcon,
   CameraIcon,
+  SignalSlashIcon,
 } from '@heroicons/react/24/outline';
 
 const SubmitComplaint = () => {
   const { t } = useTranslation();
   const { user } = useAuth();
+  const { supported: offlineSupported, isOnline, saveOffline } = useOffline();
   const navigate = useNavigate();
   const fileInputRef = useRef(null);
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [currentLocation, setCurrentLocation] = useState(null);
   const [gettingLocation, setGettingLocation] = useState(false);
+  const [duplicates, setDuplicates] = useState([]);
+  const [pendingData, setPendingData] = useState(null);
 
   const {
     register,
@@ -48,9 +54,12 @@ const SubmitComplaint = () => {
   // Match backend: 'Low', 'Medium', 'High', 'Critical'
   const priorities = ['Low', 'Medium', 'High', 'Critical'];
 
+  // Must match MAX_COMPLAINT_IMAGES on the backend
+  const MAX_IMAGES = 5;
+
   const handleFileSelect = (e) => {
     const files = Array.from(e.target.files);
-    const validFiles = files.slice(0, 1).filter(file => {
+    const validFiles = files.filter(file => {
       const isImage = file.type.startsWith('image/');
       const isUnder5MB = file.size <= 5 * 1024 * 1024; // 5MB limit
       return isImage && isUnder5MB;
@@ -60,11 +69,32 @@ const SubmitComplaint = () => {
       alert('Some files were rejected. Only images under 5MB are allowed.');
     }
 
-    setSelectedFiles(validFiles.slice(0, 1)); // Only 1 image allowed
+    setSelectedFiles(prev => {
+      const room = MAX_IMAGES - prev.length;
+      if (validFiles.length > room) {
+        alert(`You can attach up to ${MAX_IMAGES} images.`);
+      }
+      const added = validFiles.slice(0, Math.max(room, 0)).map(file => ({
+        file,
+        caption: '',
+        preview: URL.createObjectURL(file),
+      }));
+      return [...prev, ...added];
+    });
+
+    // Allow selecting the same file again after removing it
+    e.target.value = '';
   };
 
   const removeFile = (index) => {
-    setSelectedFiles(prev => prev.filter((_, i) => i !== index));
+    setSelectedFiles(prev => {
+      URL.revokeObjectURL(prev[index].preview);
+      return prev.filter((_, i) => i !== index);
+    });
+  };
+
+  const updateCaption = (index, caption) => {
+    setSelectedFiles(prev => prev.map((item, i) => (i === index ? { ...item, caption } : item)));
   };
 
   const getCurrentLocation = () => {
@@ -88,16 +118,28 @@ const SubmitComplaint = () => {
     );
   };
 
-  const onSubmit = async (data) => {
+  // Keep the complaint on this device and send it once there is a connection
+  const submitOffline = async (fields) => {
+    try {
+      await saveOffline({ fields, photos: selectedFiles });
+      alert(t('offline.savedForLater'));
+      navigate('/dashboard');
+    } catch (error) {
+      console.error('Error saving complaint offline:', error);
+      alert(t('offline.saveFailed'));
+    }
+  };
+
+  const onSubmit = async (data, ignoreDuplicates = false) => {
     setIsSubmitting(true);
     try {
-      const formData = new FormData();
-      
-      // Add form fields
-      formData.append('title', data.title);
-      formData.append('description', data.description);
-      formData.append('category', data.category);
-      if (data.priority) formData.append('priority', data.priority);
+      // Form fields, also what is saved when the complaint is kept offline
+      const fields = {
+        title: data.title,
+        description: data.description,
+        category: data.category,
+        priority: data.priority || undefined,
+      };
 
       // Location: accept either "lat, lng" or address typed; we need separate fields
       // Try to parse coordinates from the input if present
@@ -110,35 +152,65 @@ const SubmitComplaint = () => {
           lng = parseFloat(coordMatch[2]);
         }
       }
-      if (!lat || !lng) {
+      // Without coordinates the backend falls back to the GPS stored in an attached photo
+      if ((!lat || !lng) && selectedFiles.length === 0) {
         throw new Error('Please provide valid coordinates via GPS or typing lat, lng.');
       }
-      if (!data.address || data.address.trim().length < 5) {
+      if (lat && lng && (!data.address || data.address.trim().length < 5)) {
         throw new Error('Please provide a valid address.');
       }
-      formData.append('latitude', String(lat));
-      formData.append('longitude', String(lng));
-      formData.append('address', data.address);
-      formData.append('isAnonymous', data.anonymous ? 'true' : 'false');
-
-      // Add images
-      if (selectedFiles[0]) {
-        formData.append('image', selectedFiles[0]);
+      if (lat && lng) {
+        fields.latitude = String(lat);
+        fields.longitude = String(lng);
       }
+      if (data.address) fields.address = data.address;
+      fields.isAnonymous = data.anonymous ? 'true' : 'false';
 
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/complaints', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        },
-        body: formData,
+      if (offlineSupported && !navigator.onLine) {
+        await submitOffline(fields);
+        return;
+      }
+
+      const formData = new FormData();
+      Object.entries(fields).forEach(([name, value]) => {
+        if (value !== undefined) formData.append(name, value);
       });
+      if (ignoreDuplicates) formData.append('ignoreDuplicates', 'true');
+
+      // Add images with their captions (matched by position)
+      selectedFiles.forEach(({ file, caption }) => {
+        formData.append('images', file);
+        formData.append('imageCaptions', caption);
+      });
+
+      const token = localStorage.getItem('token');
+      let response;
+      try {
+        response = await fetch('/api/complaints', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+          body: formData,
+        });
+      } catch (error) {
+        // fetch rejects only when the server could not be reached
+        if (!offlineSupported) throw error;
+        await submitOffline(fields);
+        return;
+      }
 
       if (response.ok) {
         const result = await response.json();
-        alert('Complaint submitted successfully!');
+        alert(result.locationSource === 'photo'
+          ? t('complaints.photoLocationUsed')
+          : 'Complaint submitted successfully!');
         navigate('/dashboard');
+      } else if (response.status === 409) {
+        // Backend found likely duplicates; let the user pick one or confirm
+        const result = await response.json();
+        setDuplicates(result.duplicates || []);
+        setPendingData(data);
       } else {
         const error = await response.json();
         throw new Error(error.message || 'Failed to submit complaint');
@@ -151,16 +223,119 @@ const SubmitComplaint = () => {
     }
   };
 
+  const upvoteDuplicate = async ({ _id: complaintId, hasUpvoted }) => {
+    // Voting toggles, so a second upvote would take the user's upvote back
+    if (hasUpvoted) {
+      navigate(`/complaints/${complaintId}`);
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/complaints/${complaintId}/vote`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ voteType: 'upvote' }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || 'Failed to upvote complaint');
+      }
+      navigate(`/complaints/${complaintId}`);
+    } catch (error) {
+      console.error('Error upvoting complaint:', error);
+      alert('Failed to upvote the existing complaint. Please try again.');
+    }
+  };
+
+  const submitAnyway = () => {
+    const data = pendingData;
+    setDuplicates([]);
+    setPendingData(null);
+    onSubmit(data, true);
+  };
+
   return (
     <div className="page-container">
       <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <OfflineQueue />
+
         <div className="bg-white dark:bg-gray-800 shadow rounded-lg">
           <div className="px-4 py-5 sm:p-6">
             <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-6">
               {t('complaints.submitComplaint')}
             </h1>
 
-            <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            {offlineSupported && !isOnline && (
+              <div className="mb-6 rounded-md border border-gray-300 bg-gray-50 dark:border-gray-600 dark:bg-gray-700/50 p-4 flex items-start">
+                <SignalSlashIcon className="h-5 w-5 mr-3 flex-shrink-0 text-gray-500 dark:text-gray-400" />
+                <p className="text-sm text-gray-700 dark:text-gray-300">
+                  {t('offline.banner')}
+                </p>
+              </div>
+            )}
+
+            {/* Possible duplicates found by the backend */}
+            {duplicates.length > 0 && (
+              <div className="mb-6 rounded-md border border-yellow-300 bg-yellow-50 dark:border-yellow-700 dark:bg-yellow-900/30 p-4">
+                <h2 className="text-sm font-semibold text-yellow-800 dark:text-yellow-200">
+                  {t('complaints.duplicates.title')}
+                </h2>
+                <p className="mt-1 text-sm text-yellow-700 dark:text-yellow-300">
+                  {t('complaints.duplicates.subtitle')}
+                </p>
+                <ul className="mt-4 space-y-3">
+                  {duplicates.map((match) => (
+                    <li key={match._id} className="flex items-start justify-between gap-4 bg-white dark:bg-gray-800 rounded-md p-3 shadow-sm">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                          {match.title}
+                        </p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          {match.status} • {match.distance} m away • {match.upvoteCount} upvotes
+                        </p>
+                        <p className="text-sm text-gray-600 dark:text-gray-300 mt-1 line-clamp-2">
+                          {match.description}
+                        </p>
+                      </div>
+                      <div className="flex flex-col gap-2 flex-shrink-0">
+                        <button
+                          type="button"
+                          onClick={() => upvoteDuplicate(match)}
+                          className="px-3 py-1 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+                        >
+                          {t('complaints.duplicates.upvoteInstead')}
+                        </button>
+                        <a
+                          href={`/complaints/${match._id}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-center text-sm text-primary-600 hover:text-primary-500"
+                        >
+                          {t('complaints.duplicates.view')}
+                        </a>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+                <div className="mt-4 flex justify-end">
+                  <button
+                    type="button"
+                    onClick={submitAnyway}
+                    disabled={isSubmitting}
+                    className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm font-medium text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    {t('complaints.duplicates.submitAnyway')}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit((data) => onSubmit(data))} className="space-y-6">
               {/* Title */}
               <div>
                 <label htmlFor="title" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
@@ -255,7 +430,9 @@ const SubmitComplaint = () => {
                 </label>
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-1">
                   <input
-                    {...register('address', { required: 'Address is required' })}
+                    {...register('address', {
+                      required: selectedFiles.length === 0 ? 'Address is required' : false
+                    })}
                     type="text"
                     className="input"
                     placeholder="Street, Area, City"
@@ -285,12 +462,17 @@ const SubmitComplaint = () => {
                 {errors.address && (
                   <p className="mt-1 text-sm text-red-600">{errors.address.message}</p>
                 )}
+                {selectedFiles.length > 0 && (
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {t('complaints.photoLocationHint')}
+                  </p>
+                )}
               </div>
 
               {/* Image Upload */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                  {t('complaints.images')} <span className="text-gray-500">(Optional, 1 image)</span>
+                  {t('complaints.images')} <span className="text-gray-500">(Optional, up to {MAX_IMAGES} images)</span>
                 </label>
                 <div className="mt-1">
                   <div className="flex justify-center px-6 pt-5 pb-6 border-2 border-gray-300 dark:border-gray-600 border-dashed rounded-md hover:border-gray-400 dark:hover:border-gray-500">
@@ -308,7 +490,8 @@ const SubmitComplaint = () => {
                             name="file-upload"
                             type="file"
                             className="sr-only"
-                            multiple={false}
+                            multiple
+                            disabled={selectedFiles.length >= MAX_IMAGES}
                             accept="image/*"
                             onChange={handleFileSelect}
                           />
@@ -325,20 +508,30 @@ const SubmitComplaint = () => {
                 {/* Preview selected images */}
                 {selectedFiles.length > 0 && (
                   <div className="mt-4 grid grid-cols-2 md:grid-cols-3 gap-4">
-                    {selectedFiles.slice(0,1).map((file, index) => (
-                      <div key={index} className="relative">
-                        <img
-                          src={URL.createObjectURL(file)}
-                          alt={`Preview ${index + 1}`}
-                          className="h-24 w-full object-cover rounded-lg"
+                    {selectedFiles.map((item, index) => (
+                      <div key={item.preview}>
+                        <div className="relative">
+                          <img
+                            src={item.preview}
+                            alt={`Preview ${index + 1}`}
+                            className="h-24 w-full object-cover rounded-lg"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => removeFile(index)}
+                            className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full p-1 hover:bg-red-600"
+                          >
+                            <XMarkIcon className="h-4 w-4" />
+                          </button>
+                        </div>
+                        <input
+                          type="text"
+                          value={item.caption}
+                          onChange={(e) => updateCaption(index, e.target.value)}
+                          maxLength={200}
+                          className="input mt-2 text-xs"
+                          placeholder={t('complaints.imageCaption')}
                         />
-                        <button
-                          type="button"
-                          onClick={() => removeFile(index)}
-                          className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full p-1 hover:bg-red-600"
-                        >
-                          <XMarkIcon className="h-4 w-4" />
-                        </button>
                       </div>
                     ))}
                   </div>
@@ -379,6 +572,8 @@ const SubmitComplaint = () => {
                         {t('complaints.submitting')}
                       </div>
                     </>
+                  ) : offlineSupported && !isOnline ? (
+                    t('offline.saveForLater')
                   ) : (
                     t('complaints.submitComplaint')
                   )}
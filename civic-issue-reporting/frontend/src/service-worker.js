@@ -0,0 +1,63 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker built by react-scripts (InjectManifest) in production
+// builds. It keeps the app shell available offline and sends complaints saved
+// offline when the browser fires a background sync, even with no tab open.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { SYNC_TAG, syncOfflineComplaints } from './offline/sync';
+
+clientsClaim();
+
+// The built JS, CSS and index.html, with revisions from the build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve the app shell for page navigations so every route opens offline.
+// API calls, uploads, sockets and files (paths with an extension) go to the
+// network.
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+const serverPaths = /^\/(api|uploads|socket\.io|open311)\//;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' &&
+    url.origin === self.location.origin &&
+    !serverPaths.test(url.pathname) &&
+    !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Complaint photos change rarely once uploaded
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.startsWith('/uploads/'),
+  new CacheFirst({
+    cacheName: 'uploads',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 30 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// Leaflet's stylesheet is loaded from unpkg by index.html
+registerRoute(
+  ({ url }) => url.origin === 'https://unpkg.com',
+  new StaleWhileRevalidate({
+    cacheName: 'cdn',
+    plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })],
+  })
+);
+
+// Rejecting makes the browser fire the sync again later
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+
+  event.waitUntil(syncOfflineComplaints().then(({ retryLater }) => {
+    if (retryLater) {
+      throw new Error('Complaints are still waiting for a connection');
+    }
+  }));
+});
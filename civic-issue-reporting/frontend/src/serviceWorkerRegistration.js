@@ -0,0 +1,40 @@
+import { SYNC_TAG } from './offline/sync';
+
+// Registers the service worker built from src/service-worker.js. Only
+// production builds have one; in development the app runs without it.
+
+export const isServiceWorkerEnabled = () =>
+  process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator;
+
+export const register = () => {
+  if (!isServiceWorkerEnabled()) return;
+
+  // The service worker does not work when PUBLIC_URL is on another origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+};
+
+// Ask the browser to send saved complaints once it is back online, even if
+// the app is closed by then. Browsers without background sync rely on the
+// app syncing when it is next open.
+export const requestBackgroundSync = async () => {
+  if (!isServiceWorkerEnabled()) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.sync) return false;
+    await registration.sync.register(SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.error('Background sync registration failed:', error);
+    return false;
+  }
+};